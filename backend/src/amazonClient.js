@@ -1,8 +1,18 @@
 import zlib from 'zlib';
 import SellingPartnerAPI from 'amazon-sp-api';
-import { AMAZON_CONFIG, SHIP_FROM_ADDRESS, USE_MOCK } from './config.js';
-import { mockFetchUnshippedPrimeOrdersWithItems, mockGetOrderItems, mockBuyLabel } from './mock_api.js';
+import { AMAZON_CONFIG, LABEL_FORMAT, SHIP_FROM_ADDRESS, SHIPPING_STRATEGY, USE_MOCK } from './config.js';
+import {
+  mockFetchUnshippedPrimeOrdersWithItems,
+  mockGetOrderItems,
+  mockGetOrder,
+  mockGetEligibleShipmentServices,
+  mockCreateShipment,
+  mockCancelShipment
+} from './mock_api.js';
+import { describeShippingService, normalizeShippingStrategy, selectShippingService } from './shippingSelection.js';
+import { describeMarketplace } from './marketplaces.js';
 import { logger } from './logger.js';
+import { AppError } from './middleware/errorHandler.js';
 
 const RETRYABLE_ERROR_CODES = new Set([
   'QuotaExceeded',
@@ -90,20 +100,28 @@ async function retryWithBackoff(fn, { context, maxRetries = 3, baseDelayMs = 100
   throw lastError;
 }
 
-async function createSpClient() {
-  if (!AMAZON_CONFIG.sellerId || !AMAZON_CONFIG.lwaClientId) {
-    throw new Error('Missing Amazon SP-API configuration in environment variables.');
+/**
+ * Create an SP-API client for one seller account.
+ * @param {object} [account] - Seller account (see sellerAccounts.js); defaults to the environment credentials.
+ */
+async function createSpClient(account = AMAZON_CONFIG) {
+  if (!account.sellerId || !account.lwaClientId) {
+    throw new Error(
+      account.name
+        ? `Missing Amazon SP-API credentials for seller account "${account.name}".`
+        : 'Missing Amazon SP-API configuration in environment variables.'
+    );
   }
 
   const sp = new SellingPartnerAPI({
-    region: AMAZON_CONFIG.region,
-    refresh_token: AMAZON_CONFIG.refreshToken,
+    region: account.region,
+    refresh_token: account.refreshToken,
     credentials: {
-      SELLING_PARTNER_APP_CLIENT_ID: AMAZON_CONFIG.lwaClientId,
-      SELLING_PARTNER_APP_CLIENT_SECRET: AMAZON_CONFIG.lwaClientSecret,
-      AWS_ACCESS_KEY_ID: AMAZON_CONFIG.awsAccessKeyId,
-      AWS_SECRET_ACCESS_KEY: AMAZON_CONFIG.awsSecretAccessKey,
-      AWS_SELLING_PARTNER_ROLE: AMAZON_CONFIG.roleArn
+      SELLING_PARTNER_APP_CLIENT_ID: account.lwaClientId,
+      SELLING_PARTNER_APP_CLIENT_SECRET: account.lwaClientSecret,
+      AWS_ACCESS_KEY_ID: account.awsAccessKeyId,
+      AWS_SECRET_ACCESS_KEY: account.awsSecretAccessKey,
+      AWS_SELLING_PARTNER_ROLE: account.roleArn
     },
     options: {
       auto_request_tokens: true,
@@ -114,38 +132,108 @@ async function createSpClient() {
   return sp;
 }
 
-export async function fetchUnshippedPrimeOrdersWithItems() {
+// Marketplaces of the account, or the configured ones when the account lists none
+function getMarketplaceIds(account) {
+  return Array.isArray(account.marketplaceIds) && account.marketplaceIds.length
+    ? account.marketplaceIds
+    : AMAZON_CONFIG.marketplaceIds;
+}
+
+// OrderTotal is missing on some pending orders, so fall back to item prices, then the storefront default
+function getOrderCurrency(order, items, marketplaceId) {
+  return (
+    order.OrderTotal?.CurrencyCode ||
+    items.map((item) => item.price?.currency).find(Boolean) ||
+    describeMarketplace(marketplaceId).currency
+  );
+}
+
+function isTrueFlag(value) {
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+// Buyer cancellation requests come as IsBuyerRequestedCancel/BuyerRequestedCancelReason on the
+// order and as OrderItem.BuyerRequestedCancel (string booleans) on its items; either one counts.
+function getBuyerCancelRequest(order, orderItems) {
+  const itemRequests = orderItems
+    .map((item) => item.BuyerRequestedCancel)
+    .filter((request) => request && isTrueFlag(request.IsBuyerRequestedCancel));
+  const requested = isTrueFlag(order.IsBuyerRequestedCancel) || itemRequests.length > 0;
+
+  return {
+    requested,
+    reason: requested
+      ? order.BuyerRequestedCancelReason || itemRequests.map((r) => r.BuyerCancelReason).find(Boolean) || null
+      : null
+  };
+}
+
+async function fetchOrderPages(sp, baseQuery) {
+  // Both return Amazon's format: { payload: { Orders: [...], NextToken } }
+  const orders = [];
+  let pages = 0;
+  let nextToken;
+
+  do {
+    // Follow-up pages only take the token (plus MarketplaceIds), as required by the Orders API
+    const query = nextToken ? { MarketplaceIds: baseQuery.MarketplaceIds, NextToken: nextToken } : baseQuery;
+    let ordersResponse;
+
+    if (USE_MOCK) {
+      // The mock is stateless, so it gets the filters again alongside the token
+      ordersResponse = await mockFetchUnshippedPrimeOrdersWithItems({ ...baseQuery, NextToken: nextToken });
+    } else {
+      ordersResponse = await retryWithBackoff(
+        () =>
+          sp.callAPI({
+            operation: 'getOrders',
+            endpoint: 'orders',
+            query
+          }),
+        { context: `getOrders page ${pages + 1}` }
+      );
+    }
+
+    // Extract orders from payload wrapper (Amazon SP-API format)
+    const payload = ordersResponse?.payload || ordersResponse || {};
+    orders.push(...(payload.Orders || []));
+    nextToken = payload.NextToken || null;
+    pages += 1;
+  } while (nextToken);
+
+  return { orders, pages };
+}
+
+/**
+ * Fetch Unshipped and PartiallyShipped MFN Prime orders with their items, following every NextToken page.
+ * PartiallyShipped orders come back as Unshipped: their remaining items still need labels.
+ * - Incremental: pass lastUpdatedAfter to only get orders changed since the previous sync.
+ * - Full: pass createdAfter to refetch everything created since then.
+ * @param {{ lastUpdatedAfter?: Date|string, createdAfter?: Date|string, account?: object }} [window]
+ * @returns {Promise<{ orders: object[], pages: number, totalOrders: number, returnedOrderIds: string[] }>}
+ */
+export async function fetchUnshippedPrimeOrdersWithItems({ lastUpdatedAfter, createdAfter, account = AMAZON_CONFIG } = {}) {
   // Step 1: Create SP client if using real API (create once, reuse for all calls)
-  const sp = USE_MOCK ? null : await createSpClient();
+  const sp = USE_MOCK ? null : await createSpClient(account);
 
-  // Step 2: Fetch orders from Amazon API (or mock)
-  // Both return Amazon's format: { payload: { Orders: [...] } }
-  let ordersResponse;
-  
-  if (USE_MOCK) {
-    ordersResponse = await mockFetchUnshippedPrimeOrdersWithItems();
+  // getOrders requires exactly one of CreatedAfter / LastUpdatedAfter
+  const baseQuery = {
+    MarketplaceIds: getMarketplaceIds(account),
+    OrderStatuses: ['Unshipped', 'PartiallyShipped'],
+    FulfillmentChannels: ['MFN']
+  };
+  if (lastUpdatedAfter) {
+    baseQuery.LastUpdatedAfter = new Date(lastUpdatedAfter).toISOString();
   } else {
-    ordersResponse = await retryWithBackoff(
-      () =>
-        sp.callAPI({
-          operation: 'getOrders',
-          endpoint: 'orders',
-          query: {
-            MarketplaceIds: [AMAZON_CONFIG.marketplaceId].filter(Boolean),
-            OrderStatuses: ['Unshipped'],
-            FulfillmentChannels: ['MFN']
-          }
-        }),
-      { context: 'getOrders' }
-    );
+    baseQuery.CreatedAfter = new Date(createdAfter || 0).toISOString();
   }
 
-  // Step 3: Extract orders from payload wrapper (Amazon SP-API format)
-  const orders = ordersResponse?.payload?.Orders || ordersResponse?.Orders || [];
+  // Step 2 & 3: Fetch every page of orders from Amazon API (or mock)
+  const { orders, pages } = await fetchOrderPages(sp, baseQuery);
   
   if (!orders.length) {
-    logger.info('No unshipped orders found', { operation: 'fetchUnshippedPrimeOrdersWithItems' });
-    return [];
+    logger.info('No unshipped orders found', { operation: 'fetchUnshippedPrimeOrdersWithItems', pages });
+    return { orders: [], pages, totalOrders: 0, returnedOrderIds: [] };
   }
 
   // Step 4: Filter for Prime orders using Amazon's IsPrime field (PascalCase)
@@ -181,10 +269,20 @@ export async function fetchUnshippedPrimeOrdersWithItems() {
     // Step 6: Transform Amazon's PascalCase fields to our snake_case database format
     // This transformation happens consistently for both mock and real API
     const items = orderItems.map((item) => ({
-      sku: item.SellerSKU,           // PascalCase → snake_case
-      quantity: item.QuantityOrdered  // PascalCase → snake_case
+      order_item_id: item.OrderItemId,   // Required by Merchant Fulfillment ItemList
+      sku: item.SellerSKU,               // PascalCase → snake_case
+      asin: item.ASIN || null,           // PascalCase → snake_case
+      title: item.Title || null,         // PascalCase → snake_case
+      quantity: item.QuantityOrdered,    // PascalCase → snake_case
+      price: item.ItemPrice              // Line total, not unit price
+        ? { amount: Number(item.ItemPrice.Amount), currency: item.ItemPrice.CurrencyCode || null }
+        : null,
+      gift_message: item.BuyerInfo?.GiftMessageText || null // For packing slips; only sent when Amazon shares buyer info
     }));
 
+    const cancelRequest = getBuyerCancelRequest(order, orderItems);
+    const marketplaceId = order.MarketplaceId || getMarketplaceIds(account)[0];
+
     hydrated.push({
       amazon_order_id: order.AmazonOrderId,                                            // PascalCase → snake_case
       purchase_date: order.PurchaseDate,                                               // PascalCase → snake_case
@@ -192,107 +290,377 @@ export async function fetchUnshippedPrimeOrdersWithItems() {
       shipping_address: order.ShippingAddress || {},                                   // Keep the full address object
       items,                                                                           // Already transformed above
       is_prime: !!order.IsPrime,                                                       // PascalCase → snake_case
-      status: order.OrderStatus || 'Unshipped'                                         // PascalCase → snake_case
+      status: 'Unshipped',                                                             // PartiallyShipped stays in the To Buy list
+      earliest_ship_date: order.EarliestShipDate || null,                              // PascalCase → snake_case
+      latest_ship_date: order.LatestShipDate || null,                                  // Prime ship-by deadline
+      latest_delivery_date: order.LatestDeliveryDate || null,                          // PascalCase → snake_case
+      ship_service_level: order.ShipServiceLevel || null,                              // PascalCase → snake_case
+      marketplace_id: marketplaceId,                                                   // The account's first marketplace when Amazon omits it
+      currency: getOrderCurrency(order, items, marketplaceId),
+      is_buyer_requested_cancel: cancelRequest.requested,                              // Order or item level flag
+      buyer_requested_cancel_reason: cancelRequest.reason
     });
   }
 
   logger.info('Fetched Prime orders with items', { 
     operation: 'fetchUnshippedPrimeOrdersWithItems',
+    marketplaceIds: baseQuery.MarketplaceIds,
+    pages,
     totalOrders: orders.length,
     primeOrders: primeOrders.length
   });
 
-  return hydrated;
+  return {
+    orders: hydrated,
+    pages,
+    totalOrders: orders.length,
+    // Every order Amazon returned, Prime or not, so sync can tell which local orders are missing
+    returnedOrderIds: orders.map((o) => o.AmazonOrderId)
+  };
 }
 
-export async function buyLabel({ amazon_order_id, weight, dimensions, sku, quantity }) {
-  if (USE_MOCK) {
-    return mockBuyLabel({ amazon_order_id, weight, dimensions });
+/**
+ * Build the MFN ShipmentRequestDetails shared by getEligibleShipmentServices and createShipment.
+ * @param {object} params
+ * @param {{ order_item_id: string, quantity: number }[]} params.items - Items (and quantities) in this package.
+ * @param {string} [params.labelFormat] - One of LABEL_FORMATS; defaults to LABEL_FORMAT.
+ */
+function buildShipmentRequestDetails({ amazon_order_id, weight, dimensions, items, account, labelFormat = LABEL_FORMAT }) {
+  if (!Array.isArray(items) || !items.length) {
+    throw new Error('At least one order item is required to build a shipment request.');
   }
 
-  const sp = await createSpClient();
+  return {
+    AmazonOrderId: amazon_order_id,
+    ItemList: items.map((item) => ({
+      OrderItemId: item.order_item_id,
+      Quantity: item.quantity
+    })),
+    ShipFromAddress: account?.shipFromAddress || SHIP_FROM_ADDRESS,
+    PackageDimensions: dimensions,
+    Weight: weight,
+    ShippingServiceOptions: {
+      DeliveryExperience: 'DeliveryConfirmationWithoutSignature',
+      CarrierWillPickUp: false,
+      LabelFormat: labelFormat
+    }
+  };
+}
 
-  // Step A: getEligibleShipmentServices
-  // Amazon SP-API returns: { payload: { ShippingServiceList: [...] } }
-  const eligibleResponse = await retryWithBackoff(
-    () =>
-      sp.callAPI({
-        operation: 'getEligibleShipmentServices',
-        endpoint: 'merchantFulfillment',
-        body: {
-          ShipmentRequestDetails: {
-            AmazonOrderId: amazon_order_id,
-            ItemList: [
-              {
-                OrderItemId: amazon_order_id,
-                Quantity: quantity || 1
-              }
-            ],
-            ShipFromAddress: SHIP_FROM_ADDRESS,
-            PackageDimensions: dimensions,
-            Weight: weight,
-            ShippingServiceOptions: {
-              DeliveryExperience: 'DeliveryConfirmationWithoutSignature',
-              CarrierWillPickUp: false,
-              LabelFormat: 'ZPL203'
+/**
+ * List the IDs of MFN orders that moved to one of the given statuses since a timestamp.
+ * Used by incremental sync to find local Unshipped orders that changed outside this tool.
+ * @param {{ lastUpdatedAfter: Date|string, statuses: string[], account?: object }} params
+ * @returns {Promise<string[]>}
+ */
+export async function fetchOrderIdsUpdatedSince({ lastUpdatedAfter, statuses, account = AMAZON_CONFIG }) {
+  const sp = USE_MOCK ? null : await createSpClient(account);
+  const { orders } = await fetchOrderPages(sp, {
+    MarketplaceIds: getMarketplaceIds(account),
+    OrderStatuses: statuses,
+    FulfillmentChannels: ['MFN'],
+    LastUpdatedAfter: new Date(lastUpdatedAfter).toISOString()
+  });
+  return orders.map((order) => order.AmazonOrderId);
+}
+
+/**
+ * Re-check the real Amazon status of orders one by one with getOrder.
+ * A failure for one order is reported in its entry and does not stop the others.
+ * @param {string[]} amazonOrderIds
+ * @param {object} [account] - Seller account the orders belong to.
+ * @returns {Promise<{ amazon_order_id: string, status: string|null, error?: string }[]>}
+ */
+export async function fetchOrderStatuses(amazonOrderIds, account = AMAZON_CONFIG) {
+  const sp = USE_MOCK ? null : await createSpClient(account);
+  const results = [];
+
+  for (const amazon_order_id of amazonOrderIds) {
+    try {
+      const order = await fetchOrder(sp, amazon_order_id);
+      results.push({ amazon_order_id, status: order?.OrderStatus || null });
+    } catch (error) {
+      logger.warn('Could not re-check order status', {
+        operation: 'fetchOrderStatuses',
+        amazon_order_id,
+        error
+      });
+      results.push({ amazon_order_id, status: null, error: error.message || String(error) });
+    }
+  }
+
+  return results;
+}
+
+async function fetchOrder(sp, amazon_order_id) {
+  // Amazon SP-API returns: { payload: { AmazonOrderId, OrderStatus, ... } }
+  const orderResponse = USE_MOCK
+    ? await mockGetOrder(amazon_order_id)
+    : await retryWithBackoff(
+        () =>
+          sp.callAPI({
+            operation: 'getOrder',
+            endpoint: 'orders',
+            path: {
+              orderId: amazon_order_id
             }
-          }
-        }
-      }),
-    { context: `getEligibleShipmentServices ${amazon_order_id}` }
-  );
+          }),
+        { context: `getOrder ${amazon_order_id}` }
+      );
+
+  return orderResponse?.payload || orderResponse || null;
+}
+
+async function resolveLatestDeliveryDate(sp, amazon_order_id) {
+  try {
+    const order = await fetchOrder(sp, amazon_order_id);
+    return order?.LatestDeliveryDate || null;
+  } catch (error) {
+    logger.warn('Could not fetch LatestDeliveryDate for shipping selection', {
+      operation: 'buyLabel.resolveLatestDeliveryDate',
+      amazon_order_id,
+      error
+    });
+    return null;
+  }
+}
+
+async function requestEligibleShipmentServices(sp, { amazon_order_id, weight, dimensions, shipmentRequestDetails }) {
+  // Amazon SP-API returns: { payload: { ShippingServiceList: [...], RejectedShippingServiceList: [...], ... } }
+  const eligibleResponse = USE_MOCK
+    ? await mockGetEligibleShipmentServices({
+        amazon_order_id,
+        weight,
+        dimensions,
+        itemList: shipmentRequestDetails.ItemList
+      })
+    : await retryWithBackoff(
+        () =>
+          sp.callAPI({
+            operation: 'getEligibleShipmentServices',
+            endpoint: 'merchantFulfillment',
+            body: {
+              ShipmentRequestDetails: shipmentRequestDetails
+            }
+          }),
+        { context: `getEligibleShipmentServices ${amazon_order_id}` }
+      );
+
+  // Extract lists from payload wrapper
+  const payload = eligibleResponse?.payload || eligibleResponse || {};
+  return {
+    services: payload.ShippingServiceList || [],
+    rejected: payload.RejectedShippingServiceList || [],
+    temporarilyUnavailable: payload.TemporarilyUnavailableCarrierList || [],
+    termsNotAccepted: payload.TermsAndConditionsNotAcceptedCarrierList || []
+  };
+}
+
+function describeIneligibleServices({ rejected, temporarilyUnavailable, termsNotAccepted }) {
+  return [
+    ...rejected.map((s) => ({
+      id: s.ShippingServiceId || null,
+      name: s.ShippingServiceName || null,
+      carrier: s.CarrierName || null,
+      reasonCode: s.RejectionReasonCode || null,
+      reason: s.RejectionReasonMessage || 'Rejected by Amazon.'
+    })),
+    ...temporarilyUnavailable.map((c) => ({
+      id: null,
+      name: null,
+      carrier: c.CarrierName || null,
+      reasonCode: 'TemporarilyUnavailable',
+      reason: 'Carrier is temporarily unavailable.'
+    })),
+    ...termsNotAccepted.map((c) => ({
+      id: null,
+      name: null,
+      carrier: c.CarrierName || null,
+      reasonCode: 'TermsAndConditionsNotAccepted',
+      reason: 'Carrier terms and conditions have not been accepted in Seller Central.'
+    }))
+  ];
+}
+
+async function chooseShippingService(sp, services, { amazon_order_id, strategy, preferredCarriers, latestDeliveryDate }) {
+  const effectiveStrategy = normalizeShippingStrategy(strategy) || SHIPPING_STRATEGY;
+  let deliveryDeadline = latestDeliveryDate || null;
+  if (!deliveryDeadline && effectiveStrategy === 'cheapest_on_time') {
+    deliveryDeadline = await resolveLatestDeliveryDate(sp, amazon_order_id);
+  }
+
+  return selectShippingService(services, {
+    strategy: effectiveStrategy,
+    preferredCarriers,
+    latestDeliveryDate: deliveryDeadline
+  });
+}
 
-  // Extract shipping services from payload wrapper
-  const services = eligibleResponse?.payload?.ShippingServiceList || 
-                   eligibleResponse?.ShippingServiceList || [];
+/**
+ * Rate-shopping preview: runs only getEligibleShipmentServices, never buys anything.
+ * Returns every eligible service, every ineligible service/carrier with its reason,
+ * and the service the configured (or requested) strategy would pick.
+ * @param {object} params - Same shape as buyLabel, without shippingServiceId.
+ * @returns {Promise<{ services: object[], ineligible: object[], recommended: { serviceId: string, strategy: string, reason: string }|null }>}
+ */
+export async function getShippingServiceOptions({
+  amazon_order_id,
+  weight,
+  dimensions,
+  items,
+  strategy,
+  preferredCarriers,
+  latestDeliveryDate,
+  account = AMAZON_CONFIG
+}) {
+  const sp = USE_MOCK ? null : await createSpClient(account);
+  const shipmentRequestDetails = buildShipmentRequestDetails({ amazon_order_id, weight, dimensions, items, account });
+
+  const eligible = await requestEligibleShipmentServices(sp, {
+    amazon_order_id,
+    weight,
+    dimensions,
+    shipmentRequestDetails
+  });
+
+  let recommended = null;
+  if (eligible.services.length) {
+    const selection = await chooseShippingService(sp, eligible.services, {
+      amazon_order_id,
+      strategy,
+      preferredCarriers,
+      latestDeliveryDate
+    });
+    recommended = {
+      serviceId: selection.service.ShippingServiceId,
+      strategy: selection.strategy,
+      reason: selection.reason
+    };
+  }
+
+  logger.info('Fetched shipping service options', {
+    operation: 'getShippingServiceOptions',
+    amazon_order_id,
+    eligible: eligible.services.length,
+    rejected: eligible.rejected.length,
+    recommendedServiceId: recommended?.serviceId
+  });
+
+  return {
+    services: eligible.services.map(describeShippingService),
+    ineligible: describeIneligibleServices(eligible),
+    recommended
+  };
+}
+
+/**
+ * Buy a shipping label through Merchant Fulfillment.
+ * Runs getEligibleShipmentServices, then either uses the explicitly chosen
+ * shippingServiceId or picks a service with the requested strategy
+ * (see selectShippingService), and purchases it with createShipment.
+ * @param {object} params
+ * @param {string} params.amazon_order_id
+ * @param {object} params.weight
+ * @param {object} params.dimensions
+ * @param {{ order_item_id: string, quantity: number }[]} params.items - Order items in this package (ItemList).
+ * @param {string} [params.shippingServiceId] - Service picked by the packer; skips automatic selection.
+ * @param {string} [params.strategy] - Overrides SHIPPING_STRATEGY for this purchase.
+ * @param {string[]} [params.preferredCarriers] - Overrides SHIPPING_PREFERRED_CARRIERS for this purchase.
+ * @param {string} [params.latestDeliveryDate] - Order deadline; fetched with getOrder when needed and missing.
+ * @param {object} [params.account] - Seller account that owns the order; defaults to the environment credentials.
+ * @param {string} [params.labelFormat] - 'ZPL203' / 'ZPL300' for the printer the label is for, or 'PDF' / 'PNG'; defaults to LABEL_FORMAT.
+ */
+export async function buyLabel({
+  amazon_order_id,
+  weight,
+  dimensions,
+  items,
+  shippingServiceId,
+  strategy,
+  preferredCarriers,
+  latestDeliveryDate,
+  account = AMAZON_CONFIG,
+  labelFormat = LABEL_FORMAT
+}) {
+  const sp = USE_MOCK ? null : await createSpClient(account);
+  const shipmentRequestDetails = buildShipmentRequestDetails({
+    amazon_order_id,
+    weight,
+    dimensions,
+    items,
+    account,
+    labelFormat
+  });
+
+  // Step A: getEligibleShipmentServices
+  const { services } = await requestEligibleShipmentServices(sp, {
+    amazon_order_id,
+    weight,
+    dimensions,
+    shipmentRequestDetails
+  });
   
   if (!services.length) {
     throw new Error('No eligible shipping services returned from Amazon.');
   }
 
-  // Find cheapest eligible shipping service
-  const cheapest = services.reduce((min, s) => {
-    const cost = Number(s.ShippingServiceCost && s.ShippingServiceCost.Amount) || Infinity;
-    return cost < min.cost ? { service: s, cost } : min;
-  }, { service: services[0], cost: Number(services[0].ShippingServiceCost.Amount) || Infinity }).service;
+  let selection;
+  if (shippingServiceId) {
+    const chosen = services.find((s) => s.ShippingServiceId === shippingServiceId);
+    if (!chosen) {
+      throw new AppError('The chosen shipping service is no longer eligible for this shipment. Refresh the rates and pick again.', {
+        statusCode: 409,
+        details: { shippingServiceId, eligible: services.map((s) => s.ShippingServiceId) }
+      });
+    }
+    selection = { service: chosen, strategy: 'manual', reason: 'Chosen by the packer from the rate preview.' };
+  } else {
+    selection = await chooseShippingService(sp, services, {
+      amazon_order_id,
+      strategy,
+      preferredCarriers,
+      latestDeliveryDate
+    });
+  }
+  const selected = selection.service;
+  const shippingService = describeShippingService(selected);
 
   logger.info('Selected shipping service', {
     operation: 'buyLabel',
     amazon_order_id,
-    serviceId: cheapest.ShippingServiceId,
-    cost: cheapest.ShippingServiceCost?.Amount
+    strategy: selection.strategy,
+    reason: selection.reason,
+    serviceId: shippingService.id,
+    carrier: shippingService.carrier,
+    cost: shippingService.cost,
+    candidates: services.length
   });
 
   // Step B: createShipment
   // Amazon SP-API returns: { payload: { Shipment: { Label: {...}, TrackingId: "..." } } }
-  const shipmentResponse = await retryWithBackoff(
-    () =>
-      sp.callAPI({
-        operation: 'createShipment',
-        endpoint: 'merchantFulfillment',
-        body: {
-          ShipmentRequestDetails: {
-            AmazonOrderId: amazon_order_id,
-            ItemList: [
-              {
-                OrderItemId: amazon_order_id,
-                Quantity: quantity || 1
-              }
-            ],
-            ShipFromAddress: SHIP_FROM_ADDRESS,
-            PackageDimensions: dimensions,
-            Weight: weight,
-            ShippingServiceOptions: {
-              DeliveryExperience: 'DeliveryConfirmationWithoutSignature',
-              CarrierWillPickUp: false,
-              LabelFormat: 'ZPL203'
-            }
-          },
-          ShippingServiceId: cheapest.ShippingServiceId
-        }
-      }),
-    { context: `createShipment ${amazon_order_id}` }
-  );
+  let shipmentResponse;
+
+  if (USE_MOCK) {
+    shipmentResponse = await mockCreateShipment({
+      amazon_order_id,
+      shippingServiceId: selected.ShippingServiceId,
+      weight,
+      labelFormat
+    });
+  } else {
+    shipmentResponse = await retryWithBackoff(
+      () =>
+        sp.callAPI({
+          operation: 'createShipment',
+          endpoint: 'merchantFulfillment',
+          body: {
+            ShipmentRequestDetails: shipmentRequestDetails,
+            ShippingServiceId: selected.ShippingServiceId
+          }
+        }),
+      { context: `createShipment ${amazon_order_id}` }
+    );
+  }
 
   // Extract shipment from payload wrapper (both mock and real API use this structure)
   const shipment = shipmentResponse.payload.Shipment;
@@ -306,7 +674,7 @@ export async function buyLabel({ amazon_order_id, weight, dimensions, sku, quant
     throw new Error('Label data missing in createShipment response.');
   }
 
-  // Amazon returns the label in FileContents.Contents (base64-encoded gzipped ZPL)
+  // Amazon returns the label in FileContents.Contents (base64-encoded gzipped ZPL, PDF or PNG)
   const base64Gzipped = labelDetails.FileContents.Contents;
   
   if (!base64Gzipped) {
@@ -324,15 +692,79 @@ export async function buyLabel({ amazon_order_id, weight, dimensions, sku, quant
 
   return {
     labelGzipped: base64Gzipped,
-    sku,
-    quantity,
-    trackingId
+    labelFormat: labelDetails.LabelFormat || labelFormat,
+    trackingId,
+    shipmentId: shipment.ShipmentId || null,
+    // The purchased service carries the rate actually charged, which can differ from the quote
+    shippingService: shipment.ShippingService ? describeShippingService(shipment.ShippingService) : shippingService,
+    selection: {
+      strategy: selection.strategy,
+      reason: selection.reason
+    }
   };
 }
 
+/**
+ * Cancel (void) a purchased label through Merchant Fulfillment cancelShipment.
+ * Amazon rejects cancels outside the allowed window with a 4xx, surfaced here as a 409 AppError.
+ * @param {string} shipmentId - ShipmentId returned by createShipment.
+ * @param {object} [account] - Seller account that bought the label.
+ * @returns {Promise<{ shipmentId: string, status: string|null }>}
+ */
+export async function cancelShipment(shipmentId, account = AMAZON_CONFIG) {
+  const sp = USE_MOCK ? null : await createSpClient(account);
+
+  let cancelResponse;
+  try {
+    // Amazon SP-API returns: { payload: { Shipment: { ShipmentId, Status, ... } } }
+    cancelResponse = USE_MOCK
+      ? await mockCancelShipment(shipmentId)
+      : await retryWithBackoff(
+          () =>
+            sp.callAPI({
+              operation: 'cancelShipment',
+              endpoint: 'merchantFulfillment',
+              path: {
+                shipmentId
+              }
+            }),
+          { context: `cancelShipment ${shipmentId}` }
+        );
+  } catch (error) {
+    const status = getErrorStatus(error);
+    if (status && status >= 400 && status < 500) {
+      throw new AppError(`Amazon refused to cancel the shipment: ${error.message}`, {
+        statusCode: 409,
+        details: { shipmentId, code: error.code || error?.errors?.[0]?.code || null }
+      });
+    }
+    throw error;
+  }
+
+  const shipment = cancelResponse?.payload?.Shipment || cancelResponse?.Shipment || {};
+
+  logger.info('Shipment cancelled', {
+    operation: 'cancelShipment',
+    shipmentId,
+    status: shipment.Status || null
+  });
+
+  return {
+    shipmentId,
+    status: shipment.Status || null
+  };
+}
+
+/**
+ * Unpack a label file from createShipment (FileContents.Contents), e.g. a PDF or PNG label.
+ * @param {string} base64Gzipped
+ * @returns {Buffer}
+ */
+export function gunzipBase64Label(base64Gzipped) {
+  return zlib.gunzipSync(Buffer.from(base64Gzipped, 'base64'));
+}
+
 export function gunzipBase64Zpl(base64Gzipped) {
-  const gzippedBuffer = Buffer.from(base64Gzipped, 'base64');
-  const zplBuffer = zlib.gunzipSync(gzippedBuffer);
-  return zplBuffer.toString('utf8');
+  return gunzipBase64Label(base64Gzipped).toString('utf8');
 }
 
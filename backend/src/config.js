@@ -20,13 +20,26 @@ export const SHIP_FROM_ADDRESS = {
   PhoneNumber: process.env.SHIP_FROM_PHONE || '0000000000'
 };
 
+// MARKETPLACE_IDS lists every storefront to sync (comma-separated); MARKETPLACE_ID is the
+// single-storefront setting it replaces and is still honoured when MARKETPLACE_IDS is unset.
+// Mock mode defaults to the IT, DE, FR and ES storefronts so its sample orders cover several marketplaces.
+const MARKETPLACE_IDS = parseList(process.env.MARKETPLACE_IDS);
+if (!MARKETPLACE_IDS.length) {
+  if (USE_MOCK && !process.env.MARKETPLACE_ID) {
+    MARKETPLACE_IDS.push('APJ6JRA9NG5V4', 'A1PA6795UKMFR9', 'A13V1IB3VIYZZH', 'A1RKKUPIHCS9HS');
+  } else {
+    MARKETPLACE_IDS.push(process.env.MARKETPLACE_ID || 'APJ6JRA9NG5V4'); // Italy marketplace ID
+  }
+}
+
 export const AMAZON_CONFIG = {
   sellerId: process.env.SELLER_ID,
   lwaClientId: process.env.LWA_CLIENT_ID,
   lwaClientSecret: process.env.LWA_CLIENT_SECRET,
   refreshToken: process.env.REFRESH_TOKEN,
   region: process.env.SP_API_REGION || 'eu-west-1',
-  marketplaceId: process.env.MARKETPLACE_ID || 'APJ6JRA9NG5V4', // Italy marketplace ID
+  marketplaceId: MARKETPLACE_IDS[0], // Primary marketplace
+  marketplaceIds: MARKETPLACE_IDS,
   awsAccessKeyId: process.env.AWS_ACCESS_KEY_ID,
   awsSecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
   roleArn: process.env.AWS_SELLING_PARTNER_ROLE_ARN
@@ -55,6 +68,14 @@ function parseNonNegativeInt(value, defaultValue) {
   return Number.isFinite(parsed) && parsed >= 0 ? parsed : defaultValue;
 }
 
+function parseNonNegativeNumber(value, defaultValue) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return defaultValue;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : defaultValue;
+}
+
 const HOUR_MS = 60 * 60 * 1000;
 const MINUTE_MS = 60 * 1000;
 
@@ -72,8 +93,110 @@ export const RATE_LIMIT_LABEL_WINDOW_MS = parsePositiveInt(process.env.RATE_LIMI
 export const RATE_LIMIT_READ_MAX = parsePositiveInt(process.env.RATE_LIMIT_READ_MAX, 100);
 export const RATE_LIMIT_READ_WINDOW_MS = parsePositiveInt(process.env.RATE_LIMIT_READ_WINDOW_MS, MINUTE_MS);
 
-export const ZPL_INJECT_X = parseNonNegativeInt(process.env.ZPL_INJECT_X, 50);
-export const ZPL_INJECT_Y = parseNonNegativeInt(process.env.ZPL_INJECT_Y, 1100);
+// Footer position in millimetres from the top-left corner, converted to dots for each label's resolution.
+// The older ZPL_INJECT_X / ZPL_INJECT_Y (dots at 203 dpi, 8 per mm) still apply when these are not set.
+export const ZPL_INJECT_X_MM = parseNonNegativeNumber(
+  process.env.ZPL_INJECT_X_MM,
+  parseNonNegativeInt(process.env.ZPL_INJECT_X, 50) / 8
+);
+export const ZPL_INJECT_Y_MM = parseNonNegativeNumber(
+  process.env.ZPL_INJECT_Y_MM,
+  parseNonNegativeInt(process.env.ZPL_INJECT_Y, 1100) / 8
+);
+// Move the footer to the nearest free area when it would overlap the label's own fields
+export const ZPL_INJECT_AUTO = parseBoolean(process.env.ZPL_INJECT_AUTO, false);
+
+// Raw TCP printing (see printService.js): how long to wait for a printer to connect, accept data or answer ~HS
+export const PRINTER_TIMEOUT_MS = parsePositiveInt(process.env.PRINTER_TIMEOUT_MS, 10000);
+
+// Print queue (see printQueue.js): how often idle workers look for jobs, and the longest wait between
+// retries while a printer is down (retries start after 5 s and double up to this)
+export const PRINT_QUEUE_POLL_MS = parsePositiveInt(process.env.PRINT_QUEUE_POLL_MS, 5000);
+export const PRINT_QUEUE_RETRY_MAX_MS = parsePositiveInt(process.env.PRINT_QUEUE_RETRY_MAX_MS, 60000);
+
+function parseList(value) {
+  if (typeof value !== 'string') {
+    return [];
+  }
+  return value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function parseEnum(value, allowed, defaultValue) {
+  if (typeof value !== 'string') {
+    return defaultValue;
+  }
+  const normalized = value.trim().toLowerCase();
+  return allowed.includes(normalized) ? normalized : defaultValue;
+}
+
+// Label formats Amazon can return: ZPL named after the printhead resolution, or PDF / PNG for laser printers
+export const LABEL_FORMATS = ['ZPL203', 'ZPL300', 'PDF', 'PNG'];
+
+// Format bought for this station when no printer is chosen (PDF or PNG for stations with only a
+// laser printer); a chosen printer's dpi decides otherwise
+export const LABEL_FORMAT = parseEnum(
+  process.env.LABEL_FORMAT,
+  LABEL_FORMATS.map((format) => format.toLowerCase()),
+  'zpl203'
+).toUpperCase();
+
+// Strategies used by buyLabel to pick one entry of ShippingServiceList
+export const SHIPPING_STRATEGIES = ['cheapest', 'fastest', 'cheapest_on_time', 'preferred_carrier'];
+
+export const SHIPPING_STRATEGY = parseEnum(process.env.SHIPPING_STRATEGY, SHIPPING_STRATEGIES, 'cheapest');
+
+// Carrier names in priority order, matched case-insensitively against CarrierName
+export const SHIPPING_PREFERRED_CARRIERS = parseList(process.env.SHIPPING_PREFERRED_CARRIERS);
+
+// How far back a full resync (or the first sync, without a cursor) looks for Unshipped orders
+export const SYNC_FULL_LOOKBACK_DAYS = parsePositiveInt(process.env.SYNC_FULL_LOOKBACK_DAYS, 30);
+
+// Background sync scheduler (see syncScheduler.js)
+export const SYNC_SCHEDULER_ENABLED = parseBoolean(process.env.SYNC_SCHEDULER_ENABLED, true);
+export const SYNC_INTERVAL_MINUTES = parsePositiveInt(process.env.SYNC_INTERVAL_MINUTES, 15);
+
+function parseWorkingHours(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    logger.warn('Ignoring invalid SYNC_WORKING_HOURS, expected HH:MM-HH:MM', {
+      operation: 'config.parse',
+      value
+    });
+    return null;
+  }
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  const start = startHour * 60 + startMinute;
+  const end = endHour * 60 + endMinute;
+  if (startHour > 24 || endHour > 24 || startMinute > 59 || endMinute > 59 || start >= end || end > 24 * 60) {
+    logger.warn('Ignoring invalid SYNC_WORKING_HOURS, start must be before end within one day', {
+      operation: 'config.parse',
+      value
+    });
+    return null;
+  }
+  return { start, end };
+}
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function parseWeekdays(value, defaultValue) {
+  const days = parseList(value)
+    .map((day) => WEEKDAYS.indexOf(day.slice(0, 3).toLowerCase()))
+    .filter((day) => day !== -1);
+  return days.length ? [...new Set(days)].sort() : defaultValue;
+}
+
+// Minutes after midnight, e.g. "08:00-19:00". Unset means the scheduler runs around the clock.
+export const SYNC_WORKING_HOURS = parseWorkingHours(process.env.SYNC_WORKING_HOURS);
+// Weekdays the working hours apply to (0 = Sunday), e.g. "mon,tue,wed,thu,fri"
+export const SYNC_WORKING_DAYS = parseWeekdays(process.env.SYNC_WORKING_DAYS, [0, 1, 2, 3, 4, 5, 6]);
+export const SYNC_TIMEZONE = process.env.SYNC_TIMEZONE || 'Europe/Rome';
 
 function isValidPostgresUrl(value) {
   if (typeof value !== 'string' || !value.trim()) {
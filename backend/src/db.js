@@ -1,6 +1,7 @@
 import pkg from 'pg';
 import { DATABASE_URL } from './config.js';
 import { logger } from './logger.js';
+import { runMigrations } from './migrator.js';
 
 const { Pool } = pkg;
 
@@ -25,6 +26,9 @@ pool.on('error', (err) => {
   });
 });
 
+/**
+ * Connect to PostgreSQL and apply pending schema migrations (see src/migrations).
+ */
 export async function initDb() {
   let client;
   try {
@@ -32,49 +36,11 @@ export async function initDb() {
     logger.info('Connected to PostgreSQL database', {
       operation: 'db.connect'
     });
-    
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS orders (
-        amazon_order_id VARCHAR PRIMARY KEY,
-        purchase_date TIMESTAMP,
-        customer_name VARCHAR,
-        shipping_address JSONB,
-        items JSONB,
-        is_prime BOOLEAN,
-        status VARCHAR DEFAULT 'Unshipped',
-        tracking_id VARCHAR
-      )
-    `);
-    
-    // Add tracking_id column if it doesn't exist (for existing databases)
-    await client.query(`
-      ALTER TABLE orders 
-      ADD COLUMN IF NOT EXISTS tracking_id VARCHAR
-    `);
-    
-    // Add label_zpl column if it doesn't exist (for saving purchased ZPL labels)
-    await client.query(`
-      ALTER TABLE orders 
-      ADD COLUMN IF NOT EXISTS label_zpl TEXT
-    `);
-    logger.info('Database table "orders" ready', {
-      operation: 'db.migrate.orders'
-    });
-    
-    // Create product_shipping_defaults table for Smart Weight feature
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS product_shipping_defaults (
-        sku VARCHAR PRIMARY KEY,
-        weight_value DECIMAL,
-        weight_unit VARCHAR,
-        length DECIMAL,
-        width DECIMAL,
-        height DECIMAL,
-        dimension_unit VARCHAR
-      )
-    `);
-    logger.info('Database table "product_shipping_defaults" ready', {
-      operation: 'db.migrate.product_shipping_defaults'
+
+    const applied = await runMigrations(client);
+    logger.info('Database schema up to date', {
+      operation: 'db.migrate',
+      applied: applied.map((migration) => `${migration.version}_${migration.name}`)
     });
   } catch (err) {
     if (err.code === 'ECONNREFUSED') {
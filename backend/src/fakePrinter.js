@@ -0,0 +1,98 @@
+// Fake raw TCP label printer for trying printing without a Zebra:
+//   npm run fake-printer                          listen on 9100, answer ~HS as ready
+//   npm run fake-printer -- --port 9101 --out ./printed
+//   npm run fake-printer -- --status paper-out    report a problem (paper-out, head-open, paused, ribbon-out)
+//   npm run fake-printer -- --mute                never answer ~HS (printService prints anyway)
+//   npm run fake-printer -- --hang                accept connections but never read or close them
+// Register it with POST /api/printers { "name": "Fake", "host": "127.0.0.1", "port": 9100 }.
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+
+const STATUSES = ['ok', 'paper-out', 'head-open', 'paused', 'ribbon-out'];
+
+function parseArgs(argv) {
+  const options = { port: 9100, out: null, status: 'ok', mute: false, hang: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const flag = argv[i];
+    if (flag === '--mute' || flag === '--hang') {
+      options[flag.slice(2)] = true;
+    } else if (flag === '--port') {
+      options.port = Number(argv[(i += 1)]);
+      if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+        throw new Error('--port expects a TCP port.');
+      }
+    } else if (flag === '--out') {
+      options.out = argv[(i += 1)];
+    } else if (flag === '--status') {
+      options.status = argv[(i += 1)];
+      if (!STATUSES.includes(options.status)) {
+        throw new Error(`--status expects one of: ${STATUSES.join(', ')}.`);
+      }
+    } else {
+      throw new Error(`Unknown option ${flag}.`);
+    }
+  }
+  return options;
+}
+
+// ~HS answer in the Zebra layout, 4x6 in at 203 dpi, thermal transfer
+function buildHostStatus(status) {
+  const flag = (name) => (status === name ? '1' : '0');
+  const first = ['030', flag('paper-out'), flag('paused'), '1218', '000', '0', '0', '0', '000', '0', '0', '0'];
+  const second = ['001', '0', flag('head-open'), flag('ribbon-out'), '1', '2', '6', '0', '00000000', '1', '000'];
+  const third = ['1234', '0'];
+  return [first, second, third].map((fields) => `\x02${fields.join(',')}\x03\r\n`).join('');
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.out) {
+    fs.mkdirSync(options.out, { recursive: true });
+  }
+  let jobs = 0;
+
+  const server = net.createServer((socket) => {
+    if (options.hang) {
+      socket.pause();
+      return;
+    }
+    const chunks = [];
+
+    socket.on('data', (chunk) => {
+      chunks.push(chunk);
+      if (chunk.toString('latin1').includes('~HS') && !options.mute) {
+        socket.write(buildHostStatus(options.status));
+      }
+    });
+    socket.on('end', () => {
+      const zpl = Buffer.concat(chunks).toString('utf8').replace(/~HS\s*/g, '');
+      const labels = (zpl.match(/\^XA/gi) || []).length;
+      if (labels) {
+        jobs += 1;
+        console.log(`Job ${jobs}: ${labels} label(s), ${Buffer.byteLength(zpl)} bytes from ${socket.remoteAddress}`);
+        if (options.out) {
+          fs.writeFileSync(path.join(options.out, `job-${String(jobs).padStart(4, '0')}.zpl`), zpl);
+        }
+      }
+      socket.end();
+    });
+    socket.on('error', (err) => {
+      // Status queries hang up as soon as they have the answer
+      if (err.code !== 'ECONNRESET') {
+        console.error(`Connection error: ${err.message}`);
+      }
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`Fake printer listening on port ${options.port} (status: ${options.status}${options.mute ? ', mute' : ''}${options.hang ? ', hang' : ''})`);
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message || err);
+  process.exitCode = 1;
+}
@@ -1,95 +1,108 @@
 import express from 'express';
 import cors from 'cors';
 import bodyParser from 'body-parser';
-import { PORT, ZPL_INJECT_X, ZPL_INJECT_Y, validateEnvironment } from './config.js';
+import {
+  AMAZON_CONFIG,
+  PORT,
+  SHIPPING_STRATEGIES,
+  ZPL_INJECT_AUTO,
+  ZPL_INJECT_X_MM,
+  ZPL_INJECT_Y_MM,
+  validateEnvironment
+} from './config.js';
 import { initDb, pool } from './db.js';
-import { fetchUnshippedPrimeOrdersWithItems, buyLabel, gunzipBase64Zpl } from './amazonClient.js';
+import {
+  buyLabel,
+  cancelShipment,
+  getShippingServiceOptions,
+  gunzipBase64Label,
+  gunzipBase64Zpl
+} from './amazonClient.js';
 import {
   labelLimiter,
   rateLimitEnabled,
   readLimiter,
   syncLimiter
 } from './middleware/rateLimiter.js';
-import { errorHandler, notFoundHandler, registerProcessHandlers } from './middleware/errorHandler.js';
+import { AppError, errorHandler, notFoundHandler, registerProcessHandlers } from './middleware/errorHandler.js';
 import { logger } from './logger.js';
-
-const ZPL_INJECT_BOX_WIDTH = 700;
-const ZPL_INJECT_BOX_HEIGHT = 60;
-const ZPL_MAX_SKU_LENGTH = 20;
-
-function parseZplNumber(field, zpl) {
-  const match = zpl.match(new RegExp(`\\^${field}(\\d+)`, 'i'));
-  return match ? Number.parseInt(match[1], 10) : null;
-}
-
-function countOccurrences(haystack, needle) {
-  if (!needle) {
-    return 0;
-  }
-  return haystack.split(needle).length - 1;
-}
-
-/**
- * Validate minimal ZPL structure.
- * - Ensures required ^XA (start) and ^XZ (end) markers exist and are ordered.
- * - Flags suspicious patterns such as multiple headers/footers or missing size hints.
- * - Returns errors for invalid structure and warnings for non-fatal anomalies.
- * @param {string} zpl - Raw ZPL string.
- * @returns {{ ok: boolean, errors: string[], warnings: string[], meta: { startIndex: number, endIndex: number, printWidth: number|null, labelLength: number|null } }}
- */
-export function validateZpl(zpl) {
-  const errors = [];
-  const warnings = [];
-
-  if (typeof zpl !== 'string' || !zpl.trim()) {
-    errors.push('ZPL payload is empty.');
-    return {
-      ok: false,
-      errors,
-      warnings,
-      meta: { startIndex: -1, endIndex: -1, printWidth: null, labelLength: null }
-    };
-  }
-
-  const startIndex = zpl.indexOf('^XA');
-  const endIndex = zpl.lastIndexOf('^XZ');
-
-  if (startIndex === -1) {
-    errors.push('Missing ^XA start marker.');
-  }
-  if (endIndex === -1) {
-    errors.push('Missing ^XZ end marker.');
-  }
-  if (startIndex !== -1 && endIndex !== -1 && endIndex < startIndex) {
-    errors.push('^XZ end marker appears before ^XA start marker.');
-  }
-
-  const xaCount = countOccurrences(zpl, '^XA');
-  const xzCount = countOccurrences(zpl, '^XZ');
-  if (xaCount > 1) {
-    warnings.push('Multiple ^XA markers detected.');
-  }
-  if (xzCount > 1) {
-    warnings.push('Multiple ^XZ markers detected.');
-  }
-  if (endIndex !== -1 && endIndex < zpl.length - 2) {
-    warnings.push('Trailing content detected after final ^XZ marker.');
-  }
-
-  const printWidth = parseZplNumber('PW', zpl);
-  const labelLength = parseZplNumber('LL', zpl);
-  if (printWidth === null) {
-    warnings.push('Missing ^PW (print width) definition.');
-  }
-  if (labelLength === null) {
-    warnings.push('Missing ^LL (label length) definition.');
-  }
-
+import { normalizeShippingStrategy } from './shippingSelection.js';
+import { describeMarketplace } from './marketplaces.js';
+import { describeSellerAccount, getSellerAccount, listSellerAccounts } from './sellerAccounts.js';
+import { getActiveLabels, getLabel, listOrderLabels, recordLabelPurchase, recordLabelVoid } from './labels.js';
+import { PREVIEW_PAGE_SIZES, buildLabelPreview, renderLabelPng, renderLabelsPdf } from './labelPreview.js';
+import { getDocumentCanvas, getDocumentMimeType, isDocumentFormat, stampDocument, toZplEntries } from './labelDocuments.js';
+import { describeCollisions, findCollisions, findFreeArea, getLabelLayout, lintZpl } from './zpl/linter.js';
+import { DEFAULT_DOTS_PER_MM, renderZpl } from './zpl/renderer.js';
+import { scaleZpl } from './zpl/scale.js';
+import {
+  convertLabelEntries,
+  dpiToDotsPerMm,
+  getLabelDotsPerMm,
+  getLabelFormatForPrinter,
+  mmToDots
+} from './labelFormats.js';
+import {
+  PRINTER_DPIS,
+  createPrinter,
+  deletePrinter,
+  getPrinter,
+  listPrinters,
+  updatePrinter,
+  validatePrinterInput
+} from './printers.js';
+import {
+  buildTemplateFooter,
+  TEMPLATE_DOTS_PER_MM,
+  createInjectionTemplate,
+  deleteInjectionTemplate,
+  getDefaultInjectionTemplate,
+  getInjectionTemplate,
+  listInjectionTemplates,
+  loadBinLocations,
+  scaleTemplate,
+  updateInjectionTemplate,
+  validateTemplateInput
+} from './injectionTemplates.js';
+import { PACKING_SLIP_SIZES, buildPackingSlipZpl } from './packingSlips.js';
+import { PICK_LIST_FORMATS, buildPickList, buildPickListZpl, pickListToCsv } from './pickLists.js';
+import { SHEET_SIZES } from './sheetLayout.js';
+import { queryPrinterStatus } from './printService.js';
+import {
+  PRINT_JOB_STATUSES,
+  cancelPrintJob,
+  countPendingPrintJobs,
+  enqueuePrintJob,
+  listPrintJobs,
+  requeuePrintJob,
+  startPrintQueue
+} from './printQueue.js';
+import { SYNC_MODES } from './orderSync.js';
+import { getSyncStatus, runTrackedSync, startSyncScheduler } from './syncScheduler.js';
+
+// Footer sizes in millimetres; at 203 dpi (8 dots/mm) they give the original 700-dot box with a 3-dot border
+const ZPL_INJECT_BOX_WIDTH_MM = 87.5;
+const ZPL_INJECT_BORDER_MM = 0.375;
+// Cap on rows when the label has no ^LL, so a huge order cannot produce an unbounded box
+const ZPL_INJECT_MAX_ROWS = 8;
+
+// Footer layouts, tried in order until every SKU line fits between injectY and ^LL.
+// Sizes are millimetres; a single line in the 'single' layout yields the original 60-dot box at 203 dpi.
+const ZPL_INJECT_LAYOUTS = [
+  { name: 'single', columns: 1, fontHeight: 3.75, lineHeight: 4.5, paddingTop: 2.5, paddingBottom: 1.25, maxSkuLength: 20 },
+  { name: 'compact', columns: 2, fontHeight: 3, lineHeight: 3.5, paddingTop: 1.5, paddingBottom: 1.25, maxSkuLength: 14 }
+];
+const ZPL_INJECT_LAYOUT_SIZES = ['fontHeight', 'lineHeight', 'paddingTop', 'paddingBottom'];
+
+// The built-in footer in dots for a label resolution
+function getInjectionGeometry(dotsPerMm) {
   return {
-    ok: errors.length === 0,
-    errors,
-    warnings,
-    meta: { startIndex, endIndex, printWidth, labelLength }
+    boxWidth: mmToDots(ZPL_INJECT_BOX_WIDTH_MM, dotsPerMm),
+    border: Math.max(1, mmToDots(ZPL_INJECT_BORDER_MM, dotsPerMm)),
+    layouts: ZPL_INJECT_LAYOUTS.map((layout) => ({
+      ...layout,
+      ...Object.fromEntries(ZPL_INJECT_LAYOUT_SIZES.map((key) => [key, mmToDots(layout[key], dotsPerMm)]))
+    }))
   };
 }
 
@@ -108,29 +121,161 @@ function coerceOverride(value) {
   return null;
 }
 
-function truncateSku(skuText) {
-  if (skuText.length <= ZPL_MAX_SKU_LENGTH) {
+function truncateSku(skuText, maxLength) {
+  if (skuText.length <= maxLength) {
     return { value: skuText, truncated: false };
   }
-  const trimmed = `${skuText.slice(0, ZPL_MAX_SKU_LENGTH - 3)}...`;
+  const trimmed = `${skuText.slice(0, maxLength - 3)}...`;
   return { value: trimmed, truncated: true };
 }
 
+function getLayoutHeight(layout, rows) {
+  return layout.paddingTop + (rows - 1) * layout.lineHeight + layout.fontHeight + layout.paddingBottom;
+}
+
+function getLayoutMaxRows(layout, availableHeight) {
+  if (!Number.isFinite(availableHeight)) {
+    return ZPL_INJECT_MAX_ROWS;
+  }
+  const rows = Math.floor(
+    (availableHeight - layout.paddingTop - layout.fontHeight - layout.paddingBottom) / layout.lineHeight
+  ) + 1;
+  return Math.min(Math.max(rows, 0), ZPL_INJECT_MAX_ROWS);
+}
+
+/**
+ * Pick the footer layout for a number of SKU lines.
+ * - Uses one column while every line fits, then the two-column compact layout.
+ * - When even the compact layout is full, the last slot becomes a "+N more" summary.
+ * @param {number} lineCount - Number of SKU lines to show.
+ * @param {number} availableHeight - Dots between injectY and ^LL (Infinity when unknown).
+ * @param {object[]} layouts - Layouts in dots (getInjectionGeometry).
+ * @returns {{ layout: object, rows: number, shown: number }|null} null when not even one line fits.
+ */
+function planInjectionLayout(lineCount, availableHeight, layouts) {
+  let largest = null;
+
+  for (const layout of layouts) {
+    const maxRows = getLayoutMaxRows(layout, availableHeight);
+    if (maxRows < 1) {
+      continue;
+    }
+    const capacity = maxRows * layout.columns;
+    if (lineCount <= capacity) {
+      return { layout, rows: Math.ceil(lineCount / layout.columns), shown: lineCount };
+    }
+    if (!largest || capacity > largest.capacity) {
+      largest = { layout, maxRows, capacity };
+    }
+  }
+
+  if (!largest) {
+    return null;
+  }
+
+  // Keep one slot for the "+N more" summary
+  return { layout: largest.layout, rows: largest.maxRows, shown: largest.capacity - 1 };
+}
+
+function normalizeInjectionItems(items) {
+  const list = Array.isArray(items) && items.length ? items : [{ sku: 'UNKNOWN', quantity: 1 }];
+  return list.map((item) => ({
+    sku: typeof item?.sku === 'string' && item.sku.trim() ? item.sku.trim() : 'UNKNOWN',
+    quantity: Number.isFinite(Number(item?.quantity)) && Number(item.quantity) > 0 ? Number(item.quantity) : 1
+  }));
+}
+
+/**
+ * Build the built-in footer: a box with one "SKU: x  QTY: y" line per item.
+ * - Grows the box one line per SKU, switching to a two-column compact layout when needed.
+ * - Replaces the lines that do not fit with a "+N more" summary.
+ * - Truncates long SKU values (20 chars, 14 in compact layout) to avoid ZPL overflow.
+ * @param {{ sku: string, quantity: number }[]} lines - Normalized SKU lines.
+ * @param {number} injectX
+ * @param {number} injectY
+ * @param {number|null} labelLength - ^LL of the label, null when unknown.
+ * @param {number} dotsPerMm - Resolution of the label.
+ * @returns {{ success: boolean, block?: string, box?: object, error?: string, layout?: { name: string, shown: number, hidden: number } }}
+ *   box: the area the footer covers, { x, y, width, height } in dots.
+ */
+function buildBuiltInFooter(lines, injectX, injectY, labelLength, dotsPerMm) {
+  const { boxWidth, border, layouts } = getInjectionGeometry(dotsPerMm);
+  const availableHeight = labelLength !== null ? labelLength - injectY : Infinity;
+  const plan = planInjectionLayout(lines.length, availableHeight, layouts);
+
+  if (!plan) {
+    const maxY = injectY + getLayoutHeight(layouts[layouts.length - 1], 1);
+    return { success: false, error: `Injection exceeds label length (${maxY} > ${labelLength}).` };
+  }
+
+  const { layout, rows, shown } = plan;
+  const hiddenLines = lines.slice(shown);
+  const columnWidth = Math.floor(boxWidth / layout.columns);
+  const boxHeight = getLayoutHeight(layout, rows);
+
+  const texts = lines.slice(0, shown).map(({ sku, quantity }) => {
+    const { value: safeSkuText, truncated } = truncateSku(sku, layout.maxSkuLength);
+    if (truncated) {
+      logger.warn('SKU truncated for ZPL injection', {
+        operation: 'zpl.inject.truncate',
+        originalSku: sku,
+        truncatedSku: safeSkuText
+      });
+    }
+    return layout.columns === 1 ? ` SKU: ${safeSkuText}  QTY: ${quantity}` : ` ${safeSkuText} x${quantity}`;
+  });
+
+  if (hiddenLines.length) {
+    const hiddenUnits = hiddenLines.reduce((sum, line) => sum + line.quantity, 0);
+    texts.push(` +${hiddenLines.length} more (${hiddenUnits} pcs)`);
+    logger.warn('SKU lines summarized for ZPL injection', {
+      operation: 'zpl.inject.overflow',
+      totalLines: lines.length,
+      shown,
+      hidden: hiddenLines.length
+    });
+  }
+
+  const block = [
+    `^FO${injectX},${injectY}^GB${boxWidth},${boxHeight},${border}^FS`,
+    ...texts.map((text, idx) => {
+      // Fill column by column so the reading order stays top-to-bottom
+      const column = Math.floor(idx / rows);
+      const row = idx % rows;
+      const x = layout.columns === 1 ? injectX : injectX + column * columnWidth + border;
+      const y = injectY + layout.paddingTop + row * layout.lineHeight;
+      return `^FO${x},${y}^A0N,${layout.fontHeight},${layout.fontHeight}^FD${text}^FS`;
+    })
+  ].join('\n');
+
+  return {
+    success: true,
+    block,
+    box: { x: injectX, y: injectY, width: boxWidth, height: boxHeight },
+    layout: { name: layout.name, shown, hidden: hiddenLines.length }
+  };
+}
+
 /**
- * Inject SKU/QTY metadata into ZPL with safety checks.
- * - Validates ^XA/^XZ markers and basic structural integrity before mutation.
- * - Uses configured coordinates with optional overrides per request.
+ * Inject SKU/QTY metadata for every order item into ZPL with safety checks.
+ * - Lints the label first (see zpl/linter.js): structural errors skip the injection, the rest is logged.
+ * - Uses the configured position (ZPL_INJECT_X_MM / ZPL_INJECT_Y_MM) or per-request overrides in dots.
+ * - Sizes the footer for the label's resolution (options.dotsPerMm, 8 for 203 dpi).
+ * - Draws the footer from options.template (see injectionTemplates.js), or the built-in SKU/QTY box.
  * - Ensures injection stays within ^PW/^LL bounds when provided by the label.
- * - Truncates long SKU values (max 20 chars) to avoid ZPL overflow.
+ * - Reports the label fields the footer would cover; with options.auto (or ZPL_INJECT_AUTO) it moves
+ *   to the nearest free area instead, keeping the requested position when there is none.
+ * - Resets ^LH before the footer so a shifted label home does not move it.
  * - Supports dry-run mode that validates without mutation.
  * @param {string} originalZpl - Source ZPL string.
- * @param {string} sku - SKU text (will be sanitized and truncated).
- * @param {number} quantity - Quantity to display.
- * @param {{ x?: number|string, y?: number|string, dryRun?: boolean }} [options]
- * @returns {{ success: boolean, zpl: string, error?: string }}
+ * @param {{ sku: string, quantity: number }[]} items - SKU lines to display (sanitized and truncated).
+ * @param {{ x?: number|string, y?: number|string, auto?: boolean, dryRun?: boolean, template?: object|null, fields?: object, dotsPerMm?: number }} [options]
+ *   fields: placeholder values for the template (see getInjectionFields).
+ * @returns {{ success: boolean, zpl: string, error?: string, warnings?: string[], layout?: { name: string, shown: number, hidden: number, x: number, y: number, autoPlaced: boolean } }}
+ *   warnings: collisions and placement notes for the caller to show.
  */
-function injectSkuToZpl(originalZpl, sku, quantity, options = {}) {
-  const validation = validateZpl(originalZpl);
+function injectSkuToZpl(originalZpl, items, options = {}) {
+  const validation = lintZpl(originalZpl);
   if (!validation.ok) {
     const error = validation.errors.join(' ');
     logger.error('Invalid ZPL, injection skipped', {
@@ -150,57 +295,93 @@ function injectSkuToZpl(originalZpl, sku, quantity, options = {}) {
 
   const overrideX = coerceOverride(options.x);
   const overrideY = coerceOverride(options.y);
-  const injectX = overrideX ?? ZPL_INJECT_X;
-  const injectY = overrideY ?? ZPL_INJECT_Y;
-
-  const skuText = typeof sku === 'string' && sku.trim() ? sku.trim() : 'UNKNOWN';
-  const qtyText = Number.isFinite(quantity) && quantity > 0 ? quantity : 1;
-  const { value: safeSkuText, truncated } = truncateSku(skuText);
-
-  if (truncated) {
-    logger.warn('SKU truncated for ZPL injection', {
-      operation: 'zpl.inject.truncate',
-      originalSku: skuText,
-      truncatedSku: safeSkuText
-    });
-  }
+  const dotsPerMm = options.dotsPerMm ?? getLabelDotsPerMm('ZPL203');
+  const injectX = overrideX ?? mmToDots(ZPL_INJECT_X_MM, dotsPerMm);
+  const injectY = overrideY ?? mmToDots(ZPL_INJECT_Y_MM, dotsPerMm);
+  const auto = options.auto ?? ZPL_INJECT_AUTO;
 
   if (injectX < 0 || injectY < 0) {
     return { success: false, zpl: originalZpl, error: 'Injection coordinates must be non-negative.' };
   }
 
-  if (validation.meta.printWidth !== null) {
-    const maxX = injectX + ZPL_INJECT_BOX_WIDTH;
-    if (maxX > validation.meta.printWidth) {
-      return {
-        success: false,
-        zpl: originalZpl,
-        error: `Injection exceeds label width (${maxX} > ${validation.meta.printWidth}).`
-      };
+  const { printWidth, labelLength } = validation.meta;
+  const template = options.template ? scaleTemplate(options.template, dotsPerMm / TEMPLATE_DOTS_PER_MM) : null;
+  const boxWidth = template ? template.boxWidth : getInjectionGeometry(dotsPerMm).boxWidth;
+  const lines = normalizeInjectionItems(items);
+  const buildFooterAt = (x, y, length = labelLength) => {
+    if (printWidth !== null && x + boxWidth > printWidth) {
+      return { success: false, error: `Injection exceeds label width (${x + boxWidth} > ${printWidth}).` };
     }
+    return template
+      ? buildTemplateFooter(template, {
+          x,
+          y,
+          lines,
+          fields: options.fields,
+          labelLength: length,
+          maxItemRows: ZPL_INJECT_MAX_ROWS
+        })
+      : buildBuiltInFooter(lines, x, y, length, dotsPerMm);
+  };
+
+  let footer = buildFooterAt(injectX, injectY);
+  let collisions = [];
+  let labelLayout = null;
+  try {
+    labelLayout = getLabelLayout(originalZpl, { dotsPerMm });
+  } catch (err) {
+    logger.warn('Label layout unavailable, collision check skipped', {
+      operation: 'zpl.inject.layout',
+      error: err
+    });
+  }
+  if (footer.success && labelLayout) {
+    collisions = findCollisions(labelLayout.fields, footer.box);
   }
 
-  if (validation.meta.labelLength !== null) {
-    const maxY = injectY + ZPL_INJECT_BOX_HEIGHT;
-    if (maxY > validation.meta.labelLength) {
-      return {
-        success: false,
-        zpl: originalZpl,
-        error: `Injection exceeds label length (${maxY} > ${validation.meta.labelLength}).`
-      };
+  const warnings = [];
+  let autoPlaced = false;
+  if (auto && labelLayout && (!footer.success || collisions.length)) {
+    // Size of the full footer, before any rows are dropped to fit the requested position
+    const full = footer.success ? footer : buildFooterAt(0, 0, null);
+    const spot = full.success
+      ? findFreeArea(labelLayout, { preferred: { x: injectX, y: injectY }, size: full.box })
+      : null;
+    const placed = spot ? buildFooterAt(spot.x, spot.y) : null;
+    if (placed?.success) {
+      footer = placed;
+      collisions = findCollisions(labelLayout.fields, placed.box);
+      autoPlaced = true;
+      logger.info('Footer moved to a free area', {
+        operation: 'zpl.inject.autoPlace',
+        from: { x: injectX, y: injectY },
+        to: spot
+      });
+    } else if (footer.success) {
+      warnings.push(`No free area for the footer, kept at ${injectX},${injectY}.`);
     }
   }
 
-  const injectionBlock = [
-    `^FO${injectX},${injectY}^GB${ZPL_INJECT_BOX_WIDTH},${ZPL_INJECT_BOX_HEIGHT},3^FS`,
-    `^FO${injectX},${injectY + 20}^A0N,30,30^FD SKU: ${safeSkuText}  QTY: ${qtyText}^FS`
-  ].join('\n');
+  if (!footer.success) {
+    return { success: false, zpl: originalZpl, error: footer.error };
+  }
+  warnings.push(...describeCollisions(collisions, originalZpl).map((field) => `Footer overlaps the ${field}.`));
+  if (collisions.length) {
+    logger.warn('Footer overlaps label fields', {
+      operation: 'zpl.inject.collision',
+      box: footer.box,
+      collisions: collisions.length
+    });
+  }
+
+  const { labelHome } = validation.meta;
+  const injectionBlock = labelHome.x || labelHome.y ? `^LH0,0\n${footer.block}` : footer.block;
+  const layoutInfo = { ...footer.layout, x: footer.box.x, y: footer.box.y, autoPlaced };
 
   if (options.dryRun) {
-    return { success: true, zpl: originalZpl };
+    return { success: true, zpl: originalZpl, warnings, layout: layoutInfo };
   }
 
-  const marker = '^XZ';
   const idx = validation.meta.endIndex;
   const modifiedZpl =
     originalZpl.slice(0, idx) +
@@ -208,7 +389,7 @@ function injectSkuToZpl(originalZpl, sku, quantity, options = {}) {
     '\n' +
     originalZpl.slice(idx);
 
-  const postValidation = validateZpl(modifiedZpl);
+  const postValidation = lintZpl(modifiedZpl);
   if (!postValidation.ok) {
     const error = postValidation.errors.join(' ');
     logger.error('ZPL validation failed after injection', {
@@ -219,7 +400,153 @@ function injectSkuToZpl(originalZpl, sku, quantity, options = {}) {
     return { success: false, zpl: originalZpl, error };
   }
 
-  return { success: true, zpl: modifiedZpl };
+  return { success: true, zpl: modifiedZpl, warnings, layout: layoutInfo };
+}
+
+/**
+ * Stamp the SKU/QTY footer onto a PDF or PNG label.
+ * - Draws the footer exactly as for ZPL labels, on a blank label of the same size (the first page of
+ *   a PDF; later pages are customs forms), then renders it and stamps its dots on (see labelDocuments.js).
+ * - x / y overrides are dots of that canvas: the PNG's own pixels, or 300 dpi for PDF pages.
+ * - The canvas has no fields, so nothing is moved by auto placement; PNG labels get a warning when
+ *   the footer covers printed dots.
+ * @param {Buffer} document - PDF or PNG as returned by Amazon.
+ * @param {string} labelFormat - 'PDF' or 'PNG'.
+ * @param {{ sku: string, quantity: number }[]} items
+ * @param {object} [options] - As for injectSkuToZpl, without dotsPerMm.
+ * @returns {{ success: boolean, document: Buffer, error?: string, warnings?: string[], layout?: object }}
+ *   document is the unstamped label when success is false; buy routes then keep it (see keepLabelOnFooterError).
+ */
+function stampFooterOnDocument(document, labelFormat, items, options = {}) {
+  let canvas;
+  try {
+    canvas = getDocumentCanvas(document, labelFormat);
+  } catch (err) {
+    logger.error('Unreadable label file, footer skipped', {
+      operation: 'label.stamp',
+      labelFormat,
+      error: err
+    });
+    return { success: false, document, error: `The ${labelFormat} label cannot be read: ${err.message}` };
+  }
+
+  const blankLabel = `^XA\n^PW${canvas.width}\n^LL${canvas.height}\n^XZ`;
+  const injectionResult = injectSkuToZpl(blankLabel, items, { ...options, dotsPerMm: canvas.dotsPerMm });
+  if (!injectionResult.success) {
+    return { success: false, document, error: injectionResult.error };
+  }
+  if (options.dryRun) {
+    return { success: true, document, warnings: injectionResult.warnings, layout: injectionResult.layout };
+  }
+
+  try {
+    const [footer] = renderZpl(injectionResult.zpl, { dotsPerMm: canvas.dotsPerMm });
+    const stamped = stampDocument(document, labelFormat, footer.bitmap);
+    // e.g. QR codes, which the renderer only draws as placeholders
+    const warnings = [...injectionResult.warnings, ...footer.warnings.map((warning) => `Footer: ${warning}`)];
+    if (stamped.covered) {
+      warnings.push('Footer covers printed parts of the label.');
+    }
+    return { success: true, document: stamped.document, warnings, layout: injectionResult.layout };
+  } catch (err) {
+    logger.error('Failed to stamp footer onto label', {
+      operation: 'label.stamp',
+      labelFormat,
+      error: err
+    });
+    return { success: false, document, error: `Failed to stamp the footer onto the ${labelFormat} label: ${err.message}` };
+  }
+}
+
+// Label from buyLabel: ZPL text, or the PDF / PNG file
+function decodeLabel(labelGzipped, labelFormat) {
+  return isDocumentFormat(labelFormat)
+    ? { labelFormat, document: gunzipBase64Label(labelGzipped) }
+    : { labelFormat, zpl: gunzipBase64Zpl(labelGzipped) };
+}
+
+// Footer for a label of any format: injected into ZPL at the label's resolution, stamped onto PDF/PNG.
+// The result carries zpl or document like the label. Never throws: buy routes call it after paying.
+function injectLabelFooter({ labelFormat, zpl, document }, items, options) {
+  try {
+    return isDocumentFormat(labelFormat)
+      ? stampFooterOnDocument(document, labelFormat, items, options)
+      : injectSkuToZpl(zpl, items, { ...options, dotsPerMm: getLabelDotsPerMm(labelFormat) });
+  } catch (err) {
+    logger.error('Unexpected error adding the label footer', {
+      operation: 'label.injectFooter',
+      labelFormat,
+      error: err
+    });
+    return { success: false, zpl, document, error: `Failed to add the footer: ${err.message}` };
+  }
+}
+
+/**
+ * Keep a bought label when its footer could not be added: the label is already paid for, so it is
+ * stored and printed as Amazon sent it, with the error as a footer warning.
+ * @param {{ zpl?: string, document?: Buffer }} label - decodeLabel result.
+ * @param {object} injectionResult - injectLabelFooter result.
+ * @param {object} input - Logged with the error.
+ * @returns {object} injectionResult, or the original label with footerError and a warning.
+ */
+function keepLabelOnFooterError(label, injectionResult, input) {
+  if (injectionResult.success) {
+    return injectionResult;
+  }
+  const error = injectionResult.error || 'Failed to inject ZPL.';
+  logger.error('Footer injection failed, keeping the label without it', {
+    operation: 'label.injectFooter',
+    input,
+    error
+  });
+  return {
+    success: false,
+    zpl: label.zpl ?? null,
+    document: label.document ?? null,
+    warnings: [`Footer not added: ${error}`],
+    footerError: error
+  };
+}
+
+// Preview / print entry for a label: its ZPL and resolution, or its PDF/PNG file
+function toLabelEntry(labelFormat, { zpl, document }, source) {
+  return isDocumentFormat(labelFormat)
+    ? { document, labelFormat, ...source }
+    : { zpl, dotsPerMm: getLabelDotsPerMm(labelFormat), ...source };
+}
+
+// PDF of every label, for responses holding PDF/PNG labels (which the ZPL download leaves out).
+// Like previews, a failure must not fail the purchase or reprint: a lone PDF label that cannot be read
+// (and so has no footer either) is returned as Amazon sent it.
+function getCombinedPdf(entries) {
+  if (!entries.some((entry) => entry.document)) {
+    return {};
+  }
+  try {
+    return { pdf: renderLabelsPdf(entries).toString('base64') };
+  } catch (err) {
+    logger.warn('Failed to combine labels into a PDF', {
+      operation: 'label.combinePdf',
+      labels: entries.length,
+      error: err
+    });
+    if (entries.length === 1 && entries[0].labelFormat === 'PDF') {
+      return { pdf: entries[0].document.toString('base64') };
+    }
+    return { pdfError: 'Failed to combine the labels into a PDF; reprint them one by one.' };
+  }
+}
+
+// Packing slip that follows a label in bulk output: the items on that label, at the label's resolution
+// (203 dpi after PDF/PNG labels). Slips are ZPL entries like labels, marked packingSlip for previews.
+function toPackingSlipEntry(order, dotsPerMm, labelItems) {
+  return {
+    zpl: buildPackingSlipZpl(order, { labelItems, dotsPerMm }),
+    dotsPerMm,
+    amazon_order_id: order.amazon_order_id,
+    packingSlip: true
+  };
 }
 
 function getZplInjectOptions(payload = {}) {
@@ -236,10 +563,284 @@ function getZplInjectOptions(payload = {}) {
   if (payload.zpl_inject_dry_run === true) {
     options.dryRun = true;
   }
+  if (payload.zpl_inject_auto === true || payload.zpl_inject_auto === 'true') {
+    options.auto = true;
+  } else if (payload.zpl_inject_auto === false || payload.zpl_inject_auto === 'false') {
+    options.auto = false;
+  }
+  if (payload.template_id !== undefined && payload.template_id !== null && payload.template_id !== '') {
+    options.templateId = payload.template_id;
+  }
+  if (payload.batch_name !== undefined && payload.batch_name !== null && payload.batch_name !== '') {
+    options.batchName = payload.batch_name;
+  }
+
+  return options;
+}
+
+const BATCH_NAME_MAX_LENGTH = 60;
+
+function isValidBatchName(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.length <= BATCH_NAME_MAX_LENGTH);
+}
+
+/**
+ * Swap the template_id of getZplInjectOptions for the template to draw, falling back to the
+ * default template (null when there is none, which means the built-in SKU/QTY box).
+ * @param {object} options - getZplInjectOptions result.
+ * @returns {Promise<object>} The options with template instead of templateId.
+ * @throws {AppError} 400 for a malformed template_id or batch_name, 404 for an unknown template.
+ */
+async function withInjectionTemplate(options) {
+  const { templateId, ...rest } = options;
+  if (!isValidBatchName(rest.batchName)) {
+    throw new AppError(`batch_name must be a string of at most ${BATCH_NAME_MAX_LENGTH} characters.`, { statusCode: 400 });
+  }
+  const id = parseOptionalId(templateId);
+  if (id === undefined) {
+    throw new AppError('template_id must be a positive integer.', { statusCode: 400 });
+  }
+  const template = id === null ? await getDefaultInjectionTemplate() : await getInjectionTemplate(id);
+  if (id !== null && !template) {
+    throw new AppError(`Injection template ${id} not found.`, { statusCode: 404 });
+  }
+  return { ...rest, template };
+}
+
+/**
+ * Placeholder values for a template footer on one order's label.
+ * @param {{ template?: object|null, batchName?: string }} injectOptions - withInjectionTemplate result.
+ * @param {{ amazon_order_id: string, customer_name?: string|null }} order - Order row.
+ * @param {{ sku?: string }[]} items - Items on the label.
+ * @returns {Promise<object|undefined>} undefined for the built-in footer, which has no placeholders.
+ */
+async function getInjectionFields(injectOptions, order, items) {
+  if (!injectOptions.template) {
+    return undefined;
+  }
+  return {
+    orderId: order.amazon_order_id,
+    customerName: order.customer_name || '',
+    batchName: injectOptions.batchName || '',
+    binLocations: await loadBinLocations(
+      injectOptions.template,
+      items.map((item) => item?.sku).filter(Boolean)
+    )
+  };
+}
+
+// Reprints serve the stored label_zpl unless the request asks to re-inject the footer:
+// reinject=true (current ZPL_INJECT_* settings and default template), zpl_inject_x / zpl_inject_y
+// overrides, template_id or batch_name. zpl_inject_auto only applies when re-injecting.
+// Works for both query strings and JSON bodies.
+async function resolveReprintOptions(payload = {}) {
+  const { dryRun, auto, ...injectOptions } = getZplInjectOptions(payload);
+  const reinject = payload.reinject === true || payload.reinject === 'true' || Object.keys(injectOptions).length > 0;
+  return {
+    reinject,
+    injectOptions: reinject ? await withInjectionTemplate({ ...injectOptions, auto }) : injectOptions
+  };
+}
+
+// ZPL (or PDF/PNG file) to print for a stored label, re-injecting the footer into the original
+// when requested. fields: getInjectionFields result for the label's order.
+function renderReprintLabel(label, { reinject, injectOptions }, fields) {
+  if (!reinject) {
+    return isDocumentFormat(label.label_format)
+      ? { success: true, document: label.label_document }
+      : { success: true, zpl: label.label_zpl };
+  }
+  if (!label.original_zpl && !label.original_document) {
+    return {
+      success: false,
+      statusCode: 409,
+      error: `Label ${label.id} was bought before original labels were stored and can only be reprinted as printed.`
+    };
+  }
+  const injectionResult = injectLabelFooter(
+    { labelFormat: label.label_format, zpl: label.original_zpl, document: label.original_document },
+    label.items || [],
+    { ...injectOptions, fields }
+  );
+  return injectionResult.success
+    ? injectionResult
+    : { success: false, statusCode: 400, error: injectionResult.error || 'Failed to inject ZPL.' };
+}
+
+// preview=true adds rendered PNG pages and a PDF to the response; preview_page_size picks
+// 'label' (default) or 'A4' pages for that PDF. Works for both query strings and JSON bodies.
+function getPreviewOptions(payload = {}) {
+  return {
+    preview: payload.preview === true || payload.preview === 'true',
+    pageSize: payload.preview_page_size || 'label'
+  };
+}
+
+function isValidPageSize(value) {
+  return value === undefined || value === null || PREVIEW_PAGE_SIZES.includes(value);
+}
+
+// dpi a reprint is rescaled for, or null when absent; undefined when it is not a printer resolution
+function parseTargetDpi(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const dpi = Number(value);
+  return PRINTER_DPIS.includes(dpi) ? dpi : undefined;
+}
+
+// Row ID (labels.id, printers.id) from a request, or null when absent; undefined when present but not a positive integer
+function parseOptionalId(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : undefined;
+}
+
+/**
+ * Printer for a "print to" request field.
+ * @param {number|string|null|undefined} printerId - printer_id from the request.
+ * @returns {Promise<object|null>} null when no printer was requested.
+ */
+async function getPrintTarget(printerId) {
+  const id = parseOptionalId(printerId);
+  if (id === null) {
+    return null;
+  }
+  if (id === undefined) {
+    throw new AppError('printer_id must be a positive integer.', { statusCode: 400 });
+  }
+  const printer = await getPrinter(id);
+  if (!printer) {
+    throw new AppError(`Printer ${id} not found.`, { statusCode: 404 });
+  }
+  if (!printer.active) {
+    throw new AppError(`Printer "${printer.name}" is inactive.`, { statusCode: 409 });
+  }
+  return printer;
+}
+
+// Labels are bought or loaded before they are queued, so a queueing problem is reported next to
+// the ZPL (which the client can still download) instead of failing the request.
+// Labels drawn for another resolution are rescaled for the printer first; PNG labels are sent as
+// graphics and PDF labels cannot be printed.
+async function queueForPrinter(printer, entries, description) {
+  try {
+    const printJob = await enqueuePrintJob({
+      printerId: printer.id,
+      zpl: convertLabelEntries(toZplEntries(entries), dpiToDotsPerMm(printer.dpi))
+        .map((entry) => entry.zpl)
+        .join('\n'),
+      description,
+      amazonOrderIds: [...new Set(entries.map((entry) => entry.amazon_order_id))],
+      labelIds: entries.map((entry) => entry.labelId).filter(Boolean)
+    });
+    return { printJob };
+  } catch (err) {
+    logger.warn('Failed to queue labels for printing', {
+      operation: 'printQueue.enqueue',
+      printerId: printer.id,
+      amazon_order_ids: entries.map((entry) => entry.amazon_order_id),
+      error: err
+    });
+    return { printError: err.message };
+  }
+}
+
+// A preview that cannot be rendered must not fail the purchase or reprint it belongs to.
+// Entries carry the dotsPerMm of their label, or a PDF/PNG file (see toLabelEntry).
+function renderPreview(entries, { pageSize }) {
+  try {
+    return buildLabelPreview(entries, { pageSize });
+  } catch (err) {
+    logger.warn('Failed to render label preview', {
+      operation: 'label.preview',
+      labels: entries.length,
+      error: err
+    });
+    return { error: 'Failed to render label preview.' };
+  }
+}
+
+function parseCarrierList(value) {
+  if (Array.isArray(value)) {
+    return value.map((carrier) => (typeof carrier === 'string' ? carrier.trim() : '')).filter(Boolean);
+  }
+  if (typeof value === 'string') {
+    return value.split(',').map((carrier) => carrier.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+function getShippingSelectionOptions(payload = {}) {
+  const options = {};
+  const strategy = normalizeShippingStrategy(payload.shipping_strategy);
+  const preferredCarriers = parseCarrierList(payload.preferred_carriers);
+
+  if (strategy) {
+    options.strategy = strategy;
+  }
+  if (preferredCarriers.length) {
+    options.preferredCarriers = preferredCarriers;
+  }
 
   return options;
 }
 
+// Columns the label routes need from the order row
+const ORDER_FOR_LABEL_SQL = `
+  SELECT amazon_order_id, purchase_date, customer_name, shipping_address, items, labelled_items,
+         is_buyer_requested_cancel, buyer_requested_cancel_reason, latest_delivery_date, seller_account_id
+  FROM orders
+  WHERE amazon_order_id = $1
+`;
+
+/**
+ * Load the seller account that owns an order, for the SP-API calls about it.
+ * Returns undefined for orders without an account, which then use the environment credentials.
+ * @param {{ seller_account_id?: number|null }} order - Order row.
+ * @param {Map<number, object|null>} [cache] - Shared across orders of one bulk request.
+ * @returns {Promise<object|undefined>}
+ */
+async function getOrderSellerAccount(order, cache = new Map()) {
+  const id = order?.seller_account_id;
+  if (!id) {
+    return undefined;
+  }
+  if (!cache.has(id)) {
+    cache.set(id, await getSellerAccount(id));
+  }
+  const account = cache.get(id);
+  if (!account) {
+    throw new AppError(`Seller account ${id} of this order no longer exists.`, { statusCode: 409 });
+  }
+  return account;
+}
+
+/**
+ * Stored LatestDeliveryDate as an ISO string, so buyLabel can skip its getOrder lookup.
+ * @param {{ latest_delivery_date?: Date|string|null }} order - Order row.
+ * @returns {string|undefined}
+ */
+function getStoredLatestDeliveryDate(order) {
+  const value = order?.latest_delivery_date;
+  return value ? new Date(value).toISOString() : undefined;
+}
+
+/**
+ * Describe a pending buyer cancellation request, or null when the order has none.
+ * @param {{ is_buyer_requested_cancel?: boolean, buyer_requested_cancel_reason?: string|null }} order - Order row.
+ * @returns {string|null}
+ */
+function describeBuyerCancelRequest(order) {
+  if (!order?.is_buyer_requested_cancel) {
+    return null;
+  }
+  const reason = order.buyer_requested_cancel_reason;
+  return reason ? `Buyer requested cancellation (${reason}).` : 'Buyer requested cancellation.';
+}
+
 const WEIGHT_UNITS = new Set(['oz', 'lb', 'g', 'kg']);
 const DIMENSION_UNITS = new Set(['in', 'cm']);
 const MAX_WEIGHT_LB = 150;
@@ -285,60 +886,143 @@ function computeDimensionalWeightLb(length, width, height, unit) {
   return (length * width * height) / 139;
 }
 
+function getLabelledQuantity(labelledItems, orderItemId) {
+  const value = Number(labelledItems && labelledItems[orderItemId]);
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
 /**
- * Validate label buying payloads for single and bulk requests.
- * @param {object} payload - Request payload inputs.
- * @param {string} [payload.amazon_order_id] - Single order id.
- * @param {string[]} [payload.amazon_order_ids] - Bulk order ids.
- * @param {object} payload.weight - Weight object with value and unit.
- * @param {object} payload.dimensions - Dimensions object with length, width, height, unit.
- * @returns {{ ok: boolean, errors: string[], warnings: string[] }}
+ * Resolve which order items, and how many of each, go into one package.
+ * - Defaults to every item quantity not yet covered by an earlier label.
+ * - A requested subset must reference stored order_item_ids within the remaining quantity.
+ * - Orders synced before OrderItemIds were stored must be re-synced first.
+ * @param {object[]} orderItems - orders.items as stored by sync.
+ * @param {Object<string, number>} labelledItems - orders.labelled_items (order_item_id -> quantity).
+ * @param {{ order_item_id: string, quantity: number }[]} [requestedItems] - Optional subset from the request.
+ * @returns {{ ok: boolean, errors: string[], items: { order_item_id: string, sku: string, quantity: number }[], complete: boolean }}
  */
-function validateLabelRequest(payload) {
+function resolveShipmentItems(orderItems, labelledItems, requestedItems) {
   const errors = [];
-  const warnings = [];
+  const stored = Array.isArray(orderItems) ? orderItems : [];
 
-  const isBulk = Array.isArray(payload.amazon_order_ids);
+  if (!stored.length) {
+    return { ok: false, errors: ['Order has no items.'], items: [], complete: false };
+  }
+  if (stored.some((item) => !item?.order_item_id)) {
+    return {
+      ok: false,
+      errors: ['Order items are missing OrderItemIds. Sync orders again before buying a label.'],
+      items: [],
+      complete: false
+    };
+  }
 
-  if (isBulk) {
-    const ids = payload.amazon_order_ids;
-    if (ids.length < 1 || ids.length > MAX_BULK_IDS) {
-      errors.push(`amazon_order_ids must contain between 1 and ${MAX_BULK_IDS} order IDs.`);
-    }
-    ids.forEach((id, idx) => {
-      if (typeof id !== 'string' || !id.trim()) {
-        errors.push(`amazon_order_ids[${idx}] must be a non-empty string.`);
+  const remainingById = new Map(
+    stored.map((item) => [
+      item.order_item_id,
+      Math.max(0, (Number(item.quantity) || 0) - getLabelledQuantity(labelledItems, item.order_item_id))
+    ])
+  );
+
+  let items;
+  if (Array.isArray(requestedItems) && requestedItems.length) {
+    const seen = new Set();
+    items = [];
+    requestedItems.forEach((requested, idx) => {
+      const storedItem = stored.find((item) => item.order_item_id === requested.order_item_id);
+      const quantity = normalizeNumber(requested.quantity);
+      if (!storedItem) {
+        errors.push(`items[${idx}].order_item_id ${requested.order_item_id} does not belong to this order.`);
+        return;
       }
+      if (seen.has(storedItem.order_item_id)) {
+        errors.push(`items[${idx}].order_item_id ${requested.order_item_id} is listed more than once.`);
+        return;
+      }
+      seen.add(storedItem.order_item_id);
+      const remaining = remainingById.get(storedItem.order_item_id);
+      if (quantity > remaining) {
+        errors.push(
+          `items[${idx}].quantity ${quantity} exceeds the ${remaining} unit(s) of ${storedItem.sku} still without a label.`
+        );
+        return;
+      }
+      items.push({ order_item_id: storedItem.order_item_id, sku: storedItem.sku, quantity });
     });
   } else {
-    if (typeof payload.amazon_order_id !== 'string' || !payload.amazon_order_id.trim()) {
-      errors.push('amazon_order_id must be a non-empty string.');
+    items = stored
+      .filter((item) => remainingById.get(item.order_item_id) > 0)
+      .map((item) => ({
+        order_item_id: item.order_item_id,
+        sku: item.sku,
+        quantity: remainingById.get(item.order_item_id)
+      }));
+    if (!items.length) {
+      errors.push('Every item of this order already has a label.');
     }
   }
 
-  const weight = payload.weight;
+  const complete = stored.every((item) => {
+    const shipped = items.find((entry) => entry.order_item_id === item.order_item_id);
+    return remainingById.get(item.order_item_id) - (shipped ? shipped.quantity : 0) <= 0;
+  });
+
+  return { ok: errors.length === 0, errors, items, complete };
+}
+
+function addLabelledItems(labelledItems, items, sign = 1) {
+  const next = { ...(labelledItems || {}) };
+  (items || []).forEach((item) => {
+    const quantity = Math.max(0, getLabelledQuantity(next, item.order_item_id) + sign * item.quantity);
+    if (quantity > 0) {
+      next[item.order_item_id] = quantity;
+    } else {
+      delete next[item.order_item_id];
+    }
+  });
+  return next;
+}
+
+/**
+ * Check a package weight ({ value, unit }) against the weight units and limit.
+ * @param {object} weight
+ * @param {string} [name] - Field name for the messages.
+ * @returns {string[]} Errors.
+ */
+function validateWeight(weight, name = 'weight') {
+  const errors = [];
   if (!weight || typeof weight !== 'object') {
-    errors.push('weight is required and must be an object.');
+    errors.push(`${name} is required and must be an object.`);
   } else {
     const weightValue = normalizeNumber(weight.value);
     const weightUnit = typeof weight.unit === 'string' ? weight.unit.trim() : '';
     if (!Number.isFinite(weightValue) || weightValue <= 0) {
-      errors.push('weight.value must be a positive number.');
+      errors.push(`${name}.value must be a positive number.`);
     }
     if (!WEIGHT_UNITS.has(weightUnit)) {
-      errors.push(`weight.unit must be one of: ${Array.from(WEIGHT_UNITS).join(', ')}.`);
+      errors.push(`${name}.unit must be one of: ${Array.from(WEIGHT_UNITS).join(', ')}.`);
     }
     if (Number.isFinite(weightValue) && WEIGHT_UNITS.has(weightUnit)) {
       const weightLb = toPounds(weightValue, weightUnit);
       if (weightLb > MAX_WEIGHT_LB) {
-        errors.push(`weight.value exceeds the ${MAX_WEIGHT_LB} lb limit.`);
+        errors.push(`${name}.value exceeds the ${MAX_WEIGHT_LB} lb limit.`);
       }
     }
   }
+  return errors;
+}
 
-  const dimensions = payload.dimensions;
+/**
+ * Check package dimensions ({ length, width, height, unit }) against the dimension units and limits.
+ * @param {object} dimensions
+ * @param {string} [name] - Field name for the messages.
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function validateDimensions(dimensions, name = 'dimensions') {
+  const errors = [];
+  const warnings = [];
   if (!dimensions || typeof dimensions !== 'object') {
-    errors.push('dimensions are required and must be an object.');
+    errors.push(`${name} are required and must be an object.`);
   } else {
     const lengthValue = normalizeNumber(dimensions.length);
     const widthValue = normalizeNumber(dimensions.width);
@@ -346,16 +1030,16 @@ function validateLabelRequest(payload) {
     const dimensionUnit = typeof dimensions.unit === 'string' ? dimensions.unit.trim() : '';
 
     if (!Number.isFinite(lengthValue) || lengthValue <= 0) {
-      errors.push('dimensions.length must be a positive number.');
+      errors.push(`${name}.length must be a positive number.`);
     }
     if (!Number.isFinite(widthValue) || widthValue <= 0) {
-      errors.push('dimensions.width must be a positive number.');
+      errors.push(`${name}.width must be a positive number.`);
     }
     if (!Number.isFinite(heightValue) || heightValue <= 0) {
-      errors.push('dimensions.height must be a positive number.');
+      errors.push(`${name}.height must be a positive number.`);
     }
     if (!DIMENSION_UNITS.has(dimensionUnit)) {
-      errors.push(`dimensions.unit must be one of: ${Array.from(DIMENSION_UNITS).join(', ')}.`);
+      errors.push(`${name}.unit must be one of: ${Array.from(DIMENSION_UNITS).join(', ')}.`);
     }
 
     if (
@@ -368,14 +1052,14 @@ function validateLabelRequest(payload) {
       const widthIn = toInches(widthValue, dimensionUnit);
       const heightIn = toInches(heightValue, dimensionUnit);
       const dimensionsIn = [
-        { name: 'length', value: lengthIn },
-        { name: 'width', value: widthIn },
-        { name: 'height', value: heightIn }
+        { field: 'length', value: lengthIn },
+        { field: 'width', value: widthIn },
+        { field: 'height', value: heightIn }
       ];
 
-      dimensionsIn.forEach(({ name, value }) => {
+      dimensionsIn.forEach(({ field, value }) => {
         if (value < MIN_DIMENSION_IN || value > MAX_DIMENSION_IN) {
-          errors.push(`dimensions.${name} must be between ${MIN_DIMENSION_IN} and ${MAX_DIMENSION_IN} inches.`);
+          errors.push(`${name}.${field} must be between ${MIN_DIMENSION_IN} and ${MAX_DIMENSION_IN} inches.`);
         }
       });
 
@@ -387,6 +1071,258 @@ function validateLabelRequest(payload) {
       }
     }
   }
+  return { errors, warnings };
+}
+
+const PACKAGE_DEFAULTS_SQL = `
+  SELECT weight_value, weight_unit, length, width, height, dimension_unit, quantity
+  FROM product_shipping_defaults
+  WHERE sku = $1
+`;
+
+function roundPackageValue(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Package of a single-SKU shipment from the SKU's shipping defaults, scaled from the units they were
+ * learned for to the units shipped: the weight and the height (units stacked) grow with the quantity.
+ * @param {{ sku: string, quantity: number }[]} items - Shipment items (resolveShipmentItems).
+ * @returns {Promise<{ weight?: object, dimensions?: object }>} Only what the defaults hold.
+ */
+async function getDefaultPackage(items) {
+  const skus = new Set(items.map((item) => item.sku));
+  if (skus.size !== 1) {
+    return {};
+  }
+  const result = await pool.query(PACKAGE_DEFAULTS_SQL, [[...skus][0]]);
+  const row = result.rows[0];
+  if (!row) {
+    return {};
+  }
+
+  const scale = items.reduce((sum, item) => sum + item.quantity, 0) / (Number(row.quantity) || 1);
+  const defaults = {};
+  const weightValue = normalizeNumber(row.weight_value);
+  if (Number.isFinite(weightValue) && weightValue > 0 && WEIGHT_UNITS.has(row.weight_unit)) {
+    defaults.weight = { value: roundPackageValue(weightValue * scale), unit: row.weight_unit };
+  }
+  const [length, width, height] = [row.length, row.width, row.height].map(normalizeNumber);
+  if ([length, width, height].every((value) => Number.isFinite(value) && value > 0) && DIMENSION_UNITS.has(row.dimension_unit)) {
+    defaults.dimensions = { length, width, height: roundPackageValue(height * scale), unit: row.dimension_unit };
+  }
+  return defaults;
+}
+
+/**
+ * Resolve the package of one order in a bulk buy. Weight and dimensions each come from the order's
+ * override in packages, else the SKU's shipping defaults (single-SKU shipments, see getDefaultPackage),
+ * else the request's global values.
+ * @param {{ sku: string, quantity: number }[]} items - Shipment items (resolveShipmentItems).
+ * @param {{ weight?: object, dimensions?: object }} fallback - Global weight and dimensions of the request.
+ * @param {{ weight?: object, dimensions?: object }} [override] - packages[amazon_order_id].
+ * @returns {Promise<{ ok: boolean, errors: string[], warnings: string[], weight: object|null, dimensions: object|null,
+ *   source: { weight: string|null, dimensions: string|null } }>} source: 'override', 'defaults' or 'global'.
+ */
+async function resolveBulkPackage(items, fallback, override) {
+  const overrides = override || {};
+  const defaults = overrides.weight && overrides.dimensions ? {} : await getDefaultPackage(items);
+  const pick = (key) => {
+    if (overrides[key]) {
+      return [overrides[key], 'override'];
+    }
+    if (defaults[key]) {
+      return [defaults[key], 'defaults'];
+    }
+    return fallback[key] ? [fallback[key], 'global'] : [null, null];
+  };
+  const [weight, weightSource] = pick('weight');
+  const [dimensions, dimensionsSource] = pick('dimensions');
+
+  const errors = [];
+  const warnings = [];
+  if (weight) {
+    errors.push(...validateWeight(weight));
+  } else {
+    errors.push('No package weight: send one in packages or as the global weight (shipping defaults only cover single-SKU orders).');
+  }
+  if (dimensions) {
+    const dimensionCheck = validateDimensions(dimensions);
+    errors.push(...dimensionCheck.errors);
+    warnings.push(...dimensionCheck.warnings);
+  } else {
+    errors.push('No package dimensions: send them in packages or as the global dimensions (shipping defaults only cover single-SKU orders).');
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    warnings,
+    weight,
+    dimensions,
+    source: { weight: weightSource, dimensions: dimensionsSource }
+  };
+}
+
+/**
+ * Validate label buying payloads for single and bulk requests.
+ * @param {object} payload - Request payload inputs.
+ * @param {string} [payload.amazon_order_id] - Single order id.
+ * @param {string[]} [payload.amazon_order_ids] - Bulk order ids.
+ * @param {object} payload.weight - Weight object with value and unit (optional fallback in bulk buy).
+ * @param {object} payload.dimensions - Dimensions object with length, width, height, unit (optional fallback in bulk buy).
+ * @param {Object<string, { weight?: object, dimensions?: object }>} [payload.packages] - Per-order package
+ *   overrides keyed by amazon_order_id (bulk buy only).
+ * @param {string} [payload.shipping_strategy] - Optional shipping-service selection strategy.
+ * @param {string[]|string} [payload.preferred_carriers] - Optional carrier priority list.
+ * @param {string} [payload.shipping_service_id] - Optional explicit ShippingServiceId (single buy only).
+ * @param {{ order_item_id: string, quantity: number }[]} [payload.items] - Optional item subset (single buy only).
+ * @param {boolean} [payload.override_cancel_request] - Buy even when the buyer requested cancellation.
+ * @param {boolean} [payload.preview] - Include a rendered preview of the bought labels.
+ * @param {string} [payload.preview_page_size] - 'label' or 'A4' pages for the preview PDF.
+ * @param {number} [payload.printer_id] - Send the bought labels to this printer.
+ * @param {number} [payload.template_id] - Injection template for the footer (default template when omitted).
+ * @param {string} [payload.batch_name] - Value of the {batch_name} template placeholder.
+ * @param {boolean} [payload.zpl_inject_auto] - Move the footer off the label's fields (default ZPL_INJECT_AUTO).
+ * @param {boolean} [payload.packing_slips] - Add a packing slip after each label (bulk buy only).
+ * @returns {{ ok: boolean, errors: string[], warnings: string[] }}
+ */
+function validateLabelRequest(payload) {
+  const errors = [];
+  const warnings = [];
+
+  const isBulk = Array.isArray(payload.amazon_order_ids);
+
+  if (isBulk) {
+    const ids = payload.amazon_order_ids;
+    if (ids.length < 1 || ids.length > MAX_BULK_IDS) {
+      errors.push(`amazon_order_ids must contain between 1 and ${MAX_BULK_IDS} order IDs.`);
+    }
+    ids.forEach((id, idx) => {
+      if (typeof id !== 'string' || !id.trim()) {
+        errors.push(`amazon_order_ids[${idx}] must be a non-empty string.`);
+      }
+    });
+  } else {
+    if (typeof payload.amazon_order_id !== 'string' || !payload.amazon_order_id.trim()) {
+      errors.push('amazon_order_id must be a non-empty string.');
+    }
+  }
+
+  // Bulk buy resolves a package per order; its global weight and dimensions are only the fallback
+  if (!isBulk || (payload.weight !== undefined && payload.weight !== null)) {
+    errors.push(...validateWeight(payload.weight));
+  }
+  if (!isBulk || (payload.dimensions !== undefined && payload.dimensions !== null)) {
+    const dimensionCheck = validateDimensions(payload.dimensions);
+    errors.push(...dimensionCheck.errors);
+    warnings.push(...dimensionCheck.warnings);
+  }
+
+  const packages = payload.packages;
+  if (packages !== undefined && packages !== null) {
+    if (!isBulk) {
+      errors.push('packages is only supported for bulk label purchases.');
+    } else if (typeof packages !== 'object' || Array.isArray(packages)) {
+      errors.push('packages must be an object keyed by amazon_order_id.');
+    } else {
+      Object.entries(packages).forEach(([orderId, orderPackage]) => {
+        if (!payload.amazon_order_ids.includes(orderId)) {
+          errors.push(`packages.${orderId} is not one of amazon_order_ids.`);
+        }
+        if (!orderPackage || typeof orderPackage !== 'object') {
+          errors.push(`packages.${orderId} must be an object with weight and/or dimensions.`);
+          return;
+        }
+        if (orderPackage.weight !== undefined && orderPackage.weight !== null) {
+          errors.push(...validateWeight(orderPackage.weight, `packages.${orderId}.weight`));
+        }
+        if (orderPackage.dimensions !== undefined && orderPackage.dimensions !== null) {
+          const dimensionCheck = validateDimensions(orderPackage.dimensions, `packages.${orderId}.dimensions`);
+          errors.push(...dimensionCheck.errors);
+          warnings.push(...dimensionCheck.warnings);
+        }
+      });
+    }
+  }
+
+  if (payload.shipping_strategy !== undefined && payload.shipping_strategy !== null) {
+    if (!normalizeShippingStrategy(payload.shipping_strategy)) {
+      errors.push(`shipping_strategy must be one of: ${SHIPPING_STRATEGIES.join(', ')}.`);
+    }
+  }
+
+  const shippingServiceId = payload.shipping_service_id;
+  if (shippingServiceId !== undefined && shippingServiceId !== null) {
+    if (isBulk) {
+      errors.push('shipping_service_id is only supported for single label purchases.');
+    } else if (typeof shippingServiceId !== 'string' || !shippingServiceId.trim()) {
+      errors.push('shipping_service_id must be a non-empty string.');
+    }
+  }
+
+  const requestedItems = payload.items;
+  if (requestedItems !== undefined && requestedItems !== null) {
+    if (isBulk) {
+      errors.push('items is only supported for single label purchases.');
+    } else if (!Array.isArray(requestedItems) || !requestedItems.length) {
+      errors.push('items must be a non-empty array of { order_item_id, quantity }.');
+    } else {
+      requestedItems.forEach((item, idx) => {
+        if (!item || typeof item.order_item_id !== 'string' || !item.order_item_id.trim()) {
+          errors.push(`items[${idx}].order_item_id must be a non-empty string.`);
+        }
+        const quantity = normalizeNumber(item?.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+          errors.push(`items[${idx}].quantity must be a positive integer.`);
+        }
+      });
+    }
+  }
+
+  const preferredCarriers = payload.preferred_carriers;
+  if (preferredCarriers !== undefined && preferredCarriers !== null) {
+    const isValidList =
+      typeof preferredCarriers === 'string' ||
+      (Array.isArray(preferredCarriers) && preferredCarriers.every((carrier) => typeof carrier === 'string'));
+    if (!isValidList) {
+      errors.push('preferred_carriers must be an array of carrier names or a comma-separated string.');
+    }
+  }
+
+  const overrideCancelRequest = payload.override_cancel_request;
+  if (overrideCancelRequest !== undefined && overrideCancelRequest !== null && typeof overrideCancelRequest !== 'boolean') {
+    errors.push('override_cancel_request must be a boolean.');
+  }
+
+  const preview = payload.preview;
+  if (preview !== undefined && preview !== null && typeof preview !== 'boolean') {
+    errors.push('preview must be a boolean.');
+  }
+  if (!isValidPageSize(payload.preview_page_size)) {
+    errors.push(`preview_page_size must be one of: ${PREVIEW_PAGE_SIZES.join(', ')}.`);
+  }
+  if (parseOptionalId(payload.printer_id) === undefined) {
+    errors.push('printer_id must be a positive integer when provided.');
+  }
+  if (parseOptionalId(payload.template_id) === undefined) {
+    errors.push('template_id must be a positive integer when provided.');
+  }
+  if (!isValidBatchName(payload.batch_name)) {
+    errors.push(`batch_name must be a string of at most ${BATCH_NAME_MAX_LENGTH} characters.`);
+  }
+  const injectAuto = payload.zpl_inject_auto;
+  if (injectAuto !== undefined && injectAuto !== null && typeof injectAuto !== 'boolean') {
+    errors.push('zpl_inject_auto must be a boolean.');
+  }
+  const packingSlips = payload.packing_slips;
+  if (packingSlips !== undefined && packingSlips !== null) {
+    if (!isBulk) {
+      errors.push('packing_slips is only supported for bulk label purchases.');
+    } else if (typeof packingSlips !== 'boolean') {
+      errors.push('packing_slips must be a boolean.');
+    }
+  }
 
   return { ok: errors.length === 0, errors, warnings };
 }
@@ -400,8 +1336,8 @@ registerProcessHandlers();
 
 if (rateLimitEnabled) {
   app.use('/api/sync-orders', syncLimiter);
-  app.use(['/api/buy-label', '/api/bulk-buy-labels'], labelLimiter);
-  app.use(['/api/orders', '/api/health'], readLimiter);
+  app.use(['/api/buy-label', '/api/bulk-buy-labels', '/api/cancel-label'], labelLimiter);
+  app.use(['/api/orders', '/api/health', '/api/shipping-rates', '/api/sync-status', '/api/marketplaces', '/api/seller-accounts', '/api/printers', '/api/print-jobs', '/api/injection-templates', '/api/zpl', '/api/pick-list'], readLimiter);
 }
 
 // Health check
@@ -409,6 +1345,381 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Seller accounts without credentials, for the dashboard account switcher
+app.get('/api/seller-accounts', async (req, res) => {
+  try {
+    const accounts = await listSellerAccounts();
+    res.json(accounts.map(describeSellerAccount));
+  } catch (err) {
+    logger.error('Error fetching seller accounts', {
+      operation: 'sellerAccounts.list',
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to fetch seller accounts.' });
+  }
+});
+
+// Configured marketplaces (MARKETPLACE_IDS), for the dashboard filter and flags
+app.get('/api/marketplaces', (req, res) => {
+  res.json(AMAZON_CONFIG.marketplaceIds.map(describeMarketplace));
+});
+
+// Printer registry (raw TCP label printers)
+app.get('/api/printers', async (req, res) => {
+  try {
+    res.json(await listPrinters());
+  } catch (err) {
+    logger.error('Error fetching printers', {
+      operation: 'printers.list',
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to fetch printers.' });
+  }
+});
+
+app.post('/api/printers', async (req, res) => {
+  const validation = validatePrinterInput(req.body || {});
+  if (!validation.ok) {
+    return res.status(400).json({ error: 'Invalid request.', details: validation.errors });
+  }
+
+  try {
+    const printer = await createPrinter(validation.values);
+    logger.info('Printer registered', { operation: 'printers.create', printerId: printer.id, host: printer.host });
+    res.status(201).json(printer);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    logger.error('Error registering printer', {
+      operation: 'printers.create',
+      input: req.body,
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to register printer.' });
+  }
+});
+
+app.patch('/api/printers/:printerId', async (req, res) => {
+  const printerId = parseOptionalId(req.params.printerId);
+  if (!printerId) {
+    return res.status(400).json({ error: 'printerId must be a positive integer.' });
+  }
+  const validation = validatePrinterInput(req.body || {}, { partial: true });
+  if (!validation.ok) {
+    return res.status(400).json({ error: 'Invalid request.', details: validation.errors });
+  }
+
+  try {
+    const printer = await updatePrinter(printerId, validation.values);
+    if (!printer) {
+      return res.status(404).json({ error: `Printer ${printerId} not found.` });
+    }
+    res.json(printer);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    logger.error('Error updating printer', {
+      operation: 'printers.update',
+      input: { printerId, body: req.body },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to update printer.' });
+  }
+});
+
+app.delete('/api/printers/:printerId', async (req, res) => {
+  const printerId = parseOptionalId(req.params.printerId);
+  if (!printerId) {
+    return res.status(400).json({ error: 'printerId must be a positive integer.' });
+  }
+
+  try {
+    const pending = await countPendingPrintJobs(printerId);
+    if (pending) {
+      return res.status(409).json({
+        error: `Printer has ${pending} print job${pending === 1 ? '' : 's'} waiting. Cancel them or move them to another printer first.`
+      });
+    }
+    if (!(await deletePrinter(printerId))) {
+      return res.status(404).json({ error: `Printer ${printerId} not found.` });
+    }
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting printer', {
+      operation: 'printers.delete',
+      input: { printerId },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to delete printer.' });
+  }
+});
+
+// Live ~HS status; an unreachable printer answers 200 with online: false so the dashboard can show it
+app.get('/api/printers/:printerId/status', async (req, res) => {
+  const printerId = parseOptionalId(req.params.printerId);
+  if (!printerId) {
+    return res.status(400).json({ error: 'printerId must be a positive integer.' });
+  }
+
+  try {
+    const printer = await getPrinter(printerId);
+    if (!printer) {
+      return res.status(404).json({ error: `Printer ${printerId} not found.` });
+    }
+    try {
+      res.json({ printerId, online: true, ...(await queryPrinterStatus(printer)) });
+    } catch (err) {
+      if (!(err instanceof AppError)) {
+        throw err;
+      }
+      res.json({ printerId, online: false, error: err.message });
+    }
+  } catch (err) {
+    logger.error('Error querying printer status', {
+      operation: 'printers.status',
+      input: { printerId },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to query printer status.' });
+  }
+});
+
+// Print queue. ?status= takes a comma-separated list of job states, ?printer_id= one printer.
+app.get('/api/print-jobs', async (req, res) => {
+  const statuses = typeof req.query.status === 'string' ? req.query.status.split(',').map((s) => s.trim()).filter(Boolean) : [];
+  const invalidStatus = statuses.find((status) => !PRINT_JOB_STATUSES.includes(status));
+  if (invalidStatus) {
+    return res.status(400).json({ error: `status must be one of: ${PRINT_JOB_STATUSES.join(', ')}.` });
+  }
+  const printerId = parseOptionalId(req.query.printer_id);
+  if (printerId === undefined) {
+    return res.status(400).json({ error: 'printer_id must be a positive integer.' });
+  }
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 500.' });
+  }
+
+  try {
+    res.json(await listPrintJobs({ statuses, printerId, limit }));
+  } catch (err) {
+    logger.error('Error fetching print jobs', {
+      operation: 'printQueue.list',
+      input: req.query,
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to fetch print jobs.' });
+  }
+});
+
+app.post('/api/print-jobs/:jobId/cancel', async (req, res) => {
+  const jobId = parseOptionalId(req.params.jobId);
+  if (!jobId) {
+    return res.status(400).json({ error: 'jobId must be a positive integer.' });
+  }
+
+  try {
+    res.json(await cancelPrintJob(jobId));
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    logger.error('Error cancelling print job', {
+      operation: 'printQueue.cancel',
+      input: { jobId },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to cancel print job.' });
+  }
+});
+
+// Puts a printed, failed or cancelled job back in the queue; printer_id in the body moves it to another printer
+app.post('/api/print-jobs/:jobId/requeue', async (req, res) => {
+  const jobId = parseOptionalId(req.params.jobId);
+  if (!jobId) {
+    return res.status(400).json({ error: 'jobId must be a positive integer.' });
+  }
+  const { printer_id } = req.body || {};
+
+  try {
+    const printer = await getPrintTarget(printer_id);
+    res.json(await requeuePrintJob(jobId, { printerId: printer ? printer.id : null }));
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    logger.error('Error re-queueing print job', {
+      operation: 'printQueue.requeue',
+      input: { jobId, printer_id },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to re-queue print job.' });
+  }
+});
+
+// Footer templates for the ZPL injection (see injectionTemplates.js)
+app.get('/api/injection-templates', async (req, res) => {
+  try {
+    res.json(await listInjectionTemplates());
+  } catch (err) {
+    logger.error('Error fetching injection templates', {
+      operation: 'injectionTemplates.list',
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to fetch injection templates.' });
+  }
+});
+
+app.post('/api/injection-templates', async (req, res) => {
+  const validation = validateTemplateInput(req.body || {});
+  if (!validation.ok) {
+    return res.status(400).json({ error: 'Invalid request.', details: validation.errors });
+  }
+
+  try {
+    const template = await createInjectionTemplate(validation.values);
+    logger.info('Injection template created', { operation: 'injectionTemplates.create', templateId: template.id });
+    res.status(201).json(template);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    logger.error('Error creating injection template', {
+      operation: 'injectionTemplates.create',
+      input: req.body,
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to create injection template.' });
+  }
+});
+
+app.patch('/api/injection-templates/:templateId', async (req, res) => {
+  const templateId = parseOptionalId(req.params.templateId);
+  if (!templateId) {
+    return res.status(400).json({ error: 'templateId must be a positive integer.' });
+  }
+  const validation = validateTemplateInput(req.body || {}, { partial: true });
+  if (!validation.ok) {
+    return res.status(400).json({ error: 'Invalid request.', details: validation.errors });
+  }
+
+  try {
+    const template = await updateInjectionTemplate(templateId, validation.values);
+    if (!template) {
+      return res.status(404).json({ error: `Injection template ${templateId} not found.` });
+    }
+    res.json(template);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    logger.error('Error updating injection template', {
+      operation: 'injectionTemplates.update',
+      input: { templateId, body: req.body },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to update injection template.' });
+  }
+});
+
+app.delete('/api/injection-templates/:templateId', async (req, res) => {
+  const templateId = parseOptionalId(req.params.templateId);
+  if (!templateId) {
+    return res.status(400).json({ error: 'templateId must be a positive integer.' });
+  }
+
+  try {
+    if (!(await deleteInjectionTemplate(templateId))) {
+      return res.status(404).json({ error: `Injection template ${templateId} not found.` });
+    }
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting injection template', {
+      operation: 'injectionTemplates.delete',
+      input: { templateId },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to delete injection template.' });
+  }
+});
+
+const LINT_BOX_KEYS = ['x', 'y', 'width', 'height'];
+
+// Lint a ZPL label: structural errors, warnings with line/column, the fields the renderer found,
+// and, when a box ({ x, y, width, height } in dots) is given, the fields it overlaps.
+// dpi (default 203) is the resolution the label is laid out for.
+app.post('/api/zpl/lint', (req, res) => {
+  const { zpl, box, dpi } = req.body || {};
+  const errors = [];
+  if (typeof zpl !== 'string') {
+    errors.push('zpl must be a string.');
+  }
+  const labelDpi = parseTargetDpi(dpi);
+  if (labelDpi === undefined) {
+    errors.push(`dpi must be one of: ${PRINTER_DPIS.join(', ')}.`);
+  }
+  if (box !== undefined && box !== null) {
+    const invalid = typeof box !== 'object' || LINT_BOX_KEYS.some((key) => !Number.isInteger(box[key]) || box[key] < 0);
+    if (invalid) {
+      errors.push('box must be an object with non-negative integer x, y, width and height.');
+    }
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid request.', details: errors });
+  }
+
+  try {
+    const lint = lintZpl(zpl);
+    const layout = lint.ok ? getLabelLayout(zpl, { dotsPerMm: dpiToDotsPerMm(labelDpi || 203) }) : null;
+    const collisions = layout && box ? findCollisions(layout.fields, box) : [];
+    res.json({
+      ...lint,
+      layout,
+      collisions: box ? describeCollisions(collisions, zpl) : undefined
+    });
+  } catch (err) {
+    logger.error('Error linting ZPL', {
+      operation: 'zpl.lint',
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to lint ZPL.' });
+  }
+});
+
+// Rescale ZPL between printer resolutions. Body: zpl, from_dpi (default 203) and to_dpi.
+app.post('/api/zpl/convert', (req, res) => {
+  const { zpl, from_dpi, to_dpi } = req.body || {};
+  const errors = [];
+  if (typeof zpl !== 'string' || !zpl.trim()) {
+    errors.push('zpl must be a non-empty string.');
+  }
+  const fromDpi = parseTargetDpi(from_dpi);
+  const toDpi = parseTargetDpi(to_dpi);
+  if (fromDpi === undefined) {
+    errors.push(`from_dpi must be one of: ${PRINTER_DPIS.join(', ')}.`);
+  }
+  if (!toDpi) {
+    errors.push(`to_dpi is required and must be one of: ${PRINTER_DPIS.join(', ')}.`);
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid request.', details: errors });
+  }
+
+  try {
+    const result = scaleZpl(zpl, { fromDotsPerMm: dpiToDotsPerMm(fromDpi || 203), toDotsPerMm: dpiToDotsPerMm(toDpi) });
+    res.json({ zpl: result.zpl, warnings: result.warnings.length ? result.warnings : undefined });
+  } catch (err) {
+    logger.error('Error converting ZPL', {
+      operation: 'zpl.convert',
+      input: { from_dpi, to_dpi },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to convert ZPL.' });
+  }
+});
+
 // Get shipping defaults for a SKU
 app.get('/api/shipping-defaults/:sku', async (req, res) => {
   try {
@@ -418,7 +1729,7 @@ app.get('/api/shipping-defaults/:sku', async (req, res) => {
     }
 
     const result = await pool.query(
-      'SELECT weight_value, weight_unit, length, width, height, dimension_unit FROM product_shipping_defaults WHERE sku = $1',
+      'SELECT weight_value, weight_unit, length, width, height, dimension_unit, bin_location FROM product_shipping_defaults WHERE sku = $1',
       [sku]
     );
 
@@ -437,11 +1748,78 @@ app.get('/api/shipping-defaults/:sku', async (req, res) => {
   }
 });
 
+// Set (or clear with null) the bin location of a SKU, shown by the {bin_location} template placeholder
+app.put('/api/shipping-defaults/:sku/bin-location', async (req, res) => {
+  const { sku } = req.params;
+  const { bin_location } = req.body || {};
+  if (bin_location !== null && (typeof bin_location !== 'string' || bin_location.trim().length > 40)) {
+    return res.status(400).json({
+      error: 'Invalid request.',
+      details: ['bin_location must be a string of at most 40 characters, or null.']
+    });
+  }
+
+  try {
+    const binLocation = bin_location ? bin_location.trim() : null;
+    await pool.query(
+      `INSERT INTO product_shipping_defaults (sku, bin_location)
+       VALUES ($1, $2)
+       ON CONFLICT (sku) DO UPDATE SET bin_location = EXCLUDED.bin_location`,
+      [sku, binLocation]
+    );
+    res.json({ sku, bin_location: binLocation });
+  } catch (err) {
+    logger.error('Error saving bin location', {
+      operation: 'shippingDefaults.binLocation',
+      input: { sku, bin_location },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to save bin location.' });
+  }
+});
+
+// Allowed ?sort= values for GET /api/orders, mapped to fixed ORDER BY clauses
+const ORDER_SORTS = {
+  purchase_date: 'purchase_date DESC NULLS LAST',
+  // Most urgent first: earliest ship-by deadline, orders without one at the end
+  ship_by: 'latest_ship_date ASC NULLS LAST, purchase_date ASC NULLS LAST'
+};
+
+// Columns returned for an order by GET /api/orders and GET /api/orders/:orderId
+const ORDER_COLUMNS = `
+  amazon_order_id, purchase_date, customer_name, shipping_address, items, labelled_items, is_prime, status, tracking_id,
+  is_buyer_requested_cancel, buyer_requested_cancel_reason,
+  earliest_ship_date, latest_ship_date, latest_delivery_date, ship_service_level,
+  marketplace_id, currency, seller_account_id
+`;
+
 // List orders from DB
+// Query: sort=purchase_date (default) | ship_by, marketplace_id=<MarketplaceId> and seller_account_id=<id> (optional filters)
 app.get('/api/orders', async (req, res) => {
+  const sort = typeof req.query.sort === 'string' && req.query.sort ? req.query.sort : 'purchase_date';
+  const marketplaceId =
+    typeof req.query.marketplace_id === 'string' && req.query.marketplace_id ? req.query.marketplace_id : null;
+  const sellerAccountId = req.query.seller_account_id ? Number(req.query.seller_account_id) : null;
+
+  const errors = [];
+  if (!Object.hasOwn(ORDER_SORTS, sort)) {
+    errors.push(`sort must be one of: ${Object.keys(ORDER_SORTS).join(', ')}.`);
+  }
+  if (sellerAccountId !== null && !(Number.isInteger(sellerAccountId) && sellerAccountId > 0)) {
+    errors.push('seller_account_id must be a positive integer.');
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid request.', details: errors });
+  }
+
   try {
     const result = await pool.query(
-      'SELECT amazon_order_id, purchase_date, customer_name, shipping_address, items, is_prime, status, tracking_id FROM orders ORDER BY purchase_date DESC NULLS LAST'
+      `SELECT ${ORDER_COLUMNS}
+       FROM orders
+       WHERE ($1::varchar IS NULL OR marketplace_id = $1)
+         AND ($2::integer IS NULL OR seller_account_id = $2)
+       ORDER BY ${ORDER_SORTS[sort]}`,
+      [marketplaceId, sellerAccountId]
     );
     res.json(result.rows);
   } catch (err) {
@@ -453,92 +1831,221 @@ app.get('/api/orders', async (req, res) => {
   }
 });
 
+// Order detail with every label ever bought for it (newest first, voided ones included)
+app.get('/api/orders/:orderId', async (req, res) => {
+  const { orderId } = req.params;
+
+  try {
+    const result = await pool.query(`SELECT ${ORDER_COLUMNS} FROM orders WHERE amazon_order_id = $1`, [orderId]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Order not found in local database.' });
+    }
+    res.json({ ...result.rows[0], labels: await listOrderLabels(orderId) });
+  } catch (err) {
+    logger.error('Error fetching order from DB', {
+      operation: 'orders.get',
+      input: { orderId },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to fetch order from database.' });
+  }
+});
+
+// Packing slip for every item of an order (GET /api/orders/:orderId/packing-slip)
+// ?format=zpl (default) is a 4x6 slip for the label printer, at ?dpi= (default 203);
+// ?format=pdf renders it on ?page_size=A4 (default), A5 or 4x6 pages.
+app.get('/api/orders/:orderId/packing-slip', async (req, res) => {
+  const { orderId } = req.params;
+  const format = req.query.format || 'zpl';
+  if (!['zpl', 'pdf'].includes(format)) {
+    return res.status(400).json({ error: 'format must be one of: zpl, pdf.' });
+  }
+  const size = req.query.page_size || (format === 'pdf' ? 'A4' : '4x6');
+  if (!PACKING_SLIP_SIZES.includes(size)) {
+    return res.status(400).json({ error: `page_size must be one of: ${PACKING_SLIP_SIZES.join(', ')}.` });
+  }
+  if (format === 'zpl' && size !== '4x6') {
+    return res.status(400).json({ error: 'ZPL packing slips are 4x6; use format=pdf for A4 and A5.' });
+  }
+  const targetDpi = parseTargetDpi(req.query.dpi);
+  if (targetDpi === undefined) {
+    return res.status(400).json({ error: `dpi must be one of: ${PRINTER_DPIS.join(', ')}.` });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT amazon_order_id, purchase_date, shipping_address, items FROM orders WHERE amazon_order_id = $1',
+      [orderId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Order not found in local database.' });
+    }
+
+    if (format === 'pdf') {
+      const zpl = buildPackingSlipZpl(result.rows[0], { size });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${orderId}_packing-slip.pdf"`);
+      return res.send(renderLabelsPdf([{ zpl }]));
+    }
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${orderId}_packing-slip.zpl"`);
+    res.send(buildPackingSlipZpl(result.rows[0], { dotsPerMm: targetDpi ? dpiToDotsPerMm(targetDpi) : DEFAULT_DOTS_PER_MM }));
+  } catch (err) {
+    logger.error('Error building packing slip', {
+      operation: 'orders.packingSlip',
+      input: { orderId, query: req.query },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to build packing slip.' });
+  }
+});
+
 // Sync Logic (/api/sync-orders)
+// Body: { mode?: 'incremental' | 'full' (defaults to incremental), seller_account_id?: number (defaults to every active account) }
 app.post('/api/sync-orders', async (req, res) => {
-  const client = await pool.connect();
+  const { mode = 'incremental', seller_account_id } = req.body || {};
+
+  const errors = [];
+  if (!SYNC_MODES.includes(mode)) {
+    errors.push(`mode must be one of: ${SYNC_MODES.join(', ')}.`);
+  }
+  if (seller_account_id !== undefined && seller_account_id !== null && !(Number.isInteger(seller_account_id) && seller_account_id > 0)) {
+    errors.push('seller_account_id must be a positive integer.');
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid request.', details: errors });
+  }
+
+  try {
+    const summary = await runTrackedSync({ mode, trigger: 'manual', sellerAccountId: seller_account_id ?? undefined });
+    res.json(summary);
+  } catch (err) {
+    // runTrackedSync already logged the failure
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    res.status(500).json({ error: 'Failed to sync orders from Amazon.' });
+  }
+});
+
+// Background sync status (/api/sync-status)
+app.get('/api/sync-status', async (req, res) => {
   try {
-    const orders = await fetchUnshippedPrimeOrdersWithItems();
+    res.json(await getSyncStatus());
+  } catch (err) {
+    logger.error('Error fetching sync status', {
+      operation: 'orders.sync.status',
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to fetch sync status.' });
+  }
+});
 
-    let inserted = 0;
-    let updated = 0;
+// Rate Shopping Preview (/api/shipping-rates)
+// Read-only: runs getEligibleShipmentServices only, nothing is purchased.
+app.post('/api/shipping-rates', async (req, res) => {
+  const { amazon_order_id, weight, dimensions, shipping_strategy, preferred_carriers, items } = req.body || {};
+  const shippingSelectionOptions = getShippingSelectionOptions(req.body || {});
+
+  const validation = validateLabelRequest({
+    amazon_order_id,
+    weight,
+    dimensions,
+    shipping_strategy,
+    preferred_carriers,
+    items
+  });
+  if (!validation.ok) {
+    return res.status(400).json({
+      error: 'Invalid request.',
+      details: validation.errors
+    });
+  }
 
-    await client.query('BEGIN');
+  try {
+    const orderResult = await pool.query(
+      ORDER_FOR_LABEL_SQL,
+      [amazon_order_id]
+    );
 
-    for (const order of orders) {
-      const {
-        amazon_order_id,
-        purchase_date,
-        customer_name,
-        shipping_address,
-        items,
-        is_prime,
-        status
-      } = order;
-
-      const result = await client.query(
-        `
-          INSERT INTO orders
-          (amazon_order_id, purchase_date, customer_name, shipping_address, items, is_prime, status)
-          VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'Unshipped'))
-          ON CONFLICT (amazon_order_id)
-          DO UPDATE SET
-            purchase_date = EXCLUDED.purchase_date,
-            customer_name = EXCLUDED.customer_name,
-            shipping_address = EXCLUDED.shipping_address,
-            items = EXCLUDED.items,
-            is_prime = EXCLUDED.is_prime,
-            status = EXCLUDED.status
-          WHERE orders.status != 'LabelBought'
-          RETURNING (xmax = 0) AS inserted
-        `,
-        [
-          amazon_order_id,
-          purchase_date ? new Date(purchase_date) : null,
-          customer_name,
-          shipping_address,
-          JSON.stringify(items || []),
-          is_prime,
-          status
-        ]
-      );
+    if (orderResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Order not found in local database.' });
+    }
 
-      if (result.rowCount === 1) {
-        if (result.rows[0].inserted) {
-          inserted += 1;
-        } else {
-          updated += 1;
-        }
-      }
+    const { items: orderItems, labelled_items: labelledItems } = orderResult.rows[0];
+    const shipment = resolveShipmentItems(orderItems, labelledItems, items);
+    if (!shipment.ok) {
+      return res.status(400).json({ error: 'Invalid items.', details: shipment.errors });
     }
 
-    await client.query('COMMIT');
+    const { services, ineligible, recommended } = await getShippingServiceOptions({
+      amazon_order_id,
+      weight,
+      dimensions,
+      items: shipment.items,
+      ...shippingSelectionOptions,
+      latestDeliveryDate: getStoredLatestDeliveryDate(orderResult.rows[0]),
+      account: await getOrderSellerAccount(orderResult.rows[0])
+    });
 
-    res.json({ synced: orders.length, inserted, updated });
+    res.json({
+      amazon_order_id,
+      items: shipment.items,
+      services,
+      ineligible,
+      recommended,
+      cancelRequest: describeBuyerCancelRequest(orderResult.rows[0]),
+      warnings: validation.warnings.length ? validation.warnings : undefined
+    });
   } catch (err) {
-    logger.error('Error syncing orders', {
-      operation: 'orders.sync',
+    logger.error('Error fetching shipping rates', {
+      operation: 'label.rates',
+      input: { amazon_order_id, weight, dimensions },
       error: err
     });
-    try {
-      await client.query('ROLLBACK');
-    } catch (rollbackErr) {
-      logger.error('Error rolling back sync-orders transaction', {
-        operation: 'orders.sync.rollback',
-        error: rollbackErr
-      });
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
     }
-    res.status(500).json({ error: 'Failed to sync orders from Amazon.' });
-  } finally {
-    client.release();
+    res.status(500).json({ error: 'Failed to fetch shipping rates from Amazon.' });
   }
 });
 
 // Buy Label Logic (/api/buy-label)
 app.post('/api/buy-label', async (req, res) => {
-  const { amazon_order_id, weight, dimensions } = req.body || {};
+  const {
+    amazon_order_id,
+    weight,
+    dimensions,
+    shipping_strategy,
+    preferred_carriers,
+    shipping_service_id,
+    items: requestedItems,
+    override_cancel_request,
+    preview,
+    preview_page_size,
+    printer_id,
+    template_id,
+    batch_name
+  } = req.body || {};
   const zplInjectOptions = getZplInjectOptions(req.body || {});
-
-  const validation = validateLabelRequest({ amazon_order_id, weight, dimensions });
+  const shippingSelectionOptions = getShippingSelectionOptions(req.body || {});
+
+  const validation = validateLabelRequest({
+    amazon_order_id,
+    weight,
+    dimensions,
+    shipping_strategy,
+    preferred_carriers,
+    shipping_service_id,
+    items: requestedItems,
+    override_cancel_request,
+    preview,
+    preview_page_size,
+    printer_id,
+    template_id,
+    batch_name
+  });
   if (!validation.ok) {
     return res.status(400).json({
       error: 'Invalid request.',
@@ -554,9 +2061,13 @@ app.post('/api/buy-label', async (req, res) => {
         input: { amazon_order_id, weight, dimensions }
       });
     }
-    // Get SKU/Qty from DB
+    // Resolve the printer and template before buying, so a wrong ID does not leave an unprinted label
+    const printer = await getPrintTarget(printer_id);
+    const injectOptions = await withInjectionTemplate(zplInjectOptions);
+
+    // Get items (with OrderItemIds) from DB
     const orderResult = await pool.query(
-      'SELECT items FROM orders WHERE amazon_order_id = $1',
+      ORDER_FOR_LABEL_SQL,
       [amazon_order_id]
     );
 
@@ -564,57 +2075,85 @@ app.post('/api/buy-label', async (req, res) => {
       return res.status(404).json({ error: 'Order not found in local database.' });
     }
 
-    const items = orderResult.rows[0].items || [];
-    const firstItem = items[0] || { sku: 'UNKNOWN', quantity: 1 };
+    const cancelRequest = describeBuyerCancelRequest(orderResult.rows[0]);
+    if (cancelRequest && override_cancel_request !== true) {
+      return res.status(409).json({
+        error: `${cancelRequest} Cancel the order in Seller Central, or send override_cancel_request: true to buy anyway.`,
+        cancelRequest
+      });
+    }
+    if (cancelRequest) {
+      logger.warn('Buying label despite buyer cancellation request', {
+        operation: 'label.buy',
+        amazon_order_id,
+        cancelRequest
+      });
+    }
+
+    const { items: orderItems, labelled_items: labelledItems } = orderResult.rows[0];
+    const shipment = resolveShipmentItems(orderItems, labelledItems, requestedItems);
+    if (!shipment.ok) {
+      return res.status(400).json({ error: 'Invalid items.', details: shipment.errors });
+    }
 
     // Step A & B via amazonClient
-    const { labelGzipped, sku, quantity, trackingId } = await buyLabel({
+    const { labelGzipped, labelFormat, trackingId, shipmentId, shippingService, selection } = await buyLabel({
       amazon_order_id,
       weight,
       dimensions,
-      sku: firstItem.sku,
-      quantity: firstItem.quantity
+      items: shipment.items,
+      shippingServiceId: shipping_service_id ? shipping_service_id.trim() : undefined,
+      ...shippingSelectionOptions,
+      latestDeliveryDate: getStoredLatestDeliveryDate(orderResult.rows[0]),
+      account: await getOrderSellerAccount(orderResult.rows[0]),
+      labelFormat: getLabelFormatForPrinter(printer)
     });
 
     // Step C1: Decode (Gunzip)
-    const originalZpl = gunzipBase64Zpl(labelGzipped);
-
-    const injectionResult = injectSkuToZpl(
-      originalZpl,
-      sku || firstItem.sku,
-      quantity || firstItem.quantity,
-      zplInjectOptions
+    const label = decodeLabel(labelGzipped, labelFormat);
+
+    // A failed footer does not fail the purchase: the label is stored and returned without it
+    const injectionResult = keepLabelOnFooterError(
+      label,
+      injectLabelFooter(label, shipment.items, {
+        ...injectOptions,
+        fields: await getInjectionFields(injectOptions, orderResult.rows[0], shipment.items)
+      }),
+      { amazon_order_id }
     );
 
-    if (!injectionResult.success) {
-      logger.error('ZPL injection failed for buy-label', {
-        operation: 'label.buy.injectZpl',
-        input: { amazon_order_id },
-        error: injectionResult.error
-      });
-      return res.status(500).json({
-        error: injectionResult.error || 'Failed to inject ZPL.'
-      });
-    }
-
-    const modifiedZpl = injectionResult.zpl;
-
-    // Update order status to 'LabelBought', save tracking_id, and save the modified ZPL
-    await pool.query(
-      'UPDATE orders SET status = $1, tracking_id = $2, label_zpl = $3 WHERE amazon_order_id = $4',
-      ['LabelBought', trackingId || null, modifiedZpl, amazon_order_id]
-    );
+    const modifiedZpl = injectionResult.zpl ?? null;
+
+    // Store the label (both ZPL versions or PDF/PNG files, cost and package) and point the order at it.
+    // The order only becomes 'LabelBought' once every item has a label.
+    const labelId = await recordLabelPurchase({
+      amazonOrderId: amazon_order_id,
+      status: shipment.complete ? 'LabelBought' : 'Unshipped',
+      labelledItems: addLabelledItems(labelledItems, shipment.items),
+      shipmentId,
+      trackingId,
+      shippingService,
+      weight,
+      dimensions,
+      items: shipment.items,
+      labelFormat,
+      originalZpl: label.zpl ?? null,
+      labelZpl: modifiedZpl,
+      originalDocument: label.document ?? null,
+      labelDocument: injectionResult.document ?? null
+    });
+    const labelEntry = toLabelEntry(labelFormat, injectionResult, { amazon_order_id, labelId });
 
-    // Smart Weight Learning: Save shipping defaults if order has exactly 1 distinct SKU
-    const itemsArray = Array.isArray(items) ? items : [];
-    const distinctSkus = new Set(itemsArray.map(item => item?.sku).filter(Boolean));
+    // Smart Weight Learning: Save shipping defaults if the package holds exactly 1 distinct SKU,
+    // with its unit count so bulk buy can scale them (see getDefaultPackage)
+    const distinctSkus = new Set(shipment.items.map(item => item?.sku).filter(Boolean));
     if (distinctSkus.size === 1) {
       const sku = Array.from(distinctSkus)[0];
       // UPSERT shipping defaults for this SKU
       await pool.query(
         `INSERT INTO product_shipping_defaults 
-         (sku, weight_value, weight_unit, length, width, height, dimension_unit)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         (sku, weight_value, weight_unit, length, width, height, dimension_unit, quantity)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
          ON CONFLICT (sku) 
          DO UPDATE SET 
            weight_value = EXCLUDED.weight_value,
@@ -622,7 +2161,8 @@ app.post('/api/buy-label', async (req, res) => {
            length = EXCLUDED.length,
            width = EXCLUDED.width,
            height = EXCLUDED.height,
-           dimension_unit = EXCLUDED.dimension_unit`,
+           dimension_unit = EXCLUDED.dimension_unit,
+           quantity = EXCLUDED.quantity`,
         [
           sku,
           weight.value,
@@ -630,36 +2170,233 @@ app.post('/api/buy-label', async (req, res) => {
           dimensions.length,
           dimensions.width,
           dimensions.height,
-          dimensions.unit
+          dimensions.unit,
+          shipment.items.reduce((sum, item) => sum + item.quantity, 0)
         ]
       );
     }
 
-    // Return modified ZPL (JSON so the frontend can download easily)
+    // Return modified ZPL, or a PDF of a PDF/PNG label (JSON so the frontend can download easily)
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
     res.json({
       amazon_order_id,
+      labelId,
+      labelFormat,
       zpl: modifiedZpl,
+      ...getCombinedPdf([labelEntry]),
       trackingId: trackingId || null,
+      items: shipment.items,
+      partial: !shipment.complete,
+      shippingService,
+      selection,
       warnings: validation.warnings.length ? validation.warnings : undefined,
-      dryRun: zplInjectOptions.dryRun === true ? true : undefined
+      injectionWarnings: injectionResult.warnings.length ? injectionResult.warnings : undefined,
+      footerError: injectionResult.footerError,
+      dryRun: zplInjectOptions.dryRun === true ? true : undefined,
+      preview: preview ? renderPreview([labelEntry], getPreviewOptions(req.body)) : undefined,
+      ...(printer ? await queueForPrinter(printer, [labelEntry], `Label for ${amazon_order_id}`) : {})
     });
   } catch (err) {
     logger.error('Error buying label', {
       operation: 'label.buy',
-      input: { amazon_order_id, weight, dimensions },
+      input: { amazon_order_id, weight, dimensions, shipping_service_id },
       error: err
     });
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
     res.status(500).json({ error: 'Failed to buy label from Amazon.' });
   }
 });
 
+// Pick List Logic (POST /api/pick-list)
+// Units per SKU across amazon_order_ids (up to 50, as for bulk buy), sorted by bin location. Counts what bulk
+// buy would ship: the items without a label yet. Orders bulk buy would skip are listed in failed instead.
+// format: 'json' (default), 'csv', 'pdf' (page_size A4 by default, A5 or 4x6) or 'zpl' (4x6, at dpi).
+app.post('/api/pick-list', async (req, res) => {
+  const { amazon_order_ids, format = 'json', page_size, dpi } = req.body || {};
+  const size = page_size || (format === 'pdf' ? 'A4' : '4x6');
+  const targetDpi = parseTargetDpi(dpi);
+
+  const errors = [];
+  if (!Array.isArray(amazon_order_ids) || amazon_order_ids.length < 1 || amazon_order_ids.length > MAX_BULK_IDS) {
+    errors.push(`amazon_order_ids must contain between 1 and ${MAX_BULK_IDS} order IDs.`);
+  } else {
+    amazon_order_ids.forEach((id, idx) => {
+      if (typeof id !== 'string' || !id.trim()) {
+        errors.push(`amazon_order_ids[${idx}] must be a non-empty string.`);
+      }
+    });
+  }
+  if (!PICK_LIST_FORMATS.includes(format)) {
+    errors.push(`format must be one of: ${PICK_LIST_FORMATS.join(', ')}.`);
+  }
+  if (!SHEET_SIZES.includes(size)) {
+    errors.push(`page_size must be one of: ${SHEET_SIZES.join(', ')}.`);
+  } else if (format === 'zpl' && size !== '4x6') {
+    errors.push('ZPL pick lists are 4x6; use format pdf for A4 and A5.');
+  }
+  if (targetDpi === undefined) {
+    errors.push(`dpi must be one of: ${PRINTER_DPIS.join(', ')}.`);
+  }
+  if (errors.length) {
+    return res.status(400).json({ error: 'Invalid request.', details: errors });
+  }
+
+  try {
+    const orders = [];
+    const failed = [];
+    for (const amazon_order_id of new Set(amazon_order_ids)) {
+      const orderResult = await pool.query(ORDER_FOR_LABEL_SQL, [amazon_order_id]);
+      if (orderResult.rowCount === 0) {
+        failed.push({ amazon_order_id, error: 'Order not found in local database.' });
+        continue;
+      }
+
+      const cancelRequest = describeBuyerCancelRequest(orderResult.rows[0]);
+      if (cancelRequest) {
+        failed.push({ amazon_order_id, error: `${cancelRequest} Not included in the pick list.`, cancelRequest });
+        continue;
+      }
+
+      const { items: orderItems, labelled_items: labelledItems } = orderResult.rows[0];
+      const shipment = resolveShipmentItems(orderItems, labelledItems);
+      if (!shipment.ok) {
+        failed.push({ amazon_order_id, error: shipment.errors.join(' ') });
+        continue;
+      }
+      orders.push({
+        amazon_order_id,
+        items: shipment.items.map((item) => ({
+          ...item,
+          title: orderItems.find((orderItem) => orderItem.order_item_id === item.order_item_id)?.title
+        }))
+      });
+    }
+
+    const pickList = await buildPickList(orders);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="pick-list.csv"');
+      return res.send(pickListToCsv(pickList));
+    }
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'attachment; filename="pick-list.pdf"');
+      return res.send(renderLabelsPdf([{ zpl: buildPickListZpl({ ...pickList, failed }, { size }) }]));
+    }
+    if (format === 'zpl') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="pick-list.zpl"');
+      return res.send(
+        buildPickListZpl({ ...pickList, failed }, { dotsPerMm: targetDpi ? dpiToDotsPerMm(targetDpi) : DEFAULT_DOTS_PER_MM })
+      );
+    }
+    res.json({ ...pickList, failed });
+  } catch (err) {
+    logger.error('Error building pick list', {
+      operation: 'pickList',
+      input: { amazon_order_ids, format },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to build pick list.' });
+  }
+});
+
+// Bulk Package Review (POST /api/bulk-packages)
+// Read-only: the package bulk buy would use for each of amazon_order_ids, given the same weight,
+// dimensions and packages, so they can be reviewed (and overridden) before buying.
+app.post('/api/bulk-packages', async (req, res) => {
+  const { amazon_order_ids, weight, dimensions, packages } = req.body || {};
+
+  const validation = validateLabelRequest({ amazon_order_ids, weight, dimensions, packages });
+  if (!validation.ok) {
+    return res.status(400).json({
+      error: 'Invalid request.',
+      details: validation.errors
+    });
+  }
+
+  try {
+    const results = [];
+    for (const amazon_order_id of amazon_order_ids) {
+      const orderResult = await pool.query(ORDER_FOR_LABEL_SQL, [amazon_order_id]);
+      if (orderResult.rowCount === 0) {
+        results.push({ amazon_order_id, error: 'Order not found in local database.' });
+        continue;
+      }
+
+      const { items: orderItems, labelled_items: labelledItems } = orderResult.rows[0];
+      const shipment = resolveShipmentItems(orderItems, labelledItems);
+      if (!shipment.ok) {
+        results.push({ amazon_order_id, error: shipment.errors.join(' ') });
+        continue;
+      }
+
+      const orderPackage = await resolveBulkPackage(shipment.items, { weight, dimensions }, packages?.[amazon_order_id]);
+      results.push({
+        amazon_order_id,
+        items: shipment.items,
+        weight: orderPackage.weight,
+        dimensions: orderPackage.dimensions,
+        source: orderPackage.source,
+        cancelRequest: describeBuyerCancelRequest(orderResult.rows[0]) || undefined,
+        warnings: orderPackage.warnings.length ? orderPackage.warnings : undefined,
+        error: orderPackage.ok ? undefined : orderPackage.errors.join(' ')
+      });
+    }
+    res.json({ packages: results });
+  } catch (err) {
+    logger.error('Error resolving bulk packages', {
+      operation: 'label.bulkPackages',
+      input: { amazon_order_ids, weight, dimensions },
+      error: err
+    });
+    res.status(500).json({ error: 'Failed to resolve packages.' });
+  }
+});
+
 // Bulk Buy Labels Logic (/api/bulk-buy-labels)
+// Each order's package comes from packages[amazon_order_id], the SKU's shipping defaults or the global
+// weight and dimensions, in that order (see resolveBulkPackage).
+// packing_slips: true adds a 4x6 packing slip after each label, listing the items on that label.
 app.post('/api/bulk-buy-labels', async (req, res) => {
-  const { amazon_order_ids, weight, dimensions } = req.body || {};
+  const {
+    amazon_order_ids,
+    weight,
+    dimensions,
+    packages,
+    shipping_strategy,
+    preferred_carriers,
+    shipping_service_id,
+    override_cancel_request,
+    preview,
+    preview_page_size,
+    printer_id,
+    template_id,
+    batch_name,
+    packing_slips
+  } = req.body || {};
   const zplInjectOptions = getZplInjectOptions(req.body || {});
-
-  const validation = validateLabelRequest({ amazon_order_ids, weight, dimensions });
+  const shippingSelectionOptions = getShippingSelectionOptions(req.body || {});
+
+  const validation = validateLabelRequest({
+    amazon_order_ids,
+    weight,
+    dimensions,
+    packages,
+    shipping_strategy,
+    preferred_carriers,
+    shipping_service_id,
+    override_cancel_request,
+    preview,
+    preview_page_size,
+    printer_id,
+    template_id,
+    batch_name,
+    packing_slips
+  });
   if (!validation.ok) {
     return res.status(400).json({
       error: 'Invalid request.',
@@ -675,18 +2412,39 @@ app.post('/api/bulk-buy-labels', async (req, res) => {
     });
   }
 
+  let printer;
+  let injectOptions;
+  try {
+    printer = await getPrintTarget(printer_id);
+    injectOptions = await withInjectionTemplate(zplInjectOptions);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    logger.error('Error loading printer or template for bulk buy', {
+      operation: 'label.bulkBuy',
+      input: { printer_id, template_id },
+      error: err
+    });
+    return res.status(500).json({ error: 'Failed to load printer or injection template.' });
+  }
+
   const results = {
     succeeded: [],
     failed: [],
-    combinedZpl: ''
+    combinedZpl: '',
+    previewEntries: []
   };
 
+  // Seller accounts loaded so far, keyed by seller_account_id
+  const sellerAccounts = new Map();
+
   // Process each order
   for (const amazon_order_id of amazon_order_ids) {
     try {
-      // Get SKU/Qty from DB
+      // Get items (with OrderItemIds) from DB
       const orderResult = await pool.query(
-        'SELECT items FROM orders WHERE amazon_order_id = $1',
+        ORDER_FOR_LABEL_SQL,
         [amazon_order_id]
       );
 
@@ -698,54 +2456,110 @@ app.post('/api/bulk-buy-labels', async (req, res) => {
         continue;
       }
 
-      const items = orderResult.rows[0].items || [];
-      const firstItem = items[0] || { sku: 'UNKNOWN', quantity: 1 };
-
-      // Buy label via amazonClient
-      const { labelGzipped, sku, quantity, trackingId } = await buyLabel({
-        amazon_order_id,
-        weight,
-        dimensions,
-        sku: firstItem.sku,
-        quantity: firstItem.quantity
-      });
-
-      // Decode (Gunzip)
-      const originalZpl = gunzipBase64Zpl(labelGzipped);
+      const cancelRequest = describeBuyerCancelRequest(orderResult.rows[0]);
+      if (cancelRequest && override_cancel_request !== true) {
+        results.failed.push({
+          amazon_order_id,
+          error: `${cancelRequest} Not bought; buy it individually with the override if it must ship.`,
+          cancelRequest
+        });
+        continue;
+      }
 
-      const injectionResult = injectSkuToZpl(
-        originalZpl,
-        sku || firstItem.sku,
-        quantity || firstItem.quantity,
-        zplInjectOptions
-      );
+      // Bulk buy always ships every item that does not have a label yet
+      const { items: orderItems, labelled_items: labelledItems } = orderResult.rows[0];
+      const shipment = resolveShipmentItems(orderItems, labelledItems);
+      if (!shipment.ok) {
+        results.failed.push({
+          amazon_order_id,
+          error: shipment.errors.join(' ')
+        });
+        continue;
+      }
 
-      if (!injectionResult.success) {
+      const orderPackage = await resolveBulkPackage(shipment.items, { weight, dimensions }, packages?.[amazon_order_id]);
+      if (!orderPackage.ok) {
         results.failed.push({
           amazon_order_id,
-          error: injectionResult.error || 'Failed to inject ZPL.'
+          error: orderPackage.errors.join(' ')
         });
         continue;
       }
 
-      const modifiedZpl = injectionResult.zpl;
+      // Buy label via amazonClient
+      const { labelGzipped, labelFormat, trackingId, shipmentId, shippingService, selection } = await buyLabel({
+        amazon_order_id,
+        weight: orderPackage.weight,
+        dimensions: orderPackage.dimensions,
+        items: shipment.items,
+        ...shippingSelectionOptions,
+        latestDeliveryDate: getStoredLatestDeliveryDate(orderResult.rows[0]),
+        account: await getOrderSellerAccount(orderResult.rows[0], sellerAccounts),
+        labelFormat: getLabelFormatForPrinter(printer)
+      });
+
+      // Decode (Gunzip)
+      const label = decodeLabel(labelGzipped, labelFormat);
+
+      // A failed footer does not fail the order: the label is stored and printed without it
+      const injectionResult = keepLabelOnFooterError(
+        label,
+        injectLabelFooter(label, shipment.items, {
+          ...injectOptions,
+          fields: await getInjectionFields(injectOptions, orderResult.rows[0], shipment.items)
+        }),
+        { amazon_order_id }
+      );
 
-      // Append to combined ZPL (add newline between labels)
-      if (results.combinedZpl) {
-        results.combinedZpl += '\n';
+      const modifiedZpl = injectionResult.zpl ?? null;
+      const packingSlip = packing_slips
+        ? toPackingSlipEntry(orderResult.rows[0], getLabelDotsPerMm(labelFormat), shipment.items)
+        : null;
+
+      // Append to combined ZPL (add newline between labels), followed by its packing slip when asked;
+      // PDF/PNG labels and their slips go into the combined PDF
+      if (modifiedZpl) {
+        [modifiedZpl, packingSlip?.zpl].filter(Boolean).forEach((zpl) => {
+          if (results.combinedZpl) {
+            results.combinedZpl += '\n';
+          }
+          results.combinedZpl += zpl;
+        });
       }
-      results.combinedZpl += modifiedZpl;
 
-      // Update order status to 'LabelBought', save tracking_id, and save the modified ZPL
-      await pool.query(
-        'UPDATE orders SET status = $1, tracking_id = $2, label_zpl = $3 WHERE amazon_order_id = $4',
-        ['LabelBought', trackingId || null, modifiedZpl, amazon_order_id]
-      );
+      // Store the label and move the order to 'LabelBought'
+      const labelId = await recordLabelPurchase({
+        amazonOrderId: amazon_order_id,
+        status: 'LabelBought',
+        labelledItems: addLabelledItems(labelledItems, shipment.items),
+        shipmentId,
+        trackingId,
+        shippingService,
+        weight: orderPackage.weight,
+        dimensions: orderPackage.dimensions,
+        items: shipment.items,
+        labelFormat,
+        originalZpl: label.zpl ?? null,
+        labelZpl: modifiedZpl,
+        originalDocument: label.document ?? null,
+        labelDocument: injectionResult.document ?? null
+      });
 
       results.succeeded.push({
         amazon_order_id,
-        trackingId: trackingId || null
+        labelId,
+        trackingId: trackingId || null,
+        shippingService,
+        selection,
+        package: { weight: orderPackage.weight, dimensions: orderPackage.dimensions, source: orderPackage.source },
+        warnings: orderPackage.warnings.length ? orderPackage.warnings : undefined,
+        injectionWarnings: injectionResult.warnings.length ? injectionResult.warnings : undefined,
+        footerError: injectionResult.footerError
       });
+      results.previewEntries.push(
+        toLabelEntry(labelFormat, injectionResult, { amazon_order_id, labelId }),
+        ...(packingSlip ? [packingSlip] : [])
+      );
     } catch (err) {
       logger.error('Error processing order for bulk buy', {
         operation: 'label.bulkBuy.process',
@@ -760,13 +2574,21 @@ app.post('/api/bulk-buy-labels', async (req, res) => {
     }
   }
 
-  // Return results with combined ZPL
+  // Return results with combined ZPL, and a combined PDF when there are PDF/PNG labels
   res.json({
     succeeded: results.succeeded,
     failed: results.failed,
     zpl: results.combinedZpl,
+    ...getCombinedPdf(results.previewEntries),
     warnings: validation.warnings.length ? validation.warnings : undefined,
     dryRun: zplInjectOptions.dryRun === true ? true : undefined,
+    preview:
+      preview && results.previewEntries.length
+        ? renderPreview(results.previewEntries, getPreviewOptions(req.body))
+        : undefined,
+    ...(printer && results.previewEntries.length
+      ? await queueForPrinter(printer, results.previewEntries, `Bulk buy: ${results.succeeded.length} orders`)
+      : {}),
     summary: {
       total: amazon_order_ids.length,
       succeeded: results.succeeded.length,
@@ -775,69 +2597,359 @@ app.post('/api/bulk-buy-labels', async (req, res) => {
   });
 });
 
+// Cancel Label Logic (POST /api/cancel-label)
+// Voids a purchased label via MFN cancelShipment and returns the order to 'Unshipped'.
+// Voids the order's newest active label unless label_id picks another one; the voided
+// label stays in the labels table.
+app.post('/api/cancel-label', async (req, res) => {
+  const { amazon_order_id, label_id } = req.body || {};
+
+  if (typeof amazon_order_id !== 'string' || !amazon_order_id.trim()) {
+    return res.status(400).json({
+      error: 'Invalid request.',
+      details: ['amazon_order_id must be a non-empty string.']
+    });
+  }
+  const labelId = parseOptionalId(label_id);
+  if (labelId === undefined) {
+    return res.status(400).json({
+      error: 'Invalid request.',
+      details: ['label_id must be a positive integer when provided.']
+    });
+  }
+
+  try {
+    const orderResult = await pool.query(
+      'SELECT status, labelled_items, seller_account_id FROM orders WHERE amazon_order_id = $1',
+      [amazon_order_id]
+    );
+
+    if (orderResult.rowCount === 0) {
+      return res.status(404).json({ error: 'Order not found in local database.' });
+    }
+
+    const order = orderResult.rows[0];
+    const activeLabels = await getActiveLabels(amazon_order_id);
+    const label = labelId ? activeLabels.find((entry) => entry.id === labelId) : activeLabels[activeLabels.length - 1];
+
+    if (!label) {
+      return res.status(409).json({
+        error: labelId
+          ? `Label ${labelId} is not an active label of this order.`
+          : `Order has no active label (status: ${order.status || 'Unshipped'}).`
+      });
+    }
+
+    if (!label.shipment_id) {
+      return res.status(409).json({
+        error: 'No shipment ID stored for this label. Cancel it from Seller Central instead.'
+      });
+    }
+
+    const { status: shipmentStatus } = await cancelShipment(label.shipment_id, await getOrderSellerAccount(order));
+
+    // Items on the voided label need a label again; labels bought before items were tracked cover everything
+    const labelledItems = label.items ? addLabelledItems(order.labelled_items, label.items, -1) : {};
+
+    await recordLabelVoid({
+      labelId: label.id,
+      amazonOrderId: amazon_order_id,
+      voidStatus: shipmentStatus || null,
+      labelledItems
+    });
+
+    logger.info('Label voided', {
+      operation: 'label.cancel',
+      amazon_order_id,
+      labelId: label.id,
+      shipmentId: label.shipment_id,
+      shipmentStatus
+    });
+
+    res.json({
+      amazon_order_id,
+      status: 'Unshipped',
+      voided: {
+        labelId: label.id,
+        shipmentId: label.shipment_id,
+        trackingId: label.tracking_id,
+        shipmentStatus
+      }
+    });
+  } catch (err) {
+    logger.error('Error cancelling label', {
+      operation: 'label.cancel',
+      input: { amazon_order_id, label_id },
+      error: err
+    });
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    res.status(500).json({ error: 'Failed to cancel label with Amazon.' });
+  }
+});
+
+const REPRINT_FORMATS = ['zpl', 'pdf', 'png'];
+
+/**
+ * ZPL (or PDF/PNG files) of an order's active labels (oldest first), or of one label, for reprinting.
+ * @param {string} orderId
+ * @param {number|null} labelId - Only this label when set.
+ * @param {{ reinject: boolean, injectOptions: object }} reprint - resolveReprintOptions result.
+ * @returns {Promise<object[]>} One toLabelEntry entry per label with amazon_order_id and labelId; ZPL at the
+ *   resolution it was bought for.
+ * @throws {AppError} 404 for unknown orders/labels or orders without labels, 409/400 when a label cannot be reprinted.
+ */
+async function loadReprintLabels(orderId, labelId, reprint) {
+  const orderResult = await pool.query('SELECT amazon_order_id, customer_name FROM orders WHERE amazon_order_id = $1', [
+    orderId
+  ]);
+
+  if (orderResult.rowCount === 0) {
+    throw new AppError('Order not found in database.', { statusCode: 404 });
+  }
+
+  let labels;
+  if (labelId) {
+    const label = await getLabel(labelId);
+    if (!label || label.amazon_order_id !== orderId) {
+      throw new AppError(`Label ${labelId} not found for this order.`, { statusCode: 404 });
+    }
+    if (label.voided_at) {
+      throw new AppError(`Label ${labelId} was voided and must not be used.`, { statusCode: 409 });
+    }
+    labels = [label];
+  } else {
+    labels = await getActiveLabels(orderId);
+  }
+
+  const fields = await getInjectionFields(
+    reprint.injectOptions,
+    orderResult.rows[0],
+    labels.flatMap((label) => label.items || [])
+  );
+  const rendered = labels.map((label) => renderReprintLabel(label, reprint, fields));
+  const failure = rendered.find((entry) => !entry.success);
+  if (failure) {
+    throw new AppError(failure.error, { statusCode: failure.statusCode });
+  }
+
+  const printable = labels
+    .map((label, index) => toLabelEntry(label.label_format, rendered[index], { amazon_order_id: orderId, labelId: label.id }))
+    .filter((entry) => entry.zpl || entry.document);
+
+  if (!printable.length) {
+    throw new AppError('No saved label found for this order. Label may not have been purchased yet.', { statusCode: 404 });
+  }
+  return printable;
+}
+
 // Reprint Label Logic (GET /api/reprint/:orderId)
+// Returns every active label of the order (oldest first), or only ?label_id= when given.
+// ?reinject=true, ?zpl_inject_x=, ?zpl_inject_y=, ?template_id= and ?batch_name= regenerate the footer
+// from Amazon's original ZPL.
+// ?format=pdf (with ?page_size=A4 for laser printers) or ?format=png renders the labels locally;
+// ?preview=true returns JSON with the ZPL and a rendered preview instead of a file.
+// ?dpi=300 rescales the labels for a printer of that resolution; without it they keep the resolution
+// of the first ZPL label.
+// PDF and PNG labels default to format=pdf (format=png for a single PNG label); format=zpl sends PNG
+// labels as graphics and fails for PDF labels.
 app.get('/api/reprint/:orderId', async (req, res) => {
   const { orderId } = req.params;
 
   if (!orderId) {
     return res.status(400).json({ error: 'Order ID is required.' });
   }
+  const labelId = parseOptionalId(req.query.label_id);
+  if (labelId === undefined) {
+    return res.status(400).json({ error: 'label_id must be a positive integer.' });
+  }
+  const format = req.query.format || null;
+  if (format !== null && !REPRINT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${REPRINT_FORMATS.join(', ')}.` });
+  }
+  if (!isValidPageSize(req.query.page_size) || !isValidPageSize(req.query.preview_page_size)) {
+    return res.status(400).json({ error: `page_size must be one of: ${PREVIEW_PAGE_SIZES.join(', ')}.` });
+  }
+  const targetDpi = parseTargetDpi(req.query.dpi);
+  if (targetDpi === undefined) {
+    return res.status(400).json({ error: `dpi must be one of: ${PRINTER_DPIS.join(', ')}.` });
+  }
+  const previewOptions = getPreviewOptions(req.query);
 
   try {
-    // Query database for saved ZPL
-    const result = await pool.query(
-      'SELECT label_zpl, amazon_order_id FROM orders WHERE amazon_order_id = $1',
-      [orderId]
-    );
-
-    if (result.rowCount === 0) {
-      return res.status(404).json({ error: 'Order not found in database.' });
+    const reprint = await resolveReprintOptions(req.query);
+    const loaded = await loadReprintLabels(orderId, labelId, reprint);
+    const dotsPerMm = targetDpi ? dpiToDotsPerMm(targetDpi) : loaded.find((entry) => entry.zpl)?.dotsPerMm;
+    const printable = dotsPerMm ? convertLabelEntries(loaded, dotsPerMm) : loaded;
+    const labelZpl = printable
+      .filter((entry) => entry.zpl)
+      .map((entry) => entry.zpl)
+      .join('\n');
+
+    if (previewOptions.preview) {
+      return res.json({
+        amazon_order_id: orderId,
+        labelIds: printable.map((entry) => entry.labelId),
+        zpl: labelZpl,
+        ...getCombinedPdf(printable),
+        reinjected: reprint.reinject ? true : undefined,
+        preview: renderPreview(printable, previewOptions)
+      });
     }
 
-    const labelZpl = result.rows[0].label_zpl;
+    const documents = printable.filter((entry) => entry.document);
+    const outputFormat =
+      format || (!documents.length ? 'zpl' : printable.length === 1 && documents[0].labelFormat === 'PNG' ? 'png' : 'pdf');
+
+    if (outputFormat === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${orderId}.pdf"`);
+      return res.send(renderLabelsPdf(printable, { pageSize: req.query.page_size || 'label' }));
+    }
 
-    if (!labelZpl) {
-      return res.status(404).json({ error: 'No saved label found for this order. Label may not have been purchased yet.' });
+    if (outputFormat === 'png') {
+      const png = renderLabelPng(printable);
+      if (!png) {
+        return res.status(400).json({
+          error: 'format=png needs exactly one ZPL or PNG label. Pass label_id, or use format=pdf for several labels.'
+        });
+      }
+      res.setHeader('Content-Type', getDocumentMimeType('PNG'));
+      res.setHeader('Content-Disposition', `attachment; filename="${orderId}.png"`);
+      return res.send(png);
     }
 
-    // Return ZPL as downloadable file
+    // Return ZPL as downloadable file, with PNG labels as graphics
+    const zplEntries = documents.length ? toZplEntries(printable) : printable;
     res.setHeader('Content-Type', 'text/plain; charset=utf-8');
     res.setHeader('Content-Disposition', `attachment; filename="${orderId}.zpl"`);
-    res.send(labelZpl);
+    res.send(
+      (dotsPerMm ? convertLabelEntries(zplEntries, dotsPerMm) : zplEntries).map((entry) => entry.zpl).join('\n')
+    );
   } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
     logger.error('Error reprinting label', {
       operation: 'label.reprint',
-      input: { orderId },
+      input: { orderId, labelId, query: req.query },
       error: err
     });
     res.status(500).json({ error: 'Failed to reprint label.' });
   }
 });
 
+// Print Reprint Logic (POST /api/reprint/:orderId/print)
+// Queues the same labels as GET /api/reprint/:orderId for printer_id and answers 202 with the
+// print job. Body: printer_id, optional label_id and the reinject / zpl_inject_x / zpl_inject_y /
+// template_id / batch_name fields. Labels are rescaled to the printer's dpi; PNG labels are sent as
+// graphics and PDF labels answer 409.
+app.post('/api/reprint/:orderId/print', async (req, res) => {
+  const { orderId } = req.params;
+  const { label_id, printer_id } = req.body || {};
+
+  const labelId = parseOptionalId(label_id);
+  if (labelId === undefined) {
+    return res.status(400).json({ error: 'label_id must be a positive integer.' });
+  }
+  if (!parseOptionalId(printer_id)) {
+    return res.status(400).json({ error: 'printer_id must be a positive integer.' });
+  }
+
+  try {
+    const printer = await getPrintTarget(printer_id);
+    const reprint = await resolveReprintOptions(req.body || {});
+    const printable = await loadReprintLabels(orderId, labelId, reprint);
+    const printJob = await enqueuePrintJob({
+      printerId: printer.id,
+      zpl: convertLabelEntries(toZplEntries(printable), dpiToDotsPerMm(printer.dpi))
+        .map((entry) => entry.zpl)
+        .join('\n'),
+      description: labelId ? `Reprint of label ${labelId} for ${orderId}` : `Reprint for ${orderId}`,
+      amazonOrderIds: [orderId],
+      labelIds: printable.map((entry) => entry.labelId)
+    });
+
+    res.status(202).json({
+      amazon_order_id: orderId,
+      labelIds: printable.map((entry) => entry.labelId),
+      reinjected: reprint.reinject ? true : undefined,
+      printJob
+    });
+  } catch (err) {
+    logger.error('Error printing reprint', {
+      operation: 'label.reprint.print',
+      input: { orderId, label_id, printer_id },
+      error: err
+    });
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    res.status(500).json({ error: 'Failed to print label.' });
+  }
+});
+
 // Bulk Reprint Labels Logic (POST /api/bulk-reprint)
+// Reprints every active label of each order. Accepts the same reinject / zpl_inject_x / zpl_inject_y /
+// template_id / batch_name, dpi and preview / preview_page_size fields as GET /api/reprint/:orderId;
+// printer_id also prints them, rescaled to the printer's dpi unless dpi is given.
+// packing_slips: true adds a 4x6 packing slip after each label, listing the items on that label.
 app.post('/api/bulk-reprint', async (req, res) => {
-  const { amazon_order_ids } = req.body || {};
+  const { amazon_order_ids, printer_id, template_id, dpi, packing_slips } = req.body || {};
+  const previewOptions = getPreviewOptions(req.body || {});
 
   if (!amazon_order_ids || !Array.isArray(amazon_order_ids) || amazon_order_ids.length === 0) {
     return res.status(400).json({ error: 'amazon_order_ids array is required and must not be empty.' });
   }
+  if (packing_slips !== undefined && packing_slips !== null && typeof packing_slips !== 'boolean') {
+    return res.status(400).json({ error: 'packing_slips must be a boolean.' });
+  }
+  if (!isValidPageSize(previewOptions.pageSize)) {
+    return res.status(400).json({ error: `preview_page_size must be one of: ${PREVIEW_PAGE_SIZES.join(', ')}.` });
+  }
+  const targetDpi = parseTargetDpi(dpi);
+  if (targetDpi === undefined) {
+    return res.status(400).json({ error: `dpi must be one of: ${PRINTER_DPIS.join(', ')}.` });
+  }
+
+  let printer;
+  let reprint;
+  let targetDotsPerMm = null;
+  try {
+    printer = await getPrintTarget(printer_id);
+    reprint = await resolveReprintOptions(req.body || {});
+    if (targetDpi || printer) {
+      targetDotsPerMm = dpiToDotsPerMm(targetDpi || printer.dpi);
+    }
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, details: err.details });
+    }
+    logger.error('Error loading printer or template for bulk reprint', {
+      operation: 'label.bulkReprint',
+      input: { printer_id, template_id },
+      error: err
+    });
+    return res.status(500).json({ error: 'Failed to load printer or injection template.' });
+  }
 
   const results = {
     succeeded: [],
     failed: [],
-    combinedZpl: ''
+    combinedZpl: '',
+    previewEntries: []
   };
 
   // Process each order
   for (const amazon_order_id of amazon_order_ids) {
     try {
-      // Query database for saved ZPL
-      const result = await pool.query(
-        'SELECT label_zpl FROM orders WHERE amazon_order_id = $1',
+      const orderResult = await pool.query(
+        'SELECT amazon_order_id, purchase_date, customer_name, shipping_address, items FROM orders WHERE amazon_order_id = $1',
         [amazon_order_id]
       );
 
-      if (result.rowCount === 0) {
+      if (orderResult.rowCount === 0) {
         results.failed.push({
           amazon_order_id,
           error: 'Order not found in database.'
@@ -845,9 +2957,11 @@ app.post('/api/bulk-reprint', async (req, res) => {
         continue;
       }
 
-      const labelZpl = result.rows[0].label_zpl;
+      const labels = (await getActiveLabels(amazon_order_id)).filter(
+        (label) => label.label_zpl || label.original_zpl || label.label_document || label.original_document
+      );
 
-      if (!labelZpl) {
+      if (labels.length === 0) {
         results.failed.push({
           amazon_order_id,
           error: 'No saved label found for this order.'
@@ -855,14 +2969,44 @@ app.post('/api/bulk-reprint', async (req, res) => {
         continue;
       }
 
-      // Append to combined ZPL (add newline between labels)
-      if (results.combinedZpl) {
-        results.combinedZpl += '\n';
+      const fields = await getInjectionFields(
+        reprint.injectOptions,
+        orderResult.rows[0],
+        labels.flatMap((label) => label.items || [])
+      );
+      const rendered = labels.map((label) => renderReprintLabel(label, reprint, fields));
+      const failure = rendered.find((entry) => !entry.success);
+      if (failure) {
+        results.failed.push({
+          amazon_order_id,
+          error: failure.error
+        });
+        continue;
       }
-      results.combinedZpl += labelZpl;
+
+      // Append to combined ZPL (add newline between labels), rescaled when a dpi was requested and each
+      // followed by its packing slip when asked; PDF/PNG labels and their slips go into the combined PDF
+      const entries = rendered.map((entry, index) =>
+        toLabelEntry(labels[index].label_format, entry, { amazon_order_id, labelId: labels[index].id })
+      );
+      (targetDotsPerMm ? convertLabelEntries(entries, targetDotsPerMm) : entries).forEach((entry, index) => {
+        const packingSlip = packing_slips
+          ? toPackingSlipEntry(orderResult.rows[0], entry.dotsPerMm ?? DEFAULT_DOTS_PER_MM, labels[index].items)
+          : null;
+        if (entry.zpl) {
+          [entry.zpl, packingSlip?.zpl].filter(Boolean).forEach((zpl) => {
+            if (results.combinedZpl) {
+              results.combinedZpl += '\n';
+            }
+            results.combinedZpl += zpl;
+          });
+        }
+        results.previewEntries.push(entry, ...(packingSlip ? [packingSlip] : []));
+      });
 
       results.succeeded.push({
-        amazon_order_id
+        amazon_order_id,
+        labelIds: labels.map((label) => label.id)
       });
     } catch (err) {
       logger.error('Error processing reprint for order', {
@@ -877,11 +3021,20 @@ app.post('/api/bulk-reprint', async (req, res) => {
     }
   }
 
-  // Return results with combined ZPL
+  // Return results with combined ZPL, and a combined PDF when there are PDF/PNG labels
   res.json({
     succeeded: results.succeeded,
     failed: results.failed,
     zpl: results.combinedZpl,
+    ...getCombinedPdf(results.previewEntries),
+    reinjected: reprint.reinject ? true : undefined,
+    preview:
+      previewOptions.preview && results.previewEntries.length
+        ? renderPreview(results.previewEntries, previewOptions)
+        : undefined,
+    ...(printer && results.previewEntries.length
+      ? await queueForPrinter(printer, results.previewEntries, `Bulk reprint: ${results.succeeded.length} orders`)
+      : {}),
     summary: {
       total: amazon_order_ids.length,
       succeeded: results.succeeded.length,
@@ -903,6 +3056,8 @@ async function start() {
         port: PORT
       });
     });
+    startSyncScheduler();
+    startPrintQueue();
   } catch (err) {
     logger.error('Failed to start server', {
       operation: 'server.start',
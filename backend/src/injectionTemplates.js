@@ -0,0 +1,576 @@
+import { pool } from './db.js';
+import { AppError } from './middleware/errorHandler.js';
+import { logger } from './logger.js';
+import { encodeCode128 } from './zpl/barcodes.js';
+import { measureText } from './zpl/font.js';
+
+const TEMPLATE_COLUMNS = `
+  id, name, box_width, border, padding, line_gap, elements, is_default, created_at, updated_at
+`;
+
+const TEMPLATE_FIELDS = ['name', 'box_width', 'border', 'padding', 'line_gap', 'elements', 'is_default'];
+
+export const TEMPLATE_ELEMENT_TYPES = ['text', 'code128', 'qr'];
+
+// Placeholders usable in element values. per_item elements get the sku, quantity and bin_location
+// of their item; the other elements every SKU, the total quantity and every bin on the label.
+export const TEMPLATE_PLACEHOLDERS = ['sku', 'quantity', 'order_id', 'customer_name', 'bin_location', 'batch_name'];
+
+const PLACEHOLDER_PATTERN = /\{([a-z_]+)\}/g;
+
+// [min, max] of the numeric template and element fields, in dots where they are sizes
+const TEMPLATE_LIMITS = {
+  box_width: [50, 2400],
+  border: [0, 20],
+  padding: [0, 100],
+  line_gap: [0, 100]
+};
+const ELEMENT_LIMITS = {
+  x: [0, 2400],
+  y: [0, 2400],
+  font_height: [10, 200],
+  font_width: [10, 200],
+  height: [10, 400],
+  module_width: [1, 10],
+  magnification: [1, 10]
+};
+const ELEMENT_OPTIONS = {
+  text: ['font_height', 'font_width'],
+  code128: ['height', 'module_width'],
+  qr: ['magnification']
+};
+const ELEMENT_DEFAULTS = { font_height: 30, height: 60, module_width: 2, magnification: 4 };
+
+// Template sizes are dots on a 203 dpi label; scaleTemplate converts them for other resolutions
+export const TEMPLATE_DOTS_PER_MM = 8;
+
+const MAX_ELEMENTS = 20;
+const MAX_VALUE_LENGTH = 200;
+// Font of the "+N more" line when a per-item group has no text element
+const SUMMARY_FONT_HEIGHT = 24;
+
+// Byte-mode capacity of QR versions 1-10 at error correction level M (the "MA," data prefix)
+const QR_BYTE_CAPACITY = [14, 26, 42, 62, 84, 106, 122, 152, 180, 213];
+
+function toTemplate(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    boxWidth: row.box_width,
+    border: row.border,
+    padding: row.padding,
+    lineGap: row.line_gap,
+    elements: row.elements,
+    isDefault: row.is_default === true,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function isIntegerInRange(value, [min, max]) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function validateElement(element, index, errors) {
+  const prefix = `elements[${index}]`;
+  if (!element || typeof element !== 'object' || Array.isArray(element)) {
+    errors.push(`${prefix} must be an object.`);
+    return null;
+  }
+  if (!TEMPLATE_ELEMENT_TYPES.includes(element.type)) {
+    errors.push(`${prefix}.type must be one of: ${TEMPLATE_ELEMENT_TYPES.join(', ')}.`);
+    return null;
+  }
+
+  const normalized = { type: element.type };
+  const { value } = element;
+  if (typeof value !== 'string' || !value.trim() || value.length > MAX_VALUE_LENGTH) {
+    errors.push(`${prefix}.value must be a non-empty string of at most ${MAX_VALUE_LENGTH} characters.`);
+  } else if (/[\^~]/.test(value)) {
+    errors.push(`${prefix}.value must not contain ^ or ~.`);
+  } else {
+    const unknown = [...value.matchAll(PLACEHOLDER_PATTERN)].find((match) => !TEMPLATE_PLACEHOLDERS.includes(match[1]));
+    if (unknown) {
+      errors.push(
+        `${prefix}.value uses unknown placeholder ${unknown[0]}; available: ${TEMPLATE_PLACEHOLDERS.map((name) => `{${name}}`).join(', ')}.`
+      );
+    } else {
+      normalized.value = value;
+    }
+  }
+
+  if (element.per_item !== undefined) {
+    if (typeof element.per_item !== 'boolean') {
+      errors.push(`${prefix}.per_item must be a boolean.`);
+    } else {
+      normalized.per_item = element.per_item;
+    }
+  }
+
+  const options = ['x', 'y', ...ELEMENT_OPTIONS[element.type]];
+  for (const option of options) {
+    if (element[option] === undefined) {
+      continue;
+    }
+    if (!isIntegerInRange(element[option], ELEMENT_LIMITS[option])) {
+      const [min, max] = ELEMENT_LIMITS[option];
+      errors.push(`${prefix}.${option} must be an integer between ${min} and ${max}.`);
+    } else {
+      normalized[option] = element[option];
+    }
+  }
+
+  const unsupported = Object.keys(element).find((key) => !['type', 'value', 'per_item', ...options].includes(key));
+  if (unsupported) {
+    errors.push(`${prefix}.${unsupported} is not supported for ${element.type} elements.`);
+  }
+  return normalized;
+}
+
+/**
+ * Validate an injection template create/update payload.
+ * @param {object} payload - Request body with name, box_width, border, padding, line_gap, elements, is_default.
+ * @param {{ partial?: boolean }} [options] - partial: fields may be omitted (updates).
+ * @returns {{ ok: boolean, errors: string[], values: object }} values holds the provided fields only.
+ */
+export function validateTemplateInput(payload = {}, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  const has = (field) => payload[field] !== undefined;
+
+  if (has('name') || !partial) {
+    if (typeof payload.name !== 'string' || !payload.name.trim()) {
+      errors.push('name must be a non-empty string.');
+    } else {
+      values.name = payload.name.trim();
+    }
+  }
+  for (const field of Object.keys(TEMPLATE_LIMITS)) {
+    if (has(field)) {
+      if (!isIntegerInRange(payload[field], TEMPLATE_LIMITS[field])) {
+        const [min, max] = TEMPLATE_LIMITS[field];
+        errors.push(`${field} must be an integer between ${min} and ${max} (dots).`);
+      } else {
+        values[field] = payload[field];
+      }
+    }
+  }
+  if (has('elements') || !partial) {
+    const { elements } = payload;
+    if (!Array.isArray(elements) || elements.length < 1 || elements.length > MAX_ELEMENTS) {
+      errors.push(`elements must be an array of 1 to ${MAX_ELEMENTS} elements.`);
+    } else {
+      const errorCount = errors.length;
+      const normalized = elements.map((element, index) => validateElement(element, index, errors));
+      if (errors.length === errorCount) {
+        values.elements = normalized;
+      }
+    }
+  }
+  if (has('is_default')) {
+    if (typeof payload.is_default !== 'boolean') {
+      errors.push('is_default must be a boolean.');
+    } else {
+      values.is_default = payload.is_default;
+    }
+  }
+  if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push(`Provide at least one of: ${TEMPLATE_FIELDS.join(', ')}.`);
+  }
+
+  return { ok: errors.length === 0, errors, values };
+}
+
+/**
+ * List injection templates, ordered by name.
+ * @returns {Promise<object[]>}
+ */
+export async function listInjectionTemplates() {
+  const result = await pool.query(`SELECT ${TEMPLATE_COLUMNS} FROM injection_templates ORDER BY name`);
+  return result.rows.map(toTemplate);
+}
+
+/**
+ * Load one injection template by ID.
+ * @param {number} id - injection_templates.id
+ * @returns {Promise<object|null>}
+ */
+export async function getInjectionTemplate(id) {
+  const result = await pool.query(`SELECT ${TEMPLATE_COLUMNS} FROM injection_templates WHERE id = $1`, [id]);
+  return result.rowCount ? toTemplate(result.rows[0]) : null;
+}
+
+/**
+ * The template used when a request does not pick one.
+ * @returns {Promise<object|null>} null when no template is the default (the built-in SKU/QTY box is used).
+ */
+export async function getDefaultInjectionTemplate() {
+  const result = await pool.query(`SELECT ${TEMPLATE_COLUMNS} FROM injection_templates WHERE is_default LIMIT 1`);
+  return result.rowCount ? toTemplate(result.rows[0]) : null;
+}
+
+function toColumnValue(field, value) {
+  return field === 'elements' ? JSON.stringify(value) : value;
+}
+
+// Run a write in a transaction that first takes the default flag away from the current default
+// when this template becomes the default. `write` returns the row, or null to roll back.
+async function saveTemplate(values, write) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (values.is_default === true) {
+      await client.query('UPDATE injection_templates SET is_default = false, updated_at = NOW() WHERE is_default');
+    }
+    const row = await write(client);
+    await client.query(row ? 'COMMIT' : 'ROLLBACK');
+    return row ? toTemplate(row) : null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      throw new AppError(`A template named "${values.name}" already exists.`, { statusCode: 409 });
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create an injection template. Omitted sizes take the column defaults (700-dot box, 3-dot border).
+ * @param {object} values - Validated values from validateTemplateInput.
+ * @returns {Promise<object>}
+ */
+export function createInjectionTemplate(values) {
+  const fields = TEMPLATE_FIELDS.filter((field) => values[field] !== undefined);
+  return saveTemplate(values, async (client) => {
+    const result = await client.query(
+      `INSERT INTO injection_templates (${fields.join(', ')})
+       VALUES (${fields.map((_, idx) => `$${idx + 1}`).join(', ')})
+       RETURNING ${TEMPLATE_COLUMNS}`,
+      fields.map((field) => toColumnValue(field, values[field]))
+    );
+    return result.rows[0];
+  });
+}
+
+/**
+ * Update the given fields of an injection template.
+ * @param {number} id - injection_templates.id
+ * @param {object} values - Validated values from validateTemplateInput({ partial: true }).
+ * @returns {Promise<object|null>} null when the template does not exist.
+ */
+export function updateInjectionTemplate(id, values) {
+  const fields = TEMPLATE_FIELDS.filter((field) => values[field] !== undefined);
+  return saveTemplate(values, async (client) => {
+    const result = await client.query(
+      `UPDATE injection_templates
+       SET ${fields.map((field, idx) => `${field} = $${idx + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${TEMPLATE_COLUMNS}`,
+      [id, ...fields.map((field) => toColumnValue(field, values[field]))]
+    );
+    return result.rows[0] || null;
+  });
+}
+
+/**
+ * Delete an injection template. Deleting the default falls back to the built-in footer.
+ * @param {number} id - injection_templates.id
+ * @returns {Promise<boolean>} false when the template does not exist.
+ */
+export async function deleteInjectionTemplate(id) {
+  const result = await pool.query('DELETE FROM injection_templates WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Bin locations of SKUs, for the {bin_location} placeholder. Skips the query when the
+ * template does not use it.
+ * @param {object|null} template
+ * @param {string[]} skus
+ * @returns {Promise<Map<string, string>>} sku -> bin location, for SKUs that have one.
+ */
+export async function loadBinLocations(template, skus) {
+  const usesBins = template?.elements.some((element) => element.value.includes('{bin_location}'));
+  if (!usesBins || !skus.length) {
+    return new Map();
+  }
+  const result = await pool.query(
+    `SELECT sku, bin_location FROM product_shipping_defaults
+     WHERE sku = ANY($1::varchar[]) AND bin_location IS NOT NULL AND bin_location <> ''`,
+    [skus]
+  );
+  return new Map(result.rows.map((row) => [row.sku, row.bin_location]));
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function getPlaceholderValues(lines, fields, line = null) {
+  const bins = fields.binLocations || new Map();
+  const common = {
+    order_id: fields.orderId || '',
+    customer_name: fields.customerName || '',
+    batch_name: fields.batchName || ''
+  };
+  if (line) {
+    return { ...common, sku: line.sku, quantity: String(line.quantity), bin_location: bins.get(line.sku) || '' };
+  }
+  return {
+    ...common,
+    sku: unique(lines.map((entry) => entry.sku)).join(', '),
+    quantity: String(lines.reduce((sum, entry) => sum + entry.quantity, 0)),
+    bin_location: unique(lines.map((entry) => bins.get(entry.sku)).filter(Boolean)).join(', ')
+  };
+}
+
+function fillPlaceholders(value, values) {
+  return value.replace(PLACEHOLDER_PATTERN, (_, name) => values[name] ?? '').trim();
+}
+
+/**
+ * ^FD...^FS for field data, hex-escaping the characters ZPL would read as commands (^FH_).
+ * @param {string} text
+ * @returns {string}
+ */
+export function fieldData(text) {
+  if (!/[\^~_]/.test(text)) {
+    return `^FD${text}^FS`;
+  }
+  const escaped = text.replace(/[\^~_]/g, (char) => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `^FH_^FD${escaped}^FS`;
+}
+
+function fitText(text, fontWidth, maxWidth) {
+  if (measureText(text, fontWidth) <= maxWidth) {
+    return text;
+  }
+  let length = text.length - 1;
+  while (length > 0 && measureText(`${text.slice(0, length)}...`, fontWidth) > maxWidth) {
+    length -= 1;
+  }
+  return length > 0 ? `${text.slice(0, length)}...` : null;
+}
+
+/**
+ * ZPL for one element after the ^FO, and the height it takes.
+ * @returns {{ command: string, height: number, truncated?: string }|{ error: string }}
+ */
+function buildElement(element, text, maxWidth) {
+  if (element.type === 'text') {
+    const fontHeight = element.font_height ?? ELEMENT_DEFAULTS.font_height;
+    const fontWidth = element.font_width ?? fontHeight;
+    const fitted = fitText(text, fontWidth, maxWidth);
+    if (fitted === null) {
+      return { error: `Text "${text}" does not fit the ${maxWidth}-dot space left in the template box.` };
+    }
+    return {
+      command: `^A0N,${fontHeight},${fontWidth}${fieldData(fitted)}`,
+      height: fontHeight,
+      truncated: fitted !== text ? fitted : undefined
+    };
+  }
+
+  if (element.type === 'code128') {
+    const moduleWidth = element.module_width ?? ELEMENT_DEFAULTS.module_width;
+    const height = element.height ?? ELEMENT_DEFAULTS.height;
+    let modules;
+    try {
+      ({ modules } = encodeCode128(text));
+    } catch (err) {
+      return { error: `Code 128 barcode for "${text}" cannot be encoded: ${err.message}` };
+    }
+    const width = modules.reduce((sum, value) => sum + value, 0) * moduleWidth;
+    if (width > maxWidth) {
+      return { error: `Code 128 barcode for "${text}" is ${width} dots wide; only ${maxWidth} dots are left in the template box.` };
+    }
+    return { command: `^BY${moduleWidth}^BCN,${height},N,N,N${fieldData(text)}`, height };
+  }
+
+  const magnification = element.magnification ?? ELEMENT_DEFAULTS.magnification;
+  const bytes = Buffer.byteLength(text, 'utf8');
+  const version = QR_BYTE_CAPACITY.findIndex((capacity) => bytes <= capacity) + 1;
+  if (!version) {
+    return { error: `QR code data is ${bytes} bytes; at most ${QR_BYTE_CAPACITY[QR_BYTE_CAPACITY.length - 1]} fit.` };
+  }
+  const size = (17 + 4 * version) * magnification;
+  if (size > maxWidth) {
+    return { error: `QR code for "${text}" is ${size} dots wide; only ${maxWidth} dots are left in the template box.` };
+  }
+  return { command: `^BQN,2,${magnification}${fieldData(`MA,${text}`)}`, height: size };
+}
+
+// Consecutive per_item elements form one group that repeats for every item
+function groupElements(elements) {
+  const groups = [];
+  for (const element of elements) {
+    const perItem = element.per_item === true;
+    const last = groups[groups.length - 1];
+    if (perItem && last?.perItem) {
+      last.elements.push(element);
+    } else {
+      groups.push({ perItem, elements: [element] });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Lay out a template for the first `shown` lines, in dots relative to the box's top-left corner.
+ * Elements without y go below the previous element; y is relative to the box top, or to the
+ * item's row for per_item elements (so a barcode can sit next to the item's text).
+ * @returns {{ placements: object[], height: number, truncations: object[] }|{ error: string }}
+ */
+function layoutTemplate(template, lines, shown, fields) {
+  const { boxWidth, padding, lineGap } = template;
+  const placements = [];
+  const truncations = [];
+  let bottom = null;
+  const nextTop = () => (bottom === null ? padding : bottom + lineGap);
+
+  const placeRow = (elements, values, base) => {
+    const rowTop = nextTop();
+    let rowBottom = null;
+    for (const element of elements) {
+      const text = fillPlaceholders(element.value, values);
+      if (!text) {
+        continue;
+      }
+      const x = element.x ?? padding;
+      const built = buildElement(element, text, boxWidth - padding - x);
+      if (built.error) {
+        return built.error;
+      }
+      if (built.truncated) {
+        truncations.push({ original: text, truncated: built.truncated });
+      }
+      const y =
+        element.y !== undefined ? (base === 'row' ? rowTop : 0) + element.y : rowBottom === null ? rowTop : rowBottom + lineGap;
+      placements.push({ x, y, command: built.command });
+      rowBottom = Math.max(rowBottom ?? 0, y + built.height);
+    }
+    if (rowBottom !== null) {
+      bottom = Math.max(bottom ?? 0, rowBottom);
+    }
+    return null;
+  };
+
+  for (const group of groupElements(template.elements)) {
+    if (!group.perItem) {
+      const error = placeRow(group.elements, getPlaceholderValues(lines, fields), 'box');
+      if (error) {
+        return { error };
+      }
+      continue;
+    }
+    for (const line of lines.slice(0, shown)) {
+      const error = placeRow(group.elements, getPlaceholderValues(lines, fields, line), 'row');
+      if (error) {
+        return { error };
+      }
+    }
+    const hidden = lines.slice(shown);
+    if (hidden.length) {
+      const textElement = group.elements.find((element) => element.type === 'text');
+      const fontHeight = textElement ? (textElement.font_height ?? ELEMENT_DEFAULTS.font_height) : SUMMARY_FONT_HEIGHT;
+      const units = hidden.reduce((sum, line) => sum + line.quantity, 0);
+      placeRow([{ type: 'text', value: `+${hidden.length} more (${units} pcs)`, font_height: fontHeight }], {}, 'row');
+    }
+  }
+
+  return { placements, height: (bottom ?? 0) + padding, truncations };
+}
+
+/**
+ * Scale a template for a label of another resolution (e.g. factor 1.5 for 300 dpi), filling in
+ * the element defaults first so they scale too.
+ * @param {object} template - Injection template (toTemplate shape).
+ * @param {number} factor - Target dots per mm / TEMPLATE_DOTS_PER_MM.
+ * @returns {object} The template itself when factor is 1, otherwise a scaled copy.
+ */
+export function scaleTemplate(template, factor) {
+  if (factor === 1) {
+    return template;
+  }
+  const scale = (value) => (value > 0 ? Math.max(1, Math.round(value * factor)) : value);
+  const scaleElement = (element) => {
+    const scaled = { ...element };
+    ELEMENT_OPTIONS[element.type].forEach((key) => {
+      if (key in ELEMENT_DEFAULTS && scaled[key] === undefined) {
+        scaled[key] = ELEMENT_DEFAULTS[key];
+      }
+    });
+    Object.keys(ELEMENT_LIMITS).forEach((key) => {
+      if (typeof scaled[key] === 'number') {
+        // Module widths and magnifications cannot go past what the printer accepts
+        scaled[key] = key === 'module_width' || key === 'magnification'
+          ? Math.min(ELEMENT_LIMITS[key][1], scale(scaled[key]))
+          : scale(scaled[key]);
+      }
+    });
+    return scaled;
+  };
+  return {
+    ...template,
+    boxWidth: scale(template.boxWidth),
+    border: scale(template.border),
+    padding: scale(template.padding),
+    lineGap: scale(template.lineGap),
+    elements: template.elements.map(scaleElement)
+  };
+}
+
+/**
+ * Build the footer ZPL for a template, placed with its top-left corner at (x, y).
+ * - Fills {placeholders} per item (per_item elements) or for the whole label.
+ * - Shrinks long text to the box width; barcodes that do not fit are an error.
+ * - When the box would run past ^LL (or past maxItemRows item rows), the last item rows are
+ *   replaced with a "+N more" summary, as in the built-in footer.
+ * @param {object} template - Injection template (toTemplate shape).
+ * @param {{ x: number, y: number, lines: { sku: string, quantity: number }[], fields?: object, labelLength?: number|null, maxItemRows: number }} options
+ *   fields: orderId, customerName, batchName and binLocations (Map sku -> bin) for the placeholders.
+ * @returns {{ success: boolean, block?: string, box?: object, error?: string, layout?: { name: string, templateId: number, shown: number, hidden: number } }}
+ *   box: the area the footer covers, { x, y, width, height } in dots.
+ */
+export function buildTemplateFooter(template, { x, y, lines, fields = {}, labelLength = null, maxItemRows }) {
+  const hasItemRows = template.elements.some((element) => element.per_item === true);
+  // Keep one row for the "+N more" summary when not every line can be shown
+  let shown = hasItemRows && lines.length > maxItemRows ? maxItemRows - 1 : lines.length;
+
+  for (;;) {
+    const layout = layoutTemplate(template, lines, shown, fields);
+    if (layout.error) {
+      return { success: false, error: layout.error };
+    }
+    const maxY = y + layout.height;
+    if (labelLength !== null && maxY > labelLength) {
+      if (!hasItemRows || shown <= 1) {
+        return { success: false, error: `Injection exceeds label length (${maxY} > ${labelLength}).` };
+      }
+      shown -= 1;
+      continue;
+    }
+
+    layout.truncations.forEach(({ original, truncated }) => {
+      logger.warn('Template text truncated for ZPL injection', {
+        operation: 'zpl.inject.truncate',
+        templateId: template.id,
+        original,
+        truncated
+      });
+    });
+    const box = template.border > 0 ? [`^FO${x},${y}^GB${template.boxWidth},${layout.height},${template.border}^FS`] : [];
+    const block = [
+      ...box,
+      ...layout.placements.map((placement) => `^FO${x + placement.x},${y + placement.y}${placement.command}`)
+    ].join('\n');
+    return {
+      success: true,
+      block,
+      box: { x, y, width: template.boxWidth, height: layout.height },
+      layout: { name: template.name, templateId: template.id, shown, hidden: lines.length - shown }
+    };
+  }
+}
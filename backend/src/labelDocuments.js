@@ -0,0 +1,161 @@
+// PDF and PNG labels, which Amazon returns instead of ZPL for laser printers. The SKU/QTY footer is
+// drawn as ZPL and stamped onto them; PNG labels can still be sent to a Zebra as a ^GF graphic.
+import { AppError } from './middleware/errorHandler.js';
+import { POINTS_PER_MM } from './pdf.js';
+import { combinePdfs, getPdfPageSize, readPdf, stampPdfImage } from './pdfDocument.js';
+import { decodePng, encodePng } from './png.js';
+import { encodeGraphic } from './zpl/graphics.js';
+
+export const DOCUMENT_LABEL_FORMATS = ['PDF', 'PNG'];
+
+const MIME_TYPES = { PDF: 'application/pdf', PNG: 'image/png' };
+
+// PDF pages have no dots of their own; footers for them are drawn at 300 dpi
+const PDF_STAMP_DOTS_PER_MM = 12;
+
+// PNG labels without a pHYs resolution are taken to be 203 dpi, like Amazon's ZPL
+const DEFAULT_PNG_DOTS_PER_MM = 8;
+
+/**
+ * @param {string|null} labelFormat
+ * @returns {boolean} true for PDF and PNG labels.
+ */
+export function isDocumentFormat(labelFormat) {
+  return DOCUMENT_LABEL_FORMATS.includes(labelFormat);
+}
+
+/**
+ * @param {string} labelFormat - 'PDF' or 'PNG'.
+ * @returns {string}
+ */
+export function getDocumentMimeType(labelFormat) {
+  return MIME_TYPES[labelFormat];
+}
+
+function decodePngLabel(document) {
+  const { bitmap, dotsPerMm } = decodePng(document);
+  return { bitmap, dotsPerMm: dotsPerMm ? Math.round(dotsPerMm) : DEFAULT_PNG_DOTS_PER_MM };
+}
+
+/**
+ * Blank canvas the size of a PDF or PNG label (the first page of a PDF) to draw its footer on.
+ * @param {Buffer} document
+ * @param {string} labelFormat - 'PDF' or 'PNG'.
+ * @returns {{ width: number, height: number, dotsPerMm: number }} Size in dots at the resolution the footer is drawn at.
+ * @throws {Error} When the file cannot be read.
+ */
+export function getDocumentCanvas(document, labelFormat) {
+  if (labelFormat === 'PNG') {
+    const { bitmap, dotsPerMm } = decodePngLabel(document);
+    return { width: bitmap.width, height: bitmap.height, dotsPerMm };
+  }
+  const { width, height } = getPdfPageSize(readPdf(document));
+  return {
+    width: Math.round((width / POINTS_PER_MM) * PDF_STAMP_DOTS_PER_MM),
+    height: Math.round((height / POINTS_PER_MM) * PDF_STAMP_DOTS_PER_MM),
+    dotsPerMm: PDF_STAMP_DOTS_PER_MM
+  };
+}
+
+// Smallest rectangle holding every black dot, or null for a blank bitmap
+function getInkBounds(bitmap) {
+  let left = bitmap.width;
+  let top = bitmap.height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < bitmap.height; y += 1) {
+    for (let x = 0; x < bitmap.width; x += 1) {
+      if (bitmap.data[y * bitmap.width + x]) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+  return right < 0 ? null : { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+function cropBitmap(bitmap, { x, y, width, height }) {
+  const data = new Uint8Array(width * height);
+  for (let row = 0; row < height; row += 1) {
+    data.set(bitmap.data.subarray((y + row) * bitmap.width + x, (y + row) * bitmap.width + x + width), row * width);
+  }
+  return { width, height, data };
+}
+
+/**
+ * Stamp an overlay drawn on the getDocumentCanvas canvas onto a label: its black dots are added to
+ * the PNG, or drawn as an image over the first PDF page.
+ * @param {Buffer} document
+ * @param {string} labelFormat - 'PDF' or 'PNG'.
+ * @param {{ width: number, height: number, data: Uint8Array }} overlay
+ * @returns {{ document: Buffer, covered: boolean }} covered: the overlay's area already held printed dots
+ *   (PNG labels only; PDF pages are not checked).
+ * @throws {Error} When the file cannot be read or stamped.
+ */
+export function stampDocument(document, labelFormat, overlay) {
+  const bounds = getInkBounds(overlay);
+  if (!bounds) {
+    return { document, covered: false };
+  }
+
+  if (labelFormat === 'PNG') {
+    const { bitmap, dotsPerMm } = decodePngLabel(document);
+    let covered = false;
+    for (let y = bounds.y; y < bounds.y + bounds.height && y < bitmap.height; y += 1) {
+      for (let x = bounds.x; x < bounds.x + bounds.width && x < bitmap.width; x += 1) {
+        const index = y * bitmap.width + x;
+        covered = covered || bitmap.data[index] === 1;
+        bitmap.data[index] |= overlay.data[y * overlay.width + x];
+      }
+    }
+    return { document: encodePng(bitmap, { dotsPerMm }), covered };
+  }
+
+  const pdf = readPdf(document);
+  const toPoints = (dots) => (dots / PDF_STAMP_DOTS_PER_MM) * POINTS_PER_MM;
+  stampPdfImage(pdf, 0, {
+    bitmap: cropBitmap(overlay, bounds),
+    x: toPoints(bounds.x),
+    y: toPoints(bounds.y),
+    width: toPoints(bounds.width),
+    height: toPoints(bounds.height)
+  });
+  return { document: combinePdfs([pdf]), covered: false };
+}
+
+/**
+ * ZPL that prints a PNG label as a single ^GF graphic, at the PNG's resolution.
+ * @param {Buffer} document
+ * @returns {{ zpl: string, dotsPerMm: number }}
+ */
+export function pngToZpl(document) {
+  const { bitmap, dotsPerMm } = decodePngLabel(document);
+  const { totalBytes, bytesPerRow, data } = encodeGraphic(bitmap);
+  return {
+    zpl: `^XA\n^PW${bitmap.width}\n^LL${bitmap.height}\n^FO0,0^GFA,${totalBytes},${totalBytes},${bytesPerRow},${data}^FS\n^XZ`,
+    dotsPerMm
+  };
+}
+
+/**
+ * Label entries as ZPL for a label printer: PNG labels ({ document, labelFormat }) become a ^GF graphic,
+ * ZPL entries are returned unchanged.
+ * @param {object[]} entries
+ * @returns {{ zpl: string, dotsPerMm: number }[]}
+ * @throws {AppError} 409 for PDF labels, which only a laser printer can print.
+ */
+export function toZplEntries(entries) {
+  return entries.map(({ document, labelFormat, ...entry }) => {
+    if (!document) {
+      return entry;
+    }
+    if (labelFormat !== 'PNG') {
+      throw new AppError(`Label ${entry.labelId} is a ${labelFormat} label and cannot be printed on a label printer; download it instead.`, {
+        statusCode: 409
+      });
+    }
+    return { ...entry, ...pngToZpl(document) };
+  });
+}
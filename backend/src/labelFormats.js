@@ -0,0 +1,76 @@
+import { LABEL_FORMAT } from './config.js';
+import { logger } from './logger.js';
+import { scaleZpl } from './zpl/scale.js';
+
+// Zebra's nominal dots per millimetre for each printhead resolution
+const DOTS_PER_MM_BY_DPI = { 152: 6, 203: 8, 300: 12, 600: 24 };
+
+const LABEL_FORMAT_DPI = { ZPL203: 203, ZPL300: 300 };
+
+/**
+ * @param {number} dpi - Printhead resolution.
+ * @returns {number} Dots per millimetre.
+ */
+export function dpiToDotsPerMm(dpi) {
+  return DOTS_PER_MM_BY_DPI[dpi] ?? Math.round(dpi / 25.4);
+}
+
+/**
+ * Dots per millimetre of a stored or bought label. Unknown formats (labels stored before the
+ * format was recorded) are treated as 203 dpi, which is all Amazon returned until then.
+ * @param {string|null} labelFormat - 'ZPL203' or 'ZPL300'.
+ * @returns {number}
+ */
+export function getLabelDotsPerMm(labelFormat) {
+  return dpiToDotsPerMm(LABEL_FORMAT_DPI[labelFormat] ?? 203);
+}
+
+/**
+ * Label format to buy for a printer: ZPL300 for 300 dpi and finer printheads (600 dpi labels are
+ * scaled when printed), ZPL203 below. Without a printer the station's LABEL_FORMAT applies.
+ * @param {{ dpi: number }|null} printer
+ * @returns {string}
+ */
+export function getLabelFormatForPrinter(printer) {
+  if (!printer) {
+    return LABEL_FORMAT;
+  }
+  return printer.dpi >= 300 ? 'ZPL300' : 'ZPL203';
+}
+
+/**
+ * Convert millimetres to whole dots.
+ * @param {number} mm
+ * @param {number} dotsPerMm
+ * @returns {number}
+ */
+export function mmToDots(mm, dotsPerMm) {
+  return Math.round(mm * dotsPerMm);
+}
+
+/**
+ * Rescale label entries ({ zpl, dotsPerMm, ... }) for one resolution, e.g. stored 203 dpi labels for a
+ * 300 dpi printer. Entries already at that resolution, and PDF/PNG labels, are returned unchanged.
+ * @param {{ zpl?: string, dotsPerMm?: number }[]} entries
+ * @param {number} dotsPerMm - Target resolution.
+ * @returns {{ zpl?: string, dotsPerMm?: number }[]}
+ */
+export function convertLabelEntries(entries, dotsPerMm) {
+  return entries.map((entry) => {
+    if (!entry.zpl || entry.dotsPerMm === dotsPerMm) {
+      return entry;
+    }
+    const { zpl, warnings } = scaleZpl(entry.zpl, { fromDotsPerMm: entry.dotsPerMm, toDotsPerMm: dotsPerMm });
+    if (warnings.length) {
+      logger.warn('Label rescaled with warnings', {
+        operation: 'label.scale',
+        amazon_order_id: entry.amazon_order_id,
+        labelId: entry.labelId,
+        from: entry.dotsPerMm,
+        to: dotsPerMm,
+        warnings
+      });
+    }
+    return { ...entry, zpl, dotsPerMm };
+  });
+}
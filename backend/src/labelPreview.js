@@ -0,0 +1,100 @@
+import { decodePng, encodePng } from './png.js';
+import { buildPdf, PAGE_SIZES, POINTS_PER_MM } from './pdf.js';
+import { combinePdfs, readPdf } from './pdfDocument.js';
+import { DEFAULT_DOTS_PER_MM, renderZpl } from './zpl/renderer.js';
+
+// 'label' pages match the label; 'A4' puts each label at true size in the top-left corner
+// of an A4 sheet, for laser printers.
+export const PREVIEW_PAGE_SIZES = ['label', 'A4'];
+
+const A4_MARGIN_MM = 10;
+
+function toPdfPage(bitmap, dotsPerMm, pageSize) {
+  const width = (bitmap.width / dotsPerMm) * POINTS_PER_MM;
+  const height = (bitmap.height / dotsPerMm) * POINTS_PER_MM;
+
+  if (pageSize === 'A4') {
+    const margin = A4_MARGIN_MM * POINTS_PER_MM;
+    return { ...PAGE_SIZES.A4, images: [{ bitmap, x: margin, y: margin, width, height }] };
+  }
+  return { width, height, images: [{ bitmap, x: 0, y: 0, width, height }] };
+}
+
+// Render each entry at its own resolution, keeping track of which order/label every page belongs to.
+// PNG labels are decoded; PDF labels are passed on as they are (pdf instead of bitmap).
+function renderEntries(entries, defaultDotsPerMm) {
+  return entries.flatMap(({ zpl, document, labelFormat, dotsPerMm = defaultDotsPerMm, ...source }) => {
+    if (document && labelFormat === 'PDF') {
+      return [{ source, pdf: document, warnings: ['PDF labels are not shown as images; download the PDF to see them.'] }];
+    }
+    if (document) {
+      const png = decodePng(document);
+      const pngDotsPerMm = png.dotsPerMm ? Math.round(png.dotsPerMm) : dotsPerMm;
+      return [{ source: { ...source, dotsPerMm: pngDotsPerMm }, bitmap: png.bitmap, warnings: [] }];
+    }
+    return renderZpl(zpl, { dotsPerMm }).map(({ bitmap, warnings }) => ({ source: { ...source, dotsPerMm }, bitmap, warnings }));
+  });
+}
+
+// One PDF of every rendered page, with PDF labels copied in at their place
+function buildRenderedPdf(rendered, pageSize) {
+  if (!rendered.some((entry) => entry.pdf)) {
+    return buildPdf(rendered.map(({ source, bitmap }) => toPdfPage(bitmap, source.dotsPerMm, pageSize)));
+  }
+  return combinePdfs(
+    rendered.map(({ source, bitmap, pdf }) => readPdf(pdf || buildPdf([toPdfPage(bitmap, source.dotsPerMm, pageSize)])))
+  );
+}
+
+/**
+ * Render labels to PNG pages and a single PDF for the preview modal.
+ * Entries are ZPL ({ zpl, dotsPerMm }) or PDF/PNG labels ({ document, labelFormat }); PDF labels
+ * only appear in the PDF, at their own page size.
+ * @param {{ zpl?: string, document?: Buffer, labelFormat?: string, amazon_order_id?: string, labelId?: number, dotsPerMm?: number }[]} entries
+ * @param {{ dotsPerMm?: number, pageSize?: 'label'|'A4' }} [options] - dotsPerMm for entries without their own.
+ * @returns {{ pages: object[], pdf: string, warnings: string[] }} PNG pages and PDF as base64;
+ *   each page carries the amazon_order_id / labelId of its entry and its own warnings.
+ */
+export function buildLabelPreview(entries, { dotsPerMm = DEFAULT_DOTS_PER_MM, pageSize = 'label' } = {}) {
+  const rendered = renderEntries(entries, dotsPerMm);
+
+  return {
+    pages: rendered
+      .filter(({ bitmap }) => bitmap)
+      .map(({ source, bitmap, warnings }) => ({
+        ...source,
+        width: bitmap.width,
+        height: bitmap.height,
+        png: encodePng(bitmap, { dotsPerMm: source.dotsPerMm }).toString('base64'),
+        warnings
+      })),
+    pdf: buildRenderedPdf(rendered, pageSize).toString('base64'),
+    warnings: [...new Set(rendered.flatMap(({ warnings }) => warnings))]
+  };
+}
+
+/**
+ * Render labels to a PDF with one page per label (see buildLabelPreview for the entries).
+ * @param {object[]} entries
+ * @param {{ dotsPerMm?: number, pageSize?: 'label'|'A4' }} [options]
+ * @returns {Buffer}
+ */
+export function renderLabelsPdf(entries, { dotsPerMm = DEFAULT_DOTS_PER_MM, pageSize = 'label' } = {}) {
+  return buildRenderedPdf(renderEntries(entries, dotsPerMm), pageSize);
+}
+
+/**
+ * Render exactly one ZPL or PNG label to a PNG. PNG labels are returned as stored.
+ * @param {object[]} entries - See buildLabelPreview.
+ * @param {{ dotsPerMm?: number }} [options]
+ * @returns {Buffer|null} null for no label, several labels or a PDF label.
+ */
+export function renderLabelPng(entries, { dotsPerMm = DEFAULT_DOTS_PER_MM } = {}) {
+  if (entries.length === 1 && entries[0].document) {
+    return entries[0].labelFormat === 'PNG' ? entries[0].document : null;
+  }
+  const rendered = renderEntries(entries, dotsPerMm);
+  return rendered.length === 1 && rendered[0].bitmap
+    ? encodePng(rendered[0].bitmap, { dotsPerMm: rendered[0].source.dotsPerMm })
+    : null;
+}
@@ -0,0 +1,208 @@
+import { pool } from './db.js';
+
+// Everything but the ZPL bodies and PDF/PNG files, which are only loaded to print
+const LABEL_SUMMARY_COLUMNS = `
+  id, amazon_order_id, shipment_id, tracking_id, shipping_service_id, shipping_service_name,
+  carrier_name, cost, currency, weight_value, weight_unit, length, width, height, dimension_unit,
+  items, label_format, created_at, voided_at, void_status,
+  original_zpl IS NOT NULL AS has_original_zpl, original_document IS NOT NULL AS has_original_document
+`;
+
+const LABEL_BODY_COLUMNS = 'original_zpl, label_zpl, original_document, label_document';
+
+function toNumberOrNull(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Public view of a labels row, without the ZPL bodies and files.
+ * @param {object} row - labels row selected with the summary columns.
+ * @returns {object}
+ */
+export function describeLabel(row) {
+  return {
+    id: row.id,
+    amazon_order_id: row.amazon_order_id,
+    shipmentId: row.shipment_id,
+    trackingId: row.tracking_id,
+    shippingService: {
+      id: row.shipping_service_id,
+      name: row.shipping_service_name,
+      carrier: row.carrier_name
+    },
+    cost: toNumberOrNull(row.cost),
+    currency: row.currency,
+    weight: row.weight_value === null ? null : { value: Number(row.weight_value), unit: row.weight_unit },
+    dimensions:
+      row.length === null
+        ? null
+        : {
+            length: Number(row.length),
+            width: Number(row.width),
+            height: Number(row.height),
+            unit: row.dimension_unit
+          },
+    items: row.items,
+    labelFormat: row.label_format,
+    hasOriginalZpl: row.has_original_zpl === true,
+    hasOriginalDocument: row.has_original_document === true,
+    createdAt: row.created_at,
+    voided: row.voided_at !== null,
+    voidedAt: row.voided_at,
+    voidStatus: row.void_status
+  };
+}
+
+/**
+ * Store a purchased label and point the order at it, in one transaction.
+ * @param {object} purchase
+ * @param {string} purchase.amazonOrderId
+ * @param {string} purchase.status - New order status ('LabelBought' once every item has a label).
+ * @param {object} purchase.labelledItems - Updated orders.labelled_items.
+ * @param {string|null} purchase.shipmentId
+ * @param {string|null} purchase.trackingId
+ * @param {object} purchase.shippingService - From buyLabel (id, name, carrier, cost, currency).
+ * @param {{ value: number, unit: string }} purchase.weight
+ * @param {{ length: number, width: number, height: number, unit: string }} purchase.dimensions
+ * @param {object[]} purchase.items - Items on this label.
+ * @param {string} purchase.labelFormat
+ * @param {string|null} purchase.originalZpl - ZPL as returned by Amazon.
+ * @param {string|null} purchase.labelZpl - ZPL with the SKU/QTY footer injected.
+ * @param {Buffer|null} [purchase.originalDocument] - PDF or PNG as returned by Amazon, for those formats.
+ * @param {Buffer|null} [purchase.labelDocument] - PDF or PNG with the footer stamped on.
+ * @returns {Promise<number>} The new labels.id.
+ */
+export async function recordLabelPurchase(purchase) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const inserted = await client.query(
+      `INSERT INTO labels (
+         amazon_order_id, shipment_id, tracking_id, shipping_service_id, shipping_service_name,
+         carrier_name, cost, currency, weight_value, weight_unit, length, width, height, dimension_unit,
+         items, label_format, original_zpl, label_zpl, original_document, label_document
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+       RETURNING id`,
+      [
+        purchase.amazonOrderId,
+        purchase.shipmentId || null,
+        purchase.trackingId || null,
+        purchase.shippingService?.id || null,
+        purchase.shippingService?.name || null,
+        purchase.shippingService?.carrier || null,
+        purchase.shippingService?.cost ?? null,
+        purchase.shippingService?.currency || null,
+        purchase.weight.value,
+        purchase.weight.unit,
+        purchase.dimensions.length,
+        purchase.dimensions.width,
+        purchase.dimensions.height,
+        purchase.dimensions.unit,
+        JSON.stringify(purchase.items),
+        purchase.labelFormat,
+        purchase.originalZpl,
+        purchase.labelZpl,
+        purchase.originalDocument || null,
+        purchase.labelDocument || null
+      ]
+    );
+    await client.query(
+      `UPDATE orders
+       SET status = $1, tracking_id = $2, shipment_id = $3, labelled_items = $4
+       WHERE amazon_order_id = $5`,
+      [
+        purchase.status,
+        purchase.trackingId || null,
+        purchase.shipmentId || null,
+        JSON.stringify(purchase.labelledItems),
+        purchase.amazonOrderId
+      ]
+    );
+    await client.query('COMMIT');
+    return inserted.rows[0].id;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Every label ever bought for an order, newest first.
+ * @param {string} amazonOrderId
+ * @returns {Promise<object[]>} Described labels.
+ */
+export async function listOrderLabels(amazonOrderId) {
+  const result = await pool.query(
+    `SELECT ${LABEL_SUMMARY_COLUMNS} FROM labels
+     WHERE amazon_order_id = $1
+     ORDER BY created_at DESC, id DESC`,
+    [amazonOrderId]
+  );
+  return result.rows.map(describeLabel);
+}
+
+/**
+ * Labels of an order that have not been voided, oldest first, with both ZPL versions (or PDF/PNG files).
+ * @param {string} amazonOrderId
+ * @returns {Promise<object[]>} labels rows.
+ */
+export async function getActiveLabels(amazonOrderId) {
+  const result = await pool.query(
+    `SELECT ${LABEL_SUMMARY_COLUMNS}, ${LABEL_BODY_COLUMNS} FROM labels
+     WHERE amazon_order_id = $1 AND voided_at IS NULL
+     ORDER BY created_at, id`,
+    [amazonOrderId]
+  );
+  return result.rows;
+}
+
+/**
+ * Load one label with both ZPL versions (or PDF/PNG files).
+ * @param {number} labelId
+ * @returns {Promise<object|null>} labels row.
+ */
+export async function getLabel(labelId) {
+  const result = await pool.query(
+    `SELECT ${LABEL_SUMMARY_COLUMNS}, ${LABEL_BODY_COLUMNS} FROM labels WHERE id = $1`,
+    [labelId]
+  );
+  return result.rowCount ? result.rows[0] : null;
+}
+
+/**
+ * Mark a label voided and move the order back to 'Unshipped', pointing it at its newest
+ * remaining active label (if any), in one transaction.
+ * @param {{ labelId: number, amazonOrderId: string, voidStatus: string|null, labelledItems: object }} params
+ */
+export async function recordLabelVoid({ labelId, amazonOrderId, voidStatus, labelledItems }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('UPDATE labels SET voided_at = NOW(), void_status = $1 WHERE id = $2', [voidStatus, labelId]);
+    await client.query(
+      `UPDATE orders o
+       SET status = 'Unshipped',
+           labelled_items = $1,
+           tracking_id = latest.tracking_id,
+           shipment_id = latest.shipment_id
+       FROM (SELECT $2::varchar AS amazon_order_id) target
+       LEFT JOIN LATERAL (
+         SELECT tracking_id, shipment_id FROM labels
+         WHERE amazon_order_id = target.amazon_order_id AND voided_at IS NULL
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1
+       ) latest ON true
+       WHERE o.amazon_order_id = target.amazon_order_id`,
+      [JSON.stringify(labelledItems), amazonOrderId]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
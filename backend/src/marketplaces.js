@@ -0,0 +1,28 @@
+// Amazon EU storefronts served from the same SP-API region (sellingpartnerapi-eu).
+// currency is the storefront default, used when an order carries no price information.
+export const EU_MARKETPLACES = {
+  APJ6JRA9NG5V4: { countryCode: 'IT', name: 'Amazon.it', currency: 'EUR' },
+  A1PA6795UKMFR9: { countryCode: 'DE', name: 'Amazon.de', currency: 'EUR' },
+  A13V1IB3VIYZZH: { countryCode: 'FR', name: 'Amazon.fr', currency: 'EUR' },
+  A1RKKUPIHCS9HS: { countryCode: 'ES', name: 'Amazon.es', currency: 'EUR' },
+  A1805IZSGTT6HS: { countryCode: 'NL', name: 'Amazon.nl', currency: 'EUR' },
+  AMEN7PMS3EDWL: { countryCode: 'BE', name: 'Amazon.com.be', currency: 'EUR' },
+  A1F83G8C2ARO7P: { countryCode: 'GB', name: 'Amazon.co.uk', currency: 'GBP' },
+  A2NODRKZP88ZB9: { countryCode: 'SE', name: 'Amazon.se', currency: 'SEK' },
+  A1C3SOZRARQ6R3: { countryCode: 'PL', name: 'Amazon.pl', currency: 'PLN' }
+};
+
+/**
+ * Look up a marketplace by ID.
+ * @param {string} marketplaceId - Amazon MarketplaceId.
+ * @returns {{ id: string, countryCode: string|null, name: string, currency: string|null }}
+ */
+export function describeMarketplace(marketplaceId) {
+  const known = EU_MARKETPLACES[marketplaceId];
+  return {
+    id: marketplaceId,
+    countryCode: known ? known.countryCode : null,
+    name: known ? known.name : marketplaceId,
+    currency: known ? known.currency : null
+  };
+}
@@ -0,0 +1,78 @@
+// Migration CLI:
+//   npm run migrate                 apply every pending migration
+//   npm run migrate -- --to 3       apply pending migrations up to version 3
+//   npm run migrate:status          list applied and pending migrations
+//   npm run migrate:down            roll back the latest migration
+//   npm run migrate:down -- --steps 2 | --to 1
+import { pool } from './db.js';
+import { getMigrationStatus, rollbackMigrations, runMigrations } from './migrator.js';
+
+const COMMANDS = ['up', 'down', 'status'];
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = {};
+
+  for (let i = 0; i < rest.length; i += 1) {
+    const flag = rest[i];
+    if (flag !== '--to' && flag !== '--steps') {
+      throw new Error(`Unknown option ${flag}.`);
+    }
+    const value = Number(rest[i + 1]);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${flag} expects a non-negative integer.`);
+    }
+    options[flag.slice(2)] = value;
+    i += 1;
+  }
+
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}". Use one of: ${COMMANDS.join(', ')}.`);
+  }
+  return { command, options };
+}
+
+function formatMigration({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const client = await pool.connect();
+
+  try {
+    if (command === 'status') {
+      const { applied, pending, missing } = await getMigrationStatus(client);
+      for (const migration of applied) {
+        console.log(`  applied  ${formatMigration(migration)}  (${migration.appliedAt.toISOString()})`);
+      }
+      for (const migration of pending) {
+        console.log(`  pending  ${formatMigration(migration)}`);
+      }
+      for (const migration of missing) {
+        console.log(`  missing  ${formatMigration(migration)}  (applied, but no migration file)`);
+      }
+      console.log(`${applied.length} applied, ${pending.length} pending${missing.length ? `, ${missing.length} missing` : ''}.`);
+      return;
+    }
+
+    const changed =
+      command === 'up'
+        ? await runMigrations(client, { to: options.to })
+        : await rollbackMigrations(client, { steps: options.steps, to: options.to });
+    console.log(
+      changed.length
+        ? `${command === 'up' ? 'Applied' : 'Rolled back'}: ${changed.map(formatMigration).join(', ')}`
+        : 'Nothing to do.'
+    );
+  } finally {
+    client.release();
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,54 @@
+// Baseline schema: the orders and product_shipping_defaults tables as initDb used to create them.
+// Everything uses IF NOT EXISTS so databases created before migrations existed are adopted as-is.
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS orders (
+      amazon_order_id VARCHAR PRIMARY KEY,
+      purchase_date TIMESTAMP,
+      customer_name VARCHAR,
+      shipping_address JSONB,
+      items JSONB,
+      is_prime BOOLEAN,
+      status VARCHAR DEFAULT 'Unshipped',
+      tracking_id VARCHAR
+    )
+  `);
+
+  // Columns added to orders over time; databases from older versions may lack some of them.
+  // label_items holds the items on the current label, labelled_items maps order_item_id -> quantity with a label.
+  await client.query(`
+    ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS label_zpl TEXT,
+    ADD COLUMN IF NOT EXISTS shipment_id VARCHAR,
+    ADD COLUMN IF NOT EXISTS label_history JSONB DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS label_items JSONB,
+    ADD COLUMN IF NOT EXISTS labelled_items JSONB DEFAULT '{}'::jsonb,
+    ADD COLUMN IF NOT EXISTS is_buyer_requested_cancel BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS buyer_requested_cancel_reason VARCHAR,
+    ADD COLUMN IF NOT EXISTS earliest_ship_date TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS latest_ship_date TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS latest_delivery_date TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS ship_service_level VARCHAR,
+    ADD COLUMN IF NOT EXISTS marketplace_id VARCHAR,
+    ADD COLUMN IF NOT EXISTS currency VARCHAR
+  `);
+
+  // Per-SKU package defaults for the Smart Weight feature
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS product_shipping_defaults (
+      sku VARCHAR PRIMARY KEY,
+      weight_value DECIMAL,
+      weight_unit VARCHAR,
+      length DECIMAL,
+      width DECIMAL,
+      height DECIMAL,
+      dimension_unit VARCHAR
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS product_shipping_defaults');
+  await client.query('DROP TABLE IF EXISTS orders');
+}
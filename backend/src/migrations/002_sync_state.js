@@ -0,0 +1,15 @@
+// Incremental order sync cursors, one row per sync key (orders:<seller account id>)
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sync_state (
+      sync_key VARCHAR PRIMARY KEY,
+      last_updated_after TIMESTAMPTZ,
+      last_synced_at TIMESTAMPTZ
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS sync_state');
+}
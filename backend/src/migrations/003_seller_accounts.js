@@ -0,0 +1,48 @@
+// One row per Amazon seller account synced by this installation.
+// The row with credentials_from_env = true uses the LWA/AWS credentials from the environment
+// instead of the credential columns, so existing single-account setups keep working.
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS seller_accounts (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR NOT NULL UNIQUE,
+      seller_id VARCHAR,
+      lwa_client_id VARCHAR,
+      lwa_client_secret VARCHAR,
+      refresh_token TEXT,
+      aws_access_key_id VARCHAR,
+      aws_secret_access_key VARCHAR,
+      role_arn VARCHAR,
+      region VARCHAR NOT NULL DEFAULT 'eu-west-1',
+      marketplace_ids JSONB,
+      ship_from_address JSONB,
+      credentials_from_env BOOLEAN NOT NULL DEFAULT false,
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  // Seed the environment-backed account
+  await client.query(`
+    INSERT INTO seller_accounts (name, credentials_from_env)
+    SELECT 'default', true
+    WHERE NOT EXISTS (SELECT 1 FROM seller_accounts)
+  `);
+
+  // Orders synced before accounts existed belong to the first one
+  await client.query(`
+    ALTER TABLE orders
+    ADD COLUMN IF NOT EXISTS seller_account_id INTEGER REFERENCES seller_accounts(id)
+  `);
+  await client.query(`
+    UPDATE orders
+    SET seller_account_id = (SELECT MIN(id) FROM seller_accounts)
+    WHERE seller_account_id IS NULL
+  `);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE orders DROP COLUMN IF EXISTS seller_account_id');
+  await client.query('DROP TABLE IF EXISTS seller_accounts');
+}
@@ -0,0 +1,109 @@
+// One row per purchased label, so replacement and partial-shipment labels no longer
+// overwrite each other on the order. orders.tracking_id / shipment_id keep pointing at
+// the newest active label for the dashboard.
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE labels (
+      id SERIAL PRIMARY KEY,
+      amazon_order_id VARCHAR NOT NULL REFERENCES orders(amazon_order_id) ON DELETE CASCADE,
+      shipment_id VARCHAR,
+      tracking_id VARCHAR,
+      shipping_service_id VARCHAR,
+      shipping_service_name VARCHAR,
+      carrier_name VARCHAR,
+      cost DECIMAL(12, 2),
+      currency VARCHAR,
+      weight_value DECIMAL,
+      weight_unit VARCHAR,
+      length DECIMAL,
+      width DECIMAL,
+      height DECIMAL,
+      dimension_unit VARCHAR,
+      items JSONB,
+      label_format VARCHAR NOT NULL DEFAULT 'ZPL203',
+      original_zpl TEXT,
+      label_zpl TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      voided_at TIMESTAMPTZ,
+      void_status VARCHAR
+    )
+  `);
+  await client.query('CREATE INDEX labels_amazon_order_id_idx ON labels (amazon_order_id, created_at)');
+
+  // Labels bought before this table existed: purchase time, cost and the original ZPL were
+  // never stored. Voided ones use their void time as created_at, active ones the migration time.
+  await client.query(`
+    INSERT INTO labels (amazon_order_id, shipment_id, tracking_id, items, label_zpl, created_at, voided_at, void_status)
+    SELECT o.amazon_order_id,
+           h->>'shipmentId',
+           h->>'trackingId',
+           NULLIF(h->'items', 'null'::jsonb),
+           h->>'labelZpl',
+           COALESCE((h->>'voidedAt')::timestamptz, NOW()),
+           COALESCE((h->>'voidedAt')::timestamptz, NOW()),
+           h->>'shipmentStatus'
+    FROM orders o
+    CROSS JOIN LATERAL jsonb_array_elements(COALESCE(o.label_history, '[]'::jsonb)) AS h
+    ORDER BY o.amazon_order_id, h->>'voidedAt'
+  `);
+  await client.query(`
+    INSERT INTO labels (amazon_order_id, shipment_id, tracking_id, items, label_zpl)
+    SELECT amazon_order_id, shipment_id, tracking_id, label_items, label_zpl
+    FROM orders
+    WHERE label_zpl IS NOT NULL OR shipment_id IS NOT NULL
+  `);
+
+  await client.query(`
+    ALTER TABLE orders
+    DROP COLUMN label_zpl,
+    DROP COLUMN label_history,
+    DROP COLUMN label_items
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE orders
+    ADD COLUMN label_zpl TEXT,
+    ADD COLUMN label_history JSONB DEFAULT '[]'::jsonb,
+    ADD COLUMN label_items JSONB
+  `);
+
+  // Only the newest active label fits back into the order row
+  await client.query(`
+    UPDATE orders o
+    SET label_zpl = l.label_zpl, label_items = l.items
+    FROM (
+      SELECT DISTINCT ON (amazon_order_id) amazon_order_id, label_zpl, items
+      FROM labels
+      WHERE voided_at IS NULL
+      ORDER BY amazon_order_id, created_at DESC, id DESC
+    ) l
+    WHERE o.amazon_order_id = l.amazon_order_id
+  `);
+  await client.query(`
+    UPDATE orders o
+    SET label_history = h.history
+    FROM (
+      SELECT amazon_order_id,
+             jsonb_agg(
+               jsonb_build_object(
+                 'shipmentId', shipment_id,
+                 'trackingId', tracking_id,
+                 'labelZpl', label_zpl,
+                 'items', items,
+                 'shipmentStatus', void_status,
+                 'voidedAt', voided_at
+               )
+               ORDER BY voided_at
+             ) AS history
+      FROM labels
+      WHERE voided_at IS NOT NULL
+      GROUP BY amazon_order_id
+    ) h
+    WHERE o.amazon_order_id = h.amazon_order_id
+  `);
+
+  await client.query('DROP TABLE labels');
+}
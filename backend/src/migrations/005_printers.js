@@ -0,0 +1,22 @@
+// Networked label printers that receive raw ZPL on a TCP port (9100 on Zebra printers)
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS printers (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR NOT NULL UNIQUE,
+      host VARCHAR NOT NULL,
+      port INTEGER NOT NULL DEFAULT 9100,
+      dpi INTEGER NOT NULL DEFAULT 203,
+      label_width_mm DECIMAL(6,1) NOT NULL DEFAULT 101.6,
+      label_height_mm DECIMAL(6,1) NOT NULL DEFAULT 152.4,
+      active BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS printers');
+}
@@ -0,0 +1,33 @@
+// Durable print queue: every label sent to a printer is a job, drained per printer in queue order
+// (see printQueue.js). Jobs stay after printing so the dashboard can show and re-queue them.
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS print_jobs (
+      id SERIAL PRIMARY KEY,
+      printer_id INTEGER NOT NULL REFERENCES printers(id) ON DELETE CASCADE,
+      status VARCHAR NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'sending', 'printed', 'failed', 'cancelled')),
+      description VARCHAR,
+      amazon_order_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+      label_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+      label_count INTEGER NOT NULL DEFAULT 0,
+      zpl TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      queued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      printed_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS print_jobs_printer_queue_idx
+    ON print_jobs (printer_id, status, queued_at, id)
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS print_jobs');
+}
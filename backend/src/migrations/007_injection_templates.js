@@ -0,0 +1,49 @@
+// User-editable footer templates for the ZPL injection (see injectionTemplates.js), and a bin
+// location per SKU for the {bin_location} placeholder.
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS injection_templates (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR NOT NULL UNIQUE,
+      box_width INTEGER NOT NULL DEFAULT 700,
+      border INTEGER NOT NULL DEFAULT 3,
+      padding INTEGER NOT NULL DEFAULT 10,
+      line_gap INTEGER NOT NULL DEFAULT 6,
+      elements JSONB NOT NULL,
+      is_default BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  // At most one default; without one the built-in SKU/QTY box is used
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS injection_templates_default_idx
+    ON injection_templates (is_default) WHERE is_default
+  `);
+
+  // Example template with a scannable SKU per line, not the default so existing labels keep their footer
+  await client.query(
+    `INSERT INTO injection_templates (name, elements)
+     VALUES ($1, $2)
+     ON CONFLICT (name) DO NOTHING`,
+    [
+      'SKU barcode',
+      JSON.stringify([
+        { type: 'text', value: 'Order {order_id}', font_height: 22 },
+        { type: 'text', value: 'SKU: {sku}  QTY: {quantity}  BIN: {bin_location}', font_height: 28, per_item: true },
+        { type: 'code128', value: '{sku}', height: 50, module_width: 2, per_item: true }
+      ])
+    ]
+  );
+
+  await client.query(`
+    ALTER TABLE product_shipping_defaults
+    ADD COLUMN IF NOT EXISTS bin_location VARCHAR
+  `);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE product_shipping_defaults DROP COLUMN IF EXISTS bin_location');
+  await client.query('DROP TABLE IF EXISTS injection_templates');
+}
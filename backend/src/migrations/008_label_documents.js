@@ -0,0 +1,14 @@
+// PDF and PNG labels (LABEL_FORMAT=PDF or PNG) are stored as files next to the ZPL columns,
+// which stay empty for them.
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE labels
+    ADD COLUMN IF NOT EXISTS original_document BYTEA,
+    ADD COLUMN IF NOT EXISTS label_document BYTEA
+  `);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE labels DROP COLUMN IF EXISTS original_document, DROP COLUMN IF EXISTS label_document');
+}
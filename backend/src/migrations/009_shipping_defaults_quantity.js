@@ -0,0 +1,13 @@
+// Units of the SKU in the package its shipping defaults were learned from, so bulk buy can scale the
+// defaults to an order's quantity. Defaults learned before this count as one unit.
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE product_shipping_defaults
+    ADD COLUMN IF NOT EXISTS quantity INTEGER NOT NULL DEFAULT 1
+  `);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE product_shipping_defaults DROP COLUMN IF EXISTS quantity');
+}
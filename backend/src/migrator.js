@@ -0,0 +1,179 @@
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { logger } from './logger.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// Migration files are named <version>_<name>.js, e.g. 004_labels_table.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Session-level Postgres advisory lock held while migrations run, so backend instances
+// starting together (or a CLI run during boot) apply each migration once. Waits rather
+// than failing; the second runner then finds nothing pending.
+const MIGRATION_ADVISORY_LOCK_KEY = 840_217_002;
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+/**
+ * Load every migration file, ordered by version.
+ * Throws when two files share a version or a file does not export up/down.
+ * @returns {Promise<Array<{ version: number, name: string, up: Function, down: Function }>>}
+ */
+export async function loadMigrations() {
+  const files = (await readdir(MIGRATIONS_DIR)).filter((file) => MIGRATION_FILE_PATTERN.test(file));
+  const migrations = [];
+
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+    const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up(client) and down(client).`);
+    }
+    migrations.push({ version: Number(version), name, up: module.up, down: module.down });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i += 1) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}.`);
+    }
+  }
+  return migrations;
+}
+
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+async function withMigrationLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_ADVISORY_LOCK_KEY]);
+  try {
+    await ensureMigrationsTable(client);
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_ADVISORY_LOCK_KEY]);
+  }
+}
+
+// Run one migration step and its schema_migrations bookkeeping in a single transaction
+async function applyStep(client, migration, direction) {
+  const startedAt = Date.now();
+  await client.query('BEGIN');
+  try {
+    if (direction === 'up') {
+      await migration.up(client);
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [
+        migration.version,
+        migration.name
+      ]);
+    } else {
+      await migration.down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    logger.error('Migration failed', {
+      operation: `db.migrate.${direction}`,
+      version: migration.version,
+      name: migration.name,
+      error: err
+    });
+    throw err;
+  }
+
+  logger.info(direction === 'up' ? 'Migration applied' : 'Migration rolled back', {
+    operation: `db.migrate.${direction}`,
+    version: migration.version,
+    name: migration.name,
+    durationMs: Date.now() - startedAt
+  });
+}
+
+/**
+ * Applied and pending migrations. Applied versions without a file (e.g. after
+ * switching to an older branch) are reported as missing.
+ * @param {import('pg').PoolClient} client
+ * @returns {Promise<{ applied: object[], pending: object[], missing: object[] }>}
+ */
+export async function getMigrationStatus(client) {
+  const migrations = await loadMigrations();
+  await ensureMigrationsTable(client);
+  const applied = await getAppliedMigrations(client);
+  const appliedVersions = new Set(applied.map((row) => row.version));
+  const knownVersions = new Set(migrations.map((migration) => migration.version));
+
+  return {
+    applied: applied
+      .filter((row) => knownVersions.has(row.version))
+      .map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+    pending: migrations
+      .filter((migration) => !appliedVersions.has(migration.version))
+      .map(({ version, name }) => ({ version, name })),
+    missing: applied
+      .filter((row) => !knownVersions.has(row.version))
+      .map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at }))
+  };
+}
+
+/**
+ * Apply pending migrations in version order, each in its own transaction.
+ * Stops at the first failure; migrations applied before it stay applied.
+ * @param {import('pg').PoolClient} client - Dedicated client (the advisory lock is per session).
+ * @param {{ to?: number }} [options] - Highest version to apply; defaults to all.
+ * @returns {Promise<Array<{ version: number, name: string }>>} Migrations applied by this run.
+ */
+export async function runMigrations(client, { to = Infinity } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(client, async () => {
+    const appliedVersions = new Set((await getAppliedMigrations(client)).map((row) => row.version));
+    const pending = migrations.filter(
+      (migration) => !appliedVersions.has(migration.version) && migration.version <= to
+    );
+
+    for (const migration of pending) {
+      await applyStep(client, migration, 'up');
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+/**
+ * Roll back applied migrations, newest first, each in its own transaction.
+ * @param {import('pg').PoolClient} client - Dedicated client (the advisory lock is per session).
+ * @param {{ steps?: number, to?: number }} [options] - Roll back `steps` migrations (default 1),
+ *   or every migration above version `to` when given.
+ * @returns {Promise<Array<{ version: number, name: string }>>} Migrations rolled back by this run.
+ */
+export async function rollbackMigrations(client, { steps = 1, to } = {}) {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+
+  return withMigrationLock(client, async () => {
+    const applied = (await getAppliedMigrations(client)).reverse();
+    const targets = to === undefined ? applied.slice(0, steps) : applied.filter((row) => row.version > to);
+
+    const missing = targets.filter((row) => !byVersion.has(row.version));
+    if (missing.length) {
+      throw new Error(
+        `Cannot roll back migration(s) without a file: ${missing.map((row) => `${row.version}_${row.name}`).join(', ')}.`
+      );
+    }
+
+    for (const row of targets) {
+      await applyStep(client, byVersion.get(row.version), 'down');
+    }
+    return targets.map(({ version, name }) => ({ version, name }));
+  });
+}
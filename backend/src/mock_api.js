@@ -1,4 +1,8 @@
 import zlib from 'zlib';
+import { buildPdf, POINTS_PER_MM } from './pdf.js';
+import { encodePng } from './png.js';
+import { renderZpl } from './zpl/renderer.js';
+import { scaleZpl } from './zpl/scale.js';
 
 // Simple in-memory mock store so results are stable while the process is running.
 // Mock data configured for Italy (Italian addresses, postal codes, etc.)
@@ -13,8 +17,14 @@ const mockOrdersData = [
   {
     AmazonOrderId: 'MOCK-ORDER-3',
     PurchaseDate: new Date(Date.now() - 172800000).toISOString(), // 2 days ago
+    LastUpdateDate: new Date(Date.now() - 172800000).toISOString(),
     OrderStatus: 'Unshipped',
     IsPrime: false, // Useful for testing filtering logic (Non-Prime)
+    MarketplaceId: 'APJ6JRA9NG5V4', // Italy
+    EarliestShipDate: new Date(Date.now() - 172800000).toISOString(), // 2 days ago
+    LatestShipDate: new Date(Date.now() + 86400000).toISOString(), // tomorrow
+    LatestDeliveryDate: new Date(Date.now() + 259200000).toISOString(), // 3 days from now
+    ShipServiceLevel: 'Standard',
     ShippingAddress: {
       Name: 'Alessandro Verdi',
       AddressLine1: 'Piazza del Plebiscito 1',
@@ -28,8 +38,14 @@ const mockOrdersData = [
   {
     AmazonOrderId: 'MOCK-ORDER-4',
     PurchaseDate: new Date(Date.now() - 3600000).toISOString(), // 1 hour ago
+    LastUpdateDate: new Date(Date.now() - 3600000).toISOString(),
     OrderStatus: 'Unshipped',
     IsPrime: true,
+    MarketplaceId: 'APJ6JRA9NG5V4', // Italy
+    EarliestShipDate: new Date(Date.now() - 3600000).toISOString(), // 1 hour ago
+    LatestShipDate: new Date(Date.now() + 10800000).toISOString(), // 3 hours from now (due today)
+    LatestDeliveryDate: new Date(Date.now() + 129600000).toISOString(), // 36 hours from now
+    ShipServiceLevel: 'NextDay',
     ShippingAddress: {
       Name: 'Francesca Neri',
       AddressLine1: 'Via Indipendenza 8',
@@ -43,8 +59,14 @@ const mockOrdersData = [
   {
     AmazonOrderId: 'MOCK-ORDER-5',
     PurchaseDate: new Date(Date.now() - 432000000).toISOString(), // 5 days ago
+    LastUpdateDate: new Date(Date.now() - 432000000).toISOString(),
     OrderStatus: 'Unshipped',
     IsPrime: true,
+    MarketplaceId: 'APJ6JRA9NG5V4', // Italy
+    EarliestShipDate: new Date(Date.now() - 432000000).toISOString(), // 5 days ago
+    LatestShipDate: new Date(Date.now() - 259200000).toISOString(), // 3 days ago (overdue)
+    LatestDeliveryDate: new Date(Date.now() - 86400000).toISOString(), // yesterday (already late)
+    ShipServiceLevel: 'Expedited',
     ShippingAddress: {
       Name: 'Lorenzo Esposito',
       AddressLine1: 'Calle Larga XXII Marzo 2099',
@@ -58,8 +80,14 @@ const mockOrdersData = [
   {
     AmazonOrderId: 'MOCK-ORDER-6',
     PurchaseDate: new Date().toISOString(), // Just now
+    LastUpdateDate: new Date().toISOString(),
     OrderStatus: 'Unshipped',
     IsPrime: true,
+    MarketplaceId: 'A1PA6795UKMFR9', // Germany
+    EarliestShipDate: new Date(Date.now()).toISOString(), // just now
+    LatestShipDate: new Date(Date.now() + 86400000).toISOString(), // tomorrow
+    LatestDeliveryDate: new Date(Date.now() + 172800000).toISOString(), // 2 days from now
+    ShipServiceLevel: 'SecondDay',
     ShippingAddress: {
       Name: 'Sofia Ricci',
       AddressLine1: 'Via Etnea 200',
@@ -73,8 +101,14 @@ const mockOrdersData = [
   {
     AmazonOrderId: 'MOCK-ORDER-7',
     PurchaseDate: new Date(Date.now() - 7200000).toISOString(), // 2 hours ago
+    LastUpdateDate: new Date(Date.now() - 7200000).toISOString(),
     OrderStatus: 'Unshipped',
     IsPrime: true,
+    MarketplaceId: 'A13V1IB3VIYZZH', // France
+    EarliestShipDate: new Date(Date.now() - 7200000).toISOString(), // 2 hours ago
+    LatestShipDate: new Date(Date.now() - 3600000).toISOString(), // 1 hour ago (overdue)
+    LatestDeliveryDate: new Date(Date.now() + 172800000).toISOString(), // 2 days from now
+    ShipServiceLevel: 'SecondDay',
     ShippingAddress: {
       Name: 'Matteo Romano',
       AddressLine1: 'Corso Porta Nuova 55',
@@ -84,47 +118,277 @@ const mockOrdersData = [
       CountryCode: 'IT',
       Phone: '+390452345678'
     }
+  },
+  {
+    AmazonOrderId: 'MOCK-ORDER-8',
+    PurchaseDate: new Date(Date.now() - 10800000).toISOString(), // 3 hours ago
+    LastUpdateDate: new Date(Date.now() - 10800000).toISOString(),
+    OrderStatus: 'Unshipped', // Cancelled by the buyer shortly after startup (see mockStatusChanges)
+    IsPrime: true,
+    MarketplaceId: 'APJ6JRA9NG5V4', // Italy
+    EarliestShipDate: new Date(Date.now() - 10800000).toISOString(), // 3 hours ago
+    LatestShipDate: new Date(Date.now() + 86400000).toISOString(), // tomorrow
+    LatestDeliveryDate: new Date(Date.now() + 172800000).toISOString(), // 2 days from now
+    ShipServiceLevel: 'SecondDay',
+    ShippingAddress: {
+      Name: 'Chiara Colombo',
+      AddressLine1: 'Via Garibaldi 12',
+      City: 'Torino',
+      StateOrRegion: 'TO',
+      PostalCode: '10122',
+      CountryCode: 'IT',
+      Phone: '+390112345678'
+    }
+  },
+  {
+    AmazonOrderId: 'MOCK-ORDER-9',
+    PurchaseDate: new Date(Date.now() - 14400000).toISOString(), // 4 hours ago
+    LastUpdateDate: new Date(Date.now() - 14400000).toISOString(),
+    OrderStatus: 'Unshipped', // Shipped from Seller Central shortly after startup (see mockStatusChanges)
+    IsPrime: true,
+    MarketplaceId: 'A1RKKUPIHCS9HS', // Spain
+    EarliestShipDate: new Date(Date.now() - 14400000).toISOString(), // 4 hours ago
+    LatestShipDate: new Date(Date.now() + 86400000).toISOString(), // tomorrow
+    LatestDeliveryDate: new Date(Date.now() + 172800000).toISOString(), // 2 days from now
+    ShipServiceLevel: 'SecondDay',
+    ShippingAddress: {
+      Name: 'Davide Gallo',
+      AddressLine1: 'Via Roma 45',
+      City: 'Firenze',
+      StateOrRegion: 'FI',
+      PostalCode: '50123',
+      CountryCode: 'IT',
+      Phone: '+390552345678'
+    }
+  },
+  {
+    AmazonOrderId: 'MOCK-ORDER-10',
+    PurchaseDate: new Date(Date.now() - 5400000).toISOString(), // 1.5 hours ago
+    LastUpdateDate: new Date(Date.now() - 1800000).toISOString(), // cancel requested 30 minutes ago
+    OrderStatus: 'Unshipped',
+    IsPrime: true,
+    MarketplaceId: 'APJ6JRA9NG5V4', // Italy
+    // Buyer asked to cancel; Amazon keeps the order Unshipped until the seller cancels it
+    IsBuyerRequestedCancel: true,
+    BuyerRequestedCancelReason: 'Ordered by mistake',
+    EarliestShipDate: new Date(Date.now() - 5400000).toISOString(), // 1.5 hours ago
+    LatestShipDate: new Date(Date.now() + 86400000).toISOString(), // tomorrow
+    LatestDeliveryDate: new Date(Date.now() + 172800000).toISOString(), // 2 days from now
+    ShipServiceLevel: 'SecondDay',
+    ShippingAddress: {
+      Name: 'Elena Marino',
+      AddressLine1: 'Via Toledo 156',
+      City: 'Napoli',
+      StateOrRegion: 'NA',
+      PostalCode: '80134',
+      CountryCode: 'IT',
+      Phone: '+390817654321'
+    }
   }
 ];
 
+// Status changes that happen outside this tool (buyer cancellations, shipping from Seller Central).
+// They apply once MOCK_STATUS_CHANGE_AFTER_MS has passed since startup, so the first sync stores
+// these orders as Unshipped and a later sync has to reconcile them.
+const MOCK_STATUS_CHANGE_AFTER_MS = 2 * 60 * 1000; // 2 minutes
+const mockStartedAt = Date.now();
+const mockStatusChanges = {
+  'MOCK-ORDER-8': 'Canceled',
+  'MOCK-ORDER-9': 'Shipped'
+};
+
+function getMockOrders() {
+  const changedAt = mockStartedAt + MOCK_STATUS_CHANGE_AFTER_MS;
+  if (Date.now() < changedAt) {
+    return mockOrdersData;
+  }
+  return mockOrdersData.map((order) =>
+    mockStatusChanges[order.AmazonOrderId]
+      ? {
+          ...order,
+          OrderStatus: mockStatusChanges[order.AmazonOrderId],
+          LastUpdateDate: new Date(changedAt).toISOString()
+        }
+      : order
+  );
+}
+
 // Separate mock data for order items (simulates GET /orders/v0/orders/{orderId}/orderItems)
+// ItemPrice is the line total (unit price x QuantityOrdered), as in the real API
 const mockOrderItemsData = {
   'MOCK-ORDER-3': [
-    { SellerSKU: 'SKU-GHI', QuantityOrdered: 1, OrderItemId: '12345678901234' },
-    { SellerSKU: 'SKU-JKL', QuantityOrdered: 1, OrderItemId: '12345678901235' },
-    { SellerSKU: 'SKU-MNO', QuantityOrdered: 1, OrderItemId: '12345678901236' }
+    {
+      OrderItemId: '12345678901234',
+      SellerSKU: 'SKU-GHI',
+      ASIN: 'B0MOCK0003',
+      Title: 'Tazza in ceramica 350ml',
+      QuantityOrdered: 1,
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '12.90' }
+    },
+    {
+      OrderItemId: '12345678901235',
+      SellerSKU: 'SKU-JKL',
+      ASIN: 'B0MOCK0004',
+      Title: 'Sottobicchieri in sughero (set da 6)',
+      QuantityOrdered: 1,
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '8.50' }
+    },
+    {
+      OrderItemId: '12345678901236',
+      SellerSKU: 'SKU-MNO',
+      ASIN: 'B0MOCK0005',
+      Title: 'Teiera in ghisa 800ml',
+      QuantityOrdered: 1,
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '34.00' }
+    }
   ],
   'MOCK-ORDER-4': [
-    { SellerSKU: 'SKU-PQR', QuantityOrdered: 5, OrderItemId: '12345678901237' } // High quantity test
+    {
+      OrderItemId: '12345678901237',
+      SellerSKU: 'SKU-PQR',
+      ASIN: 'B0MOCK0006',
+      Title: 'Candela profumata alla lavanda',
+      QuantityOrdered: 5, // High quantity test
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '49.50' }
+    }
   ],
   'MOCK-ORDER-5': [
-    { SellerSKU: 'SKU-STU', QuantityOrdered: 1, OrderItemId: '12345678901238' }
+    {
+      OrderItemId: '12345678901238',
+      SellerSKU: 'SKU-STU',
+      ASIN: 'B0MOCK0007',
+      Title: 'Tagliere in legno di ulivo',
+      QuantityOrdered: 1,
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '27.90' },
+      IsGift: 'true',
+      BuyerInfo: { GiftMessageText: 'Buon compleanno! Un abbraccio da Giulia', GiftWrapLevel: 'Classic' } // Gift order (packing slips)
+    }
   ],
   'MOCK-ORDER-6': [
-    { SellerSKU: 'SKU-VWX', QuantityOrdered: 2, OrderItemId: '12345678901239' },
-    { SellerSKU: 'SKU-YZA', QuantityOrdered: 2, OrderItemId: '12345678901240' }
+    {
+      OrderItemId: '12345678901239',
+      SellerSKU: 'SKU-VWX',
+      ASIN: 'B0MOCK0008',
+      Title: 'Bicchieri da vino (coppia)',
+      QuantityOrdered: 2,
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '31.80' }
+    },
+    {
+      OrderItemId: '12345678901240',
+      SellerSKU: 'SKU-YZA',
+      ASIN: 'B0MOCK0009',
+      Title: 'Tovaglioli in lino (set da 4)',
+      QuantityOrdered: 2,
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '39.00' }
+    }
   ],
   'MOCK-ORDER-7': [
-    { SellerSKU: 'SKU-BCD', QuantityOrdered: 1, OrderItemId: '12345678901241' }
+    {
+      OrderItemId: '12345678901241',
+      SellerSKU: 'SKU-BCD',
+      ASIN: 'B0MOCK0010',
+      Title: 'Moka 3 tazze',
+      QuantityOrdered: 1,
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '24.90' }
+    }
+  ],
+  'MOCK-ORDER-8': [
+    {
+      OrderItemId: '12345678901242',
+      SellerSKU: 'SKU-EFG',
+      ASIN: 'B0MOCK0011',
+      Title: 'Grembiule da cucina in cotone',
+      QuantityOrdered: 1,
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '18.50' }
+    }
+  ],
+  'MOCK-ORDER-9': [
+    {
+      OrderItemId: '12345678901243',
+      SellerSKU: 'SKU-BCD',
+      ASIN: 'B0MOCK0010',
+      Title: 'Moka 3 tazze',
+      QuantityOrdered: 2,
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '49.80' }
+    }
+  ],
+  'MOCK-ORDER-10': [
+    {
+      OrderItemId: '12345678901244',
+      SellerSKU: 'SKU-XYZ',
+      ASIN: 'B0MOCK0011',
+      Title: 'Tazzine da caffe (set da 6)',
+      QuantityOrdered: 1,
+      QuantityShipped: 0,
+      ItemPrice: { CurrencyCode: 'EUR', Amount: '24.90' },
+      // The Orders API also reports the request per item
+      BuyerRequestedCancel: { IsBuyerRequestedCancel: 'true', BuyerCancelReason: 'Ordered by mistake' }
+    }
   ]
 };
 
+// Page size for the mock getOrders so NextToken pagination is exercised offline
+const MOCK_ORDERS_PAGE_SIZE = 2;
+
+function matchesOrdersQuery(order, query) {
+  if (Array.isArray(query.MarketplaceIds) && query.MarketplaceIds.length && !query.MarketplaceIds.includes(order.MarketplaceId)) {
+    return false;
+  }
+  if (Array.isArray(query.OrderStatuses) && query.OrderStatuses.length && !query.OrderStatuses.includes(order.OrderStatus)) {
+    return false;
+  }
+  if (query.LastUpdatedAfter && new Date(order.LastUpdateDate) < new Date(query.LastUpdatedAfter)) {
+    return false;
+  }
+  if (query.CreatedAfter && new Date(order.PurchaseDate) < new Date(query.CreatedAfter)) {
+    return false;
+  }
+  return true;
+}
+
 /**
- * Simulates the real Amazon SP-API flow:
- * 1. Calls GET /orders/v0/orders to get orders (returns { payload: { Orders: [...] } })
- * 2. For each order, calls GET /orders/v0/orders/{orderId}/orderItems (returns { payload: { OrderItems: [...] } })
- * 3. Hydrates the orders with their items and returns the combined structure
- * 
+ * Simulates GET /orders/v0/orders, the first step of the real Amazon SP-API flow:
+ * 1. Calls GET /orders/v0/orders to get orders (returns { payload: { Orders: [...], NextToken } })
+ * 2. For each order, amazonClient.js calls GET /orders/v0/orders/{orderId}/orderItems
+ *    (returns { payload: { OrderItems: [...] } }) and hydrates the orders with their items
+ *
+ * Supports the same query as the real API: MarketplaceIds, OrderStatuses, CreatedAfter, LastUpdatedAfter and NextToken.
+ * Results are paged by MOCK_ORDERS_PAGE_SIZE; the NextToken is an opaque offset.
  * This ensures the mock behaves EXACTLY like the real API would.
  */
-export async function mockFetchUnshippedPrimeOrdersWithItems() {
+export async function mockFetchUnshippedPrimeOrdersWithItems(query = {}) {
   // Simulate network latency for fetching orders
   await new Promise((resolve) => setTimeout(resolve, 200));
 
+  const offset = query.NextToken ? Number.parseInt(Buffer.from(query.NextToken, 'base64').toString('utf8'), 10) : 0;
+  if (!Number.isFinite(offset) || offset < 0) {
+    const error = new Error('Invalid NextToken.');
+    error.statusCode = 400;
+    error.code = 'InvalidInput';
+    throw error;
+  }
+
+  const matching = getMockOrders().filter((order) => matchesOrdersQuery(order, query));
+  const page = matching.slice(offset, offset + MOCK_ORDERS_PAGE_SIZE);
+  const nextOffset = offset + MOCK_ORDERS_PAGE_SIZE;
+
   // Step 1: Simulate GET /orders/v0/orders
   const ordersResponse = {
     payload: {
-      Orders: mockOrdersData
+      Orders: page,
+      NextToken: nextOffset < matching.length ? Buffer.from(String(nextOffset), 'utf8').toString('base64') : undefined,
+      LastUpdatedBefore: query.LastUpdatedAfter ? new Date().toISOString() : undefined,
+      CreatedBefore: query.CreatedAfter ? new Date().toISOString() : undefined
     }
   };
 
@@ -149,18 +413,158 @@ export async function mockGetOrderItems(orderId) {
 }
 
 /**
- * Simulates Amazon Merchant Fulfillment API (MFN) label purchase flow.
- * Real flow:
- * 1. getEligibleShipmentServices - returns { ShippingServiceList: [...] }
- * 2. createShipment - returns { Shipment: { Label: { FileContents: { Data: "..." } }, TrackingId: "..." } }
- * 
- * This mock combines both steps and returns the label data in Amazon's structure.
+ * Simulates GET /orders/v0/orders/{orderId}
+ * Returns a single order in Amazon's format
+ */
+export async function mockGetOrder(orderId) {
+  // Simulate network latency
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const order = getMockOrders().find((o) => o.AmazonOrderId === orderId);
+  if (!order) {
+    const error = new Error(`Order ${orderId} not found.`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return {
+    payload: order
+  };
+}
+
+// Carrier offers returned by the mock getEligibleShipmentServices.
+// deliveryDays is relative to now so cheapest_on_time/fastest strategies behave realistically.
+const mockShippingServices = [
+  { CarrierName: 'Poste Italiane', ShippingServiceName: 'Poste Delivery Business Standard', ShippingServiceId: 'POSTE_STANDARD', baseAmount: 4.9, deliveryDays: 3 },
+  { CarrierName: 'GLS', ShippingServiceName: 'GLS Business Parcel', ShippingServiceId: 'GLS_BUSINESS', baseAmount: 5.7, deliveryDays: 2 },
+  { CarrierName: 'BRT', ShippingServiceName: 'BRT Express', ShippingServiceId: 'BRT_EXPRESS', baseAmount: 6.5, deliveryDays: 1 },
+  { CarrierName: 'SDA', ShippingServiceName: 'SDA Extra Large', ShippingServiceId: 'SDA_EXTRA_LARGE', baseAmount: 9.9, deliveryDays: 2, minKg: 5 }
+];
+
+// Shipments created by the mock while the process is running, keyed by ShipmentId.
+// Shipments that are not in here (e.g. bought before a restart) are treated as past the cancel window.
+const mockShipments = new Map();
+
+// Shorter than Amazon's real window so both outcomes can be tried during one session
+const MOCK_CANCEL_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
+
+// Carriers whose terms and conditions the mock seller has not accepted in Seller Central
+const mockTermsNotAcceptedCarriers = ['UPS'];
+
+function toKilograms(weight) {
+  const value = Number(weight?.value ?? weight?.Value) || 0;
+  const unit = String(weight?.unit ?? weight?.Unit ?? 'g').toLowerCase();
+  if (unit === 'kg') return value;
+  if (unit === 'lb') return value * 0.45359237;
+  if (unit === 'oz') return value * 0.028349523;
+  return value / 1000;
+}
+
+function buildMockShippingService(offer, weight) {
+  const extraKg = Math.max(0, Math.ceil(toKilograms(weight)) - 1);
+  const amount = Math.round((offer.baseAmount + extraKg * 0.5) * 100) / 100;
+  return {
+    ShippingServiceName: offer.ShippingServiceName,
+    CarrierName: offer.CarrierName,
+    ShippingServiceId: offer.ShippingServiceId,
+    ShippingServiceOfferId: `MOCK-OFFER-${offer.ShippingServiceId}`,
+    ShipDate: new Date().toISOString(),
+    EarliestEstimatedDeliveryDate: new Date(Date.now() + (offer.deliveryDays - 1) * 86400000 + 3600000).toISOString(),
+    LatestEstimatedDeliveryDate: new Date(Date.now() + offer.deliveryDays * 86400000).toISOString(),
+    Rate: {
+      CurrencyCode: 'EUR',
+      Amount: amount
+    },
+    ShippingServiceOptions: {
+      DeliveryExperience: 'DeliveryConfirmationWithoutSignature',
+      CarrierWillPickUp: false,
+      LabelFormat: 'ZPL203'
+    },
+    RequiresAdditionalSellerInputs: false
+  };
+}
+
+/**
+ * Simulates Amazon Merchant Fulfillment API (MFN) getEligibleShipmentServices.
+ * Real API returns: { payload: { ShippingServiceList: [...], RejectedShippingServiceList: [...], ... } }
+ */
+export async function mockGetEligibleShipmentServices({ amazon_order_id, weight, itemList }) {
+  // Simulate network latency
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  if (!mockOrdersData.some((o) => o.AmazonOrderId === amazon_order_id)) {
+    const error = new Error(`Order ${amazon_order_id} not found.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Amazon rejects ItemList entries that do not match the order's items
+  const orderItems = mockOrderItemsData[amazon_order_id] || [];
+  for (const entry of itemList || []) {
+    const orderItem = orderItems.find((item) => item.OrderItemId === entry.OrderItemId);
+    if (!orderItem || entry.Quantity < 1 || entry.Quantity > orderItem.QuantityOrdered) {
+      const error = new Error(`Invalid ItemList entry ${entry.OrderItemId} x${entry.Quantity} for order ${amazon_order_id}.`);
+      error.statusCode = 400;
+      error.code = 'InvalidInput';
+      throw error;
+    }
+  }
+
+  const weightKg = toKilograms(weight);
+  const eligible = mockShippingServices.filter((offer) => !offer.minKg || weightKg >= offer.minKg);
+  const rejected = mockShippingServices.filter((offer) => offer.minKg && weightKg < offer.minKg);
+
+  return {
+    payload: {
+      ShippingServiceList: eligible.map((offer) => buildMockShippingService(offer, weight)),
+      RejectedShippingServiceList: rejected.map((offer) => ({
+        CarrierName: offer.CarrierName,
+        ShippingServiceName: offer.ShippingServiceName,
+        ShippingServiceId: offer.ShippingServiceId,
+        RejectionReasonCode: 'PACKAGE_TOO_LIGHT',
+        RejectionReasonMessage: `Package weight is below the ${offer.minKg} kg minimum for this service.`
+      })),
+      TemporarilyUnavailableCarrierList: [],
+      TermsAndConditionsNotAcceptedCarrierList: mockTermsNotAcceptedCarriers.map((CarrierName) => ({ CarrierName }))
+    }
+  };
+}
+
+// The label file for a format: the mock ZPL itself, or drawn at 203 dpi into a 4x6 in PNG or PDF
+// like the laser-printer labels Amazon returns
+function buildMockLabelFile(labelZpl, labelFormat) {
+  if (labelFormat !== 'PDF' && labelFormat !== 'PNG') {
+    return { contents: Buffer.from(labelZpl, 'utf8'), fileType: 'application/zpl' };
+  }
+  const [{ bitmap }] = renderZpl(labelZpl, { dotsPerMm: 8 });
+  if (labelFormat === 'PNG') {
+    return { contents: encodePng(bitmap, { dotsPerMm: 8 }), fileType: 'image/png' };
+  }
+  const width = (bitmap.width / 8) * POINTS_PER_MM;
+  const height = (bitmap.height / 8) * POINTS_PER_MM;
+  return {
+    contents: buildPdf([{ width, height, images: [{ bitmap, x: 0, y: 0, width, height }] }]),
+    fileType: 'application/pdf'
+  };
+}
+
+/**
+ * Simulates Amazon Merchant Fulfillment API (MFN) createShipment.
+ * Returns: { payload: { Shipment: { ShipmentId, Label: { FileContents: { Contents: "..." } }, TrackingId, ShippingService } } }
+ * The label is a gzipped, base64-encoded ZPL, PDF or PNG document like the real one.
  */
-export async function mockBuyLabel({ amazon_order_id, weight, dimensions }) {
-  // Find the order (using the parameter name for backwards compatibility)
+export async function mockCreateShipment({ amazon_order_id, shippingServiceId, weight, labelFormat = 'ZPL203' }) {
+  // Simulate network latency
+  await new Promise((resolve) => setTimeout(resolve, 150));
+
   const order = mockOrdersData.find((o) => o.AmazonOrderId === amazon_order_id) || mockOrdersData[0];
-  const orderItems = mockOrderItemsData[order.AmazonOrderId] || [];
-  const firstItem = orderItems[0] || { SellerSKU: 'UNKNOWN', QuantityOrdered: 1 };
+  const offer = mockShippingServices.find((o) => o.ShippingServiceId === shippingServiceId);
+
+  if (!offer || (offer.minKg && toKilograms(weight) < offer.minKg)) {
+    const error = new Error(`Shipping service ${shippingServiceId} is not eligible for this shipment.`);
+    error.statusCode = 400;
+    throw error;
+  }
 
   // Generate mock ZPL label
   const baseZpl = `
@@ -172,17 +576,27 @@ export async function mockBuyLabel({ amazon_order_id, weight, dimensions }) {
 ^FO50,200^FD Address: ${order.ShippingAddress.AddressLine1}^FS
 ^FO50,250^FD City: ${order.ShippingAddress.City}^FS
 ^FO50,300^FD Country: ${order.ShippingAddress.CountryCode}^FS
+^FO50,350^FD Carrier: ${offer.CarrierName}^FS
+^FO50,420^BY2^BCN,120,Y,N,N^FDMOCK-TRACKING-${order.AmazonOrderId}^FS
 ^XZ
 `.trim();
+  // The mock label is drawn at 203 dpi; ZPL300 requests get it scaled like Amazon's 300 dpi labels
+  const labelZpl = labelFormat === 'ZPL300' ? scaleZpl(baseZpl, { fromDotsPerMm: 8, toDotsPerMm: 12 }).zpl : baseZpl;
+
+  const labelFile = buildMockLabelFile(labelZpl, labelFormat);
+  const gzipped = zlib.gzipSync(labelFile.contents);
+  const shipmentId = `MOCK-SHIPMENT-${amazon_order_id}-${Date.now()}`;
 
-  const gzipped = zlib.gzipSync(Buffer.from(baseZpl, 'utf8'));
+  mockShipments.set(shipmentId, { createdAt: Date.now(), status: 'Purchased' });
 
   // Return structure matching Amazon MFN API createShipment response
   return {
     payload: {
       Shipment: {
-        ShipmentId: `MOCK-SHIPMENT-${amazon_order_id}`,
+        ShipmentId: shipmentId,
+        AmazonOrderId: amazon_order_id,
         TrackingId: `MOCK-TRACKING-${amazon_order_id}`,
+        ShippingService: buildMockShippingService(offer, weight),
         Label: {
           Dimensions: {
             Length: 4,
@@ -191,12 +605,50 @@ export async function mockBuyLabel({ amazon_order_id, weight, dimensions }) {
           },
           FileContents: {
             Contents: gzipped.toString('base64'),
-            FileType: 'application/zpl',
+            FileType: labelFile.fileType,
             Checksum: 'mock-checksum'
           },
-          LabelFormat: 'ZPL203'
+          LabelFormat: labelFormat
         }
       }
     }
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Simulates Amazon Merchant Fulfillment API (MFN) cancelShipment.
+ * Real API: DELETE /mfn/v0/shipments/{shipmentId}, returns { payload: { Shipment: { Status: 'RefundPending', ... } } }
+ * Cancels succeed within MOCK_CANCEL_WINDOW_MS of the purchase and fail with a 400 afterwards,
+ * which is how Amazon reports labels that can no longer be voided.
+ */
+export async function mockCancelShipment(shipmentId) {
+  // Simulate network latency
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  const shipment = mockShipments.get(shipmentId);
+
+  if (shipment && shipment.status === 'RefundPending') {
+    const error = new Error(`Shipment ${shipmentId} has already been cancelled.`);
+    error.statusCode = 400;
+    error.code = 'InvalidInput';
+    throw error;
+  }
+
+  if (!shipment || Date.now() - shipment.createdAt > MOCK_CANCEL_WINDOW_MS) {
+    const error = new Error(`Shipment ${shipmentId} can no longer be cancelled: the cancellation window has expired.`);
+    error.statusCode = 400;
+    error.code = 'InvalidInput';
+    throw error;
+  }
+
+  shipment.status = 'RefundPending';
+
+  return {
+    payload: {
+      Shipment: {
+        ShipmentId: shipmentId,
+        Status: 'RefundPending'
+      }
+    }
+  };
+}
@@ -0,0 +1,391 @@
+import { SYNC_FULL_LOOKBACK_DAYS } from './config.js';
+import { pool } from './db.js';
+import {
+  fetchOrderIdsUpdatedSince,
+  fetchOrderStatuses,
+  fetchUnshippedPrimeOrdersWithItems
+} from './amazonClient.js';
+import { logger } from './logger.js';
+import { AppError } from './middleware/errorHandler.js';
+import { getSellerAccount, listSellerAccounts } from './sellerAccounts.js';
+
+// sync_state keys are per seller account: 'orders:<seller_account_id>'
+const ORDERS_SYNC_KEY_PREFIX = 'orders';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Amazon can take a couple of minutes to expose order updates, so the next
+// incremental window starts slightly before this sync started. Upserts are idempotent.
+const SYNC_CURSOR_OVERLAP_MS = 2 * 60 * 1000;
+
+// Session-level Postgres advisory lock shared by every backend instance, so scheduled
+// and manual syncs never overlap. The key is arbitrary but must stay stable.
+const SYNC_ADVISORY_LOCK_KEY = 840_217_001;
+
+export const SYNC_MODES = ['incremental', 'full'];
+
+export const SYNC_IN_PROGRESS_MESSAGE = 'Another order sync is already running.';
+
+// Amazon statuses that take an order out of the label queue when it changed outside this tool.
+// PartiallyShipped is not one: its remaining items still need labels, and the sync fetches it as Unshipped.
+const RECONCILE_STATUSES = ['Canceled', 'Shipped'];
+
+async function tryAcquireSyncLock(client) {
+  const result = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [SYNC_ADVISORY_LOCK_KEY]);
+  return result.rows[0].locked === true;
+}
+
+async function releaseSyncLock(client) {
+  await client.query('SELECT pg_advisory_unlock($1)', [SYNC_ADVISORY_LOCK_KEY]);
+}
+
+function getOrdersSyncKey(account) {
+  return `${ORDERS_SYNC_KEY_PREFIX}:${account.id}`;
+}
+
+async function getSyncCursor(client, syncKey) {
+  const result = await client.query(
+    'SELECT last_updated_after FROM sync_state WHERE sync_key = $1',
+    [syncKey]
+  );
+  return result.rowCount ? result.rows[0].last_updated_after : null;
+}
+
+async function saveSyncCursor(client, syncKey, lastUpdatedAfter) {
+  await client.query(
+    `INSERT INTO sync_state (sync_key, last_updated_after, last_synced_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (sync_key)
+     DO UPDATE SET
+       last_updated_after = EXCLUDED.last_updated_after,
+       last_synced_at = EXCLUDED.last_synced_at`,
+    [syncKey, lastUpdatedAfter]
+  );
+}
+
+function toDateOrNull(value) {
+  return value ? new Date(value) : null;
+}
+
+async function upsertOrder(client, order) {
+  const {
+    amazon_order_id,
+    purchase_date,
+    customer_name,
+    shipping_address,
+    items,
+    is_prime,
+    status,
+    is_buyer_requested_cancel,
+    buyer_requested_cancel_reason,
+    earliest_ship_date,
+    latest_ship_date,
+    latest_delivery_date,
+    ship_service_level,
+    marketplace_id,
+    currency,
+    seller_account_id
+  } = order;
+
+  const result = await client.query(
+    `
+      INSERT INTO orders
+      (amazon_order_id, purchase_date, customer_name, shipping_address, items, is_prime, status,
+       is_buyer_requested_cancel, buyer_requested_cancel_reason,
+       earliest_ship_date, latest_ship_date, latest_delivery_date, ship_service_level,
+       marketplace_id, currency, seller_account_id)
+      VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'Unshipped'), $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      ON CONFLICT (amazon_order_id)
+      DO UPDATE SET
+        purchase_date = EXCLUDED.purchase_date,
+        customer_name = EXCLUDED.customer_name,
+        shipping_address = EXCLUDED.shipping_address,
+        items = EXCLUDED.items,
+        is_prime = EXCLUDED.is_prime,
+        status = EXCLUDED.status,
+        is_buyer_requested_cancel = EXCLUDED.is_buyer_requested_cancel,
+        buyer_requested_cancel_reason = EXCLUDED.buyer_requested_cancel_reason,
+        earliest_ship_date = EXCLUDED.earliest_ship_date,
+        latest_ship_date = EXCLUDED.latest_ship_date,
+        latest_delivery_date = EXCLUDED.latest_delivery_date,
+        ship_service_level = EXCLUDED.ship_service_level,
+        marketplace_id = EXCLUDED.marketplace_id,
+        currency = EXCLUDED.currency,
+        seller_account_id = EXCLUDED.seller_account_id
+      WHERE orders.status != 'LabelBought'
+      RETURNING (xmax = 0) AS inserted
+    `,
+    [
+      amazon_order_id,
+      toDateOrNull(purchase_date),
+      customer_name,
+      shipping_address,
+      JSON.stringify(items || []),
+      is_prime,
+      status,
+      is_buyer_requested_cancel === true,
+      buyer_requested_cancel_reason || null,
+      toDateOrNull(earliest_ship_date),
+      toDateOrNull(latest_ship_date),
+      toDateOrNull(latest_delivery_date),
+      ship_service_level || null,
+      marketplace_id || null,
+      currency || null,
+      seller_account_id
+    ]
+  );
+
+  if (result.rowCount !== 1) {
+    return null;
+  }
+  return result.rows[0].inserted ? 'inserted' : 'updated';
+}
+
+/**
+ * When the last sync of any seller account committed, from any backend instance.
+ * @returns {Promise<Date|null>}
+ */
+export async function getLastSyncedAt() {
+  const result = await pool.query('SELECT MAX(last_synced_at) AS last_synced_at FROM sync_state WHERE sync_key LIKE $1', [
+    `${ORDERS_SYNC_KEY_PREFIX}:%`
+  ]);
+  return result.rows[0]?.last_synced_at || null;
+}
+
+async function getLocalUnshippedOrderIds(client, account) {
+  const result = await client.query(
+    "SELECT amazon_order_id FROM orders WHERE status = 'Unshipped' AND seller_account_id = $1",
+    [account.id]
+  );
+  return result.rows.map((row) => row.amazon_order_id);
+}
+
+/**
+ * Find local Unshipped orders whose Amazon status may have changed and re-check them.
+ * - full: every local Unshipped order missing from the fetched Unshipped list.
+ * - incremental: local Unshipped orders Amazon reports as Canceled/Shipped since the cursor.
+ * Candidates are always confirmed with getOrder before anything is changed locally.
+ */
+async function findOrdersToReconcile(client, { account, mode, windowFrom, returnedOrderIds }) {
+  const localIds = await getLocalUnshippedOrderIds(client, account);
+  if (!localIds.length) {
+    return { changes: [], failed: [] };
+  }
+
+  let candidates;
+  if (mode === 'incremental') {
+    const changedIds = new Set(
+      await fetchOrderIdsUpdatedSince({ lastUpdatedAfter: windowFrom, statuses: RECONCILE_STATUSES, account })
+    );
+    candidates = localIds.filter((id) => changedIds.has(id));
+  } else {
+    const returned = new Set(returnedOrderIds);
+    candidates = localIds.filter((id) => !returned.has(id));
+  }
+
+  if (!candidates.length) {
+    return { changes: [], failed: [] };
+  }
+
+  const statuses = await fetchOrderStatuses(candidates, account);
+  const changes = [];
+  const failed = [];
+
+  for (const { amazon_order_id, status, error } of statuses) {
+    if (error) {
+      failed.push({ amazon_order_id, error });
+    } else if (RECONCILE_STATUSES.includes(status)) {
+      changes.push({ amazon_order_id, status });
+    }
+  }
+
+  return { changes, failed };
+}
+
+async function applyReconciledStatus(client, { amazon_order_id, status }) {
+  // Only touch rows still Unshipped, so a label bought meanwhile is never overwritten
+  const result = await client.query(
+    "UPDATE orders SET status = $1 WHERE amazon_order_id = $2 AND status = 'Unshipped'",
+    [status, amazon_order_id]
+  );
+  return result.rowCount === 1;
+}
+
+// Sync one seller account in its own transaction, so a failure only rolls back that account
+async function syncSellerAccount(client, account, { mode, startedAt }) {
+  const syncKey = getOrdersSyncKey(account);
+  const cursor = mode === 'incremental' ? await getSyncCursor(client, syncKey) : null;
+  const effectiveMode = cursor ? 'incremental' : 'full';
+  const windowFrom = cursor ? new Date(cursor) : new Date(startedAt - SYNC_FULL_LOOKBACK_DAYS * DAY_MS);
+  const windowTo = new Date(startedAt);
+
+  const { orders, pages, returnedOrderIds } = await fetchUnshippedPrimeOrdersWithItems(
+    effectiveMode === 'incremental'
+      ? { lastUpdatedAfter: windowFrom, account }
+      : { createdAfter: windowFrom, account }
+  );
+
+  const reconcile = await findOrdersToReconcile(client, {
+    account,
+    mode: effectiveMode,
+    windowFrom,
+    returnedOrderIds
+  });
+
+  let inserted = 0;
+  let updated = 0;
+  const reconciled = [];
+
+  await client.query('BEGIN');
+
+  try {
+    for (const order of orders) {
+      const outcome = await upsertOrder(client, { ...order, seller_account_id: account.id });
+      if (outcome === 'inserted') {
+        inserted += 1;
+      } else if (outcome === 'updated') {
+        updated += 1;
+      }
+    }
+
+    for (const change of reconcile.changes) {
+      if (await applyReconciledStatus(client, change)) {
+        reconciled.push({ ...change, previousStatus: 'Unshipped', seller_account_id: account.id });
+      }
+    }
+
+    await saveSyncCursor(client, syncKey, new Date(startedAt - SYNC_CURSOR_OVERLAP_MS));
+
+    await client.query('COMMIT');
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      logger.error('Error rolling back sync-orders transaction', {
+        operation: 'orders.sync.rollback',
+        sellerAccountId: account.id,
+        error: rollbackErr
+      });
+    }
+    throw err;
+  }
+
+  return {
+    account: { id: account.id, name: account.name },
+    synced: orders.length,
+    inserted,
+    updated,
+    pages,
+    mode: effectiveMode,
+    window: {
+      from: windowFrom.toISOString(),
+      to: windowTo.toISOString(),
+      field: effectiveMode === 'incremental' ? 'LastUpdatedAfter' : 'CreatedAfter'
+    },
+    reconciled,
+    reconcileFailed: reconcile.failed
+  };
+}
+
+async function getAccountsToSync(sellerAccountId) {
+  if (sellerAccountId === undefined || sellerAccountId === null) {
+    return listSellerAccounts({ activeOnly: true });
+  }
+  const account = await getSellerAccount(sellerAccountId);
+  if (!account) {
+    throw new AppError(`Seller account ${sellerAccountId} not found.`, { statusCode: 404 });
+  }
+  if (!account.active) {
+    throw new AppError(`Seller account "${account.name}" is inactive.`, { statusCode: 409 });
+  }
+  return [account];
+}
+
+/**
+ * Sync Unshipped Prime orders from Amazon into the orders table, for every active seller account
+ * (or only sellerAccountId).
+ * - incremental: fetches orders updated since the account's sync_state cursor
+ *   (falls back to full when no cursor exists yet).
+ * - full: refetches everything created in the last SYNC_FULL_LOOKBACK_DAYS.
+ * Local Unshipped orders that Amazon now reports as Canceled or Shipped
+ * are moved to that status, so they drop out of the To Buy list.
+ * Each account commits separately and its cursor only advances when its upserts commit.
+ * An account that fails (e.g. bad credentials) is reported in failedAccounts and the others
+ * still sync; the call only throws when every account failed.
+ * Holds a Postgres advisory lock for the whole run; throws an AppError (409) when
+ * another sync, from this or any other backend instance, is already running.
+ * @param {{ mode?: 'incremental'|'full', sellerAccountId?: number }} [options]
+ * @returns {Promise<{ synced: number, inserted: number, updated: number, pages: number, mode: string, accounts: object[], failedAccounts: object[], reconciled: object[], reconcileFailed: object[], durationMs: number }>}
+ */
+export async function runOrderSync({ mode = 'incremental', sellerAccountId } = {}) {
+  const startedAt = Date.now();
+  const client = await pool.connect();
+  let locked = false;
+  let releaseError;
+
+  try {
+    locked = await tryAcquireSyncLock(client);
+    if (!locked) {
+      throw new AppError(SYNC_IN_PROGRESS_MESSAGE, { statusCode: 409 });
+    }
+
+    const accounts = await getAccountsToSync(sellerAccountId);
+    const synced = [];
+    const failedAccounts = [];
+
+    for (const account of accounts) {
+      try {
+        synced.push(await syncSellerAccount(client, account, { mode, startedAt }));
+      } catch (err) {
+        logger.error('Error syncing seller account', {
+          operation: 'orders.sync.account',
+          sellerAccountId: account.id,
+          sellerAccountName: account.name,
+          error: err
+        });
+        failedAccounts.push({ id: account.id, name: account.name, error: err.message || String(err) });
+      }
+    }
+
+    if (accounts.length && !synced.length) {
+      throw new Error(
+        `Order sync failed for every seller account: ${failedAccounts.map((a) => `${a.name}: ${a.error}`).join('; ')}`
+      );
+    }
+
+    const modes = [...new Set(synced.map((entry) => entry.mode))];
+    const summary = {
+      synced: synced.reduce((sum, entry) => sum + entry.synced, 0),
+      inserted: synced.reduce((sum, entry) => sum + entry.inserted, 0),
+      updated: synced.reduce((sum, entry) => sum + entry.updated, 0),
+      pages: synced.reduce((sum, entry) => sum + entry.pages, 0),
+      mode: modes.length === 1 ? modes[0] : mode,
+      accounts: synced,
+      failedAccounts,
+      reconciled: synced.flatMap((entry) => entry.reconciled),
+      reconcileFailed: synced.flatMap((entry) => entry.reconcileFailed),
+      durationMs: Date.now() - startedAt
+    };
+
+    logger.info('Orders synced', {
+      operation: 'orders.sync',
+      requestedMode: mode,
+      ...summary
+    });
+
+    return summary;
+  } finally {
+    if (locked) {
+      try {
+        await releaseSyncLock(client);
+      } catch (unlockErr) {
+        // Destroying the connection ends the session, which drops the lock as well
+        releaseError = unlockErr;
+        logger.error('Error releasing sync advisory lock', {
+          operation: 'orders.sync.unlock',
+          error: unlockErr
+        });
+      }
+    }
+    client.release(releaseError);
+  }
+}
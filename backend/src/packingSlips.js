@@ -0,0 +1,138 @@
+// Packing slips: what goes in the box, with the ship-to and gift message. Slips are laid out as ZPL,
+// so the same slip prints on the label printer (4x6) or is rendered to an A4/A5 PDF (see labelPreview.js).
+import { buildSheetPage, createSheetLayout, getRowsBottom, lineHeight, paginate, SHEET_SIZES, wrapText } from './sheetLayout.js';
+import { DEFAULT_DOTS_PER_MM } from './zpl/renderer.js';
+
+export const PACKING_SLIP_SIZES = SHEET_SIZES;
+
+const QTY_COLUMN_MM = 12;
+
+// Lines of an item title and of the gift message printed before they are cut off
+const TITLE_LINES = 2;
+const GIFT_MESSAGE_LINES = 5;
+
+function formatPurchaseDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : '-';
+}
+
+// Ship-to lines of an Amazon address (orders.shipping_address)
+function formatAddress(address = {}) {
+  return [
+    address.Name,
+    address.AddressLine1,
+    address.AddressLine2,
+    address.AddressLine3,
+    [address.PostalCode, address.City, address.StateOrRegion].filter(Boolean).join(' '),
+    address.CountryCode
+  ].filter((line) => typeof line === 'string' && line.trim());
+}
+
+/**
+ * Items on a packing slip: the items of one label with their titles and gift messages from the order,
+ * or every order item when no label items are given (or the label predates item tracking).
+ * @param {object[]} orderItems - orders.items as stored by sync.
+ * @param {{ order_item_id: string, sku: string, quantity: number }[]|null} [labelItems] - labels.items.
+ * @returns {{ sku: string, title: string, quantity: number, giftMessage: string|null }[]}
+ */
+export function getPackingSlipItems(orderItems, labelItems = null) {
+  const stored = Array.isArray(orderItems) ? orderItems : [];
+  const lines = Array.isArray(labelItems) && labelItems.length ? labelItems : stored;
+  return lines.map((line) => {
+    const item = stored.find((entry) => entry.order_item_id === line.order_item_id) || line;
+    return {
+      sku: line.sku || item.sku || 'UNKNOWN',
+      title: item.title || '',
+      quantity: Number(line.quantity) || 0,
+      giftMessage: item.gift_message || null
+    };
+  });
+}
+
+/**
+ * ZPL packing slip for an order: order ID, purchase date, ship-to, one row per item (quantity, SKU and
+ * title) and the gift messages. Items that do not fit continue on further slips, numbered "Page n/m".
+ * @param {{ amazon_order_id: string, purchase_date?: string|Date, shipping_address?: object, items?: object[] }} order
+ * @param {{ labelItems?: object[]|null, size?: '4x6'|'A4'|'A5', dotsPerMm?: number }} [options]
+ *   labelItems: only these items (see getPackingSlipItems); A4 and A5 slips are meant to be rendered to PDF.
+ * @returns {string} One ^XA ... ^XZ block per page; text is UTF-8 (^CI28).
+ */
+export function buildPackingSlipZpl(order, { labelItems = null, size = '4x6', dotsPerMm = DEFAULT_DOTS_PER_MM } = {}) {
+  const layout = createSheetLayout(size, dotsPerMm);
+  const { margin, contentWidth, fonts, gap, rule, text, line } = layout;
+  const qtyWidth = layout.toDots(QTY_COLUMN_MM);
+  const itemWidth = contentWidth - qtyWidth;
+
+  const items = getPackingSlipItems(order.items, labelItems);
+  const giftMessages = [...new Set(items.map((item) => item.giftMessage).filter(Boolean))];
+  const giftLines = giftMessages.length
+    ? wrapText(giftMessages.join(' / '), fonts.text, contentWidth - 2 * gap, GIFT_MESSAGE_LINES)
+    : [];
+  const units = items.reduce((sum, item) => sum + item.quantity, 0);
+
+  // Header, repeated on every page
+  const header = [];
+  let y = margin;
+  header.push(text(margin, y, fonts.title, 'PACKING SLIP'));
+  y += lineHeight(fonts.title);
+  header.push(text(margin, y, fonts.text, `Order: ${order.amazon_order_id}`));
+  y += lineHeight(fonts.text);
+  header.push(text(margin, y, fonts.text, `Purchased: ${formatPurchaseDate(order.purchase_date)}`));
+  y += lineHeight(fonts.text) + gap;
+  header.push(text(margin, y, fonts.small, 'Ship to:'));
+  y += lineHeight(fonts.small);
+  formatAddress(order.shipping_address).forEach((addressLine) => {
+    header.push(text(margin, y, fonts.text, wrapText(addressLine, fonts.text, contentWidth, 1)[0]));
+    y += lineHeight(fonts.text);
+  });
+  y += gap;
+  header.push(line(y));
+  y += rule + gap;
+  header.push(text(margin, y, fonts.small, 'QTY'));
+  header.push(text(margin + qtyWidth, y, fonts.small, 'SKU / ITEM'));
+  y += lineHeight(fonts.small);
+  header.push(line(y));
+  const rowsTop = y + rule + gap;
+
+  const rowHeight = lineHeight(fonts.text) + TITLE_LINES * lineHeight(fonts.small) + gap;
+  const totalsHeight = rule + gap + lineHeight(fonts.text);
+  const giftHeight = giftLines.length ? gap + 2 * gap + lineHeight(fonts.small) + giftLines.length * lineHeight(fonts.text) : 0;
+  const bottom = getRowsBottom(layout);
+  const rowsPerPage = Math.max(1, Math.floor((bottom - rowsTop) / rowHeight));
+  const rowsOnLastPage = Math.max(0, Math.floor((bottom - rowsTop - totalsHeight - giftHeight) / rowHeight));
+  const pages = paginate(items.length, rowsPerPage, rowsOnLastPage);
+
+  return pages
+    .map(([start, end], pageIndex) => {
+      const fields = [...header];
+      let rowY = rowsTop;
+      items.slice(start, end).forEach((item) => {
+        fields.push(text(margin, rowY, fonts.text, String(item.quantity)));
+        fields.push(text(margin + qtyWidth, rowY, fonts.text, wrapText(item.sku, fonts.text, itemWidth, 1)[0]));
+        wrapText(item.title, fonts.small, itemWidth, TITLE_LINES).forEach((titleLine, index) => {
+          fields.push(
+            text(margin + qtyWidth, rowY + lineHeight(fonts.text) + index * lineHeight(fonts.small), fonts.small, titleLine)
+          );
+        });
+        rowY += rowHeight;
+      });
+
+      if (pageIndex === pages.length - 1) {
+        fields.push(line(rowY));
+        rowY += rule + gap;
+        fields.push(text(margin, rowY, fonts.text, `${units} unit${units === 1 ? '' : 's'}, ${items.length} item${items.length === 1 ? '' : 's'}`));
+        rowY += lineHeight(fonts.text) + gap;
+        if (giftLines.length) {
+          const boxHeight = 2 * gap + lineHeight(fonts.small) + giftLines.length * lineHeight(fonts.text);
+          fields.push(`^FO${margin},${rowY}^GB${contentWidth},${boxHeight},${rule}^FS`);
+          fields.push(text(margin + gap, rowY + gap, fonts.small, 'Gift message:'));
+          giftLines.forEach((giftLine, index) => {
+            fields.push(text(margin + gap, rowY + gap + lineHeight(fonts.small) + index * lineHeight(fonts.text), fonts.text, giftLine));
+          });
+        }
+      }
+
+      return buildSheetPage(layout, fields, pageIndex, pages.length);
+    })
+    .join('\n');
+}
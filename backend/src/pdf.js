@@ -0,0 +1,111 @@
+import zlib from 'node:zlib';
+import { packBitmapRows } from './zpl/bitmap.js';
+
+export const POINTS_PER_INCH = 72;
+export const POINTS_PER_MM = POINTS_PER_INCH / 25.4;
+
+// Paper sizes in points
+export const PAGE_SIZES = {
+  A4: { width: 210 * POINTS_PER_MM, height: 297 * POINTS_PER_MM },
+  A5: { width: 148 * POINTS_PER_MM, height: 210 * POINTS_PER_MM }
+};
+
+function formatNumber(value) {
+  return Number(value.toFixed(3)).toString();
+}
+
+/**
+ * Build a PDF whose pages hold 1-bit images, e.g. rendered labels.
+ * Coordinates are in points with the origin at the top-left of the page.
+ * @param {{ width: number, height: number, images: { bitmap: object, x: number, y: number, width: number, height: number }[] }[]} pages
+ * @returns {Buffer}
+ */
+export function buildPdf(pages) {
+  // Object 1 is the catalog, 2 the page tree; the rest are allocated in order
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length + 2;
+  };
+  const pageIds = [];
+
+  for (const page of pages) {
+    const xObjects = [];
+    const drawing = [];
+
+    page.images.forEach((image, index) => {
+      const { data } = packBitmapRows(image.bitmap, { blackBit: 0 });
+      const compressed = zlib.deflateSync(data);
+      const id = addObject([
+        Buffer.from(
+          `<< /Type /XObject /Subtype /Image /Width ${image.bitmap.width} /Height ${image.bitmap.height} ` +
+            `/ColorSpace /DeviceGray /BitsPerComponent 1 /Filter /FlateDecode /Length ${compressed.length} >>\nstream\n`,
+          'latin1'
+        ),
+        compressed,
+        Buffer.from('\nendstream', 'latin1')
+      ]);
+      xObjects.push(`/Im${index} ${id} 0 R`);
+      // PDF user space starts bottom-left
+      const bottom = page.height - image.y - image.height;
+      drawing.push(
+        `q ${formatNumber(image.width)} 0 0 ${formatNumber(image.height)} ${formatNumber(image.x)} ${formatNumber(bottom)} cm /Im${index} Do Q`
+      );
+    });
+
+    const content = Buffer.from(drawing.join('\n'), 'latin1');
+    const contentId = addObject([
+      Buffer.from(`<< /Length ${content.length} >>\nstream\n`, 'latin1'),
+      content,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+    pageIds.push(
+      addObject([
+        Buffer.from(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(page.width)} ${formatNumber(page.height)}] ` +
+            `/Resources << /XObject << ${xObjects.join(' ')} >> >> /Contents ${contentId} 0 R >>`,
+          'latin1'
+        )
+      ])
+    );
+  }
+
+  return serializePdf([
+    [Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1')],
+    [Buffer.from(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`, 'latin1')],
+    ...objects
+  ]);
+}
+
+/**
+ * Write numbered objects (object 1 is the catalog) as a PDF file with its cross-reference table.
+ * @param {Buffer[][]} objects - Body of object n at index n - 1, as buffers to concatenate.
+ * @returns {Buffer}
+ */
+export function serializePdf(objects) {
+  const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let offset = parts[0].length;
+  const offsets = [];
+
+  objects.forEach((body, index) => {
+    const object = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), ...body, Buffer.from('\nendobj\n', 'latin1')]);
+    offsets.push(offset);
+    offset += object.length;
+    parts.push(object);
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((value) => `${String(value).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF'
+  ].join('\n');
+  parts.push(Buffer.from(`${xref}\n`, 'latin1'));
+
+  return Buffer.concat(parts);
+}
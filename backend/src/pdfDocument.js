@@ -0,0 +1,439 @@
+// Reads existing PDFs (Amazon's PDF labels) far enough to stamp an image onto a page and to combine
+// several files into one. Objects are found by scanning for "n g obj", which also picks up objects
+// of incremental updates; object streams are unpacked. Encrypted files are refused.
+import zlib from 'node:zlib';
+import { serializePdf } from './pdf.js';
+import { packBitmapRows } from './zpl/bitmap.js';
+
+// Page attributes a page inherits from its page tree nodes
+const INHERITED_ATTRIBUTES = ['Resources', 'MediaBox', 'CropBox', 'Rotate'];
+
+// US Letter, the default when a page has no MediaBox at all
+const DEFAULT_MEDIA_BOX = '[0 0 612 792]';
+
+const REFERENCE = /(\d+)\s+(\d+)\s+R(?![^\s()<>[\]{}/%])/g;
+
+function isWhitespace(char) {
+  return char === ' ' || char === '\n' || char === '\r' || char === '\t' || char === '\f' || char === '\0';
+}
+
+function isDelimiter(char) {
+  return '()<>[]{}/%'.includes(char);
+}
+
+function skipSpace(text, position) {
+  let index = position;
+  while (index < text.length) {
+    if (isWhitespace(text[index])) {
+      index += 1;
+    } else if (text[index] === '%') {
+      while (index < text.length && text[index] !== '\n' && text[index] !== '\r') {
+        index += 1;
+      }
+    } else {
+      break;
+    }
+  }
+  return index;
+}
+
+// End of the value starting at `position`: a dictionary, array, string, name, number, keyword
+// or "n g R" reference
+function skipValue(text, position) {
+  let index = skipSpace(text, position);
+  const char = text[index];
+
+  if (text.startsWith('<<', index) || char === '[') {
+    const close = char === '[' ? ']' : '>>';
+    index += close.length;
+    for (;;) {
+      index = skipSpace(text, index);
+      if (index >= text.length) {
+        throw new Error('Unterminated PDF dictionary or array.');
+      }
+      if (text.startsWith(close, index)) {
+        return index + close.length;
+      }
+      index = skipValue(text, index);
+    }
+  }
+  if (char === '(') {
+    let depth = 0;
+    for (; index < text.length; index += 1) {
+      if (text[index] === '\\') {
+        index += 1;
+      } else if (text[index] === '(') {
+        depth += 1;
+      } else if (text[index] === ')') {
+        depth -= 1;
+        if (depth === 0) {
+          return index + 1;
+        }
+      }
+    }
+    throw new Error('Unterminated PDF string.');
+  }
+  if (char === '<') {
+    const end = text.indexOf('>', index);
+    if (end < 0) {
+      throw new Error('Unterminated PDF hex string.');
+    }
+    return end + 1;
+  }
+
+  let end = index + (char === '/' ? 1 : 0);
+  while (end < text.length && !isWhitespace(text[end]) && !isDelimiter(text[end])) {
+    end += 1;
+  }
+  if (end === index) {
+    throw new Error(`Unexpected "${char}" in PDF.`);
+  }
+  if (/^\d+$/.test(text.slice(index, end))) {
+    const reference = /^\s+\d+\s+R(?![^\s()<>[\]{}/%])/.exec(text.slice(end, end + 24));
+    if (reference) {
+      return end + reference[0].length;
+    }
+  }
+  return end;
+}
+
+// [key, raw value] pairs of a dictionary; empty for anything else
+function getEntries(text) {
+  const entries = [];
+  let index = skipSpace(text, 0);
+  if (!text.startsWith('<<', index)) {
+    return entries;
+  }
+  index += 2;
+  for (;;) {
+    index = skipSpace(text, index);
+    if (index >= text.length || text.startsWith('>>', index)) {
+      return entries;
+    }
+    const keyEnd = skipValue(text, index);
+    const valueStart = skipSpace(text, keyEnd);
+    const valueEnd = skipValue(text, valueStart);
+    entries.push([text.slice(index + 1, keyEnd), text.slice(valueStart, valueEnd)]);
+    index = valueEnd;
+  }
+}
+
+function getEntry(text, key) {
+  const entry = getEntries(text).find(([name]) => name === key);
+  return entry ? entry[1] : null;
+}
+
+// Copy of a dictionary with entries replaced, added or (for null values) removed
+function setEntries(text, changes) {
+  const entries = getEntries(text).filter(([key]) => !(key in changes));
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) {
+      entries.push([key, value]);
+    }
+  });
+  return `<< ${entries.map(([key, value]) => `/${key} ${value}`).join(' ')} >>`;
+}
+
+function getArrayItems(text) {
+  const items = [];
+  let index = skipSpace(text, 0);
+  if (text[index] !== '[') {
+    return items;
+  }
+  index += 1;
+  for (;;) {
+    index = skipSpace(text, index);
+    if (index >= text.length || text[index] === ']') {
+      return items;
+    }
+    const end = skipValue(text, index);
+    items.push(text.slice(index, end));
+    index = end;
+  }
+}
+
+function parseReference(value) {
+  const match = /^(\d+)\s+\d+\s+R$/.exec(String(value ?? '').trim());
+  return match ? Number(match[1]) : null;
+}
+
+// Value itself, or the value of the object it refers to
+function resolve(objects, value) {
+  const id = parseReference(value);
+  if (id === null) {
+    return value;
+  }
+  return objects.get(id)?.value ?? 'null';
+}
+
+function getFilters(objects, dictionary) {
+  const filter = resolve(objects, getEntry(dictionary, 'Filter'));
+  if (!filter || filter === 'null') {
+    return [];
+  }
+  return filter.trim().startsWith('[') ? getArrayItems(filter) : [filter.trim()];
+}
+
+// Stream data after the "stream" keyword, using /Length when it is direct and correct
+function readStream(buffer, text, dictionary, position) {
+  let start = position;
+  if (text[start] === '\r') {
+    start += 1;
+  }
+  if (text[start] === '\n') {
+    start += 1;
+  }
+  const length = getEntry(dictionary, 'Length');
+  if (length && /^\d+$/.test(length)) {
+    const end = start + Number(length);
+    const keyword = skipSpace(text, end);
+    if (text.startsWith('endstream', keyword)) {
+      return { data: buffer.subarray(start, end), end: keyword + 'endstream'.length };
+    }
+  }
+  const keyword = text.indexOf('endstream', start);
+  if (keyword < 0) {
+    throw new Error('Unterminated PDF stream.');
+  }
+  let end = keyword;
+  if (text[end - 1] === '\n') {
+    end -= 1;
+  }
+  if (text[end - 1] === '\r') {
+    end -= 1;
+  }
+  return { data: buffer.subarray(start, end), end: keyword + 'endstream'.length };
+}
+
+// Add the objects packed in an object stream, unless a later revision defines them directly
+function unpackObjectStream(objects, { value, stream }) {
+  const filters = getFilters(objects, value);
+  if (filters.some((filter) => filter !== '/FlateDecode')) {
+    throw new Error(`Unsupported object stream filter ${filters.join(' ')}.`);
+  }
+  const data = (filters.length ? zlib.inflateSync(stream) : stream).toString('latin1');
+  const count = Number(resolve(objects, getEntry(value, 'N')));
+  const first = Number(resolve(objects, getEntry(value, 'First')));
+  const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+
+  for (let index = 0; index < count; index += 1) {
+    const id = header[index * 2];
+    if (!objects.has(id)) {
+      const start = skipSpace(data, first + header[index * 2 + 1]);
+      objects.set(id, { value: data.slice(start, skipValue(data, start)), stream: null });
+    }
+  }
+}
+
+function collectPages(objects, id, inherited, pages, visited) {
+  const node = objects.get(id);
+  if (!node || visited.has(id)) {
+    return;
+  }
+  visited.add(id);
+
+  const attributes = { ...inherited };
+  INHERITED_ATTRIBUTES.forEach((key) => {
+    const value = getEntry(node.value, key);
+    if (value !== null) {
+      attributes[key] = value;
+    }
+  });
+
+  const type = getEntry(node.value, 'Type');
+  if (type === '/Pages') {
+    getArrayItems(resolve(objects, getEntry(node.value, 'Kids') ?? '[]')).forEach((kid) => {
+      collectPages(objects, parseReference(kid), attributes, pages, visited);
+    });
+  } else if (type === '/Page') {
+    pages.push({ id, attributes });
+  }
+}
+
+/**
+ * Read a PDF's objects and pages.
+ * @param {Buffer} buffer
+ * @returns {{ objects: Map<number, { value: string, stream: Buffer|null }>, pages: { id: number, attributes: object }[] }}
+ *   Object values are raw PDF syntax; page attributes include the inherited Resources, MediaBox, CropBox and Rotate.
+ * @throws {Error} For files that are not PDFs, are encrypted, cannot be parsed or have no pages.
+ */
+export function readPdf(buffer) {
+  const text = buffer.toString('latin1');
+  if (!text.includes('%PDF-')) {
+    throw new Error('Not a PDF file.');
+  }
+
+  const objects = new Map();
+  const header = /(\d+)\s+(\d+)\s+obj\b/g;
+  let match;
+  while ((match = header.exec(text))) {
+    const start = skipSpace(text, header.lastIndex);
+    const value = text.slice(start, skipValue(text, start));
+    let next = skipSpace(text, start + value.length);
+    let stream = null;
+    if (text.startsWith('stream', next)) {
+      const read = readStream(buffer, text, value, next + 'stream'.length);
+      stream = read.data;
+      next = read.end;
+    }
+    objects.set(Number(match[1]), { value, stream });
+    header.lastIndex = next;
+  }
+
+  // Trailers: classic "trailer << >>" sections and cross-reference streams, newest last
+  const trailers = [...text.matchAll(/trailer\s*<</g)].map((trailer) => {
+    const start = trailer.index + trailer[0].length - 2;
+    return text.slice(start, skipValue(text, start));
+  });
+  objects.forEach((object) => {
+    if (getEntry(object.value, 'Type') === '/XRef') {
+      trailers.push(object.value);
+    }
+  });
+  if (trailers.some((trailer) => getEntry(trailer, 'Encrypt') !== null)) {
+    throw new Error('Encrypted PDFs are not supported.');
+  }
+
+  [...objects.values()]
+    .filter((object) => object.stream && getEntry(object.value, 'Type') === '/ObjStm')
+    .forEach((object) => unpackObjectStream(objects, object));
+
+  const root =
+    trailers.map((trailer) => parseReference(getEntry(trailer, 'Root'))).filter((id) => id !== null).pop() ??
+    [...objects.keys()].find((id) => getEntry(objects.get(id).value, 'Type') === '/Catalog');
+  const pages = [];
+  if (root !== undefined && objects.has(root)) {
+    collectPages(objects, parseReference(getEntry(objects.get(root).value, 'Pages')), {}, pages, new Set());
+  }
+  if (!pages.length) {
+    throw new Error('PDF has no pages.');
+  }
+  return { objects, pages };
+}
+
+// Visible area of a page as [left, bottom, right, top] in points
+function getPageBox(pdf, page) {
+  const box = getArrayItems(resolve(pdf.objects, page.attributes.CropBox ?? page.attributes.MediaBox ?? DEFAULT_MEDIA_BOX)).map(
+    (item) => Number(resolve(pdf.objects, item))
+  );
+  if (box.length !== 4 || box.some((value) => !Number.isFinite(value))) {
+    throw new Error('PDF page has an invalid MediaBox.');
+  }
+  return [Math.min(box[0], box[2]), Math.min(box[1], box[3]), Math.max(box[0], box[2]), Math.max(box[1], box[3])];
+}
+
+/**
+ * @param {object} pdf - readPdf result.
+ * @param {number} [pageIndex]
+ * @returns {{ width: number, height: number }} Visible page size in points.
+ */
+export function getPdfPageSize(pdf, pageIndex = 0) {
+  const [left, bottom, right, top] = getPageBox(pdf, pdf.pages[pageIndex]);
+  return { width: right - left, height: top - bottom };
+}
+
+function addObject(pdf, dictionary, stream) {
+  const id = Math.max(0, ...pdf.objects.keys()) + 1;
+  pdf.objects.set(id, { value: setEntries(dictionary, { Length: String(stream.length) }), stream });
+  return id;
+}
+
+/**
+ * Draw a 1-bit image over a page: black dots are painted, white ones leave the page visible.
+ * The page's own content is wrapped in q/Q so its graphics state cannot move the image.
+ * @param {object} pdf - readPdf result; changed in place.
+ * @param {number} pageIndex
+ * @param {{ bitmap: object, x: number, y: number, width: number, height: number }} image - Position and size in
+ *   points from the top-left corner of the visible page.
+ * @throws {Error} For rotated pages.
+ */
+export function stampPdfImage(pdf, pageIndex, { bitmap, x, y, width, height }) {
+  const page = pdf.pages[pageIndex];
+  const object = pdf.objects.get(page.id);
+  if (Number(resolve(pdf.objects, page.attributes.Rotate ?? '0')) % 360 !== 0) {
+    throw new Error('Rotated PDF pages are not supported.');
+  }
+  const [left, , , top] = getPageBox(pdf, page);
+
+  const { data } = packBitmapRows(bitmap, { blackBit: 0 });
+  const imageId = addObject(
+    pdf,
+    `<< /Type /XObject /Subtype /Image /Width ${bitmap.width} /Height ${bitmap.height} /ImageMask true /BitsPerComponent 1 /Filter /FlateDecode >>`,
+    zlib.deflateSync(data)
+  );
+  const name = `Stamp${imageId}`;
+  const format = (value) => Number(value.toFixed(3)).toString();
+  const before = addObject(pdf, '<< >>', Buffer.from('q\n', 'latin1'));
+  const after = addObject(
+    pdf,
+    '<< >>',
+    Buffer.from(`\nQ\nq 0 g ${format(width)} 0 0 ${format(height)} ${format(left + x)} ${format(top - y - height)} cm /${name} Do Q\n`, 'latin1')
+  );
+
+  const contents = getEntry(object.value, 'Contents');
+  const resolvedContents = contents === null ? null : resolve(pdf.objects, contents);
+  const existing = resolvedContents === null ? [] : resolvedContents.trim().startsWith('[') ? getArrayItems(resolvedContents) : [contents];
+
+  const resources = resolve(pdf.objects, page.attributes.Resources ?? '<< >>');
+  const xObjects = resolve(pdf.objects, getEntry(resources, 'XObject') ?? '<< >>');
+  page.attributes.Resources = setEntries(resources, { XObject: setEntries(xObjects, { [name]: `${imageId} 0 R` }) });
+  object.value = setEntries(object.value, {
+    Contents: `[${[`${before} 0 R`, ...existing, `${after} 0 R`].join(' ')}]`,
+    Resources: page.attributes.Resources
+  });
+}
+
+/**
+ * Write the pages of one or more read PDFs, in order, as a single PDF. Only objects the pages
+ * use are copied; outlines, forms and metadata of the source files are dropped.
+ * @param {object[]} pdfs - readPdf results.
+ * @returns {Buffer}
+ */
+export function combinePdfs(pdfs) {
+  // Objects 1 and 2 are the catalog and page tree
+  const output = [null, null];
+  const kids = [];
+
+  pdfs.forEach((pdf) => {
+    const ids = new Map();
+    const pending = [];
+    const pageAttributes = new Map(pdf.pages.map((page) => [page.id, page.attributes]));
+    const renumber = (oldId) => {
+      if (!ids.has(oldId) && pdf.objects.has(oldId)) {
+        output.push(null);
+        ids.set(oldId, output.length);
+        pending.push(oldId);
+      }
+      return ids.get(oldId) ?? null;
+    };
+
+    pdf.pages.forEach((page) => kids.push(renumber(page.id)));
+
+    while (pending.length) {
+      const oldId = pending.shift();
+      const { value, stream } = pdf.objects.get(oldId);
+      const attributes = pageAttributes.get(oldId);
+      // Pages carry their inherited attributes themselves, as their new parent has none
+      let copied = attributes
+        ? setEntries(value, { ...Object.fromEntries(INHERITED_ATTRIBUTES.map((key) => [key, attributes[key] ?? null])), Parent: null })
+        : value;
+      if (stream) {
+        copied = setEntries(copied, { Length: String(stream.length) });
+      }
+      copied = copied.replace(REFERENCE, (reference, id) => {
+        const newId = renumber(Number(id));
+        return newId === null ? 'null' : `${newId} 0 R`;
+      });
+      if (attributes) {
+        copied = setEntries(copied, { Parent: '2 0 R' });
+      }
+      output[ids.get(oldId) - 1] = stream
+        ? [Buffer.from(`${copied}\nstream\n`, 'latin1'), stream, Buffer.from('\nendstream', 'latin1')]
+        : [Buffer.from(copied, 'latin1')];
+    }
+  });
+
+  output[0] = [Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1')];
+  output[1] = [Buffer.from(`<< /Type /Pages /Kids [${kids.map((id) => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`, 'latin1')];
+  return serializePdf(output);
+}
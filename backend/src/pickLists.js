@@ -0,0 +1,158 @@
+// Pick lists: units per SKU across a wave of orders, in shelf order, so a picker can pull everything
+// before the labels are bought. Printed as a ZPL sheet (see sheetLayout.js) or exported as CSV.
+import { pool } from './db.js';
+import { buildSheetPage, createSheetLayout, getRowsBottom, lineHeight, paginate, wrapText } from './sheetLayout.js';
+import { DEFAULT_DOTS_PER_MM } from './zpl/renderer.js';
+
+export const PICK_LIST_FORMATS = ['json', 'csv', 'pdf', 'zpl'];
+
+const CSV_COLUMNS = ['bin_location', 'sku', 'title', 'quantity', 'amazon_order_ids'];
+
+// Lines of the "Not included" note before it is cut off
+const FAILED_LINES = 2;
+
+// Column widths of the pick sheet in millimetres; the SKU / title column takes the rest
+const BIN_COLUMN_MM = 22;
+const QTY_COLUMN_MM = 12;
+const CHECKBOX_MM = 5;
+
+// Bins in shelf order ("A-2" before "A-10"); SKUs without a bin come last
+function compareBins(a, b) {
+  if (a.bin_location && b.bin_location) {
+    return a.bin_location.localeCompare(b.bin_location, undefined, { numeric: true, sensitivity: 'base' });
+  }
+  return a.bin_location ? -1 : b.bin_location ? 1 : 0;
+}
+
+/**
+ * Total the units per SKU across orders, with the SKU's bin from product_shipping_defaults.
+ * @param {{ amazon_order_id: string, items: { sku: string, title?: string|null, quantity: number }[] }[]} orders
+ * @returns {Promise<{ items: { bin_location: string|null, sku: string, title: string|null, quantity: number, amazon_order_ids: string[] }[],
+ *   summary: { orders: number, skus: number, units: number } }>} Items sorted by bin location, then SKU.
+ */
+export async function buildPickList(orders) {
+  const bySku = new Map();
+  orders.forEach(({ amazon_order_id, items }) => {
+    items.forEach(({ sku, title, quantity }) => {
+      const entry = bySku.get(sku) || { bin_location: null, sku, title: null, quantity: 0, amazon_order_ids: [] };
+      entry.title = entry.title || title || null;
+      entry.quantity += quantity;
+      if (!entry.amazon_order_ids.includes(amazon_order_id)) {
+        entry.amazon_order_ids.push(amazon_order_id);
+      }
+      bySku.set(sku, entry);
+    });
+  });
+
+  if (bySku.size) {
+    const result = await pool.query(
+      `SELECT sku, bin_location FROM product_shipping_defaults
+       WHERE sku = ANY($1::varchar[]) AND bin_location IS NOT NULL AND bin_location <> ''`,
+      [[...bySku.keys()]]
+    );
+    result.rows.forEach((row) => {
+      bySku.get(row.sku).bin_location = row.bin_location;
+    });
+  }
+
+  const items = [...bySku.values()].sort((a, b) => compareBins(a, b) || a.sku.localeCompare(b.sku));
+  return {
+    items,
+    summary: {
+      orders: orders.length,
+      skus: items.length,
+      units: items.reduce((sum, item) => sum + item.quantity, 0)
+    }
+  };
+}
+
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Pick list as CSV, one row per SKU; the orders of a SKU are space-separated.
+ * @param {{ items: object[] }} pickList - buildPickList result.
+ * @returns {string}
+ */
+export function pickListToCsv({ items }) {
+  const rows = items.map((item) =>
+    [item.bin_location, item.sku, item.title, item.quantity, item.amazon_order_ids.join(' ')].map(csvValue).join(',')
+  );
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+/**
+ * ZPL pick sheet: one row per SKU with its bin, quantity, SKU, title and a box to tick, in bin order.
+ * Rows that do not fit continue on further pages, numbered "Page n/m". Orders left out of the list are
+ * named under the header.
+ * @param {{ items: object[], summary: object, failed?: { amazon_order_id: string }[] }} pickList - buildPickList
+ *   result, with the orders left out of it.
+ * @param {{ size?: '4x6'|'A4'|'A5', dotsPerMm?: number }} [options] - A4 and A5 sheets are meant to be rendered to PDF.
+ * @returns {string} One ^XA ... ^XZ block per page.
+ */
+export function buildPickListZpl({ items, summary, failed = [] }, { size = '4x6', dotsPerMm = DEFAULT_DOTS_PER_MM } = {}) {
+  const layout = createSheetLayout(size, dotsPerMm);
+  const { margin, contentWidth, fonts, gap, rule, text, line } = layout;
+  const binWidth = layout.toDots(BIN_COLUMN_MM);
+  const qtyWidth = layout.toDots(QTY_COLUMN_MM);
+  const checkbox = layout.toDots(CHECKBOX_MM);
+  const skuX = margin + binWidth + qtyWidth;
+  const skuWidth = contentWidth - binWidth - qtyWidth - checkbox - gap;
+
+  // Header, repeated on every page
+  const header = [];
+  let y = margin;
+  header.push(text(margin, y, fonts.title, 'PICK LIST'));
+  y += lineHeight(fonts.title);
+  header.push(
+    text(
+      margin,
+      y,
+      fonts.text,
+      `${summary.orders} order${summary.orders === 1 ? '' : 's'}, ${summary.skus} SKU${summary.skus === 1 ? '' : 's'}, ` +
+        `${summary.units} unit${summary.units === 1 ? '' : 's'}`
+    )
+  );
+  y += lineHeight(fonts.text);
+  if (failed.length) {
+    const note = `Not included: ${failed.map((entry) => entry.amazon_order_id).join(', ')}`;
+    wrapText(note, fonts.small, contentWidth, FAILED_LINES).forEach((noteLine) => {
+      header.push(text(margin, y, fonts.small, noteLine));
+      y += lineHeight(fonts.small);
+    });
+  }
+  y += gap;
+  header.push(line(y));
+  y += rule + gap;
+  header.push(text(margin, y, fonts.small, 'BIN'));
+  header.push(text(margin + binWidth, y, fonts.small, 'QTY'));
+  header.push(text(skuX, y, fonts.small, 'SKU / ITEM'));
+  y += lineHeight(fonts.small);
+  header.push(line(y));
+  const rowsTop = y + rule + gap;
+
+  const rowHeight = lineHeight(fonts.text) + lineHeight(fonts.small) + gap;
+  const rowsPerPage = Math.max(1, Math.floor((getRowsBottom(layout) - rowsTop) / rowHeight));
+  const pages = paginate(items.length, rowsPerPage, rowsPerPage);
+
+  return pages
+    .map(([start, end], pageIndex) => {
+      const fields = [...header];
+      let rowY = rowsTop;
+      items.slice(start, end).forEach((item) => {
+        fields.push(text(margin, rowY, fonts.text, wrapText(item.bin_location || '-', fonts.text, binWidth - gap, 1)[0]));
+        fields.push(text(margin + binWidth, rowY, fonts.text, String(item.quantity)));
+        fields.push(text(skuX, rowY, fonts.text, wrapText(item.sku, fonts.text, skuWidth, 1)[0]));
+        const [title] = wrapText(item.title || '', fonts.small, skuWidth, 1);
+        if (title) {
+          fields.push(text(skuX, rowY + lineHeight(fonts.text), fonts.small, title));
+        }
+        fields.push(`^FO${margin + contentWidth - checkbox},${rowY}^GB${checkbox},${checkbox},${rule}^FS`);
+        rowY += rowHeight;
+      });
+      return buildSheetPage(layout, fields, pageIndex, pages.length);
+    })
+    .join('\n');
+}
@@ -0,0 +1,194 @@
+import zlib from 'node:zlib';
+import { packBitmapRows } from './zpl/bitmap.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a renderer bitmap as a 1-bit grayscale PNG.
+ * @param {{ width: number, height: number, data: Uint8Array }} bitmap
+ * @param {{ dotsPerMm?: number }} [options] - Stored as the pHYs resolution so viewers print at true size.
+ * @returns {Buffer}
+ */
+export function encodePng(bitmap, { dotsPerMm } = {}) {
+  const { rowBytes, data } = packBitmapRows(bitmap, { blackBit: 0 });
+
+  // Every scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc((rowBytes + 1) * bitmap.height);
+  for (let row = 0; row < bitmap.height; row += 1) {
+    data.copy(raw, row * (rowBytes + 1) + 1, row * rowBytes, (row + 1) * rowBytes);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(bitmap.width, 0);
+  header.writeUInt32BE(bitmap.height, 4);
+  header[8] = 1; // bit depth
+  header[9] = 0; // grayscale
+
+  const chunks = [chunk('IHDR', header)];
+  if (dotsPerMm) {
+    const physical = Buffer.alloc(9);
+    const dotsPerMetre = Math.round(dotsPerMm * 1000);
+    physical.writeUInt32BE(dotsPerMetre, 0);
+    physical.writeUInt32BE(dotsPerMetre, 4);
+    physical[8] = 1; // unit: metre
+    chunks.push(chunk('pHYs', physical));
+  }
+  chunks.push(chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0)));
+
+  return Buffer.concat([PNG_SIGNATURE, ...chunks]);
+}
+
+// Samples per pixel of each PNG colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+// Scanlines with their filters undone, without the filter type bytes
+function unfilter(raw, height, rowBytes, pixelBytes) {
+  const rows = Buffer.alloc(rowBytes * height);
+  for (let row = 0; row < height; row += 1) {
+    const filter = raw[row * (rowBytes + 1)];
+    const source = row * (rowBytes + 1) + 1;
+    const target = row * rowBytes;
+    for (let index = 0; index < rowBytes; index += 1) {
+      const left = index >= pixelBytes ? rows[target + index - pixelBytes] : 0;
+      const up = row > 0 ? rows[target + index - rowBytes] : 0;
+      const upLeft = row > 0 && index >= pixelBytes ? rows[target + index - rowBytes - pixelBytes] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      if (predictor === undefined) {
+        throw new Error(`Unknown PNG filter type ${filter}.`);
+      }
+      rows[target + index] = (raw[source + index] + predictor) & 0xff;
+    }
+  }
+  return rows;
+}
+
+/**
+ * Decode a PNG into a renderer bitmap: pixels darker than mid-grey become black, transparent ones white.
+ * Handles every colour type and bit depth, but not interlaced images.
+ * @param {Buffer} buffer
+ * @returns {{ bitmap: { width: number, height: number, data: Uint8Array }, dotsPerMm: number|null }}
+ *   dotsPerMm from the pHYs chunk, null when the file has none.
+ * @throws {Error} For files that are not PNGs or cannot be decoded.
+ */
+export function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file.');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  let dotsPerMm = null;
+  const data = [];
+  for (let offset = 8; offset + 8 <= buffer.length; ) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const body = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'pHYs' && body[8] === 1) {
+      dotsPerMm = body.readUInt32BE(0) / 1000;
+    } else if (type === 'IDAT') {
+      data.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  if (!header || !CHANNELS[header.colorType]) {
+    throw new Error('PNG header missing or unsupported colour type.');
+  }
+  if (header.interlace) {
+    throw new Error('Interlaced PNGs are not supported.');
+  }
+  if (header.colorType === 3 && !palette) {
+    throw new Error('PNG palette missing.');
+  }
+
+  const { width, height, bitDepth, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+  const rows = unfilter(zlib.inflateSync(Buffer.concat(data)), height, rowBytes, Math.max(1, bitsPerPixel >> 3));
+  const maxSample = 2 ** bitDepth - 1;
+
+  // Sample `channel` of pixel `x` in `row`, scaled to 0-255 (16-bit samples use their high byte)
+  const sample = (row, x, channel) => {
+    const index = x * channels + channel;
+    if (bitDepth >= 8) {
+      return rows[row * rowBytes + index * (bitDepth >> 3)];
+    }
+    const bit = index * bitDepth;
+    const value = (rows[row * rowBytes + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    return colorType === 3 ? value : Math.round((value * 255) / maxSample);
+  };
+
+  const bitmap = { width, height, data: new Uint8Array(width * height) };
+  for (let row = 0; row < height; row += 1) {
+    for (let x = 0; x < width; x += 1) {
+      let gray;
+      let alpha = 255;
+      if (colorType === 3) {
+        const entry = sample(row, x, 0);
+        gray = (palette[entry * 3] * 299 + palette[entry * 3 + 1] * 587 + palette[entry * 3 + 2] * 114) / 1000;
+        alpha = transparency && entry < transparency.length ? transparency[entry] : 255;
+      } else if (colorType === 2 || colorType === 6) {
+        gray = (sample(row, x, 0) * 299 + sample(row, x, 1) * 587 + sample(row, x, 2) * 114) / 1000;
+        alpha = colorType === 6 ? sample(row, x, 3) : 255;
+      } else {
+        gray = sample(row, x, 0);
+        alpha = colorType === 4 ? sample(row, x, 1) : 255;
+      }
+      bitmap.data[row * width + x] = alpha >= 128 && gray < 128 ? 1 : 0;
+    }
+  }
+
+  return { bitmap, dotsPerMm };
+}
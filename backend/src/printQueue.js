@@ -0,0 +1,391 @@
+import { PRINT_QUEUE_POLL_MS, PRINT_QUEUE_RETRY_MAX_MS } from './config.js';
+import { pool } from './db.js';
+import { logger } from './logger.js';
+import { dpiToDotsPerMm } from './labelFormats.js';
+import { AppError } from './middleware/errorHandler.js';
+import { getPrinter } from './printers.js';
+import { mayHavePrinted, printZpl } from './printService.js';
+import { scaleZpl } from './zpl/scale.js';
+
+export const PRINT_JOB_STATUSES = ['queued', 'sending', 'printed', 'failed', 'cancelled'];
+
+// Per-printer Postgres advisory lock (two-key form: this key plus printers.id), so only one
+// backend instance drains a printer and jobs leave in queue order. The key must stay stable.
+const PRINT_QUEUE_LOCK_KEY = 840_217_003;
+
+const RETRY_BASE_MS = 5000;
+
+// Everything but the ZPL body
+const PRINT_JOB_COLUMNS = `
+  j.id, j.printer_id, p.name AS printer_name, j.status, j.description, j.amazon_order_ids, j.label_ids,
+  j.label_count, j.attempts, j.last_error, j.queued_at, j.next_attempt_at, j.printed_at, j.created_at, j.updated_at
+`;
+
+const state = {
+  started: false,
+  // printers.id of the printers this instance is draining right now
+  draining: new Set()
+};
+
+/**
+ * Public view of a print_jobs row.
+ * @param {object} row - print_jobs row selected with PRINT_JOB_COLUMNS.
+ * @returns {object}
+ */
+export function describePrintJob(row) {
+  return {
+    id: row.id,
+    printerId: row.printer_id,
+    printerName: row.printer_name,
+    status: row.status,
+    description: row.description,
+    amazon_order_ids: row.amazon_order_ids,
+    labelIds: row.label_ids,
+    labelCount: row.label_count,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    queuedAt: row.queued_at,
+    nextAttemptAt: row.status === 'queued' ? row.next_attempt_at : null,
+    printedAt: row.printed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function getPrintJob(id) {
+  const result = await pool.query(
+    `SELECT ${PRINT_JOB_COLUMNS} FROM print_jobs j JOIN printers p ON p.id = j.printer_id WHERE j.id = $1`,
+    [id]
+  );
+  return result.rowCount ? describePrintJob(result.rows[0]) : null;
+}
+
+/**
+ * List print jobs, newest first.
+ * @param {{ statuses?: string[], printerId?: number, limit?: number }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function listPrintJobs({ statuses = [], printerId = null, limit = 100 } = {}) {
+  const result = await pool.query(
+    `SELECT ${PRINT_JOB_COLUMNS}
+     FROM print_jobs j
+     JOIN printers p ON p.id = j.printer_id
+     WHERE (cardinality($1::varchar[]) = 0 OR j.status = ANY($1::varchar[]))
+       AND ($2::integer IS NULL OR j.printer_id = $2)
+     ORDER BY j.queued_at DESC, j.id DESC
+     LIMIT $3`,
+    [statuses, printerId, limit]
+  );
+  return result.rows.map(describePrintJob);
+}
+
+/**
+ * Queue ZPL for a printer and wake its worker.
+ * @param {object} job
+ * @param {number} job.printerId
+ * @param {string} job.zpl
+ * @param {string} [job.description] - Shown in the dashboard queue, e.g. "Labels for 123-456".
+ * @param {string[]} [job.amazonOrderIds]
+ * @param {number[]} [job.labelIds]
+ * @returns {Promise<object>} The queued job.
+ */
+export async function enqueuePrintJob({ printerId, zpl, description = null, amazonOrderIds = [], labelIds = [] }) {
+  const result = await pool.query(
+    `INSERT INTO print_jobs (printer_id, zpl, description, amazon_order_ids, label_ids, label_count)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [
+      printerId,
+      zpl,
+      description,
+      JSON.stringify(amazonOrderIds),
+      JSON.stringify(labelIds),
+      (zpl.match(/\^XA/gi) || []).length
+    ]
+  );
+  const job = await getPrintJob(result.rows[0].id);
+  logger.info('Print job queued', {
+    operation: 'printQueue.enqueue',
+    jobId: job.id,
+    printerId,
+    labels: job.labelCount
+  });
+  drainPrinter(printerId);
+  return job;
+}
+
+/**
+ * Cancel a queued or failed job. Jobs being sent cannot be cancelled.
+ * @param {number} id - print_jobs.id
+ * @returns {Promise<object>} The cancelled job.
+ * @throws {AppError} 404 for unknown jobs, 409 when the job is not queued or failed.
+ */
+export async function cancelPrintJob(id) {
+  const result = await pool.query(
+    `UPDATE print_jobs SET status = 'cancelled', updated_at = NOW()
+     WHERE id = $1 AND status IN ('queued', 'failed')
+     RETURNING id`,
+    [id]
+  );
+  if (!result.rowCount) {
+    const job = await getPrintJob(id);
+    if (!job) {
+      throw new AppError(`Print job ${id} not found.`, { statusCode: 404 });
+    }
+    throw new AppError(`Print job ${id} is ${job.status} and cannot be cancelled.`, { statusCode: 409 });
+  }
+  return getPrintJob(id);
+}
+
+/**
+ * Put a finished job back at the end of the queue, e.g. after a jam ate a printed label or once
+ * a failed printer is fixed. Attempts start over.
+ * @param {number} id - print_jobs.id
+ * @param {{ printerId?: number }} [options] - Move the job to another printer (its ZPL is rescaled when the dpi differs).
+ * @returns {Promise<object>} The queued job.
+ * @throws {AppError} 404 for unknown jobs, 409 while the job is still queued or being sent.
+ */
+export async function requeuePrintJob(id, { printerId = null } = {}) {
+  const zpl = printerId ? await rescaleJobForPrinter(id, printerId) : null;
+  const result = await pool.query(
+    `UPDATE print_jobs
+     SET status = 'queued', printer_id = COALESCE($2, printer_id), zpl = COALESCE($3, zpl), attempts = 0,
+         last_error = NULL, printed_at = NULL, queued_at = NOW(), next_attempt_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status IN ('printed', 'failed', 'cancelled')
+     RETURNING printer_id`,
+    [id, printerId, zpl]
+  );
+  if (!result.rowCount) {
+    const job = await getPrintJob(id);
+    if (!job) {
+      throw new AppError(`Print job ${id} not found.`, { statusCode: 404 });
+    }
+    throw new AppError(`Print job ${id} is already ${job.status}.`, { statusCode: 409 });
+  }
+  drainPrinter(result.rows[0].printer_id);
+  return getPrintJob(id);
+}
+
+// Job ZPL was rendered for its printer's resolution; moving it to a printer with another dpi
+// rescales it. Returns null when nothing changes.
+async function rescaleJobForPrinter(id, printerId) {
+  const result = await pool.query(
+    'SELECT j.zpl, p.dpi FROM print_jobs j JOIN printers p ON p.id = j.printer_id WHERE j.id = $1',
+    [id]
+  );
+  const printer = await getPrinter(printerId);
+  if (!result.rowCount || !printer || printer.dpi === result.rows[0].dpi) {
+    return null;
+  }
+  const { zpl, warnings } = scaleZpl(result.rows[0].zpl, {
+    fromDotsPerMm: dpiToDotsPerMm(result.rows[0].dpi),
+    toDotsPerMm: dpiToDotsPerMm(printer.dpi)
+  });
+  if (warnings.length) {
+    logger.warn('Print job rescaled with warnings', { operation: 'printQueue.requeue', jobId: id, warnings });
+  }
+  return zpl;
+}
+
+/**
+ * Number of jobs still waiting for a printer (queued or being sent).
+ * @param {number} printerId
+ * @returns {Promise<number>}
+ */
+export async function countPendingPrintJobs(printerId) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::integer AS pending FROM print_jobs WHERE printer_id = $1 AND status IN ('queued', 'sending')`,
+    [printerId]
+  );
+  return result.rows[0].pending;
+}
+
+function getRetryDelayMs(attempts) {
+  return Math.min(PRINT_QUEUE_RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// Holding the printer lock means nobody is sending: 'sending' rows were cut off by a crash or
+// restart. They may have printed, so they fail instead of printing twice.
+async function failInterruptedJobs(client, printerId) {
+  const result = await client.query(
+    `UPDATE print_jobs
+     SET status = 'failed', last_error = 'Interrupted while sending. Check the printer and re-queue if the labels did not print.',
+         updated_at = NOW()
+     WHERE printer_id = $1 AND status = 'sending'
+     RETURNING id`,
+    [printerId]
+  );
+  if (result.rowCount) {
+    logger.warn('Failed print jobs interrupted while sending', {
+      operation: 'printQueue.recover',
+      printerId,
+      jobIds: result.rows.map((row) => row.id)
+    });
+  }
+}
+
+// Head of the printer's queue, marked as sending; null when the queue is empty or the head waits for a retry.
+// The claim only takes a job that is still queued, so a job cancelled since the SELECT is never sent;
+// the next head is tried instead.
+async function claimNextJob(client, printerId) {
+  for (;;) {
+    const result = await client.query(
+      `SELECT id, next_attempt_at <= NOW() AS due
+       FROM print_jobs
+       WHERE printer_id = $1 AND status = 'queued'
+       ORDER BY queued_at, id
+       LIMIT 1`,
+      [printerId]
+    );
+    const head = result.rows[0];
+    if (!head || !head.due) {
+      return null;
+    }
+    const claimed = await client.query(
+      `UPDATE print_jobs SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+       WHERE id = $1 AND status = 'queued'
+       RETURNING id, zpl, attempts`,
+      [head.id]
+    );
+    if (claimed.rowCount) {
+      return claimed.rows[0];
+    }
+  }
+}
+
+// Send one job; returns false when the printer is not taking labels, to stop draining until the retry
+async function sendJob(client, printer, job) {
+  try {
+    await printZpl(printer, job.zpl);
+    await client.query(
+      `UPDATE print_jobs SET status = 'printed', printed_at = NOW(), last_error = NULL, updated_at = NOW() WHERE id = $1`,
+      [job.id]
+    );
+    return true;
+  } catch (err) {
+    if (mayHavePrinted(err)) {
+      await client.query(
+        `UPDATE print_jobs SET status = 'failed', last_error = $2, updated_at = NOW() WHERE id = $1`,
+        [job.id, `${err.message} Some labels may have printed; re-queue to print them again.`]
+      );
+      logger.warn('Print job failed while sending', {
+        operation: 'printQueue.send',
+        jobId: job.id,
+        printerId: printer.id,
+        error: err
+      });
+      return false;
+    }
+
+    const delayMs = getRetryDelayMs(job.attempts);
+    await client.query(
+      `UPDATE print_jobs
+       SET status = 'queued', last_error = $2, next_attempt_at = NOW() + $3::integer * INTERVAL '1 millisecond', updated_at = NOW()
+       WHERE id = $1`,
+      [job.id, err.message || String(err), delayMs]
+    );
+    logger.warn('Printer not taking labels, will retry print job', {
+      operation: 'printQueue.send',
+      jobId: job.id,
+      printerId: printer.id,
+      attempts: job.attempts,
+      retryInMs: delayMs,
+      error: err
+    });
+    return false;
+  }
+}
+
+/**
+ * Send a printer's queued jobs one by one, oldest first, until the queue is empty or the
+ * printer stops taking labels. A job the printer refused stays at the head of the queue with
+ * next_attempt_at pushed back, so later jobs never overtake it. No-op while this instance is
+ * already draining the printer or another instance holds its lock.
+ * @param {number} printerId
+ * @returns {Promise<void>}
+ */
+export async function drainPrinter(printerId) {
+  if (state.draining.has(printerId)) {
+    return;
+  }
+  state.draining.add(printerId);
+  let client;
+  let locked = false;
+  let releaseError;
+
+  try {
+    client = await pool.connect();
+    const lockResult = await client.query('SELECT pg_try_advisory_lock($1, $2) AS locked', [PRINT_QUEUE_LOCK_KEY, printerId]);
+    locked = lockResult.rows[0].locked === true;
+    if (!locked) {
+      return;
+    }
+    await failInterruptedJobs(client, printerId);
+
+    const printer = await getPrinter(printerId);
+    if (!printer || !printer.active) {
+      // Jobs wait until the printer is re-activated or they are moved to another one
+      return;
+    }
+
+    for (;;) {
+      const job = await claimNextJob(client, printerId);
+      if (!job || !(await sendJob(client, printer, job))) {
+        break;
+      }
+    }
+  } catch (err) {
+    logger.error('Error draining print queue', {
+      operation: 'printQueue.drain',
+      printerId,
+      error: err
+    });
+  } finally {
+    if (client) {
+      if (locked) {
+        try {
+          await client.query('SELECT pg_advisory_unlock($1, $2)', [PRINT_QUEUE_LOCK_KEY, printerId]);
+        } catch (unlockErr) {
+          // Destroying the connection ends the session, which drops the lock as well
+          releaseError = unlockErr;
+        }
+      }
+      client.release(releaseError);
+    }
+    state.draining.delete(printerId);
+  }
+}
+
+// Every PRINT_QUEUE_POLL_MS: drain printers with due jobs (retries, jobs queued by other instances)
+// and printers with 'sending' jobs left behind by a crash
+async function pollPrintQueue() {
+  try {
+    const result = await pool.query(
+      `SELECT DISTINCT printer_id FROM print_jobs
+       WHERE status = 'sending' OR (status = 'queued' AND next_attempt_at <= NOW())`
+    );
+    await Promise.all(result.rows.map((row) => drainPrinter(row.printer_id)));
+  } catch (err) {
+    logger.error('Error polling print queue', {
+      operation: 'printQueue.poll',
+      error: err
+    });
+  } finally {
+    setTimeout(pollPrintQueue, PRINT_QUEUE_POLL_MS);
+  }
+}
+
+/**
+ * Start the print queue workers. Jobs queued before a restart are picked up on the first poll.
+ */
+export function startPrintQueue() {
+  if (state.started) {
+    return;
+  }
+  state.started = true;
+  logger.info('Print queue started', {
+    operation: 'printQueue.start',
+    pollMs: PRINT_QUEUE_POLL_MS
+  });
+  setTimeout(pollPrintQueue, 0);
+}
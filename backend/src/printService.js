@@ -0,0 +1,220 @@
+import net from 'node:net';
+import { PRINTER_TIMEOUT_MS } from './config.js';
+import { AppError } from './middleware/errorHandler.js';
+import { logger } from './logger.js';
+
+const ETX = '\x03';
+// ~HS answers with three STX...ETX framed strings
+const HOST_STATUS_STRINGS = 3;
+
+// details.stage is 'status' or 'send'; details.connected tells whether the socket was open when it failed
+function printerError(printer, message, { statusCode = 502, code, stage, connected = false } = {}) {
+  return new AppError(`Printer "${printer.name}" (${printer.host}:${printer.port}) ${message}`, {
+    statusCode,
+    details: { printerId: printer.id, code, stage, connected }
+  });
+}
+
+/**
+ * Whether a failed printZpl may still have printed some of the labels: the connection broke
+ * while the ZPL was being sent, so resending could print them twice.
+ * @param {Error} err - Error thrown by printZpl.
+ * @returns {boolean}
+ */
+export function mayHavePrinted(err) {
+  return err?.details?.stage === 'send' && err.details.connected === true;
+}
+
+// Open a raw TCP connection to the printer and let `exchange` talk to it. The socket is always
+// destroyed once the exchange calls done() or the timeout fires; onTimeout may turn the timeout
+// into a result (e.g. when the data was already handed to the printer).
+function withPrinterSocket(printer, { stage, timeoutMs, exchange, onTimeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host: printer.host, port: printer.port });
+    let connected = false;
+    let settled = false;
+
+    const done = (err, value) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      socket.destroy();
+      if (err) {
+        reject(err);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const timer = setTimeout(() => {
+      const result = onTimeout ? onTimeout() : undefined;
+      if (result !== undefined) {
+        done(null, result);
+        return;
+      }
+      done(
+        printerError(printer, connected ? `did not respond within ${timeoutMs} ms.` : `did not accept a connection within ${timeoutMs} ms.`, {
+          statusCode: 504,
+          code: connected ? 'PRINTER_TIMEOUT' : 'CONNECT_TIMEOUT',
+          stage,
+          connected
+        })
+      );
+    }, timeoutMs);
+
+    socket.on('error', (err) =>
+      done(
+        printerError(printer, connected ? `dropped the connection: ${err.message}` : `is unreachable: ${err.message}`, {
+          code: err.code,
+          stage,
+          connected
+        })
+      )
+    );
+    socket.on('connect', () => {
+      connected = true;
+      exchange(socket, done);
+    });
+  });
+}
+
+function toFlag(value) {
+  return value === '1';
+}
+
+/**
+ * Parse a ~HS (host status) answer.
+ * @param {string} raw - Printer response, three STX...ETX framed strings.
+ * @returns {object|null} Decoded flags, or null when the answer is incomplete.
+ */
+export function parseHostStatus(raw) {
+  const strings = [...raw.matchAll(/\x02([^\x03]*)\x03/g)].map((match) => match[1].split(','));
+  if (strings.length < HOST_STATUS_STRINGS) {
+    return null;
+  }
+  const [first, second] = strings;
+
+  const status = {
+    paperOut: toFlag(first[1]),
+    paused: toFlag(first[2]),
+    labelLengthDots: Number(first[3]) || null,
+    formatsInBuffer: Number(first[4]) || 0,
+    bufferFull: toFlag(first[5]),
+    corruptRam: toFlag(first[9]),
+    underTemperature: toFlag(first[10]),
+    overTemperature: toFlag(first[11]),
+    headOpen: toFlag(second[2]),
+    ribbonOut: toFlag(second[3]),
+    thermalTransfer: toFlag(second[4]),
+    labelWaiting: toFlag(second[7]),
+    labelsRemaining: Number(second[8]) || 0
+  };
+
+  const problems = [
+    status.paperOut && 'paper out',
+    status.ribbonOut && status.thermalTransfer && 'ribbon out',
+    status.headOpen && 'head open',
+    status.paused && 'paused',
+    status.bufferFull && 'receive buffer full',
+    status.corruptRam && 'corrupt RAM',
+    status.underTemperature && 'head too cold',
+    status.overTemperature && 'head too hot'
+  ].filter(Boolean);
+
+  return { ...status, problems, ready: problems.length === 0 };
+}
+
+/**
+ * Ask a printer for its status with ~HS.
+ * @param {object} printer - Printer from printers.js.
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {Promise<object>} parseHostStatus result.
+ */
+export function queryPrinterStatus(printer, { timeoutMs = PRINTER_TIMEOUT_MS } = {}) {
+  let raw = '';
+  return withPrinterSocket(printer, {
+    stage: 'status',
+    timeoutMs,
+    exchange(socket, done) {
+      socket.on('data', (chunk) => {
+        raw += chunk.toString('latin1');
+        const status = raw.split(ETX).length > HOST_STATUS_STRINGS ? parseHostStatus(raw) : null;
+        if (status) {
+          done(null, status);
+        }
+      });
+      socket.on('end', () => {
+        const status = parseHostStatus(raw);
+        done(
+          status ? null : printerError(printer, 'closed the connection without a valid ~HS answer.', { stage: 'status', connected: true }),
+          status
+        );
+      });
+      socket.write(`~HS\r\n`);
+    }
+  });
+}
+
+// Write the ZPL and half-close; the printer closes its side once it has read everything
+function sendRaw(printer, data, timeoutMs) {
+  let flushed = false;
+  return withPrinterSocket(printer, {
+    stage: 'send',
+    timeoutMs,
+    exchange(socket, done) {
+      socket.on('close', () => done(null, { bytes: data.length }));
+      socket.end(data, () => {
+        flushed = true;
+      });
+    },
+    // Some printers keep the connection open after the job; flushed data counts as sent
+    onTimeout: () => (flushed ? { bytes: data.length } : undefined)
+  });
+}
+
+/**
+ * Send ZPL to a printer over raw TCP. Checks ~HS first and refuses to queue labels behind
+ * paper out, head open, pause and similar conditions; a printer that does not answer ~HS
+ * (but accepts connections) is printed to anyway.
+ * @param {object} printer - Printer from printers.js.
+ * @param {string} zpl
+ * @param {{ timeoutMs?: number, checkStatus?: boolean }} [options]
+ * @returns {Promise<{ printerId: number, printerName: string, bytes: number, status: object|null }>}
+ */
+export async function printZpl(printer, zpl, { timeoutMs = PRINTER_TIMEOUT_MS, checkStatus = true } = {}) {
+  let status = null;
+  if (checkStatus) {
+    try {
+      status = await queryPrinterStatus(printer, { timeoutMs });
+    } catch (err) {
+      if (err.details?.code !== 'PRINTER_TIMEOUT') {
+        throw err;
+      }
+      logger.warn('Printer did not answer ~HS, printing without a status check', {
+        operation: 'printer.status',
+        printerId: printer.id,
+        host: printer.host
+      });
+    }
+    if (status && !status.ready) {
+      throw printerError(printer, `is not ready: ${status.problems.join(', ')}.`, {
+        statusCode: 409,
+        code: 'PRINTER_NOT_READY',
+        stage: 'status',
+        connected: true
+      });
+    }
+  }
+
+  const { bytes } = await sendRaw(printer, Buffer.from(zpl, 'utf8'), timeoutMs);
+  logger.info('Sent ZPL to printer', {
+    operation: 'printer.print',
+    printerId: printer.id,
+    host: printer.host,
+    port: printer.port,
+    bytes
+  });
+  return { printerId: printer.id, printerName: printer.name, bytes, status };
+}
@@ -0,0 +1,176 @@
+import { pool } from './db.js';
+import { AppError } from './middleware/errorHandler.js';
+
+const PRINTER_COLUMNS = `
+  id, name, host, port, dpi, label_width_mm, label_height_mm, active, created_at, updated_at
+`;
+
+// Print head resolutions Zebra ships (dots per inch)
+export const PRINTER_DPIS = [203, 300, 600];
+
+const PRINTER_FIELDS = ['name', 'host', 'port', 'dpi', 'label_width_mm', 'label_height_mm', 'active'];
+
+function toPrinter(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    host: row.host,
+    port: row.port,
+    dpi: row.dpi,
+    labelWidthMm: Number(row.label_width_mm),
+    labelHeightMm: Number(row.label_height_mm),
+    active: row.active === true,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Validate a printer create/update payload.
+ * @param {object} payload - Request body with name, host, port, dpi, label_width_mm, label_height_mm, active.
+ * @param {{ partial?: boolean }} [options] - partial: fields may be omitted (updates).
+ * @returns {{ ok: boolean, errors: string[], values: object }} values holds the provided fields only.
+ */
+export function validatePrinterInput(payload = {}, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+  const has = (field) => payload[field] !== undefined;
+
+  if (has('name') || !partial) {
+    if (typeof payload.name !== 'string' || !payload.name.trim()) {
+      errors.push('name must be a non-empty string.');
+    } else {
+      values.name = payload.name.trim();
+    }
+  }
+  if (has('host') || !partial) {
+    if (typeof payload.host !== 'string' || !payload.host.trim() || /\s/.test(payload.host.trim())) {
+      errors.push('host must be a hostname or IP address.');
+    } else {
+      values.host = payload.host.trim();
+    }
+  }
+  if (has('port')) {
+    if (!Number.isInteger(payload.port) || payload.port < 1 || payload.port > 65535) {
+      errors.push('port must be an integer between 1 and 65535.');
+    } else {
+      values.port = payload.port;
+    }
+  }
+  if (has('dpi')) {
+    if (!PRINTER_DPIS.includes(payload.dpi)) {
+      errors.push(`dpi must be one of: ${PRINTER_DPIS.join(', ')}.`);
+    } else {
+      values.dpi = payload.dpi;
+    }
+  }
+  for (const field of ['label_width_mm', 'label_height_mm']) {
+    if (has(field)) {
+      if (!isPositiveNumber(payload[field]) || payload[field] > 1000) {
+        errors.push(`${field} must be a positive number of millimetres.`);
+      } else {
+        values[field] = payload[field];
+      }
+    }
+  }
+  if (has('active')) {
+    if (typeof payload.active !== 'boolean') {
+      errors.push('active must be a boolean.');
+    } else {
+      values.active = payload.active;
+    }
+  }
+  if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push(`Provide at least one of: ${PRINTER_FIELDS.join(', ')}.`);
+  }
+
+  return { ok: errors.length === 0, errors, values };
+}
+
+function rethrowDuplicateName(err, name) {
+  if (err.code === '23505') {
+    throw new AppError(`A printer named "${name}" already exists.`, { statusCode: 409 });
+  }
+  throw err;
+}
+
+/**
+ * List printers, ordered by name.
+ * @param {{ activeOnly?: boolean }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function listPrinters({ activeOnly = false } = {}) {
+  const result = await pool.query(
+    `SELECT ${PRINTER_COLUMNS} FROM printers
+     WHERE ($1::boolean = false OR active = true)
+     ORDER BY name`,
+    [activeOnly]
+  );
+  return result.rows.map(toPrinter);
+}
+
+/**
+ * Load one printer by ID.
+ * @param {number} id - printers.id
+ * @returns {Promise<object|null>}
+ */
+export async function getPrinter(id) {
+  const result = await pool.query(`SELECT ${PRINTER_COLUMNS} FROM printers WHERE id = $1`, [id]);
+  return result.rowCount ? toPrinter(result.rows[0]) : null;
+}
+
+/**
+ * Register a printer. Omitted fields take the column defaults (port 9100, 203 dpi, 4x6 in labels).
+ * @param {object} values - Validated values from validatePrinterInput.
+ * @returns {Promise<object>}
+ */
+export async function createPrinter(values) {
+  const fields = PRINTER_FIELDS.filter((field) => values[field] !== undefined);
+  try {
+    const result = await pool.query(
+      `INSERT INTO printers (${fields.join(', ')})
+       VALUES (${fields.map((_, idx) => `$${idx + 1}`).join(', ')})
+       RETURNING ${PRINTER_COLUMNS}`,
+      fields.map((field) => values[field])
+    );
+    return toPrinter(result.rows[0]);
+  } catch (err) {
+    return rethrowDuplicateName(err, values.name);
+  }
+}
+
+/**
+ * Update the given fields of a printer.
+ * @param {number} id - printers.id
+ * @param {object} values - Validated values from validatePrinterInput({ partial: true }).
+ * @returns {Promise<object|null>} null when the printer does not exist.
+ */
+export async function updatePrinter(id, values) {
+  const fields = PRINTER_FIELDS.filter((field) => values[field] !== undefined);
+  try {
+    const result = await pool.query(
+      `UPDATE printers
+       SET ${fields.map((field, idx) => `${field} = $${idx + 2}`).join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${PRINTER_COLUMNS}`,
+      [id, ...fields.map((field) => values[field])]
+    );
+    return result.rowCount ? toPrinter(result.rows[0]) : null;
+  } catch (err) {
+    return rethrowDuplicateName(err, values.name);
+  }
+}
+
+/**
+ * Remove a printer from the registry.
+ * @param {number} id - printers.id
+ * @returns {Promise<boolean>} false when the printer does not exist.
+ */
+export async function deletePrinter(id) {
+  const result = await pool.query('DELETE FROM printers WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
@@ -0,0 +1,86 @@
+import { AMAZON_CONFIG } from './config.js';
+import { pool } from './db.js';
+
+const SELLER_ACCOUNT_COLUMNS = `
+  id, name, seller_id, lwa_client_id, lwa_client_secret, refresh_token,
+  aws_access_key_id, aws_secret_access_key, role_arn, region,
+  marketplace_ids, ship_from_address, credentials_from_env, active
+`;
+
+// Map a seller_accounts row to the camelCase shape amazonClient expects (same keys as AMAZON_CONFIG)
+function toSellerAccount(row) {
+  const credentials = row.credentials_from_env
+    ? AMAZON_CONFIG
+    : {
+        sellerId: row.seller_id,
+        lwaClientId: row.lwa_client_id,
+        lwaClientSecret: row.lwa_client_secret,
+        refreshToken: row.refresh_token,
+        awsAccessKeyId: row.aws_access_key_id,
+        awsSecretAccessKey: row.aws_secret_access_key,
+        roleArn: row.role_arn,
+        region: row.region
+      };
+
+  return {
+    id: row.id,
+    name: row.name,
+    sellerId: credentials.sellerId || null,
+    lwaClientId: credentials.lwaClientId || null,
+    lwaClientSecret: credentials.lwaClientSecret || null,
+    refreshToken: credentials.refreshToken || null,
+    awsAccessKeyId: credentials.awsAccessKeyId || null,
+    awsSecretAccessKey: credentials.awsSecretAccessKey || null,
+    roleArn: credentials.roleArn || null,
+    region: credentials.region || row.region,
+    marketplaceIds:
+      Array.isArray(row.marketplace_ids) && row.marketplace_ids.length
+        ? row.marketplace_ids
+        : AMAZON_CONFIG.marketplaceIds,
+    // null means the SHIP_FROM_* environment address
+    shipFromAddress: row.ship_from_address || null,
+    credentialsFromEnv: row.credentials_from_env === true,
+    active: row.active === true
+  };
+}
+
+/**
+ * Public view of a seller account, without credentials.
+ * @param {object} account - Seller account from listSellerAccounts/getSellerAccount.
+ * @returns {{ id: number, name: string, sellerId: string|null, region: string, marketplaceIds: string[], active: boolean }}
+ */
+export function describeSellerAccount(account) {
+  return {
+    id: account.id,
+    name: account.name,
+    sellerId: account.sellerId,
+    region: account.region,
+    marketplaceIds: account.marketplaceIds,
+    active: account.active
+  };
+}
+
+/**
+ * List seller accounts, oldest first.
+ * @param {{ activeOnly?: boolean }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function listSellerAccounts({ activeOnly = false } = {}) {
+  const result = await pool.query(
+    `SELECT ${SELLER_ACCOUNT_COLUMNS} FROM seller_accounts
+     WHERE ($1::boolean = false OR active = true)
+     ORDER BY id`,
+    [activeOnly]
+  );
+  return result.rows.map(toSellerAccount);
+}
+
+/**
+ * Load one seller account by ID.
+ * @param {number} id - seller_accounts.id
+ * @returns {Promise<object|null>}
+ */
+export async function getSellerAccount(id) {
+  const result = await pool.query(`SELECT ${SELLER_ACCOUNT_COLUMNS} FROM seller_accounts WHERE id = $1`, [id]);
+  return result.rowCount ? toSellerAccount(result.rows[0]) : null;
+}
@@ -0,0 +1,164 @@
+// Page layout for the ZPL sheets (packing slips, pick lists): page sizes in millimetres, text wrapped
+// to the preview font's metrics and pagination. Sheets print on 4x6 labels or render to A4/A5 PDFs.
+import { fieldData } from './injectionTemplates.js';
+import { DEFAULT_DOTS_PER_MM } from './zpl/renderer.js';
+import { measureText } from './zpl/font.js';
+
+export const SHEET_SIZES = ['4x6', 'A4', 'A5'];
+
+// Page size and margin in millimetres
+const PAGES_MM = {
+  '4x6': { width: 101.6, height: 152.4, margin: 4 },
+  A4: { width: 210, height: 297, margin: 12 },
+  A5: { width: 148, height: 210, margin: 10 }
+};
+
+// Font heights and spacing in millimetres
+const FONTS_MM = { title: 6, text: 3.5, small: 3 };
+const GAP_MM = 2;
+const RULE_MM = 0.3;
+
+// measureText follows the preview font; keep a margin for the printer's proportional font 0
+const TEXT_WIDTH_RATIO = 0.95;
+
+function toDots(mm, dotsPerMm) {
+  return Math.round(mm * dotsPerMm);
+}
+
+/**
+ * Distance between the tops of two lines of text.
+ * @param {number} fontHeight - Dots.
+ * @returns {number}
+ */
+export function lineHeight(fontHeight) {
+  return Math.round(fontHeight * 1.25);
+}
+
+/**
+ * Sizes in dots for one page, and builders for its fields.
+ * @param {'4x6'|'A4'|'A5'} size
+ * @param {number} [dotsPerMm]
+ * @returns {{ width: number, height: number, margin: number, contentWidth: number, gap: number, rule: number,
+ *   fonts: { title: number, text: number, small: number }, toDots: (mm: number) => number,
+ *   text: (x: number, y: number, font: number, value: string) => string, line: (y: number) => string }}
+ *   text: a ^A0 text field; line: a horizontal rule across the content width.
+ */
+export function createSheetLayout(size, dotsPerMm = DEFAULT_DOTS_PER_MM) {
+  const page = PAGES_MM[size];
+  const width = toDots(page.width, dotsPerMm);
+  const margin = toDots(page.margin, dotsPerMm);
+  const contentWidth = width - 2 * margin;
+  const rule = Math.max(2, toDots(RULE_MM, dotsPerMm));
+  return {
+    width,
+    height: toDots(page.height, dotsPerMm),
+    margin,
+    contentWidth,
+    gap: toDots(GAP_MM, dotsPerMm),
+    rule,
+    fonts: {
+      title: toDots(FONTS_MM.title, dotsPerMm),
+      text: toDots(FONTS_MM.text, dotsPerMm),
+      small: toDots(FONTS_MM.small, dotsPerMm)
+    },
+    toDots: (mm) => toDots(mm, dotsPerMm),
+    text: (x, y, font, value) => `^FO${x},${y}^A0N,${font},${font}${fieldData(value)}`,
+    line: (y) => `^FO${margin},${y}^GB${contentWidth},${rule},${rule}^FS`
+  };
+}
+
+/**
+ * Break text into lines of at most maxWidth dots; the last line ends in "..." when text is left over.
+ * @param {string} text
+ * @param {number} fontHeight - Dots (fonts are as wide as they are high).
+ * @param {number} maxWidth - Dots.
+ * @param {number} maxLines
+ * @returns {string[]} No lines for empty text.
+ */
+export function wrapText(text, fontHeight, maxWidth, maxLines) {
+  const width = maxWidth * TEXT_WIDTH_RATIO;
+  const fits = (line) => measureText(line, fontHeight) <= width;
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (fits(candidate)) {
+      line = candidate;
+      continue;
+    }
+    if (line) {
+      lines.push(line);
+    }
+    // Words wider than the line are split
+    line = word;
+    while (!fits(line)) {
+      let length = line.length - 1;
+      while (length > 1 && !fits(line.slice(0, length))) {
+        length -= 1;
+      }
+      lines.push(line.slice(0, length));
+      line = line.slice(length);
+    }
+  }
+  if (line) {
+    lines.push(line);
+  }
+
+  if (lines.length <= maxLines) {
+    return lines;
+  }
+  let last = lines[maxLines - 1];
+  while (last && !fits(`${last}...`)) {
+    last = last.slice(0, -1);
+  }
+  return [...lines.slice(0, maxLines - 1), `${last.trimEnd()}...`];
+}
+
+/**
+ * Split rows over pages, leaving the last page room for what follows the rows (totals, notes).
+ * @param {number} count - Rows.
+ * @param {number} rowsPerPage
+ * @param {number} rowsOnLastPage - Rows that fit next to what follows them.
+ * @returns {[number, number][]} [start, end) of the rows on each page; the last page may hold none.
+ */
+export function paginate(count, rowsPerPage, rowsOnLastPage) {
+  const pages = [];
+  let start = 0;
+  while (count - start > rowsOnLastPage) {
+    const remaining = count - start;
+    const take = remaining > rowsPerPage ? rowsPerPage : remaining - rowsOnLastPage;
+    pages.push([start, start + take]);
+    start += take;
+  }
+  pages.push([start, count]);
+  return pages;
+}
+
+/**
+ * One page as ZPL, numbered "Page n/m" in the bottom-right corner when there are several.
+ * Text is UTF-8 (^CI28).
+ * @param {object} layout - createSheetLayout result.
+ * @param {string[]} fields
+ * @param {number} pageIndex
+ * @param {number} pageCount
+ * @returns {string}
+ */
+export function buildSheetPage(layout, fields, pageIndex, pageCount) {
+  const { width, height, margin, fonts } = layout;
+  const pageNumber = [];
+  if (pageCount > 1) {
+    const label = `Page ${pageIndex + 1}/${pageCount}`;
+    pageNumber.push(layout.text(width - margin - measureText(label, fonts.small), height - margin - fonts.small, fonts.small, label));
+  }
+  return ['^XA', '^CI28', `^PW${width}`, `^LL${height}`, ...fields, ...pageNumber, '^XZ'].join('\n');
+}
+
+/**
+ * Lowest y rows may reach, keeping the bottom line free for the page number.
+ * @param {object} layout - createSheetLayout result.
+ * @returns {number}
+ */
+export function getRowsBottom(layout) {
+  return layout.height - layout.margin - lineHeight(layout.fonts.small);
+}
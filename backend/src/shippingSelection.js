@@ -0,0 +1,158 @@
+import { SHIPPING_PREFERRED_CARRIERS, SHIPPING_STRATEGIES, SHIPPING_STRATEGY } from './config.js';
+
+function getServiceCost(service) {
+  const rate = service?.Rate || service?.ShippingServiceCost;
+  const amount = Number(rate && rate.Amount);
+  return Number.isFinite(amount) ? amount : Infinity;
+}
+
+function getServiceDeliveryTime(service) {
+  const value = service?.LatestEstimatedDeliveryDate || service?.EarliestEstimatedDeliveryDate;
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : Infinity;
+}
+
+function toTime(value) {
+  if (!value) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+function pickCheapest(services) {
+  return services.reduce((best, s) => {
+    const cost = getServiceCost(s);
+    const bestCost = getServiceCost(best);
+    if (cost !== bestCost) {
+      return cost < bestCost ? s : best;
+    }
+    return getServiceDeliveryTime(s) < getServiceDeliveryTime(best) ? s : best;
+  }, services[0]);
+}
+
+function pickFastest(services) {
+  return services.reduce((best, s) => {
+    const time = getServiceDeliveryTime(s);
+    const bestTime = getServiceDeliveryTime(best);
+    if (time !== bestTime) {
+      return time < bestTime ? s : best;
+    }
+    return getServiceCost(s) < getServiceCost(best) ? s : best;
+  }, services[0]);
+}
+
+/**
+ * Normalize a strategy name from a request payload or config.
+ * @param {unknown} value - Raw strategy value.
+ * @returns {string|null} Strategy name, or null when missing/unknown.
+ */
+export function normalizeShippingStrategy(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const normalized = value.trim().toLowerCase();
+  return SHIPPING_STRATEGIES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Describe a ShippingService entry in the flat shape returned to API clients.
+ * @param {object} service - Amazon ShippingService object.
+ * @returns {{ id: string, name: string|null, carrier: string|null, cost: number|null, currency: string|null, earliestDelivery: string|null, latestDelivery: string|null }}
+ */
+export function describeShippingService(service) {
+  const rate = service?.Rate || service?.ShippingServiceCost || {};
+  const cost = getServiceCost(service);
+  return {
+    id: service?.ShippingServiceId,
+    name: service?.ShippingServiceName || null,
+    carrier: service?.CarrierName || null,
+    cost: Number.isFinite(cost) ? cost : null,
+    currency: rate.CurrencyCode || null,
+    earliestDelivery: service?.EarliestEstimatedDeliveryDate || null,
+    latestDelivery: service?.LatestEstimatedDeliveryDate || null
+  };
+}
+
+/**
+ * Pick one shipping service from Amazon's ShippingServiceList.
+ * - cheapest: lowest rate, earliest delivery breaks ties.
+ * - fastest: earliest LatestEstimatedDeliveryDate, lowest rate breaks ties.
+ * - cheapest_on_time: cheapest service delivering by the order's LatestDeliveryDate,
+ *   falls back to fastest when none does or the deadline is unknown.
+ * - preferred_carrier: cheapest service of the first preferred carrier that has one,
+ *   falls back to cheapest.
+ * @param {object[]} services - Non-empty ShippingServiceList.
+ * @param {{ strategy?: string, preferredCarriers?: string[], latestDeliveryDate?: string|null }} [options]
+ * @returns {{ service: object, strategy: string, reason: string }}
+ */
+export function selectShippingService(services, options = {}) {
+  if (!Array.isArray(services) || !services.length) {
+    throw new Error('No shipping services to select from.');
+  }
+
+  const strategy = normalizeShippingStrategy(options.strategy) || SHIPPING_STRATEGY;
+  const preferredCarriers =
+    Array.isArray(options.preferredCarriers) && options.preferredCarriers.length
+      ? options.preferredCarriers
+      : SHIPPING_PREFERRED_CARRIERS;
+
+  if (strategy === 'fastest') {
+    return {
+      service: pickFastest(services),
+      strategy,
+      reason: `Earliest estimated delivery among ${services.length} services.`
+    };
+  }
+
+  if (strategy === 'cheapest_on_time') {
+    const deadline = toTime(options.latestDeliveryDate);
+    if (deadline === null) {
+      return {
+        service: pickFastest(services),
+        strategy,
+        reason: 'Order LatestDeliveryDate unknown; fell back to fastest service.'
+      };
+    }
+    const onTime = services.filter((s) => getServiceDeliveryTime(s) <= deadline);
+    if (!onTime.length) {
+      return {
+        service: pickFastest(services),
+        strategy,
+        reason: `No service delivers by ${options.latestDeliveryDate}; fell back to fastest service.`
+      };
+    }
+    return {
+      service: pickCheapest(onTime),
+      strategy,
+      reason: `Cheapest of ${onTime.length} services delivering by ${options.latestDeliveryDate}.`
+    };
+  }
+
+  if (strategy === 'preferred_carrier') {
+    for (const carrier of preferredCarriers) {
+      const wanted = String(carrier).trim().toLowerCase();
+      const matching = services.filter((s) => String(s.CarrierName || '').toLowerCase() === wanted);
+      if (matching.length) {
+        return {
+          service: pickCheapest(matching),
+          strategy,
+          reason: `Cheapest service of preferred carrier ${carrier}.`
+        };
+      }
+    }
+    return {
+      service: pickCheapest(services),
+      strategy,
+      reason: preferredCarriers.length
+        ? `No preferred carrier offered (${preferredCarriers.join(', ')}); fell back to cheapest service.`
+        : 'No preferred carriers configured; fell back to cheapest service.'
+    };
+  }
+
+  return {
+    service: pickCheapest(services),
+    strategy: 'cheapest',
+    reason: `Lowest rate among ${services.length} services.`
+  };
+}
@@ -0,0 +1,245 @@
+import {
+  SYNC_INTERVAL_MINUTES,
+  SYNC_SCHEDULER_ENABLED,
+  SYNC_TIMEZONE,
+  SYNC_WORKING_DAYS,
+  SYNC_WORKING_HOURS
+} from './config.js';
+import { logger } from './logger.js';
+import { AppError } from './middleware/errorHandler.js';
+import { getLastSyncedAt, runOrderSync, SYNC_IN_PROGRESS_MESSAGE } from './orderSync.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Per-instance view of the scheduler. Other instances are only visible through
+// sync_state.last_synced_at, which getSyncStatus reports as lastSyncedAt.
+const state = {
+  started: false,
+  running: false,
+  lastRun: null,
+  lastError: null,
+  nextRunAt: null
+};
+
+let timer = null;
+let clockFormat = null;
+
+function getClockFormat() {
+  if (!clockFormat) {
+    clockFormat = new Intl.DateTimeFormat('en-US', {
+      timeZone: SYNC_TIMEZONE,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+  return clockFormat;
+}
+
+// Weekday (0 = Sunday) and minutes after midnight in SYNC_TIMEZONE
+function getLocalClock(date) {
+  const parts = Object.fromEntries(getClockFormat().formatToParts(date).map((p) => [p.type, p.value]));
+  return {
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday.slice(0, 3).toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function isWithinWorkingHours(date) {
+  const { weekday, minutes } = getLocalClock(date);
+  if (!SYNC_WORKING_DAYS.includes(weekday)) {
+    return false;
+  }
+  return !SYNC_WORKING_HOURS || (minutes >= SYNC_WORKING_HOURS.start && minutes < SYNC_WORKING_HOURS.end);
+}
+
+// First moment at or after `from` that falls inside working hours, or null if none within a week.
+// DST shifts can make this a few minutes off; the timer re-checks before running.
+function getNextWorkingTime(from) {
+  if (isWithinWorkingHours(from)) {
+    return from;
+  }
+  const start = SYNC_WORKING_HOURS ? SYNC_WORKING_HOURS.start : 0;
+  let candidate = from;
+
+  for (let day = 0; day <= 7; day += 1) {
+    const { weekday, minutes } = getLocalClock(candidate);
+    if (SYNC_WORKING_DAYS.includes(weekday) && minutes <= start) {
+      return new Date(candidate.getTime() + (start - minutes) * MINUTE_MS);
+    }
+    // Jump to local midnight of the following day
+    candidate = new Date(candidate.getTime() + (DAY_MINUTES - minutes) * MINUTE_MS);
+  }
+  return null;
+}
+
+function formatMinutes(value) {
+  const hours = String(Math.floor(value / 60)).padStart(2, '0');
+  const minutes = String(value % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+function scheduleNextRun(delayMs) {
+  clearTimeout(timer);
+  const now = Date.now();
+  const runAt = getNextWorkingTime(new Date(now + delayMs));
+  state.nextRunAt = runAt;
+
+  if (!runAt) {
+    logger.warn('Sync scheduler has no working time in the next week, not scheduling', {
+      operation: 'orders.sync.schedule',
+      workingDays: SYNC_WORKING_DAYS,
+      workingHours: SYNC_WORKING_HOURS
+    });
+    return;
+  }
+
+  timer = setTimeout(runScheduledSync, Math.max(0, runAt.getTime() - now));
+}
+
+async function runScheduledSync() {
+  if (!isWithinWorkingHours(new Date())) {
+    scheduleNextRun(0);
+    return;
+  }
+
+  try {
+    await runTrackedSync({ mode: 'incremental', trigger: 'scheduled' });
+  } catch (err) {
+    // Already recorded in state and logged by runTrackedSync
+  } finally {
+    scheduleNextRun(SYNC_INTERVAL_MINUTES * MINUTE_MS);
+  }
+}
+
+/**
+ * Run an order sync and record its outcome for the status endpoint.
+ * Used by both the scheduler and POST /api/sync-orders.
+ * Throws an AppError (409) when a sync is already running on this or another instance;
+ * such skipped runs are logged but do not replace lastRun.
+ * A run where only some seller accounts failed counts as a success but also sets lastError.
+ * @param {{ mode?: 'incremental'|'full', trigger?: 'manual'|'scheduled', sellerAccountId?: number }} [options]
+ * @returns {Promise<object>} Summary from runOrderSync.
+ */
+export async function runTrackedSync({ mode = 'incremental', trigger = 'manual', sellerAccountId } = {}) {
+  if (state.running) {
+    logger.info('Order sync skipped, one is already running in this instance', {
+      operation: 'orders.sync.skip',
+      trigger
+    });
+    throw new AppError(SYNC_IN_PROGRESS_MESSAGE, { statusCode: 409 });
+  }
+
+  const startedAt = new Date();
+  state.running = true;
+
+  try {
+    const summary = await runOrderSync({ mode, sellerAccountId });
+    const finishedAt = new Date();
+    state.lastRun = {
+      trigger,
+      mode: summary.mode,
+      outcome: summary.failedAccounts.length ? 'partial' : 'success',
+      startedAt,
+      finishedAt,
+      synced: summary.synced,
+      inserted: summary.inserted,
+      updated: summary.updated,
+      reconciled: summary.reconciled.length,
+      failedAccounts: summary.failedAccounts.map((account) => account.name)
+    };
+    if (summary.failedAccounts.length) {
+      state.lastError = {
+        at: finishedAt,
+        trigger,
+        message: summary.failedAccounts.map((account) => `${account.name}: ${account.error}`).join('; ')
+      };
+    }
+    return summary;
+  } catch (err) {
+    // Request errors (lock held elsewhere, unknown account) are not sync failures
+    if (err instanceof AppError && err.statusCode < 500) {
+      if (err.message === SYNC_IN_PROGRESS_MESSAGE) {
+        logger.info('Order sync skipped, another instance holds the sync lock', {
+          operation: 'orders.sync.skip',
+          trigger
+        });
+      }
+      throw err;
+    }
+
+    const finishedAt = new Date();
+    state.lastRun = { trigger, mode, outcome: 'failed', startedAt, finishedAt };
+    state.lastError = { at: finishedAt, trigger, message: err.message || String(err) };
+    logger.error('Order sync failed', {
+      operation: 'orders.sync',
+      trigger,
+      input: { mode },
+      error: err
+    });
+    throw err;
+  } finally {
+    state.running = false;
+  }
+}
+
+/**
+ * Start the background sync loop. Runs an incremental sync right away (or at the
+ * next working time) and then every SYNC_INTERVAL_MINUTES, pausing outside
+ * SYNC_WORKING_DAYS / SYNC_WORKING_HOURS in SYNC_TIMEZONE.
+ */
+export function startSyncScheduler() {
+  if (!SYNC_SCHEDULER_ENABLED) {
+    logger.info('Sync scheduler disabled', { operation: 'orders.sync.schedule' });
+    return;
+  }
+  if (state.started) {
+    return;
+  }
+
+  try {
+    getClockFormat();
+  } catch (err) {
+    logger.error('Sync scheduler not started, invalid SYNC_TIMEZONE', {
+      operation: 'orders.sync.schedule',
+      timezone: SYNC_TIMEZONE,
+      error: err
+    });
+    return;
+  }
+
+  state.started = true;
+  scheduleNextRun(0);
+
+  logger.info('Sync scheduler started', {
+    operation: 'orders.sync.schedule',
+    intervalMinutes: SYNC_INTERVAL_MINUTES,
+    timezone: SYNC_TIMEZONE,
+    nextRunAt: state.nextRunAt
+  });
+}
+
+/**
+ * Scheduler status for GET /api/sync-status.
+ * @returns {Promise<object>}
+ */
+export async function getSyncStatus() {
+  return {
+    enabled: state.started,
+    intervalMinutes: SYNC_INTERVAL_MINUTES,
+    timezone: SYNC_TIMEZONE,
+    workingDays: SYNC_WORKING_DAYS.map((day) => WEEKDAY_NAMES[day]),
+    workingHours: SYNC_WORKING_HOURS
+      ? `${formatMinutes(SYNC_WORKING_HOURS.start)}-${formatMinutes(SYNC_WORKING_HOURS.end)}`
+      : null,
+    paused: state.started ? !isWithinWorkingHours(new Date()) : false,
+    running: state.running,
+    lastRun: state.lastRun,
+    nextRunAt: state.nextRunAt,
+    lastError: state.lastError,
+    lastSyncedAt: await getLastSyncedAt()
+  };
+}
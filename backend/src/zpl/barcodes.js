@@ -0,0 +1,199 @@
+import { createBitmap, fillRect } from './bitmap.js';
+import { drawText, measureText } from './font.js';
+
+// Code 128 symbol values 0-106 as bar/space module widths (bar first); 106 is the stop pattern
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+
+const START = { A: 103, B: 104, C: 105 };
+const SWITCH = { A: 101, B: 100, C: 99 };
+const FNC1 = 102;
+const STOP = 106;
+
+// ZPL invocation codes inside ^BC field data (>; start C, >5 switch to C, >8 FNC1, ...)
+const INVOCATION_STARTS = { '>9': 'A', '>:': 'B', '>;': 'C' };
+const INVOCATION_SWITCHES = { '>7': 'A', '>6': 'B', '>5': 'C' };
+
+function charValue(char, set) {
+  const code = char.charCodeAt(0);
+  if (set === 'A' ? code > 95 : code < 32) {
+    throw new Error(`Code set ${set} cannot encode ${JSON.stringify(char)}.`);
+  }
+  if (set === 'A') {
+    return code < 32 ? code + 64 : code - 32;
+  }
+  return code - 32;
+}
+
+function countDigits(text, from) {
+  let end = from;
+  while (end < text.length && text[end] >= '0' && text[end] <= '9') {
+    end += 1;
+  }
+  return end - from;
+}
+
+// Symbol values for plain data: code set C for digit runs of 4+ (or a whole even-length number), B otherwise
+function encodeAuto(text) {
+  const values = [];
+  let set = null;
+  let i = 0;
+
+  while (i < text.length) {
+    const digits = countDigits(text, i);
+    const useC = digits >= 4 || (digits >= 2 && digits === text.length - i && digits % 2 === 0);
+    if (useC) {
+      const pairs = Math.floor(digits / 2);
+      values.push(set ? SWITCH.C : START.C);
+      set = 'C';
+      for (let p = 0; p < pairs; p += 1) {
+        values.push(Number(text.slice(i, i + 2)));
+        i += 2;
+      }
+      continue;
+    }
+    const target = text.charCodeAt(i) < 32 ? 'A' : 'B';
+    if (set !== target) {
+      values.push(set ? SWITCH[target] : START[target]);
+      set = target;
+    }
+    values.push(charValue(text[i], set));
+    i += 1;
+  }
+
+  return values;
+}
+
+// Symbol values for data that starts with an invocation code, following the codes literally
+function encodeWithInvocations(data) {
+  const values = [START[INVOCATION_STARTS[data.slice(0, 2)]]];
+  let set = INVOCATION_STARTS[data.slice(0, 2)];
+  let text = '';
+  let i = 2;
+
+  while (i < data.length) {
+    const pair = data.slice(i, i + 2);
+    if (INVOCATION_SWITCHES[pair]) {
+      set = INVOCATION_SWITCHES[pair];
+      values.push(SWITCH[set]);
+      i += 2;
+    } else if (pair === '>8') {
+      values.push(FNC1);
+      i += 2;
+    } else if (set === 'C') {
+      if (countDigits(data, i) < 2) {
+        throw new Error('Code set C needs pairs of digits.');
+      }
+      values.push(Number(data.slice(i, i + 2)));
+      text += data.slice(i, i + 2);
+      i += 2;
+    } else {
+      const char = pair === '><' ? '>' : data[i];
+      values.push(charValue(char, set));
+      text += char;
+      i += pair === '><' ? 2 : 1;
+    }
+  }
+
+  return { values, text };
+}
+
+/**
+ * Encode Code 128 data into module widths.
+ * Data starting with a ZPL start invocation (>9, >:, >;) is encoded as written;
+ * otherwise code sets are chosen automatically.
+ * @param {string} data - ^FD data of a ^BC field.
+ * @param {{ ucc?: boolean }} [options] - ucc: prefix FNC1 (^BC mode D).
+ * @returns {{ modules: number[], text: string }} Bar/space widths in modules (bar first) and the human-readable text.
+ * @throws {Error} When the data has characters outside Code 128 (ASCII 0-127).
+ */
+export function encodeCode128(data, { ucc = false } = {}) {
+  const unsupported = [...data].find((char) => char.charCodeAt(0) > 127);
+  if (unsupported) {
+    throw new Error(`Code 128 only encodes ASCII characters, not ${JSON.stringify(unsupported)}.`);
+  }
+
+  let values;
+  let text;
+  if (INVOCATION_STARTS[data.slice(0, 2)]) {
+    ({ values, text } = encodeWithInvocations(data));
+  } else {
+    text = data;
+    values = encodeAuto(data);
+    if (!values.length) {
+      values = [START.B];
+    }
+  }
+  if (ucc) {
+    values.splice(1, 0, FNC1);
+  }
+
+  const checksum = values.reduce((sum, value, index) => sum + value * (index === 0 ? 1 : index), 0) % 103;
+  const modules = [...values, checksum, STOP].flatMap((value) => [...CODE128_PATTERNS[value]].map(Number));
+  return { modules, text };
+}
+
+/**
+ * Render a linear barcode (bars plus optional interpretation line) in normal orientation.
+ * @param {number[]} modules - Bar/space widths in modules, bar first.
+ * @param {{ moduleWidth: number, height: number, text?: string, textAbove?: boolean }} options
+ * @returns {object} Bitmap.
+ */
+export function renderLinearBarcode(modules, { moduleWidth, height, text, textAbove = false }) {
+  const barsWidth = modules.reduce((sum, width) => sum + width, 0) * moduleWidth;
+  const font = { height: Math.max(12, moduleWidth * 9), width: Math.max(12, moduleWidth * 9) };
+  const textHeight = text ? font.height + 2 : 0;
+  const bitmap = createBitmap(Math.max(barsWidth, text ? measureText(text, font.width) : 0), height + textHeight);
+  const barsTop = textAbove ? textHeight : 0;
+
+  let x = 0;
+  modules.forEach((width, index) => {
+    if (index % 2 === 0) {
+      fillRect(bitmap, x, barsTop, width * moduleWidth, height);
+    }
+    x += width * moduleWidth;
+  });
+
+  if (text) {
+    const textX = Math.max(0, Math.round((barsWidth - measureText(text, font.width)) / 2));
+    drawText(bitmap, text, textX, textAbove ? 0 : height + 2, font);
+  }
+  return bitmap;
+}
+
+/**
+ * Stand-in for barcodes the renderer cannot encode (2D codes and rarer linear symbologies):
+ * a hatched box of roughly the printed size, so layout problems still show up.
+ * @param {number} width
+ * @param {number} height
+ * @returns {object} Bitmap.
+ */
+export function renderBarcodePlaceholder(width, height) {
+  const bitmap = createBitmap(width, height);
+  const border = Math.max(2, Math.round(Math.min(width, height) / 40));
+  fillRect(bitmap, 0, 0, bitmap.width, border);
+  fillRect(bitmap, 0, bitmap.height - border, bitmap.width, border);
+  fillRect(bitmap, 0, 0, border, bitmap.height);
+  fillRect(bitmap, bitmap.width - border, 0, border, bitmap.height);
+
+  const spacing = Math.max(6, border * 4);
+  for (let row = 0; row < bitmap.height; row += 1) {
+    for (let col = 0; col < bitmap.width; col += 1) {
+      if ((row + col) % spacing < border) {
+        bitmap.data[row * bitmap.width + col] = 1;
+      }
+    }
+  }
+  return bitmap;
+}
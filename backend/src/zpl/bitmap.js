@@ -0,0 +1,136 @@
+// 1-bit raster used by the ZPL renderer: one byte per dot, 1 = black.
+
+export const DRAW_MODES = ['black', 'white', 'xor'];
+
+/**
+ * @param {number} width - Dots.
+ * @param {number} height - Dots.
+ * @returns {{ width: number, height: number, data: Uint8Array }}
+ */
+export function createBitmap(width, height) {
+  const w = Math.max(1, Math.round(width));
+  const h = Math.max(1, Math.round(height));
+  return { width: w, height: h, data: new Uint8Array(w * h) };
+}
+
+function paint(bitmap, index, mode) {
+  if (mode === 'xor') {
+    bitmap.data[index] ^= 1;
+  } else {
+    bitmap.data[index] = mode === 'white' ? 0 : 1;
+  }
+}
+
+/**
+ * Fill a rectangle, clipped to the bitmap.
+ * @param {object} bitmap
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @param {'black'|'white'|'xor'} [mode]
+ */
+export function fillRect(bitmap, x, y, width, height, mode = 'black') {
+  const x0 = Math.max(0, Math.round(x));
+  const y0 = Math.max(0, Math.round(y));
+  const x1 = Math.min(bitmap.width, Math.round(x + width));
+  const y1 = Math.min(bitmap.height, Math.round(y + height));
+
+  for (let row = y0; row < y1; row += 1) {
+    const offset = row * bitmap.width;
+    for (let col = x0; col < x1; col += 1) {
+      paint(bitmap, offset + col, mode);
+    }
+  }
+}
+
+// Destination of source dot (sx, sy) for a ZPL field orientation, relative to the field origin
+function rotatePoint(sx, sy, source, orientation) {
+  switch (orientation) {
+    case 'R':
+      return [source.height - 1 - sy, sx];
+    case 'I':
+      return [source.width - 1 - sx, source.height - 1 - sy];
+    case 'B':
+      return [sy, source.width - 1 - sx];
+    default:
+      return [sx, sy];
+  }
+}
+
+/**
+ * Size of a source bitmap once rotated to a field orientation.
+ * @param {{ width: number, height: number }} source
+ * @param {'N'|'R'|'I'|'B'} orientation
+ * @returns {{ width: number, height: number }}
+ */
+export function rotatedSize(source, orientation) {
+  return orientation === 'R' || orientation === 'B'
+    ? { width: source.height, height: source.width }
+    : { width: source.width, height: source.height };
+}
+
+/**
+ * Copy the black dots of `source` onto `target` with its top-left corner at (x, y),
+ * rotated to `orientation` (N normal, R 90° clockwise, I 180°, B 270°) and scaled.
+ * @param {object} target
+ * @param {object} source
+ * @param {number} x
+ * @param {number} y
+ * @param {{ orientation?: string, mode?: 'black'|'white'|'xor', scaleX?: number, scaleY?: number }} [options]
+ */
+export function blitBitmap(target, source, x, y, { orientation = 'N', mode = 'black', scaleX = 1, scaleY = 1 } = {}) {
+  const originX = Math.round(x);
+  const originY = Math.round(y);
+
+  for (let sy = 0; sy < source.height; sy += 1) {
+    for (let sx = 0; sx < source.width; sx += 1) {
+      if (!source.data[sy * source.width + sx]) {
+        continue;
+      }
+      const [dx, dy] = rotatePoint(sx, sy, source, orientation);
+      if (scaleX === 1 && scaleY === 1) {
+        const tx = originX + dx;
+        const ty = originY + dy;
+        if (tx >= 0 && ty >= 0 && tx < target.width && ty < target.height) {
+          paint(target, ty * target.width + tx, mode);
+        }
+      } else {
+        fillRect(target, originX + dx * scaleX, originY + dy * scaleY, scaleX, scaleY, mode);
+      }
+    }
+  }
+}
+
+/**
+ * Rotate a whole bitmap by 180° (^PO I).
+ * @param {object} bitmap
+ * @returns {object} The same bitmap, rotated in place.
+ */
+export function rotateBitmap180(bitmap) {
+  bitmap.data.reverse();
+  return bitmap;
+}
+
+/**
+ * Pack rows to 1 bit per dot, most significant bit first, each row padded to a whole byte.
+ * @param {object} bitmap
+ * @param {{ blackBit?: 0|1 }} [options] - Bit value for black dots (PNG/PDF grayscale use 0).
+ * @returns {{ rowBytes: number, data: Buffer }}
+ */
+export function packBitmapRows(bitmap, { blackBit = 1 } = {}) {
+  const rowBytes = Math.ceil(bitmap.width / 8);
+  const data = Buffer.alloc(rowBytes * bitmap.height, blackBit ? 0x00 : 0xff);
+
+  for (let row = 0; row < bitmap.height; row += 1) {
+    for (let col = 0; col < bitmap.width; col += 1) {
+      if (bitmap.data[row * bitmap.width + col]) {
+        const byteIndex = row * rowBytes + (col >> 3);
+        const mask = 0x80 >> (col & 7);
+        data[byteIndex] = blackBit ? data[byteIndex] | mask : data[byteIndex] & ~mask;
+      }
+    }
+  }
+
+  return { rowBytes, data };
+}
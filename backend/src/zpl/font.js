@@ -0,0 +1,176 @@
+import { fillRect } from './bitmap.js';
+
+// 5x7 dot-matrix glyphs (rows top to bottom, '#' = ink). Every ZPL font is drawn with
+// this one face, scaled to the field's height and width: previews show layout and
+// size, not the printer's exact typeface.
+const GLYPH_ROWS = {
+  ' ': '..... ..... ..... ..... ..... ..... .....',
+  '!': '..#.. ..#.. ..#.. ..#.. ..#.. ..... ..#..',
+  '"': '.#.#. .#.#. ..... ..... ..... ..... .....',
+  '#': '.#.#. .#.#. ##### .#.#. ##### .#.#. .#.#.',
+  $: '..#.. .#### #.#.. .###. ..#.# ####. ..#..',
+  '%': '##... ##..# ...#. ..#.. .#... #..## ...##',
+  '&': '.##.. #..#. #.#.. .#... #.#.# #..#. .##.#',
+  "'": '..#.. ..#.. .#... ..... ..... ..... .....',
+  '(': '...#. ..#.. .#... .#... .#... ..#.. ...#.',
+  ')': '.#... ..#.. ...#. ...#. ...#. ..#.. .#...',
+  '*': '..... ..#.. #.#.# .###. #.#.# ..#.. .....',
+  '+': '..... ..#.. ..#.. ##### ..#.. ..#.. .....',
+  ',': '..... ..... ..... ..... .##.. ..#.. .#...',
+  '-': '..... ..... ..... ##### ..... ..... .....',
+  '.': '..... ..... ..... ..... ..... .##.. .##..',
+  '/': '..... ....# ...#. ..#.. .#... #.... .....',
+  0: '.###. #...# #..## #.#.# ##..# #...# .###.',
+  1: '..#.. .##.. ..#.. ..#.. ..#.. ..#.. .###.',
+  2: '.###. #...# ....# ...#. ..#.. .#... #####',
+  3: '##### ...#. ..#.. ...#. ....# #...# .###.',
+  4: '...#. ..##. .#.#. #..#. ##### ...#. ...#.',
+  5: '##### #.... ####. ....# ....# #...# .###.',
+  6: '..##. .#... #.... ####. #...# #...# .###.',
+  7: '##### ....# ...#. ..#.. .#... .#... .#...',
+  8: '.###. #...# #...# .###. #...# #...# .###.',
+  9: '.###. #...# #...# .#### ....# ...#. .##..',
+  ':': '..... .##.. .##.. ..... .##.. .##.. .....',
+  ';': '..... .##.. .##.. ..... .##.. ..#.. .#...',
+  '<': '...#. ..#.. .#... #.... .#... ..#.. ...#.',
+  '=': '..... ..... ##### ..... ##### ..... .....',
+  '>': '.#... ..#.. ...#. ....# ...#. ..#.. .#...',
+  '?': '.###. #...# ....# ...#. ..#.. ..... ..#..',
+  '@': '.###. #...# ....# .##.# #.#.# #.#.# .###.',
+  A: '.###. #...# #...# ##### #...# #...# #...#',
+  B: '####. #...# #...# ####. #...# #...# ####.',
+  C: '.###. #...# #.... #.... #.... #...# .###.',
+  D: '###.. #..#. #...# #...# #...# #..#. ###..',
+  E: '##### #.... #.... ####. #.... #.... #####',
+  F: '##### #.... #.... ####. #.... #.... #....',
+  G: '.###. #...# #.... #.### #...# #...# .####',
+  H: '#...# #...# #...# ##### #...# #...# #...#',
+  I: '.###. ..#.. ..#.. ..#.. ..#.. ..#.. .###.',
+  J: '..### ...#. ...#. ...#. ...#. #..#. .##..',
+  K: '#...# #..#. #.#.. ##... #.#.. #..#. #...#',
+  L: '#.... #.... #.... #.... #.... #.... #####',
+  M: '#...# ##.## #.#.# #.#.# #...# #...# #...#',
+  N: '#...# #...# ##..# #.#.# #..## #...# #...#',
+  O: '.###. #...# #...# #...# #...# #...# .###.',
+  P: '####. #...# #...# ####. #.... #.... #....',
+  Q: '.###. #...# #...# #...# #.#.# #..#. .##.#',
+  R: '####. #...# #...# ####. #.#.. #..#. #...#',
+  S: '.#### #.... #.... .###. ....# ....# ####.',
+  T: '##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+  U: '#...# #...# #...# #...# #...# #...# .###.',
+  V: '#...# #...# #...# #...# #...# .#.#. ..#..',
+  W: '#...# #...# #...# #.#.# #.#.# #.#.# .#.#.',
+  X: '#...# #...# .#.#. ..#.. .#.#. #...# #...#',
+  Y: '#...# #...# #...# .#.#. ..#.. ..#.. ..#..',
+  Z: '##### ....# ...#. ..#.. .#... #.... #####',
+  '[': '.###. .#... .#... .#... .#... .#... .###.',
+  '\\': '..... #.... .#... ..#.. ...#. ....# .....',
+  ']': '.###. ...#. ...#. ...#. ...#. ...#. .###.',
+  '^': '..#.. .#.#. #...# ..... ..... ..... .....',
+  _: '..... ..... ..... ..... ..... ..... #####',
+  '`': '.#... ..#.. ...#. ..... ..... ..... .....',
+  a: '..... ..... .###. ....# .#### #...# .####',
+  b: '#.... #.... #.##. ##..# #...# #...# ####.',
+  c: '..... ..... .###. #.... #.... #...# .###.',
+  d: '....# ....# .##.# #..## #...# #...# .####',
+  e: '..... ..... .###. #...# ##### #.... .###.',
+  f: '..##. .#..# .#... ###.. .#... .#... .#...',
+  g: '..... .#### #...# #...# .#### ....# .###.',
+  h: '#.... #.... #.##. ##..# #...# #...# #...#',
+  i: '..#.. ..... .##.. ..#.. ..#.. ..#.. .###.',
+  j: '...#. ..... ..##. ...#. ...#. #..#. .##..',
+  k: '#.... #.... #..#. #.#.. ##... #.#.. #..#.',
+  l: '.##.. ..#.. ..#.. ..#.. ..#.. ..#.. .###.',
+  m: '..... ..... ##.#. #.#.# #.#.# #...# #...#',
+  n: '..... ..... #.##. ##..# #...# #...# #...#',
+  o: '..... ..... .###. #...# #...# #...# .###.',
+  p: '..... ..... ####. #...# ####. #.... #....',
+  q: '..... ..... .##.# #..## .#### ....# ....#',
+  r: '..... ..... #.##. ##..# #.... #.... #....',
+  s: '..... ..... .###. #.... .###. ....# ####.',
+  t: '.#... .#... ###.. .#... .#... .#..# ..##.',
+  u: '..... ..... #...# #...# #...# #..## .##.#',
+  v: '..... ..... #...# #...# #...# .#.#. ..#..',
+  w: '..... ..... #...# #...# #.#.# #.#.# .#.#.',
+  x: '..... ..... #...# .#.#. ..#.. .#.#. #...#',
+  y: '..... ..... #...# #...# .#### ....# .###.',
+  z: '..... ..... ##### ...#. ..#.. .#... #####',
+  '{': '...#. ..#.. ..#.. .#... ..#.. ..#.. ...#.',
+  '|': '..#.. ..#.. ..#.. ..#.. ..#.. ..#.. ..#..',
+  '}': '.#... ..#.. ..#.. ...#. ..#.. ..#.. .#...',
+  '~': '..... ..... .#... #.#.# ...#. ..... .....'
+};
+
+const GLYPH_COLUMNS = 5;
+const GLYPH_LINES = 7;
+
+const GLYPHS = Object.fromEntries(
+  Object.entries(GLYPH_ROWS).map(([char, rows]) => [char, rows.split(' ').map((row) => [...row].map((c) => c === '#'))])
+);
+
+// Glyph geometry as fractions of the ZPL font height/width. Font 0 at ^A0N,30,30
+// is roughly 17 dots per character, with capitals about two thirds of the height.
+const ADVANCE_RATIO = 0.58;
+const TOP_RATIO = 0.12;
+const GLYPH_HEIGHT_RATIO = 0.7;
+
+function getGlyph(char) {
+  if (GLYPHS[char]) {
+    return GLYPHS[char];
+  }
+  // Accented letters fall back to their base letter
+  const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return GLYPHS[base] || GLYPHS['?'];
+}
+
+/**
+ * Width in dots of a line of text.
+ * @param {string} text
+ * @param {number} fontWidth - ZPL font width (dots).
+ * @returns {number}
+ */
+export function measureText(text, fontWidth) {
+  return Math.round([...text].length * fontWidth * ADVANCE_RATIO);
+}
+
+/**
+ * Distance in dots from the top of a text line to its baseline (for ^FT origins).
+ * @param {number} fontHeight
+ * @returns {number}
+ */
+export function getBaselineOffset(fontHeight) {
+  return Math.round(fontHeight * (TOP_RATIO + GLYPH_HEIGHT_RATIO));
+}
+
+/**
+ * Draw one line of text with its top-left corner at (x, y).
+ * @param {object} bitmap
+ * @param {string} text
+ * @param {number} x
+ * @param {number} y
+ * @param {{ height: number, width: number }} font - ZPL font size in dots.
+ */
+export function drawText(bitmap, text, x, y, font) {
+  const advance = font.width * ADVANCE_RATIO;
+  // Leave one glyph column of spacing between characters
+  const dotWidth = (advance * GLYPH_COLUMNS) / (GLYPH_COLUMNS + 1) / GLYPH_COLUMNS;
+  const dotHeight = (font.height * GLYPH_HEIGHT_RATIO) / GLYPH_LINES;
+  const top = y + font.height * TOP_RATIO;
+
+  [...text].forEach((char, index) => {
+    const glyph = getGlyph(char);
+    const left = x + index * advance;
+    for (let row = 0; row < GLYPH_LINES; row += 1) {
+      for (let col = 0; col < GLYPH_COLUMNS; col += 1) {
+        if (!glyph[row][col]) {
+          continue;
+        }
+        const x0 = Math.round(left + col * dotWidth);
+        const y0 = Math.round(top + row * dotHeight);
+        const x1 = Math.round(left + (col + 1) * dotWidth);
+        const y1 = Math.round(top + (row + 1) * dotHeight);
+        fillRect(bitmap, x0, y0, Math.max(1, x1 - x0), Math.max(1, y1 - y0));
+      }
+    }
+  });
+}
@@ -0,0 +1,145 @@
+import zlib from 'node:zlib';
+import { createBitmap, packBitmapRows } from './bitmap.js';
+
+// ZPL ASCII hex compression: G-Y repeat the next hex digit 1-19 times, g-z 20-400 times (summed)
+function getRepeatCount(char) {
+  if (char >= 'G' && char <= 'Y') {
+    return char.charCodeAt(0) - 70;
+  }
+  if (char >= 'g' && char <= 'z') {
+    return (char.charCodeAt(0) - 102) * 20;
+  }
+  return 0;
+}
+
+// Expand compressed ASCII hex into raw bytes, row by row
+function decodeCompressedHex(data, bytesPerRow, totalBytes) {
+  const rowDigits = bytesPerRow * 2;
+  const rows = [];
+  let row = '';
+  let previousRow = '0'.repeat(rowDigits);
+  let repeat = 0;
+
+  const finishRow = () => {
+    rows.push(row);
+    previousRow = row;
+    row = '';
+  };
+
+  for (const char of data) {
+    const count = getRepeatCount(char);
+    if (count) {
+      repeat += count;
+      continue;
+    }
+    if (char === ',') {
+      row = row.padEnd(rowDigits, '0');
+      finishRow();
+    } else if (char === '!') {
+      row = row.padEnd(rowDigits, 'F');
+      finishRow();
+    } else if (char === ':') {
+      row = previousRow;
+      finishRow();
+    } else if (/[0-9A-Fa-f]/.test(char)) {
+      row += char.repeat(repeat || 1);
+      while (row.length >= rowDigits) {
+        const overflow = row.slice(rowDigits);
+        row = row.slice(0, rowDigits);
+        finishRow();
+        row = overflow;
+      }
+    }
+    repeat = 0;
+  }
+  if (row) {
+    finishRow();
+  }
+
+  const bytes = Buffer.from(rows.join(''), 'hex');
+  return bytes.subarray(0, totalBytes);
+}
+
+// :Z64:<base64 of zlib data>:<crc> or :B64:<base64>:<crc>
+function decodeBase64Payload(data) {
+  const match = data.match(/^:(Z64|B64):([^:]*)/);
+  const bytes = Buffer.from(match[2], 'base64');
+  return match[1] === 'Z64' ? zlib.inflateSync(bytes) : bytes;
+}
+
+/**
+ * Decode graphic data into a bitmap (1 bits are black, most significant bit first).
+ * @param {{ format: string, totalBytes: number, bytesPerRow: number, data: string }} graphic
+ *   format is the ^GF compression type: 'A' (ASCII hex, optionally :Z64:/:B64:) or 'B' (binary).
+ * @returns {object} Bitmap.
+ */
+export function decodeGraphic({ format, totalBytes, bytesPerRow, data }) {
+  if (!(bytesPerRow > 0) || !(totalBytes > 0)) {
+    throw new Error('Graphic field needs positive byte counts.');
+  }
+
+  let bytes;
+  if (/^:(Z64|B64):/.test(data)) {
+    bytes = decodeBase64Payload(data);
+  } else if (format === 'A') {
+    bytes = decodeCompressedHex(data, bytesPerRow, totalBytes);
+  } else if (format === 'B') {
+    bytes = Buffer.from(data, 'latin1');
+  } else {
+    throw new Error(`Graphic compression type ${format} is not supported.`);
+  }
+
+  const height = Math.ceil(totalBytes / bytesPerRow);
+  const bitmap = createBitmap(bytesPerRow * 8, height);
+  for (let row = 0; row < height; row += 1) {
+    for (let byte = 0; byte < bytesPerRow; byte += 1) {
+      const value = bytes[row * bytesPerRow + byte] || 0;
+      for (let bit = 0; bit < 8; bit += 1) {
+        if (value & (0x80 >> bit)) {
+          bitmap.data[row * bitmap.width + byte * 8 + bit] = 1;
+        }
+      }
+    }
+  }
+  return bitmap;
+}
+
+// Repeat-count characters for `count` copies of a hex digit (inverse of getRepeatCount)
+function getRepeatPrefix(count) {
+  let prefix = '';
+  let rest = count;
+  while (rest >= 20) {
+    const twenties = Math.min(20, Math.floor(rest / 20));
+    prefix += String.fromCharCode(102 + twenties);
+    rest -= twenties * 20;
+  }
+  return rest > 0 ? prefix + String.fromCharCode(70 + rest) : prefix;
+}
+
+function compressRow(hex, previousRow) {
+  if (hex === previousRow) {
+    return ':';
+  }
+  const trimmed = hex.replace(/0+$/, '');
+  const filled = trimmed.replace(/F+$/, '');
+  const body = trimmed.length < hex.length ? trimmed : filled;
+  const end = trimmed.length < hex.length ? ',' : filled.length < hex.length ? '!' : '';
+  return body.replace(/(.)\1*/g, (run, char) => (run.length > 1 ? getRepeatPrefix(run.length) : '') + char) + end;
+}
+
+/**
+ * Encode a bitmap as compressed ASCII hex graphic data (the inverse of decodeGraphic format 'A').
+ * @param {object} bitmap
+ * @returns {{ totalBytes: number, bytesPerRow: number, data: string }} Parameters for ^GFA or ~DG.
+ */
+export function encodeGraphic(bitmap) {
+  const { rowBytes, data } = packBitmapRows(bitmap);
+  const rows = [];
+  let previousRow = null;
+  for (let row = 0; row < bitmap.height; row += 1) {
+    const hex = data.subarray(row * rowBytes, (row + 1) * rowBytes).toString('hex').toUpperCase();
+    rows.push(compressRow(hex, previousRow));
+    previousRow = hex;
+  }
+  return { totalBytes: rowBytes * bitmap.height, bytesPerRow: rowBytes, data: rows.join('') };
+}
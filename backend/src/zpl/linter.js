@@ -0,0 +1,236 @@
+// Structural checks and field layout for ZPL labels, built on the tokenizer and renderer.
+import { renderZpl } from './renderer.js';
+import { splitParams, tokenizeZpl } from './tokenizer.js';
+
+// ZPL II commands, without prefix (most work with both ^ and ~). Anything else is reported, so
+// typos such as ^F0 or a lost caret show up before a label reaches the printer.
+const KNOWN_COMMANDS = new Set([
+  'A', 'A@',
+  'B0', 'B1', 'B2', 'B3', 'B4', 'B5', 'B7', 'B8', 'B9', 'BA', 'BB', 'BC', 'BD', 'BE', 'BF', 'BI', 'BJ', 'BK', 'BL',
+  'BM', 'BO', 'BP', 'BQ', 'BR', 'BS', 'BT', 'BU', 'BX', 'BY', 'BZ',
+  'CC', 'CD', 'CF', 'CI', 'CM', 'CN', 'CO', 'CP', 'CT', 'CV', 'CW',
+  'DB', 'DE', 'DF', 'DG', 'DN', 'DS', 'DT', 'DU', 'DY',
+  'EG', 'FA', 'FB', 'FC', 'FD', 'FE', 'FH', 'FL', 'FM', 'FN', 'FO', 'FP', 'FR', 'FS', 'FT', 'FV', 'FW', 'FX',
+  'GB', 'GC', 'GD', 'GE', 'GF', 'GS',
+  'HB', 'HD', 'HF', 'HG', 'HH', 'HI', 'HM', 'HQ', 'HS', 'HT', 'HU', 'HV', 'HW', 'HY', 'HZ',
+  'ID', 'IL', 'IM', 'IS',
+  'JA', 'JB', 'JC', 'JD', 'JE', 'JF', 'JG', 'JH', 'JI', 'JJ', 'JL', 'JM', 'JN', 'JO', 'JP', 'JQ', 'JR', 'JS', 'JT',
+  'JU', 'JW', 'JX', 'JZ',
+  'KB', 'KD', 'KL', 'KN', 'KP', 'KV',
+  'LF', 'LH', 'LL', 'LR', 'LS', 'LT',
+  'MA', 'MC', 'MD', 'MF', 'MI', 'ML', 'MM', 'MN', 'MP', 'MT', 'MU', 'MW',
+  'NC', 'NI', 'NR', 'NS', 'NT',
+  'PA', 'PF', 'PH', 'PL', 'PM', 'PN', 'PO', 'PP', 'PQ', 'PR', 'PS', 'PW',
+  'RB', 'RF', 'RM', 'RN', 'RO', 'RR', 'RS', 'RT', 'RV', 'RW', 'RZ',
+  'SC', 'SD', 'SE', 'SF', 'SI', 'SL', 'SN', 'SO', 'SP', 'SQ', 'SR', 'SS', 'ST', 'SX', 'SZ',
+  'TA', 'TB', 'TO',
+  'WC', 'WD', 'WT', 'WV',
+  'XA', 'XB', 'XF', 'XG', 'XS', 'XZ', 'ZZ'
+]);
+
+// Commands that end a field, so ^FD data before them without ^FS is unterminated
+const FIELD_STARTS = new Set(['FO', 'FT', 'XZ']);
+
+function toInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function describePosition(position) {
+  return position ? ` (line ${position.line}, column ${position.column})` : '';
+}
+
+/**
+ * Lint ZPL.
+ * - Errors: empty input, missing or misordered ^XA/^XZ.
+ * - Warnings: several labels, content after the last ^XZ, missing ^PW/^LL, unknown commands,
+ *   ^FD without ^FS, and ^LH home offsets that shift every later field origin.
+ * ^FX comments and field data are skipped, so commands quoted in them do not count.
+ * @param {string} zpl
+ * @returns {{
+ *   ok: boolean, errors: string[], warnings: string[],
+ *   issues: { severity: 'error'|'warning', code: string, message: string, offset: number|null, line: number|null, column: number|null }[],
+ *   meta: { startIndex: number, endIndex: number, printWidth: number|null, labelLength: number|null, labelHome: { x: number, y: number }, commandCount: number }
+ * }} endIndex is the offset of the last ^XZ (where a footer is inserted); labelHome the ^LH in effect there.
+ */
+export function lintZpl(zpl) {
+  const issues = [];
+  const add = (severity, code, message, token = null) => {
+    issues.push({
+      severity,
+      code,
+      message: `${message}${describePosition(token)}`,
+      offset: token ? token.offset : null,
+      line: token ? token.line : null,
+      column: token ? token.column : null
+    });
+  };
+  const result = (meta) => ({
+    ok: !issues.some((issue) => issue.severity === 'error'),
+    errors: issues.filter((issue) => issue.severity === 'error').map((issue) => issue.message),
+    warnings: issues.filter((issue) => issue.severity === 'warning').map((issue) => issue.message),
+    issues,
+    meta
+  });
+
+  if (typeof zpl !== 'string' || !zpl.trim()) {
+    add('error', 'EMPTY', 'ZPL payload is empty.');
+    return result({ startIndex: -1, endIndex: -1, printWidth: null, labelLength: null, labelHome: { x: 0, y: 0 }, commandCount: 0 });
+  }
+
+  const tokens = tokenizeZpl(zpl);
+  const starts = tokens.filter((token) => token.prefix === '^' && token.command === 'XA');
+  const ends = tokens.filter((token) => token.prefix === '^' && token.command === 'XZ');
+  const start = starts[0] || null;
+  const end = ends[ends.length - 1] || null;
+
+  if (!start) {
+    add('error', 'MISSING_START', 'Missing ^XA start marker.');
+  }
+  if (!end) {
+    add('error', 'MISSING_END', 'Missing ^XZ end marker.');
+  }
+  if (start && end && end.offset < start.offset) {
+    add('error', 'END_BEFORE_START', '^XZ end marker appears before ^XA start marker.', end);
+  }
+  if (starts.length > 1) {
+    add('warning', 'MULTIPLE_START', 'Multiple ^XA markers detected.', starts[1]);
+  }
+  if (ends.length > 1) {
+    add('warning', 'MULTIPLE_END', 'Multiple ^XZ markers detected.', ends[1]);
+  }
+  if (end && zpl.slice(end.offset + 3).trim()) {
+    add('warning', 'TRAILING_CONTENT', 'Trailing content detected after final ^XZ marker.', end);
+  }
+
+  let printWidth = null;
+  let labelLength = null;
+  let labelHome = { x: 0, y: 0 };
+  let openField = null;
+  const unknown = new Map();
+
+  for (const token of tokens) {
+    const { command } = token;
+    if (!KNOWN_COMMANDS.has(command)) {
+      const name = `${token.prefix}${command}`;
+      if (!unknown.has(name)) {
+        unknown.set(name, token);
+      }
+      continue;
+    }
+    if (token.prefix !== '^') {
+      continue;
+    }
+    if (openField && FIELD_STARTS.has(command)) {
+      add('warning', 'UNTERMINATED_FIELD', 'Field data without ^FS.', openField);
+      openField = null;
+    }
+
+    if (command === 'XA') {
+      labelHome = { x: 0, y: 0 };
+    } else if (command === 'PW') {
+      printWidth = toInt(token.params, printWidth);
+    } else if (command === 'LL') {
+      labelLength = toInt(token.params, labelLength);
+    } else if (command === 'LH') {
+      const [x, y] = splitParams(token.params);
+      labelHome = { x: toInt(x, 0), y: toInt(y, 0) };
+      if (labelHome.x || labelHome.y) {
+        add('warning', 'LABEL_HOME_SHIFT', `^LH moves the label home to (${labelHome.x}, ${labelHome.y}); later field origins are shifted by it.`, token);
+      }
+    } else if (command === 'FD' || command === 'FV') {
+      openField = token;
+    } else if (command === 'FS') {
+      openField = null;
+    }
+  }
+
+  unknown.forEach((token, name) => {
+    add('warning', 'UNKNOWN_COMMAND', `Unknown ZPL command ${name}.`, token);
+  });
+  if (printWidth === null) {
+    add('warning', 'MISSING_PRINT_WIDTH', 'Missing ^PW (print width) definition.');
+  }
+  if (labelLength === null) {
+    add('warning', 'MISSING_LABEL_LENGTH', 'Missing ^LL (label length) definition.');
+  }
+
+  return result({
+    startIndex: start ? start.offset : -1,
+    endIndex: end ? end.offset : -1,
+    printWidth,
+    labelLength,
+    labelHome,
+    commandCount: tokens.length
+  });
+}
+
+/**
+ * Printed area of the last label in the ZPL (the one a footer is added to): its size in dots and
+ * the rectangles covered by its fields, as drawn by the renderer.
+ * @param {string} zpl
+ * @param {{ dotsPerMm?: number }} [options]
+ * @returns {{ width: number, height: number, fields: { command: string, x: number, y: number, width: number, height: number, offset: number|null }[] }|null}
+ */
+export function getLabelLayout(zpl, options = {}) {
+  const labels = renderZpl(zpl, options);
+  const last = labels[labels.length - 1];
+  return last ? { width: last.bitmap.width, height: last.bitmap.height, fields: last.fields } : null;
+}
+
+function overlaps(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Fields that overlap a box.
+ * @param {object[]} fields - getLabelLayout fields.
+ * @param {{ x: number, y: number, width: number, height: number }} box
+ * @returns {object[]}
+ */
+export function findCollisions(fields, box) {
+  return fields.filter((field) => field.width > 0 && field.height > 0 && overlaps(field, box));
+}
+
+/**
+ * Describe collided fields for messages ("^FD field at 50,420 (300x30 dots) (line 4, column 1)"),
+ * with their source position when the ZPL is given.
+ * @param {object[]} collisions - findCollisions result.
+ * @param {string} [zpl] - Source the fields came from.
+ * @returns {string[]}
+ */
+export function describeCollisions(collisions, zpl) {
+  const positions = new Map(zpl ? tokenizeZpl(zpl).map((token) => [token.offset, token]) : []);
+  return collisions.map(
+    (field) =>
+      `${field.command} field at ${field.x},${field.y} (${field.width}x${field.height} dots)${describePosition(positions.get(field.offset))}`
+  );
+}
+
+/**
+ * Find a free spot for a box: the position closest to `preferred` where it stays on the label
+ * and overlaps no field. Moves the box up or down first and only tries other x positions when
+ * no row is free at the preferred one.
+ * @param {{ width: number, height: number, fields: object[] }} layout - getLabelLayout result.
+ * @param {{ preferred: { x: number, y: number }, size: { width: number, height: number }, step?: number }} options
+ * @returns {{ x: number, y: number }|null} null when the label has no free area that large.
+ */
+export function findFreeArea(layout, { preferred, size, step = 8 }) {
+  // Candidate positions on a step grid, plus the preferred one, nearest first
+  const candidates = (room, target) => {
+    const values = new Set(target <= room ? [target] : []);
+    for (let value = 0; value <= room; value += step) {
+      values.add(value);
+    }
+    return [...values].sort((a, b) => Math.abs(a - target) - Math.abs(b - target));
+  };
+
+  const rows = candidates(layout.height - size.height, preferred.y);
+  for (const x of candidates(layout.width - size.width, preferred.x)) {
+    const y = rows.find((candidate) => findCollisions(layout.fields, { x, y: candidate, width: size.width, height: size.height }).length === 0);
+    if (y !== undefined) {
+      return { x, y };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,447 @@
+import { blitBitmap, createBitmap, fillRect, rotateBitmap180, rotatedSize } from './bitmap.js';
+import { encodeCode128, renderBarcodePlaceholder, renderLinearBarcode } from './barcodes.js';
+import { drawText, getBaselineOffset, measureText } from './font.js';
+import { decodeGraphic } from './graphics.js';
+import { splitLabels, splitParams, tokenizeZpl } from './tokenizer.js';
+
+// 203 dpi printheads: 8 dots per millimetre
+export const DEFAULT_DOTS_PER_MM = 8;
+
+// 4x6 in label, used when the ZPL has no ^PW / ^LL
+const DEFAULT_LABEL_INCHES = { width: 4, height: 6 };
+
+const ORIENTATIONS = new Set(['N', 'R', 'I', 'B']);
+
+// Commands that do not change what is printed
+const IGNORED_COMMANDS = new Set([
+  'CC', 'CD', 'CI', 'CT', 'FX', 'JM', 'JU', 'JZ', 'LT', 'MD', 'MM', 'MN', 'MT', 'MU', 'PF', 'PM', 'PO', 'PQ',
+  'PR', 'PW', 'LL', 'SN', 'SZ', 'TA', 'SD', 'JS', 'JT', 'FS', 'XA', 'XZ', 'HS', 'HH', 'HI', 'HM', 'WC'
+]);
+
+// Barcodes drawn as hatched placeholders, by command
+const PLACEHOLDER_BARCODES = {
+  B3: 'Code 39',
+  BQ: 'QR Code',
+  BX: 'Data Matrix',
+  B7: 'PDF417',
+  BD: 'MaxiCode',
+  BE: 'EAN-13',
+  B8: 'EAN-8',
+  BU: 'UPC-A',
+  B2: 'Interleaved 2 of 5',
+  BA: 'Code 93',
+  BO: 'Aztec',
+  B0: 'Aztec'
+};
+
+function toInt(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function toFloat(value, fallback) {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function toOrientation(value, fallback) {
+  const upper = String(value || '').toUpperCase();
+  return ORIENTATIONS.has(upper) ? upper : fallback;
+}
+
+// ^FH: replace <indicator><two hex digits> with the byte they encode
+function decodeFieldHex(text, indicator) {
+  let result = '';
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === indicator && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      result += String.fromCharCode(Number.parseInt(text.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      result += text[i];
+    }
+  }
+  return result;
+}
+
+// Split ^FB text into lines that fit `width`, honouring \& line breaks
+function wrapFieldBlock(text, width, fontWidth) {
+  const lines = [];
+  for (const paragraph of text.split('\\&')) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measureText(candidate, fontWidth) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Size and position of the label canvas come from the last ^PW / ^LL / ^PO in the label
+function getLabelGeometry(tokens, dotsPerMm) {
+  const dpi = dotsPerMm * 25.4;
+  let width = Math.floor(DEFAULT_LABEL_INCHES.width * dpi);
+  let height = Math.floor(DEFAULT_LABEL_INCHES.height * dpi);
+  let inverted = false;
+
+  for (const { prefix, command, params } of tokens) {
+    if (prefix !== '^') {
+      continue;
+    }
+    if (command === 'PW') {
+      width = toInt(params, width);
+    } else if (command === 'LL') {
+      height = toInt(params, height);
+    } else if (command === 'PO') {
+      inverted = params.trim().toUpperCase() === 'I';
+    }
+  }
+
+  return { width, height, inverted };
+}
+
+function createFieldState(defaults) {
+  return {
+    x: 0,
+    y: 0,
+    typeset: false,
+    font: null,
+    orientation: defaults.orientation,
+    reverse: false,
+    block: null,
+    hexIndicator: null,
+    barcode: null,
+    data: null
+  };
+}
+
+/**
+ * Render ZPL into bitmaps, one per ^XA ... ^XZ label.
+ * Handles ^FO/^FT, ^LH, ^A/^CF/^FW text (one built-in face, scaled), ^FB blocks, ^FH, ^FR/^LR,
+ * ^GB boxes, ^GF and ~DG/^XG graphics and ^BC (Code 128) barcodes. Other barcodes are drawn as
+ * hatched placeholders; anything else unsupported is reported in `warnings`.
+ * `fields` lists the dot rectangles every field covers (a ^GB frame as its four edges), with the
+ * command that drew it and the source offset of the field's ^FO/^FT, for collision checks.
+ * @param {string} zpl
+ * @param {{ dotsPerMm?: number }} [options]
+ * @returns {{ bitmap: object, warnings: string[], fields: { command: string, x: number, y: number, width: number, height: number, offset: number|null }[] }[]}
+ */
+export function renderZpl(zpl, { dotsPerMm = DEFAULT_DOTS_PER_MM } = {}) {
+  const { labels, global } = splitLabels(tokenizeZpl(zpl));
+  const storedGraphics = new Map();
+  const rendered = [];
+
+  const storeGraphic = (params, warnings) => {
+    // ~DGd:name.GRF,totalBytes,bytesPerRow,data
+    const [name, totalBytes, bytesPerRow, data] = splitParams(params, 4);
+    try {
+      storedGraphics.set(
+        name.toUpperCase(),
+        decodeGraphic({ format: 'A', totalBytes: toInt(totalBytes, 0), bytesPerRow: toInt(bytesPerRow, 0), data: data || '' })
+      );
+    } catch (err) {
+      warnings.push(`~DG ${name}: ${err.message}`);
+    }
+  };
+
+  labels.forEach((tokens, labelIndex) => {
+    const warnings = [];
+    for (const entry of global) {
+      if (entry.beforeLabel === labelIndex && entry.token.command === 'DG') {
+        storeGraphic(entry.token.params, warnings);
+      }
+    }
+    rendered.push(renderLabel(tokens, { dotsPerMm, storedGraphics, storeGraphic, warnings }));
+  });
+
+  return rendered;
+}
+
+function renderLabel(tokens, { dotsPerMm, storedGraphics, storeGraphic, warnings }) {
+  const geometry = getLabelGeometry(tokens, dotsPerMm);
+  const bitmap = createBitmap(geometry.width, geometry.height);
+  const unsupported = new Set();
+  const fields = [];
+  let fieldOffset = null;
+
+  const defaults = {
+    font: { height: 9, width: 5 },
+    orientation: 'N',
+    barcode: { moduleWidth: 2, ratio: 3, height: 10 }
+  };
+  let home = { x: 0, y: 0 };
+  let labelReverse = false;
+  let field = createFieldState(defaults);
+
+  const drawMode = () => (field.reverse || labelReverse ? 'xor' : 'black');
+
+  const recordField = (command, x, y, width, height) => {
+    fields.push({ command, x, y, width, height, offset: fieldOffset });
+  };
+
+  // Top-left corner for a field of the given size; ^FT origins sit on the baseline / bottom edge
+  const fieldTopLeft = (size, baselineOffset) => ({
+    x: field.x,
+    y: field.typeset ? field.y - (baselineOffset ?? size.height) : field.y
+  });
+
+  const placeBitmap = (source, baselineOffset) => {
+    const size = rotatedSize(source, field.orientation);
+    const { x, y } = fieldTopLeft(size, field.orientation === 'N' ? baselineOffset : undefined);
+    blitBitmap(bitmap, source, x, y, { orientation: field.orientation, mode: drawMode() });
+    recordField(field.barcode ? `^${field.barcode.kind}` : '^FD', x, y, size.width, size.height);
+  };
+
+  const finishTextField = (text) => {
+    const font = field.font || defaults.font;
+    const lines = field.block ? wrapFieldBlock(text, field.block.width, font.width).slice(0, field.block.maxLines) : [text];
+    const lineHeight = font.height + (field.block ? field.block.lineSpacing : 0);
+    const width = field.block ? field.block.width : measureText(text, font.width);
+    const canvas = createBitmap(Math.max(1, width), Math.max(1, lineHeight * lines.length));
+
+    lines.forEach((line, index) => {
+      let offset = 0;
+      if (field.block && field.block.justify === 'C') {
+        offset = Math.round((width - measureText(line, font.width)) / 2);
+      } else if (field.block && field.block.justify === 'R') {
+        offset = width - measureText(line, font.width);
+      }
+      drawText(canvas, line, Math.max(0, offset), index * lineHeight, font);
+    });
+
+    // ^FT with a field block: the origin is the baseline of the last line
+    placeBitmap(canvas, lineHeight * (lines.length - 1) + getBaselineOffset(font.height));
+  };
+
+  const finishBarcodeField = (text) => {
+    const { barcode } = field;
+    if (barcode.kind === 'BC') {
+      try {
+        const { modules, text: readable } = encodeCode128(text, { ucc: barcode.mode === 'D' });
+        placeBitmap(
+          renderLinearBarcode(modules, {
+            moduleWidth: barcode.moduleWidth,
+            height: barcode.height,
+            text: barcode.interpretation ? readable : undefined,
+            textAbove: barcode.above
+          })
+        );
+      } catch (err) {
+        warnings.push(`^BC ${JSON.stringify(text)}: ${err.message}`);
+      }
+      return;
+    }
+
+    // Placeholders: 2D codes as a square scaled by magnification / module size, linear ones by data length
+    const moduleSize = barcode.moduleSize || barcode.moduleWidth;
+    const size =
+      barcode.kind === 'BD'
+        ? { width: Math.round(dotsPerMm * 28), height: Math.round(dotsPerMm * 27) }
+        : barcode.twoDimensional
+          ? { width: moduleSize * 25, height: moduleSize * 25 }
+          : { width: Math.max(40, (text.length * 11 + 35) * barcode.moduleWidth), height: barcode.height };
+    placeBitmap(renderBarcodePlaceholder(size.width, size.height));
+    warnings.push(`${PLACEHOLDER_BARCODES[barcode.kind]} barcode (^${barcode.kind}) shown as a placeholder.`);
+  };
+
+  const drawGraphicBox = (params) => {
+    const [w, h, t, color] = splitParams(params);
+    const thickness = Math.max(1, toInt(t, 1));
+    const width = Math.max(thickness, toInt(w, thickness));
+    const height = Math.max(thickness, toInt(h, thickness));
+    const mode = field.reverse || labelReverse ? 'xor' : String(color).toUpperCase() === 'W' ? 'white' : 'black';
+    const { x, y } = fieldTopLeft({ width, height });
+
+    const rects =
+      thickness * 2 >= width || thickness * 2 >= height
+        ? [[x, y, width, height]]
+        : [
+            [x, y, width, thickness],
+            [x, y + height - thickness, width, thickness],
+            [x, y + thickness, thickness, height - thickness * 2],
+            [x + width - thickness, y + thickness, thickness, height - thickness * 2]
+          ];
+    rects.forEach(([rx, ry, rw, rh]) => {
+      fillRect(bitmap, rx, ry, rw, rh, mode);
+      recordField('^GB', rx, ry, rw, rh);
+    });
+  };
+
+  const drawGraphicField = (params) => {
+    const [format, , totalBytes, bytesPerRow, data] = splitParams(params, 5);
+    try {
+      const graphic = decodeGraphic({
+        format: String(format).toUpperCase(),
+        totalBytes: toInt(totalBytes, 0),
+        bytesPerRow: toInt(bytesPerRow, 0),
+        data: data || ''
+      });
+      const { x, y } = fieldTopLeft(graphic);
+      blitBitmap(bitmap, graphic, x, y, { mode: drawMode() });
+      recordField('^GF', x, y, graphic.width, graphic.height);
+    } catch (err) {
+      warnings.push(`^GF: ${err.message}`);
+    }
+  };
+
+  const recallGraphic = (params) => {
+    const [name, mx, my] = splitParams(params);
+    const graphic = storedGraphics.get(String(name).toUpperCase());
+    if (!graphic) {
+      warnings.push(`^XG ${name}: graphic was not downloaded with ~DG.`);
+      return;
+    }
+    const scaleX = Math.max(1, toInt(mx, 1));
+    const scaleY = Math.max(1, toInt(my, 1));
+    const { x, y } = fieldTopLeft({ width: graphic.width * scaleX, height: graphic.height * scaleY });
+    blitBitmap(bitmap, graphic, x, y, { mode: drawMode(), scaleX, scaleY });
+    recordField('^XG', x, y, graphic.width * scaleX, graphic.height * scaleY);
+  };
+
+  for (const { prefix, command, params, offset } of tokens) {
+    if (prefix === '~') {
+      if (command === 'DG') {
+        storeGraphic(params, warnings);
+      } else if (!IGNORED_COMMANDS.has(command)) {
+        unsupported.add(`~${command}`);
+      }
+      continue;
+    }
+
+    const parts = splitParams(params);
+    switch (command) {
+      case 'LH':
+        home = { x: toInt(parts[0], 0), y: toInt(parts[1], 0) };
+        break;
+      case 'LR':
+        labelReverse = parts[0].toUpperCase() === 'Y';
+        break;
+      case 'FO':
+      case 'FT':
+        field.x = home.x + toInt(parts[0], 0);
+        field.y = home.y + toInt(parts[1], 0);
+        field.typeset = command === 'FT';
+        fieldOffset = offset;
+        break;
+      case 'CF': {
+        const height = toInt(parts[1], defaults.font.height);
+        defaults.font = { height, width: toInt(parts[2], height) };
+        break;
+      }
+      case 'A':
+      case 'A@': {
+        // ^A0N,30,30: font name, then orientation glued to it
+        const head = parts[0] || '';
+        const height = toInt(parts[1], defaults.font.height);
+        field.font = { height, width: toInt(parts[2], height) };
+        field.orientation = toOrientation(command === 'A' ? head.slice(1) : head, field.orientation);
+        break;
+      }
+      case 'FW':
+        defaults.orientation = toOrientation(parts[0], defaults.orientation);
+        field.orientation = defaults.orientation;
+        break;
+      case 'FR':
+        field.reverse = true;
+        break;
+      case 'FB':
+        field.block = {
+          width: toInt(parts[0], 0),
+          maxLines: Math.max(1, toInt(parts[1], 1)),
+          lineSpacing: toInt(parts[2], 0),
+          justify: (parts[3] || 'L').toUpperCase()
+        };
+        break;
+      case 'FH':
+        field.hexIndicator = parts[0] || '_';
+        break;
+      case 'FD':
+      case 'FV':
+        field.data = params;
+        break;
+      case 'BY':
+        defaults.barcode = {
+          moduleWidth: Math.max(1, toInt(parts[0], defaults.barcode.moduleWidth)),
+          ratio: toFloat(parts[1], defaults.barcode.ratio),
+          height: toInt(parts[2], defaults.barcode.height)
+        };
+        break;
+      case 'BC':
+        field.orientation = toOrientation(parts[0], field.orientation);
+        field.barcode = {
+          kind: 'BC',
+          moduleWidth: defaults.barcode.moduleWidth,
+          height: toInt(parts[1], defaults.barcode.height),
+          interpretation: (parts[2] || 'Y').toUpperCase() !== 'N',
+          above: (parts[3] || 'N').toUpperCase() === 'Y',
+          mode: (parts[5] || 'N').toUpperCase()
+        };
+        break;
+      case 'BQ':
+      case 'BX':
+      case 'BO':
+      case 'B0':
+      case 'BD':
+        field.orientation = toOrientation(parts[0], field.orientation);
+        field.barcode = {
+          kind: command,
+          twoDimensional: true,
+          moduleWidth: defaults.barcode.moduleWidth,
+          // ^BQ magnification is the 3rd parameter, ^BX module size the 2nd
+          moduleSize: command === 'BQ' ? toInt(parts[2], 3) : command === 'BX' ? toInt(parts[1], 5) : undefined
+        };
+        break;
+      case 'B3':
+      case 'B7':
+      case 'BE':
+      case 'B8':
+      case 'BU':
+      case 'B2':
+      case 'BA':
+        field.orientation = toOrientation(parts[0], field.orientation);
+        field.barcode = {
+          kind: command,
+          moduleWidth: defaults.barcode.moduleWidth,
+          height: toInt(command === 'B3' ? parts[2] : parts[1], defaults.barcode.height)
+        };
+        break;
+      case 'GB':
+        drawGraphicBox(params);
+        break;
+      case 'GF':
+        drawGraphicField(params);
+        break;
+      case 'XG':
+      case 'IM':
+        recallGraphic(params);
+        break;
+      case 'FS': {
+        if (field.data !== null) {
+          const text = field.hexIndicator ? decodeFieldHex(field.data, field.hexIndicator) : field.data;
+          if (field.barcode) {
+            finishBarcodeField(text);
+          } else {
+            finishTextField(text);
+          }
+        }
+        field = createFieldState(defaults);
+        fieldOffset = null;
+        break;
+      }
+      default:
+        if (!IGNORED_COMMANDS.has(command)) {
+          unsupported.add(`^${command}`);
+        }
+    }
+  }
+
+  if (unsupported.size) {
+    warnings.push(`Unsupported ZPL commands ignored: ${[...unsupported].join(', ')}.`);
+  }
+  return { bitmap: geometry.inverted ? rotateBitmap180(bitmap) : bitmap, warnings, fields };
+}
@@ -0,0 +1,141 @@
+// Rescales ZPL drawn for one printhead resolution to another (e.g. a 203 dpi label for a 300 dpi printer).
+import { createBitmap } from './bitmap.js';
+import { decodeGraphic, encodeGraphic } from './graphics.js';
+import { splitParams, tokenizeZpl } from './tokenizer.js';
+
+// Parameters in dots, by command. Everything else (orientations, ratios, flags) is copied as is.
+const SCALED_PARAMS = {
+  FO: [0, 1],
+  FT: [0, 1],
+  LH: [0, 1],
+  LT: [0],
+  LS: [0],
+  PW: [0],
+  LL: [0],
+  A: [1, 2],
+  'A@': [1, 2],
+  CF: [1, 2],
+  FB: [0, 2, 4],
+  TB: [1, 2],
+  GB: [0, 1, 2],
+  GC: [0, 1],
+  GD: [0, 1, 2],
+  GE: [0, 1, 2],
+  BY: [0, 2],
+  B2: [1],
+  B3: [2],
+  B7: [1],
+  B8: [1],
+  B9: [1],
+  BA: [1],
+  BC: [1],
+  BE: [1],
+  BU: [1],
+  BX: [1],
+  // Magnification factors, not dots, but they scale the same way
+  B0: [1],
+  BO: [1],
+  BQ: [2]
+};
+
+// Module widths and magnifications the printer accepts
+const FACTOR_LIMITS = { BY: { index: 0, max: 10 }, BQ: { index: 2, max: 10 }, B0: { index: 1, max: 10 }, BO: { index: 1, max: 10 } };
+
+// Commands that cannot be rescaled and are reported instead
+const UNSCALABLE = {
+  MU: '^MU changes the units of later coordinates; they are scaled as dots.',
+  BD: '^BD MaxiCode has a fixed size and is not scaled.'
+};
+
+function scaleValue(value, factor, { min = 0, max = Infinity } = {}) {
+  if (!/^-?\d+(\.\d+)?$/.test(value)) {
+    return value;
+  }
+  const number = Number(value);
+  const scaled = Math.round(number * factor);
+  // A line or module that was drawn must stay at least one dot wide
+  return String(number > 0 ? Math.min(max, Math.max(min, scaled, 1)) : scaled);
+}
+
+function scaleParams(command, params, factor) {
+  const parts = splitParams(params);
+  const limit = FACTOR_LIMITS[command];
+  SCALED_PARAMS[command].forEach((index) => {
+    if (index < parts.length) {
+      parts[index] = scaleValue(parts[index], factor, limit?.index === index ? { max: limit.max } : {});
+    }
+  });
+  return parts.join(',');
+}
+
+// Nearest-neighbour resize of a 1-bit bitmap
+function resizeBitmap(source, factor) {
+  const target = createBitmap(source.width * factor, source.height * factor);
+  for (let y = 0; y < target.height; y += 1) {
+    const sy = Math.min(source.height - 1, Math.floor(y / factor));
+    for (let x = 0; x < target.width; x += 1) {
+      const sx = Math.min(source.width - 1, Math.floor(x / factor));
+      target.data[y * target.width + x] = source.data[sy * source.width + sx];
+    }
+  }
+  return target;
+}
+
+// Graphic data re-encoded at the new size as compressed ASCII hex
+function scaleGraphic({ format, totalBytes, bytesPerRow, data }, factor) {
+  return encodeGraphic(
+    resizeBitmap(decodeGraphic({ format, totalBytes: Number(totalBytes), bytesPerRow: Number(bytesPerRow), data }), factor)
+  );
+}
+
+/**
+ * Rescale ZPL from one resolution to another: field origins, label size, fonts, boxes,
+ * barcode heights, module widths and ^GF/~DG graphics (nearest neighbour).
+ * Module widths are whole dots, so barcodes come out slightly wider or narrower than the original.
+ * @param {string} zpl
+ * @param {{ fromDotsPerMm: number, toDotsPerMm: number }} options
+ * @returns {{ zpl: string, warnings: string[] }}
+ */
+export function scaleZpl(zpl, { fromDotsPerMm, toDotsPerMm }) {
+  const source = String(zpl || '');
+  const factor = toDotsPerMm / fromDotsPerMm;
+  if (!(factor > 0) || factor === 1) {
+    return { zpl: source, warnings: [] };
+  }
+
+  const tokens = tokenizeZpl(source);
+  const warnings = new Set();
+  let output = tokens.length ? source.slice(0, tokens[0].offset) : source;
+
+  tokens.forEach((token, index) => {
+    const end = index + 1 < tokens.length ? tokens[index + 1].offset : source.length;
+    const segment = source.slice(token.offset, end);
+    const headerLength = token.command === 'A' ? 2 : 3;
+    const header = segment.slice(0, headerLength);
+    const trailing = segment.slice(headerLength).match(/\s*$/)[0];
+    const { command, params } = token;
+
+    let scaled = null;
+    try {
+      if (token.prefix === '^' && SCALED_PARAMS[command]) {
+        scaled = scaleParams(command, params, factor);
+      } else if (token.prefix === '^' && command === 'GF') {
+        const [format, , totalBytes, bytesPerRow, data] = splitParams(params, 5);
+        const graphic = scaleGraphic({ format: String(format).toUpperCase(), totalBytes, bytesPerRow, data: data || '' }, factor);
+        scaled = `A,${graphic.totalBytes},${graphic.totalBytes},${graphic.bytesPerRow},${graphic.data}`;
+      } else if (token.prefix === '~' && command === 'DG') {
+        const [name, totalBytes, bytesPerRow, data] = splitParams(params, 4);
+        const graphic = scaleGraphic({ format: 'A', totalBytes, bytesPerRow, data: data || '' }, factor);
+        scaled = `${name},${graphic.totalBytes},${graphic.bytesPerRow},${graphic.data}`;
+      } else if (UNSCALABLE[command]) {
+        warnings.add(UNSCALABLE[command]);
+      }
+    } catch (err) {
+      warnings.add(`${token.prefix}${command}: ${err.message}; left unscaled.`);
+    }
+
+    output += scaled === null ? segment : `${header}${scaled}${trailing}`;
+  });
+
+  return { zpl: output, warnings: [...warnings] };
+}
@@ -0,0 +1,107 @@
+// Splits ZPL into commands. Printers ignore CR/LF between commands, so they are dropped.
+
+// Commands whose data runs to the next '^' only: field data may contain '~' and graphic data ','.
+const CARET_TERMINATED = new Set(['FD', 'FV', 'FX', 'GF', 'DG']);
+
+/**
+ * Tokenize a ZPL string.
+ * ^A is the font command: its font name is the first parameter character (^A0N,30,30 -> command 'A', params '0N,30,30').
+ * offset is the index of the prefix in the source, line and column (1-based) its position for messages.
+ * @param {string} zpl
+ * @returns {{ prefix: '^'|'~', command: string, params: string, offset: number, line: number, column: number }[]}
+ */
+export function tokenizeZpl(zpl) {
+  const source = String(zpl || '');
+  const tokens = [];
+  let index = source.search(/[\^~]/);
+
+  // Offsets only grow, so newlines are counted once
+  let line = 1;
+  let lineStart = 0;
+  let scanned = 0;
+  const positionOf = (offset) => {
+    for (; scanned < offset; scanned += 1) {
+      if (source[scanned] === '\n') {
+        line += 1;
+        lineStart = scanned + 1;
+      }
+    }
+    return { line, column: offset - lineStart + 1 };
+  };
+
+  while (index !== -1 && index < source.length) {
+    const prefix = source[index];
+    let command = source.slice(index + 1, index + 3).toUpperCase();
+    let paramsStart = index + 3;
+    if (command[0] === 'A' && command !== 'A@') {
+      command = 'A';
+      paramsStart = index + 2;
+    }
+
+    const terminators = CARET_TERMINATED.has(command) ? /\^/g : /[\^~]/g;
+    terminators.lastIndex = paramsStart;
+    const next = terminators.exec(source);
+    const end = next ? next.index : source.length;
+
+    tokens.push({
+      prefix,
+      command,
+      params: source.slice(paramsStart, end).replace(/[\r\n]/g, ''),
+      offset: index,
+      ...positionOf(index)
+    });
+    index = next ? next.index : -1;
+  }
+
+  return tokens;
+}
+
+/**
+ * Split comma-separated command parameters, trimming each one.
+ * @param {string} params
+ * @param {number} [limit] - Maximum number of parts; the last part keeps any remaining commas.
+ * @returns {string[]}
+ */
+export function splitParams(params, limit = Infinity) {
+  const parts = [];
+  let rest = params;
+  while (parts.length < limit - 1) {
+    const comma = rest.indexOf(',');
+    if (comma === -1) {
+      break;
+    }
+    parts.push(rest.slice(0, comma).trim());
+    rest = rest.slice(comma + 1);
+  }
+  parts.push(limit === Infinity ? rest.trim() : rest);
+  return parts;
+}
+
+/**
+ * Group tokens into labels (^XA ... ^XZ). Tokens outside a label, such as ~DG downloads,
+ * are returned in `global` in document order together with the index of the label they precede.
+ * @param {ReturnType<typeof tokenizeZpl>} tokens
+ * @returns {{ labels: object[][], global: { token: object, beforeLabel: number }[] }}
+ */
+export function splitLabels(tokens) {
+  const labels = [];
+  const global = [];
+  let current = null;
+
+  for (const token of tokens) {
+    if (token.prefix === '^' && token.command === 'XA') {
+      current = [];
+    } else if (token.prefix === '^' && token.command === 'XZ') {
+      if (current) {
+        labels.push(current);
+      }
+      current = null;
+    } else if (current) {
+      current.push(token);
+    } else {
+      global.push({ token, beforeLabel: labels.length });
+    }
+  }
+
+  return { labels, global };
+}
@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildTemplateFooter } from '../src/injectionTemplates.js';
+import { encodeCode128 } from '../src/zpl/barcodes.js';
+
+const CUSTOMER_BARCODE_TEMPLATE = {
+  id: 1,
+  boxWidth: 600,
+  border: 0,
+  padding: 0,
+  lineGap: 0,
+  elements: [{ type: 'code128', value: '{customer_name}' }]
+};
+
+test('encodeCode128 rejects characters outside ASCII', () => {
+  assert.throws(() => encodeCode128('Jos\u00e9 M\u00fcller'), /only encodes ASCII characters, not "\u00e9"/);
+});
+
+test('encodeCode128 still encodes ASCII data', () => {
+  const { modules, text } = encodeCode128('Jose Muller');
+  assert.equal(text, 'Jose Muller');
+  assert.ok(modules.length > 0);
+});
+
+test('buildTemplateFooter reports non-ASCII barcode data as an error instead of throwing', () => {
+  const result = buildTemplateFooter(CUSTOMER_BARCODE_TEMPLATE, {
+    x: 0,
+    y: 0,
+    lines: [{ sku: 'SKU-1', quantity: 1 }],
+    fields: { customerName: 'Jos\u00e9 M\u00fcller' },
+    maxItemRows: 5
+  });
+  assert.equal(result.success, false);
+  assert.match(result.error, /Code 128 barcode for "Jos\u00e9 M\u00fcller" cannot be encoded/);
+});
@@ -1,12 +1,12 @@
 import React from 'react';
 
-export function Modal({ open, title, children, onClose }) {
+export function Modal({ open, title, children, onClose, wide = false }) {
   if (!open) return null;
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
       <div className="absolute inset-0 bg-black/50" onClick={onClose} />
-      <div className="relative w-full max-w-lg rounded border border-gray-200 bg-white shadow-lg">
+      <div className={`relative w-full ${wide ? 'max-w-3xl' : 'max-w-lg'} rounded border border-gray-200 bg-white shadow-lg`}>
         <div className="flex items-center justify-between border-b border-gray-200 bg-white px-6 py-4">
           <div className="text-lg font-semibold text-gray-900">{title}</div>
           <button
@@ -26,3 +26,30 @@ export async function apiPost(path, body) {
   return res.json();
 }
 
+
+export async function apiDelete(path) {
+  const res = await fetch(path, {
+    method: 'DELETE',
+    headers: { 'Accept': 'application/json' }
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(text || `DELETE ${path} failed`);
+  }
+}
+
+export async function apiPatch(path, body) {
+  const res = await fetch(path, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    body: JSON.stringify(body || {})
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(text || `PATCH ${path} failed`);
+  }
+  return res.json();
+}
@@ -1,5 +1,5 @@
-import React, { useEffect, useMemo, useState } from 'react';
-import { apiGet, apiPost } from '../lib/api.js';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { apiDelete, apiGet, apiPatch, apiPost } from '../lib/api.js';
 import { Modal } from '../components/Modal.jsx';
 
 function formatDate(iso) {
@@ -9,8 +9,83 @@ function formatDate(iso) {
   return d.toLocaleString();
 }
 
-function downloadTextFile(filename, text) {
-  const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+function formatMoney(amount, currency) {
+  if (amount === null || amount === undefined) return '-';
+  return `${Number(amount).toFixed(2)} ${currency || ''}`.trim();
+}
+
+// How often the header refreshes the background sync status
+const SYNC_STATUS_POLL_MS = 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+// How often the print queue panel refreshes while printers are registered
+const PRINT_QUEUE_POLL_MS = 5 * 1000;
+
+const PRINT_JOB_STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  sending: 'bg-blue-50 text-blue-700',
+  printed: 'bg-green-50 text-green-700',
+  failed: 'bg-red-50 text-red-700',
+  cancelled: 'bg-gray-50 text-gray-400'
+};
+
+// Where bulk buy took a package value from (see POST /api/bulk-packages)
+const PACKAGE_SOURCE_LABELS = {
+  override: 'Edited',
+  defaults: 'SKU defaults',
+  global: 'Fallback'
+};
+
+// Starting point for a new footer template: the order ID, then a line and a scannable SKU per item
+const NEW_TEMPLATE_ELEMENTS = JSON.stringify(
+  [
+    { type: 'text', value: 'Order {order_id}', font_height: 22 },
+    { type: 'text', value: 'SKU: {sku}  QTY: {quantity}  BIN: {bin_location}', font_height: 28, per_item: true },
+    { type: 'code128', value: '{sku}', height: 50, per_item: true }
+  ],
+  null,
+  2
+);
+
+function formatDuration(ms) {
+  const totalMinutes = Math.max(0, Math.floor(ms / MINUTE_MS));
+  const days = Math.floor(totalMinutes / (24 * 60));
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+  const minutes = totalMinutes % 60;
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+// 'overdue' | 'today' | 'later' | null, relative to the local calendar day
+function getShipByUrgency(latestShipDate, now) {
+  if (!latestShipDate) return null;
+  const deadline = new Date(latestShipDate);
+  if (Number.isNaN(deadline.getTime())) return null;
+  if (deadline.getTime() < now) return 'overdue';
+  const endOfToday = new Date(now);
+  endOfToday.setHours(23, 59, 59, 999);
+  return deadline.getTime() <= endOfToday.getTime() ? 'today' : 'later';
+}
+
+// A reviewed bulk package is complete when it has both units and every value is a positive number
+function isCompletePackage(row) {
+  const positive = (value) => value !== '' && value != null && Number(value) > 0;
+  return Boolean(
+    row.weight?.unit &&
+      positive(row.weight.value) &&
+      row.dimensions?.unit &&
+      ['length', 'width', 'height'].every((field) => positive(row.dimensions[field]))
+  );
+}
+
+function getRemainingQuantity(order, item) {
+  const labelled = Number(order?.labelled_items?.[item.order_item_id]) || 0;
+  return Math.max(0, (Number(item.quantity) || 0) - labelled);
+}
+
+function downloadBlob(filename, blob) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -21,12 +96,29 @@ function downloadTextFile(filename, text) {
   URL.revokeObjectURL(url);
 }
 
+function downloadTextFile(filename, text) {
+  downloadBlob(filename, new Blob([text], { type: 'text/plain;charset=utf-8' }));
+}
+
+function downloadBase64File(filename, base64, type) {
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  downloadBlob(filename, new Blob([bytes], { type }));
+}
+
 export function App() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(false);
   const [syncing, setSyncing] = useState(false);
+  const [lastSync, setLastSync] = useState(null);
+  const [syncStatus, setSyncStatus] = useState(null);
+  const seenSyncedAt = useRef(null);
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState('toShip'); // 'toShip' or 'labelBought'
+  const [now, setNow] = useState(() => Date.now());
+  const [marketplaces, setMarketplaces] = useState([]);
+  const [marketplaceFilter, setMarketplaceFilter] = useState(''); // '' = all marketplaces
+  const [sellerAccounts, setSellerAccounts] = useState([]);
+  const [accountFilter, setAccountFilter] = useState(''); // '' = all seller accounts
 
   const [buyOpen, setBuyOpen] = useState(false);
   const [selectedOrderId, setSelectedOrderId] = useState('');
@@ -38,24 +130,72 @@ export function App() {
   const [dimH, setDimH] = useState('2');
   const [buying, setBuying] = useState(false);
   const [autoFilled, setAutoFilled] = useState(false);
+  const [rates, setRates] = useState(null);
+  const [loadingRates, setLoadingRates] = useState(false);
+  const [selectedServiceId, setSelectedServiceId] = useState('');
+  const [shipQuantities, setShipQuantities] = useState({});
+  const [overrideCancelRequest, setOverrideCancelRequest] = useState(false);
 
   // Bulk operations state
   const [selectedOrderIds, setSelectedOrderIds] = useState(new Set());
   const [bulkWeightValue, setBulkWeightValue] = useState('10');
   const [bulkWeightUnit, setBulkWeightUnit] = useState('oz');
   const [bulkBuying, setBulkBuying] = useState(false);
+  // Package per order resolved by the backend, reviewed (and edited) before bulk buying
+  const [bulkReview, setBulkReview] = useState(null);
+  const [loadingBulkReview, setLoadingBulkReview] = useState(false);
   const [batchReportOpen, setBatchReportOpen] = useState(false);
   const [batchReport, setBatchReport] = useState(null);
   
   // Reprint state
   const [reprinting, setReprinting] = useState(false);
   const [bulkReprinting, setBulkReprinting] = useState(false);
+  // Regenerate the SKU/QTY footer from Amazon's original label with the current injection settings
+  const [reinjectOnReprint, setReinjectOnReprint] = useState(false);
+  // Add a packing slip after each label in bulk buy and bulk reprint output
+  const [includePackingSlips, setIncludePackingSlips] = useState(false);
+  // Pick list of the selected orders: 'pdf', 'csv' or 'zpl'
+  const [pickListFormat, setPickListFormat] = useState('pdf');
+  const [loadingPickList, setLoadingPickList] = useState(false);
+
+  // Rendered preview shown before download: { filename, zpl, preview }
+  const [labelPreview, setLabelPreview] = useState(null);
+
+  // Printers: '' downloads the ZPL, otherwise labels go straight to that printer
+  const [printers, setPrinters] = useState([]);
+  const [printerId, setPrinterId] = useState('');
+  const [printNotice, setPrintNotice] = useState('');
+  const [printersOpen, setPrintersOpen] = useState(false);
+  const [printerStatuses, setPrinterStatuses] = useState({});
+  const [newPrinter, setNewPrinter] = useState({ name: '', host: '', port: '9100', dpi: '203' });
+  const [savingPrinter, setSavingPrinter] = useState(false);
+  const [printJobs, setPrintJobs] = useState([]);
+
+  // Footer templates: '' uses the default template, or the built-in SKU/QTY box when none is the default
+  const [injectionTemplates, setInjectionTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [batchName, setBatchName] = useState('');
+  const [autoPlaceFooter, setAutoPlaceFooter] = useState(false);
+  const [templatesOpen, setTemplatesOpen] = useState(false);
+  const [newTemplate, setNewTemplate] = useState({ name: '', elements: NEW_TEMPLATE_ELEMENTS });
+  const [savingTemplate, setSavingTemplate] = useState(false);
+
+  // Void label state
+  const [voidOrderId, setVoidOrderId] = useState('');
+  const [voidLabelId, setVoidLabelId] = useState(null); // null = newest active label of the order
+  const [voiding, setVoiding] = useState(false);
+
+  // Order detail (label history)
+  const [detailOrderId, setDetailOrderId] = useState('');
+  const [orderDetail, setOrderDetail] = useState(null);
+  const [loadingDetail, setLoadingDetail] = useState(false);
 
   async function loadOrders() {
     setLoading(true);
     setError('');
     try {
-      const data = await apiGet('/api/orders');
+      // Most urgent ship-by first; the Label Bought tab re-sorts by purchase date below
+      const data = await apiGet('/api/orders?sort=ship_by');
       setOrders(Array.isArray(data) ? data : []);
     } catch (e) {
       setError(e.message || String(e));
@@ -64,12 +204,18 @@ export function App() {
     }
   }
 
-  async function syncOrders() {
+  async function syncOrders(mode = 'incremental') {
     setSyncing(true);
     setError('');
     try {
-      await apiPost('/api/sync-orders', {});
+      const payload = { mode };
+      if (accountFilter) {
+        payload.seller_account_id = Number(accountFilter);
+      }
+      const result = await apiPost('/api/sync-orders', payload);
+      setLastSync(result);
       await loadOrders();
+      loadSyncStatus();
     } catch (e) {
       setError(e.message || String(e));
     } finally {
@@ -77,12 +223,217 @@ export function App() {
     }
   }
 
+  async function loadSyncStatus() {
+    try {
+      setSyncStatus(await apiGet('/api/sync-status'));
+    } catch (e) {
+      // The status line is informational; keep the last known value
+    }
+  }
+
+  async function loadSellerAccounts() {
+    try {
+      const data = await apiGet('/api/seller-accounts');
+      setSellerAccounts(Array.isArray(data) ? data : []);
+    } catch (e) {
+      // Without the list the switcher stays hidden and every account is shown
+    }
+  }
+
+  async function loadMarketplaces() {
+    try {
+      const data = await apiGet('/api/marketplaces');
+      setMarketplaces(Array.isArray(data) ? data : []);
+    } catch (e) {
+      // Flags fall back to the raw marketplace ID
+    }
+  }
+
+  async function loadPrinters() {
+    try {
+      const data = await apiGet('/api/printers');
+      setPrinters(Array.isArray(data) ? data : []);
+    } catch (e) {
+      // Without the registry labels can still be downloaded
+    }
+  }
+
+  async function loadPrintJobs() {
+    try {
+      const data = await apiGet('/api/print-jobs?limit=50');
+      setPrintJobs(Array.isArray(data) ? data : []);
+    } catch (e) {
+      // Keep the last known queue; the next poll tries again
+    }
+  }
+
+  async function cancelPrintJob(id) {
+    setError('');
+    try {
+      await apiPost(`/api/print-jobs/${id}/cancel`);
+      await loadPrintJobs();
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  }
+
+  async function requeuePrintJob(id) {
+    setError('');
+    try {
+      await apiPost(`/api/print-jobs/${id}/requeue`);
+      await loadPrintJobs();
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  }
+
+  async function checkPrinterStatus(id) {
+    setPrinterStatuses((prev) => ({ ...prev, [id]: { checking: true } }));
+    try {
+      const status = await apiGet(`/api/printers/${id}/status`);
+      setPrinterStatuses((prev) => ({ ...prev, [id]: status }));
+    } catch (e) {
+      setPrinterStatuses((prev) => ({ ...prev, [id]: { online: false, error: e.message || String(e) } }));
+    }
+  }
+
+  async function submitNewPrinter() {
+    setSavingPrinter(true);
+    setError('');
+    try {
+      await apiPost('/api/printers', {
+        name: newPrinter.name,
+        host: newPrinter.host,
+        port: Number(newPrinter.port),
+        dpi: Number(newPrinter.dpi)
+      });
+      setNewPrinter({ name: '', host: '', port: '9100', dpi: '203' });
+      await loadPrinters();
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setSavingPrinter(false);
+    }
+  }
+
+  async function removePrinter(id) {
+    setError('');
+    try {
+      await apiDelete(`/api/printers/${id}`);
+      if (printerId === String(id)) setPrinterId('');
+      await loadPrinters();
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  }
+
+  async function loadInjectionTemplates() {
+    try {
+      const data = await apiGet('/api/injection-templates');
+      setInjectionTemplates(Array.isArray(data) ? data : []);
+    } catch (e) {
+      // Labels still get the built-in footer
+    }
+  }
+
+  async function submitNewTemplate() {
+    setError('');
+    let elements;
+    try {
+      elements = JSON.parse(newTemplate.elements);
+    } catch (e) {
+      setError(`Template elements are not valid JSON: ${e.message}`);
+      return;
+    }
+    setSavingTemplate(true);
+    try {
+      await apiPost('/api/injection-templates', { name: newTemplate.name, elements });
+      setNewTemplate({ name: '', elements: NEW_TEMPLATE_ELEMENTS });
+      await loadInjectionTemplates();
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setSavingTemplate(false);
+    }
+  }
+
+  async function setDefaultTemplate(id, isDefault) {
+    setError('');
+    try {
+      await apiPatch(`/api/injection-templates/${id}`, { is_default: isDefault });
+      await loadInjectionTemplates();
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  }
+
+  async function removeTemplate(id) {
+    setError('');
+    try {
+      await apiDelete(`/api/injection-templates/${id}`);
+      if (templateId === String(id)) setTemplateId('');
+      await loadInjectionTemplates();
+    } catch (e) {
+      setError(e.message || String(e));
+    }
+  }
+
+  // template_id / batch_name for label requests; reprints only send them when re-injecting the footer
+  function getFooterOptions() {
+    return {
+      ...(templateId ? { template_id: Number(templateId) } : {}),
+      ...(batchName.trim() ? { batch_name: batchName.trim() } : {}),
+      ...(autoPlaceFooter ? { zpl_inject_auto: true } : {})
+    };
+  }
+
   useEffect(() => {
     loadOrders();
+    loadSyncStatus();
+    loadMarketplaces();
+    loadSellerAccounts();
+    loadPrinters();
+    loadInjectionTemplates();
+    const timer = setInterval(loadSyncStatus, SYNC_STATUS_POLL_MS);
+    // Keeps the ship-by countdowns current
+    const clock = setInterval(() => setNow(Date.now()), MINUTE_MS);
+    return () => {
+      clearInterval(timer);
+      clearInterval(clock);
+    };
   }, []);
 
+  // Follow the print queue only when there is a printer to print to
+  useEffect(() => {
+    if (printers.length === 0) return undefined;
+    loadPrintJobs();
+    const timer = setInterval(loadPrintJobs, PRINT_QUEUE_POLL_MS);
+    return () => clearInterval(timer);
+  }, [printers.length]);
+
+  // Reload the table when a background (or other instance's) sync has committed
+  useEffect(() => {
+    const syncedAt = syncStatus?.lastSyncedAt || null;
+    if (seenSyncedAt.current && syncedAt && syncedAt !== seenSyncedAt.current && !syncing) {
+      loadOrders();
+    }
+    seenSyncedAt.current = syncedAt;
+  }, [syncStatus?.lastSyncedAt]);
+
+  // Rates depend on the package, so any weight/dimension change invalidates the preview
+  useEffect(() => {
+    setRates(null);
+    setSelectedServiceId('');
+  }, [weightValue, weightUnit, dimUnit, dimL, dimW, dimH, shipQuantities]);
+
   const rows = useMemo(() => {
     const filtered = orders.filter((o) => {
+      if (marketplaceFilter && o.marketplace_id !== marketplaceFilter) {
+        return false;
+      }
+      if (accountFilter && String(o.seller_account_id) !== accountFilter) {
+        return false;
+      }
       if (activeTab === 'toShip') {
         return o.status === 'Unshipped' || !o.status;
       } else {
@@ -108,11 +459,24 @@ export function App() {
     }
 
     return mapped;
-  }, [orders, activeTab]);
+  }, [orders, activeTab, marketplaceFilter, accountFilter]);
+
+  const sellerAccountsById = useMemo(
+    () => Object.fromEntries(sellerAccounts.map((a) => [a.id, a])),
+    [sellerAccounts]
+  );
+
+  const marketplacesById = useMemo(
+    () => Object.fromEntries(marketplaces.map((m) => [m.id, m])),
+    [marketplaces]
+  );
 
   async function openBuy(orderId) {
     setSelectedOrderId(orderId);
     setAutoFilled(false);
+    setOverrideCancelRequest(false);
+    setRates(null);
+    setSelectedServiceId('');
     
     // Reset to default values
     setWeightValue('1');
@@ -124,15 +488,25 @@ export function App() {
     
     // Check if order has exactly 1 distinct SKU and fetch shipping defaults
     const order = orders.find((o) => o.amazon_order_id === orderId);
+    setShipQuantities({});
     if (order) {
       const items = Array.isArray(order.items) ? order.items : (order.items?.items || order.items || []);
+      // Pre-fill every item with the quantity that still needs a label
+      setShipQuantities(
+        Object.fromEntries(
+          items
+            .filter((item) => item.order_item_id)
+            .map((item) => [item.order_item_id, String(getRemainingQuantity(order, item))])
+        )
+      );
       const distinctSkus = new Set(items.map(item => item.sku));
       
       if (distinctSkus.size === 1) {
         const sku = Array.from(distinctSkus)[0];
         try {
           const defaults = await apiGet(`/api/shipping-defaults/${sku}`);
-          if (defaults) {
+          // Rows that only hold a bin location have no package to fill in
+          if (defaults && defaults.weight_value) {
             // Auto-fill the form with defaults
             setWeightValue(String(defaults.weight_value || '1'));
             setWeightUnit(defaults.weight_unit || 'oz');
@@ -152,23 +526,102 @@ export function App() {
     setBuyOpen(true);
   }
 
+  function buildBuyPayload() {
+    const payload = {
+      amazon_order_id: selectedOrderId,
+      weight: { unit: weightUnit, value: Number(weightValue) },
+      dimensions: {
+        unit: dimUnit,
+        length: Number(dimL),
+        width: Number(dimW),
+        height: Number(dimH)
+      }
+    };
+
+    // Only send an explicit item list when the packer ships less than everything remaining
+    const order = orders.find((o) => o.amazon_order_id === selectedOrderId);
+    const items = Array.isArray(order?.items) ? order.items : [];
+    const isSubset = items.some(
+      (item) => item.order_item_id && Number(shipQuantities[item.order_item_id]) !== getRemainingQuantity(order, item)
+    );
+    if (isSubset) {
+      payload.items = items
+        .filter((item) => Number(shipQuantities[item.order_item_id]) > 0)
+        .map((item) => ({ order_item_id: item.order_item_id, quantity: Number(shipQuantities[item.order_item_id]) }));
+    }
+
+    return payload;
+  }
+
+  const selectedOrder = orders.find((o) => o.amazon_order_id === selectedOrderId);
+  const selectedOrderItems = Array.isArray(selectedOrder?.items)
+    ? selectedOrder.items.filter((item) => item.order_item_id && getRemainingQuantity(selectedOrder, item) > 0)
+    : [];
+
+  async function loadRates() {
+    setLoadingRates(true);
+    setError('');
+    try {
+      const result = await apiPost('/api/shipping-rates', buildBuyPayload());
+      setRates(result);
+      setSelectedServiceId(result?.recommended?.serviceId || '');
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setLoadingRates(false);
+    }
+  }
+
+  // Label requests sent with printer_id: report where the labels went, or download the labels when printing failed
+  // (the ZPL, or the PDF when there are only PDF labels, which a label printer cannot print)
+  function handlePrintResult(filename, zpl, result) {
+    if (result?.printError && !zpl && result.pdf) {
+      setError(`Printing failed, downloaded the PDF instead: ${result.printError}`);
+      downloadBase64File(`${filename}.pdf`, result.pdf, 'application/pdf');
+    } else if (result?.printError) {
+      setError(`Printing failed, downloaded the ZPL instead: ${result.printError}`);
+      downloadTextFile(`${filename}.zpl`, zpl);
+    } else if (result?.printJob) {
+      setPrintNotice(`Queued ${filename} on ${result.printJob.printerName} (job #${result.printJob.id}).`);
+      loadPrintJobs();
+    }
+  }
+
+  // Show the rendered labels before download; fall back to downloading the ZPL when rendering failed,
+  // or the PDF when there is nothing to show (PDF labels are not rendered as images)
+  // injectionWarnings: footer collisions and placement notes reported by the backend
+  function showLabelPreview(filename, zpl, preview, injectionWarnings = [], pdf = null) {
+    if (preview?.pages?.length) {
+      setLabelPreview({ filename, zpl, preview, injectionWarnings });
+    } else if (pdf) {
+      downloadBase64File(`${filename}.pdf`, preview?.pdf || pdf, 'application/pdf');
+    } else {
+      downloadTextFile(`${filename}.zpl`, zpl);
+    }
+  }
+
   async function submitBuy() {
     setBuying(true);
     setError('');
     try {
-      const payload = {
-        amazon_order_id: selectedOrderId,
-        weight: { unit: weightUnit, value: Number(weightValue) },
-        dimensions: {
-          unit: dimUnit,
-          length: Number(dimL),
-          width: Number(dimW),
-          height: Number(dimH)
-        }
-      };
+      const payload = { ...buildBuyPayload(), ...getFooterOptions() };
+      if (printerId) {
+        payload.printer_id = Number(printerId);
+      } else {
+        payload.preview = true;
+      }
+      if (selectedServiceId) {
+        payload.shipping_service_id = selectedServiceId;
+      }
+      if (overrideCancelRequest) {
+        payload.override_cancel_request = true;
+      }
       const result = await apiPost('/api/buy-label', payload);
-      const zpl = result?.zpl || '';
-      downloadTextFile(`${selectedOrderId}.zpl`, zpl);
+      if (printerId) {
+        handlePrintResult(selectedOrderId, result?.zpl || '', result);
+      } else {
+        showLabelPreview(selectedOrderId, result?.zpl || '', result?.preview, result?.injectionWarnings, result?.pdf);
+      }
       setBuyOpen(false);
       setAutoFilled(false);
       // Reload orders to reflect the status change
@@ -199,27 +652,111 @@ export function App() {
     }
   }
 
-  async function submitBulkBuy() {
+  // Global weight and dimensions: bulk buy only uses them for orders without shipping defaults
+  function getBulkFallbackPackage() {
+    return {
+      weight: { unit: bulkWeightUnit, value: Number(bulkWeightValue) },
+      dimensions: {
+        unit: dimUnit,
+        length: Number(dimL),
+        width: Number(dimW),
+        height: Number(dimH)
+      }
+    };
+  }
+
+  async function openBulkReview() {
     if (selectedOrderIds.size === 0) return;
 
+    setLoadingBulkReview(true);
+    setError('');
+    try {
+      const result = await apiPost('/api/bulk-packages', {
+        amazon_order_ids: Array.from(selectedOrderIds),
+        ...getBulkFallbackPackage()
+      });
+      setBulkReview(result.packages);
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setLoadingBulkReview(false);
+    }
+  }
+
+  // Edit one value of a reviewed package; the backend checks the edited package again on purchase
+  function updateReviewPackage(orderId, key, field, value) {
+    setBulkReview((rows) =>
+      rows.map((row) =>
+        row.amazon_order_id === orderId
+          ? {
+              ...row,
+              [key]: { ...(row[key] || {}), [field]: value },
+              source: { ...row.source, [key]: 'override' },
+              error: undefined
+            }
+          : row
+      )
+    );
+  }
+
+  // Reviewed orders bulk buy would refuse (lookup errors, buyer cancellation requests) are left out of the purchase
+  const isSkippedReview = (row) => Boolean(row.error || row.cancelRequest);
+  const buyableReviewIds = (bulkReview || []).filter((row) => !isSkippedReview(row)).map((row) => row.amazon_order_id);
+
+  // Reviewed packages keyed by order, sent as per-order overrides so the labels match the review.
+  // Buying is blocked while an edited package is incomplete (see isCompletePackage).
+  function getReviewedPackages() {
+    return Object.fromEntries(
+      (bulkReview || [])
+        .filter((row) => !isSkippedReview(row) && isCompletePackage(row))
+        .map((row) => [
+          row.amazon_order_id,
+          {
+            weight: { unit: row.weight.unit, value: Number(row.weight.value) },
+            dimensions: {
+              unit: row.dimensions.unit,
+              length: Number(row.dimensions.length),
+              width: Number(row.dimensions.width),
+              height: Number(row.dimensions.height)
+            }
+          }
+        ])
+    );
+  }
+
+  // Edited packages that cannot be bought yet; the backend must never fall back to another package for them
+  const hasIncompleteReview = (bulkReview || []).some((row) => !isSkippedReview(row) && !isCompletePackage(row));
+
+  async function submitBulkBuy() {
+    if (buyableReviewIds.length === 0 || hasIncompleteReview) return;
+
+    const orderIds = buyableReviewIds;
+    const skippedIds = bulkReview.filter(isSkippedReview).map((row) => row.amazon_order_id);
+    const packages = getReviewedPackages();
+    setBulkReview(null);
     setBulkBuying(true);
     setError('');
     try {
       const payload = {
-        amazon_order_ids: Array.from(selectedOrderIds),
-        weight: { unit: bulkWeightUnit, value: Number(bulkWeightValue) },
-        dimensions: {
-          unit: dimUnit,
-          length: Number(dimL),
-          width: Number(dimW),
-          height: Number(dimH)
-        }
+        amazon_order_ids: orderIds,
+        ...getBulkFallbackPackage(),
+        packages,
+        ...getFooterOptions(),
+        ...(includePackingSlips ? { packing_slips: true } : {}),
+        ...(printerId ? { printer_id: Number(printerId) } : { preview: true })
       };
       const result = await apiPost('/api/bulk-buy-labels', payload);
       
-      // Download combined ZPL file
+      // Print, or preview and then download the combined ZPL (or PDF) file
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-      downloadTextFile(`Bulk_Labels_${timestamp}.zpl`, result.zpl || '');
+      if ((result.zpl || result.pdf) && printerId) {
+        handlePrintResult(`Bulk_Labels_${timestamp}`, result.zpl || '', result);
+      } else if (result.zpl || result.pdf) {
+        const injectionWarnings = (result.succeeded || []).flatMap((entry) =>
+          (entry.injectionWarnings || []).map((warning) => `${entry.amazon_order_id}: ${warning}`)
+        );
+        showLabelPreview(`Bulk_Labels_${timestamp}`, result.zpl || '', result.preview, injectionWarnings, result.pdf);
+      }
 
       // Show batch report if there were failures
       if (result.failed && result.failed.length > 0) {
@@ -227,8 +764,8 @@ export function App() {
         setBatchReportOpen(true);
       }
 
-      // Clear selection
-      setSelectedOrderIds(new Set());
+      // Keep the orders that were left out selected so they can be handled next
+      setSelectedOrderIds(new Set(skippedIds));
       
       // Reload orders to reflect status changes
       await loadOrders();
@@ -239,11 +776,57 @@ export function App() {
     }
   }
 
-  async function handleReprint(orderId) {
+  async function downloadPickList() {
+    if (selectedOrderIds.size === 0) return;
+
+    setLoadingPickList(true);
+    setError('');
+    try {
+      const response = await fetch('/api/pick-list', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ amazon_order_ids: Array.from(selectedOrderIds), format: pickListFormat })
+      });
+      if (!response.ok) {
+        let errorMessage = 'Failed to build pick list';
+        try {
+          const errorData = await response.json();
+          errorMessage = [errorData.error, ...(errorData.details || [])].filter(Boolean).join(' ') || errorMessage;
+        } catch {
+          errorMessage = response.statusText || errorMessage;
+        }
+        throw new Error(errorMessage);
+      }
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+      downloadBlob(`Pick_List_${timestamp}.${pickListFormat}`, await response.blob());
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setLoadingPickList(false);
+    }
+  }
+
+  async function handleReprint(orderId, labelId, reinject = false) {
     setReprinting(true);
     setError('');
     try {
-      const response = await fetch(`/api/reprint/${orderId}`);
+      if (printerId) {
+        const payload = { printer_id: Number(printerId) };
+        if (labelId) payload.label_id = labelId;
+        if (reinject) Object.assign(payload, { reinject: true, ...getFooterOptions() });
+        const result = await apiPost(`/api/reprint/${orderId}/print`, payload);
+        setPrintNotice(`Queued ${orderId} on ${result.printJob.printerName} (job #${result.printJob.id}).`);
+        loadPrintJobs();
+        return;
+      }
+      const params = new URLSearchParams();
+      if (labelId) params.set('label_id', String(labelId));
+      if (reinject) {
+        params.set('reinject', 'true');
+        Object.entries(getFooterOptions()).forEach(([key, value]) => params.set(key, String(value)));
+      }
+      params.set('preview', 'true');
+      const response = await fetch(`/api/reprint/${orderId}?${params.toString()}`);
       if (!response.ok) {
         let errorMessage = 'Failed to reprint label';
         try {
@@ -255,15 +838,8 @@ export function App() {
         }
         throw new Error(errorMessage);
       }
-      const blob = await response.blob();
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `${orderId}.zpl`;
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
+      const result = await response.json();
+      showLabelPreview(labelId ? `${orderId}_label-${labelId}` : orderId, result.zpl || '', result.preview, [], result.pdf);
     } catch (e) {
       setError(e.message || String(e));
     } finally {
@@ -271,6 +847,49 @@ export function App() {
     }
   }
 
+  function openVoid(orderId, labelId = null) {
+    setVoidOrderId(orderId);
+    setVoidLabelId(labelId);
+  }
+
+  async function submitVoid() {
+    if (!voidOrderId) return;
+
+    setVoiding(true);
+    setError('');
+    try {
+      const payload = { amazon_order_id: voidOrderId };
+      if (voidLabelId) payload.label_id = voidLabelId;
+      await apiPost('/api/cancel-label', payload);
+      setVoidOrderId('');
+      // Reload orders so the order moves back to the To Buy tab
+      await loadOrders();
+      if (detailOrderId === voidOrderId) await loadOrderDetail(voidOrderId);
+    } catch (e) {
+      setVoidOrderId('');
+      setError(e.message || String(e));
+    } finally {
+      setVoiding(false);
+    }
+  }
+
+  async function loadOrderDetail(orderId) {
+    setLoadingDetail(true);
+    try {
+      setOrderDetail(await apiGet(`/api/orders/${encodeURIComponent(orderId)}`));
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setLoadingDetail(false);
+    }
+  }
+
+  function openOrderDetail(orderId) {
+    setDetailOrderId(orderId);
+    setOrderDetail(null);
+    loadOrderDetail(orderId);
+  }
+
   async function submitBulkReprint() {
     if (selectedOrderIds.size === 0) return;
 
@@ -278,13 +897,20 @@ export function App() {
     setError('');
     try {
       const payload = {
-        amazon_order_ids: Array.from(selectedOrderIds)
+        amazon_order_ids: Array.from(selectedOrderIds),
+        ...(includePackingSlips ? { packing_slips: true } : {}),
+        ...(printerId ? { printer_id: Number(printerId) } : { preview: true })
       };
+      if (reinjectOnReprint) Object.assign(payload, { reinject: true, ...getFooterOptions() });
       const result = await apiPost('/api/bulk-reprint', payload);
       
-      // Download combined ZPL file
+      // Print, or preview and then download the combined ZPL (or PDF) file
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-      downloadTextFile(`Bulk_Reprint_${timestamp}.zpl`, result.zpl || '');
+      if ((result.zpl || result.pdf) && printerId) {
+        handlePrintResult(`Bulk_Reprint_${timestamp}`, result.zpl || '', result);
+      } else if (result.zpl || result.pdf) {
+        showLabelPreview(`Bulk_Reprint_${timestamp}`, result.zpl || '', result.preview, [], result.pdf);
+      }
 
       // Show batch report if there were failures
       if (result.failed && result.failed.length > 0) {
@@ -310,8 +936,106 @@ export function App() {
             <div className="mt-1 text-sm text-gray-500">
               Sync Prime MFN unshipped orders, then buy and download ZPL labels with SKU/QTY injected.
             </div>
+            {syncStatus ? (
+              <div className="mt-1 text-xs text-gray-500">
+                {syncStatus.enabled ? (
+                  <>
+                    Auto-sync every {syncStatus.intervalMinutes} min
+                    {syncStatus.workingHours ? ` (${syncStatus.workingHours} ${syncStatus.timezone})` : ''}
+                    {syncStatus.running ? ' · running now' : ''}
+                    {syncStatus.paused ? ' · paused outside working hours' : ''}
+                    {' · '}last run {formatDate(syncStatus.lastRun?.finishedAt || syncStatus.lastSyncedAt)}
+                    {' · '}next run {formatDate(syncStatus.nextRunAt)}
+                  </>
+                ) : (
+                  <>Auto-sync off · last sync {formatDate(syncStatus.lastSyncedAt)}</>
+                )}
+                {syncStatus.lastError && ['failed', 'partial'].includes(syncStatus.lastRun?.outcome) ? (
+                  <span className="text-red-700"> · last error: {syncStatus.lastError.message}</span>
+                ) : null}
+              </div>
+            ) : null}
           </div>
           <div className="flex gap-3">
+            {sellerAccounts.length > 1 ? (
+              <select
+                className="rounded border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                value={accountFilter}
+                onChange={(e) => {
+                  setAccountFilter(e.target.value);
+                  setSelectedOrderIds(new Set());
+                }}
+                disabled={syncing}
+                title="Seller account shown and synced"
+              >
+                <option value="">All accounts</option>
+                {sellerAccounts.map((a) => (
+                  <option key={a.id} value={String(a.id)}>
+                    {a.name}
+                    {a.active ? '' : ' (inactive)'}
+                  </option>
+                ))}
+              </select>
+            ) : null}
+            <select
+              className="rounded border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+              value={printerId}
+              onChange={(e) => setPrinterId(e.target.value)}
+              title="Print to: where bought and reprinted labels go"
+            >
+              <option value="">Print to: download .zpl</option>
+              {printers
+                .filter((p) => p.active)
+                .map((p) => (
+                  <option key={p.id} value={String(p.id)}>
+                    Print to: {p.name}
+                  </option>
+                ))}
+            </select>
+            <button
+              className="rounded border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50"
+              onClick={() => setPrintersOpen(true)}
+            >
+              Printers
+            </button>
+            <select
+              className="rounded border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+              value={templateId}
+              onChange={(e) => setTemplateId(e.target.value)}
+              title="Footer injected into bought labels (and reprints with Re-inject)"
+            >
+              <option value="">Footer: default</option>
+              {injectionTemplates.map((t) => (
+                <option key={t.id} value={String(t.id)}>
+                  Footer: {t.name}
+                </option>
+              ))}
+            </select>
+            <input
+              className="w-32 rounded border border-gray-300 bg-white px-3 py-2 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+              value={batchName}
+              onChange={(e) => setBatchName(e.target.value)}
+              placeholder="Batch name"
+              maxLength={60}
+              title="Printed by footer templates with {batch_name}"
+            />
+            <label
+              className="flex items-center gap-2 text-xs text-gray-600"
+              title="Move the footer to the nearest free area when it would cover the label's own fields"
+            >
+              <input
+                type="checkbox"
+                checked={autoPlaceFooter}
+                onChange={(e) => setAutoPlaceFooter(e.target.checked)}
+              />
+              Auto-place
+            </label>
+            <button
+              className="rounded border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50"
+              onClick={() => setTemplatesOpen(true)}
+            >
+              Templates
+            </button>
             <button
               className="rounded border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-50"
               onClick={loadOrders}
@@ -320,8 +1044,16 @@ export function App() {
               {loading ? 'Refreshing…' : 'Refresh'}
             </button>
             <button
-              className="rounded bg-gray-900 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-gray-800 disabled:opacity-50"
-              onClick={syncOrders}
+              className="rounded border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-50"
+              onClick={() => syncOrders('full')}
+              disabled={loading || syncing}
+              title="Refetch every unshipped order instead of only recent changes"
+            >
+              Full Resync
+            </button>
+            <button
+              className="rounded bg-gray-900 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-gray-800 disabled:opacity-50"
+              onClick={() => syncOrders('incremental')}
               disabled={loading || syncing}
             >
               {syncing ? 'Syncing…' : 'Sync Orders'}
@@ -329,12 +1061,55 @@ export function App() {
           </div>
         </div>
 
+        {lastSync ? (
+          <div className="mt-4 text-xs text-gray-500">
+            Last sync ({lastSync.mode}): {lastSync.synced} orders from {lastSync.pages} page{lastSync.pages === 1 ? '' : 's'},{' '}
+            {lastSync.inserted} new, {lastSync.updated} updated · {(lastSync.durationMs / 1000).toFixed(1)}s
+            {(lastSync.accounts || []).map((a) => (
+              <div key={a.account.id}>
+                {a.account.name}: {a.synced} orders ({a.mode}) · window {formatDate(a.window?.from)} –{' '}
+                {formatDate(a.window?.to)}
+              </div>
+            ))}
+            {(lastSync.failedAccounts || []).map((a) => (
+              <div key={a.id} className="text-red-700">
+                {a.name}: sync failed, {a.error}
+              </div>
+            ))}
+            {lastSync.reconciled?.length ? (
+              <ul className="mt-1 text-amber-700">
+                {lastSync.reconciled.map((r) => (
+                  <li key={r.amazon_order_id}>
+                    {r.amazon_order_id}: {r.previousStatus} → {r.status} on Amazon, removed from To Buy
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+            {lastSync.reconcileFailed?.length ? (
+              <div className="mt-1 text-red-700">
+                Could not re-check {lastSync.reconcileFailed.length} order
+                {lastSync.reconcileFailed.length === 1 ? '' : 's'}:{' '}
+                {lastSync.reconcileFailed.map((f) => f.amazon_order_id).join(', ')}
+              </div>
+            ) : null}
+          </div>
+        ) : null}
+
         {error ? (
           <div className="mt-6 rounded border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
             {error}
           </div>
         ) : null}
 
+        {printNotice ? (
+          <div className="mt-6 flex items-center justify-between rounded border border-green-200 bg-green-50 px-4 py-3 text-sm text-green-800">
+            {printNotice}
+            <button className="text-xs font-medium text-green-700 hover:text-green-900" onClick={() => setPrintNotice('')}>
+              Dismiss
+            </button>
+          </div>
+        ) : null}
+
         <div className="mt-8 overflow-hidden rounded border border-gray-200 bg-white shadow-sm">
           <div className="border-b border-gray-200 bg-gray-50">
             <div className="flex items-center justify-between px-6 py-4">
@@ -366,8 +1141,27 @@ export function App() {
                   Label Bought
                 </button>
               </div>
-              <div className="text-xs font-medium text-gray-500">
-                {rows.length} {rows.length === 1 ? 'order' : 'orders'}
+              <div className="flex items-center gap-3">
+                {marketplaces.length > 1 ? (
+                  <select
+                    className="rounded border border-gray-300 bg-white px-2 py-1 text-xs text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                    value={marketplaceFilter}
+                    onChange={(e) => {
+                      setMarketplaceFilter(e.target.value);
+                      setSelectedOrderIds(new Set());
+                    }}
+                  >
+                    <option value="">All marketplaces</option>
+                    {marketplaces.map((m) => (
+                      <option key={m.id} value={m.id}>
+                        {m.countryCode ? `${m.countryCode} · ${m.name}` : m.name}
+                      </option>
+                    ))}
+                  </select>
+                ) : null}
+                <div className="text-xs font-medium text-gray-500">
+                  {rows.length} {rows.length === 1 ? 'order' : 'orders'}
+                </div>
               </div>
             </div>
           </div>
@@ -385,8 +1179,26 @@ export function App() {
                 <div className="flex items-center gap-3">
                   {activeTab === 'toShip' ? (
                     <>
+                      <div className="flex items-center gap-2">
+                        <select
+                          className="rounded border border-gray-300 bg-white px-2 py-1.5 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                          value={pickListFormat}
+                          onChange={(e) => setPickListFormat(e.target.value)}
+                        >
+                          <option value="pdf">PDF (A4)</option>
+                          <option value="csv">CSV</option>
+                          <option value="zpl">ZPL (4x6)</option>
+                        </select>
+                        <button
+                          className="rounded border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-50"
+                          onClick={downloadPickList}
+                          disabled={loadingPickList}
+                        >
+                          {loadingPickList ? 'Building…' : 'Pick list'}
+                        </button>
+                      </div>
                       <div className="flex items-center gap-2 rounded border border-gray-300 bg-white px-3 py-1.5">
-                        <span className="text-xs text-gray-600">Global Weight:</span>
+                        <span className="text-xs text-gray-600" title="Used for orders without shipping defaults">Fallback Weight:</span>
                         <input
                           className="w-20 rounded border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
                           value={bulkWeightValue}
@@ -404,22 +1216,48 @@ export function App() {
                           <option value="kg">kg</option>
                         </select>
                       </div>
+                      <label className="flex items-center gap-2 text-xs text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={includePackingSlips}
+                          onChange={(e) => setIncludePackingSlips(e.target.checked)}
+                        />
+                        Packing slips
+                      </label>
                       <button
                         className="rounded bg-gray-900 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-gray-800 disabled:opacity-50"
-                        onClick={submitBulkBuy}
-                        disabled={bulkBuying}
+                        onClick={openBulkReview}
+                        disabled={bulkBuying || loadingBulkReview}
                       >
-                        {bulkBuying ? 'Processing…' : `Buy Shipping for ${selectedOrderIds.size} Order${selectedOrderIds.size !== 1 ? 's' : ''}`}
+                        {bulkBuying ? 'Processing…' : loadingBulkReview ? 'Loading packages…' : `Buy Shipping for ${selectedOrderIds.size} Order${selectedOrderIds.size !== 1 ? 's' : ''}`}
                       </button>
                     </>
                   ) : (
-                    <button
-                      className="rounded bg-gray-900 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-gray-800 disabled:opacity-50"
-                      onClick={submitBulkReprint}
-                      disabled={bulkReprinting}
-                    >
-                      {bulkReprinting ? 'Reprinting…' : `Reprint ${selectedOrderIds.size} Label${selectedOrderIds.size !== 1 ? 's' : ''}`}
-                    </button>
+                    <>
+                      <label className="flex items-center gap-2 text-xs text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={reinjectOnReprint}
+                          onChange={(e) => setReinjectOnReprint(e.target.checked)}
+                        />
+                        Re-inject footer with current settings
+                      </label>
+                      <label className="flex items-center gap-2 text-xs text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={includePackingSlips}
+                          onChange={(e) => setIncludePackingSlips(e.target.checked)}
+                        />
+                        Packing slips
+                      </label>
+                      <button
+                        className="rounded bg-gray-900 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-gray-800 disabled:opacity-50"
+                        onClick={submitBulkReprint}
+                        disabled={bulkReprinting}
+                      >
+                        {bulkReprinting ? 'Reprinting…' : `Reprint ${selectedOrderIds.size} Label${selectedOrderIds.size !== 1 ? 's' : ''}`}
+                      </button>
+                    </>
                   )}
                 </div>
               </div>
@@ -440,7 +1278,9 @@ export function App() {
                       />
                     ) : null}
                   </th>
+                  <th className="px-6 py-3">Mkt</th>
                   <th className="px-6 py-3">Date</th>
+                  {activeTab === 'toShip' ? <th className="px-6 py-3">Ship By</th> : null}
                   <th className="px-6 py-3">Order ID</th>
                   <th className="px-6 py-3">Customer</th>
                   <th className="px-6 py-3">Items (SKU / Qty)</th>
@@ -451,69 +1291,159 @@ export function App() {
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-200 bg-white">
-                {rows.map((o) => (
-                  <tr key={o.amazon_order_id} className="transition-colors hover:bg-gray-50">
-                    <td className="px-6 py-4">
-                      <input
-                        type="checkbox"
-                        checked={selectedOrderIds.has(o.amazon_order_id)}
-                        onChange={() => toggleOrderSelection(o.amazon_order_id)}
-                        className="h-4 w-4 cursor-pointer rounded border-gray-300 text-gray-900 focus:ring-gray-900"
-                      />
-                    </td>
-                    <td className="px-6 py-4 text-gray-900">{formatDate(o.purchase_date)}</td>
-                    <td className="px-6 py-4 font-mono text-xs text-gray-900">{o.amazon_order_id}</td>
-                    <td className="px-6 py-4 text-gray-900">{o.customer_name || '-'}</td>
-                    <td className="px-6 py-4 text-gray-900">
-                      <div className="flex flex-wrap gap-2">
-                        {o._items.length ? (
-                          o._items.map((it, idx) => (
-                            <span
-                              key={`${it.sku}-${idx}`}
-                              className="inline-flex items-center rounded border border-gray-300 bg-gray-50 px-2.5 py-1 text-xs font-medium text-gray-700"
-                            >
-                              <span className="font-mono">{it.sku}</span>
-                              <span className="mx-1.5 text-gray-400">·</span>
-                              <span className="font-medium">x{it.quantity}</span>
-                            </span>
-                          ))
-                        ) : (
-                          <span className="text-gray-400">No items</span>
-                        )}
-                      </div>
-                    </td>
-                    {activeTab === 'labelBought' ? (
+                {rows.map((o) => {
+                  const urgency = activeTab === 'toShip' ? getShipByUrgency(o.latest_ship_date, now) : null;
+                  return (
+                    <tr
+                      key={o.amazon_order_id}
+                      className={`transition-colors ${
+                        urgency === 'overdue'
+                          ? 'bg-red-50 hover:bg-red-100'
+                          : urgency === 'today'
+                            ? 'bg-amber-50 hover:bg-amber-100'
+                            : 'hover:bg-gray-50'
+                      }`}
+                    >
+                      <td className="px-6 py-4">
+                        <input
+                          type="checkbox"
+                          checked={selectedOrderIds.has(o.amazon_order_id)}
+                          onChange={() => toggleOrderSelection(o.amazon_order_id)}
+                          className="h-4 w-4 cursor-pointer rounded border-gray-300 text-gray-900 focus:ring-gray-900"
+                        />
+                      </td>
                       <td className="px-6 py-4 text-gray-900">
-                        {o.tracking_id ? (
-                          <span className="font-mono text-xs">{o.tracking_id}</span>
+                        {o.marketplace_id ? (
+                          <span
+                            className="whitespace-nowrap text-xs"
+                            title={`${marketplacesById[o.marketplace_id]?.name || o.marketplace_id}${o.currency ? ` · ${o.currency}` : ''}`}
+                          >
+                            <span className="inline-flex items-center rounded border border-gray-300 bg-gray-50 px-1.5 py-0.5 font-mono text-xs font-medium text-gray-700">
+                              {marketplacesById[o.marketplace_id]?.countryCode || o.marketplace_id}
+                            </span>
+                          </span>
                         ) : (
-                          <span className="text-gray-400 text-xs">-</span>
+                          <span className="text-xs text-gray-400">-</span>
                         )}
                       </td>
-                    ) : null}
-                    <td className="px-6 py-4 text-right">
+                      <td className="px-6 py-4 text-gray-900">{formatDate(o.purchase_date)}</td>
                       {activeTab === 'toShip' ? (
+                        <td className="px-6 py-4 text-gray-900">
+                          {o.latest_ship_date ? (
+                            <>
+                              <div>{formatDate(o.latest_ship_date)}</div>
+                              <div
+                                className={`text-xs font-medium ${
+                                  urgency === 'overdue'
+                                    ? 'text-red-700'
+                                    : urgency === 'today'
+                                      ? 'text-amber-700'
+                                      : 'text-gray-500'
+                                }`}
+                              >
+                                {urgency === 'overdue'
+                                  ? `Overdue by ${formatDuration(now - new Date(o.latest_ship_date).getTime())}`
+                                  : `${urgency === 'today' ? 'Due today, ' : ''}${formatDuration(
+                                      new Date(o.latest_ship_date).getTime() - now
+                                    )} left`}
+                              </div>
+                              {o.ship_service_level ? (
+                                <div className="text-xs text-gray-400">{o.ship_service_level}</div>
+                              ) : null}
+                            </>
+                          ) : (
+                            <span className="text-xs text-gray-400">-</span>
+                          )}
+                        </td>
+                      ) : null}
+                      <td className="px-6 py-4 font-mono text-xs text-gray-900">
                         <button
-                          className="rounded border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 transition-colors hover:bg-gray-50"
-                          onClick={() => openBuy(o.amazon_order_id)}
-                        >
-                          Buy Label
-                        </button>
-                      ) : (
-                        <button
-                          className="rounded border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-50"
-                          onClick={() => handleReprint(o.amazon_order_id)}
-                          disabled={reprinting}
+                          className="font-mono text-gray-900 underline decoration-gray-300 underline-offset-2 hover:decoration-gray-900"
+                          onClick={() => openOrderDetail(o.amazon_order_id)}
+                          title="Order details and label history"
                         >
-                          {reprinting ? 'Reprinting…' : 'Reprint Label'}
+                          {o.amazon_order_id}
                         </button>
-                      )}
-                    </td>
-                  </tr>
-                ))}
+                        {o.is_buyer_requested_cancel ? (
+                          <div
+                            className="mt-1 inline-flex items-center rounded border border-red-200 bg-red-50 px-2 py-0.5 font-sans text-xs font-medium text-red-700"
+                            title={o.buyer_requested_cancel_reason || undefined}
+                          >
+                            Buyer requested cancel
+                          </div>
+                        ) : null}
+                      </td>
+                      <td className="px-6 py-4 text-gray-900">
+                        {o.customer_name || '-'}
+                        {sellerAccounts.length > 1 && sellerAccountsById[o.seller_account_id] ? (
+                          <div className="text-xs text-gray-500">{sellerAccountsById[o.seller_account_id].name}</div>
+                        ) : null}
+                      </td>
+                      <td className="px-6 py-4 text-gray-900">
+                        <div className="flex flex-wrap gap-2">
+                          {o._items.length ? (
+                            o._items.map((it, idx) => (
+                              <span
+                                key={`${it.sku}-${idx}`}
+                                className="inline-flex items-center rounded border border-gray-300 bg-gray-50 px-2.5 py-1 text-xs font-medium text-gray-700"
+                              >
+                                <span className="font-mono">{it.sku}</span>
+                                <span className="mx-1.5 text-gray-400">·</span>
+                                <span className="font-medium">x{it.quantity}</span>
+                                {activeTab === 'toShip' && getRemainingQuantity(o, it) < Number(it.quantity) ? (
+                                  <span className="ml-1.5 text-gray-500">
+                                    ({Number(it.quantity) - getRemainingQuantity(o, it)} labelled)
+                                  </span>
+                                ) : null}
+                              </span>
+                            ))
+                          ) : (
+                            <span className="text-gray-400">No items</span>
+                          )}
+                        </div>
+                      </td>
+                      {activeTab === 'labelBought' ? (
+                        <td className="px-6 py-4 text-gray-900">
+                          {o.tracking_id ? (
+                            <span className="font-mono text-xs">{o.tracking_id}</span>
+                          ) : (
+                            <span className="text-gray-400 text-xs">-</span>
+                          )}
+                        </td>
+                      ) : null}
+                      <td className="px-6 py-4 text-right">
+                        {activeTab === 'toShip' ? (
+                          <button
+                            className="rounded border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 transition-colors hover:bg-gray-50"
+                            onClick={() => openBuy(o.amazon_order_id)}
+                          >
+                            Buy Label
+                          </button>
+                        ) : (
+                          <div className="flex justify-end gap-2">
+                            <button
+                              className="rounded border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-50"
+                              onClick={() => handleReprint(o.amazon_order_id)}
+                              disabled={reprinting}
+                            >
+                              {reprinting ? 'Reprinting…' : 'Reprint Label'}
+                            </button>
+                            <button
+                              className="rounded border border-red-200 bg-white px-3 py-1.5 text-xs font-medium text-red-700 transition-colors hover:bg-red-50 disabled:opacity-50"
+                              onClick={() => openVoid(o.amazon_order_id)}
+                              disabled={voiding}
+                            >
+                              Void Label
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
                 {!rows.length ? (
                   <tr>
-                    <td className="px-6 py-12 text-center" colSpan={activeTab === 'labelBought' ? 7 : activeTab === 'toShip' ? 6 : 5}>
+                    <td className="px-6 py-12 text-center" colSpan={activeTab === 'labelBought' ? 8 : activeTab === 'toShip' ? 8 : 6}>
                       <div className="flex flex-col items-center gap-2">
                         <div className="text-sm text-gray-400">
                           {activeTab === 'toShip' 
@@ -528,6 +1458,76 @@ export function App() {
             </table>
           </div>
         </div>
+
+        {printers.length > 0 ? (
+          <div className="mt-8 overflow-hidden rounded border border-gray-200 bg-white shadow-sm">
+            <div className="flex items-center justify-between border-b border-gray-200 bg-gray-50 px-6 py-4">
+              <div className="text-sm font-semibold text-gray-900">Print Queue</div>
+              <div className="flex gap-4 text-xs text-gray-500">
+                {printers.map((p) => {
+                  const waiting = printJobs.filter(
+                    (j) => j.printerId === p.id && (j.status === 'queued' || j.status === 'sending')
+                  ).length;
+                  return (
+                    <span key={p.id}>
+                      {p.name}: {waiting ? `${waiting} waiting` : 'idle'}
+                    </span>
+                  );
+                })}
+              </div>
+            </div>
+            {printJobs.length === 0 ? (
+              <div className="px-6 py-5 text-sm text-gray-500">No print jobs yet.</div>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <tbody className="divide-y divide-gray-100">
+                  {printJobs.map((j) => (
+                    <tr key={j.id}>
+                      <td className="whitespace-nowrap px-6 py-3 font-mono text-xs text-gray-500">#{j.id}</td>
+                      <td className="px-3 py-3">
+                        <div className="text-gray-900">{j.description || `${j.labelCount} labels`}</div>
+                        <div className="text-xs text-gray-500">
+                          {j.printerName} · {j.labelCount} label{j.labelCount === 1 ? '' : 's'} · queued {formatDate(j.queuedAt)}
+                          {j.printedAt ? ` · printed ${formatDate(j.printedAt)}` : ''}
+                        </div>
+                        {j.lastError && j.status !== 'printed' ? (
+                          <div className="mt-0.5 text-xs text-red-700">
+                            {j.lastError}
+                            {j.status === 'queued' && j.nextAttemptAt ? ` · retrying ${formatDate(j.nextAttemptAt)}` : ''}
+                          </div>
+                        ) : null}
+                      </td>
+                      <td className="whitespace-nowrap px-3 py-3">
+                        <span className={`rounded px-2 py-0.5 text-xs font-medium ${PRINT_JOB_STATUS_STYLES[j.status] || ''}`}>
+                          {j.status}
+                          {j.attempts > 1 && j.status !== 'printed' ? ` (${j.attempts} tries)` : ''}
+                        </span>
+                      </td>
+                      <td className="whitespace-nowrap px-6 py-3 text-right">
+                        {j.status === 'queued' || j.status === 'failed' ? (
+                          <button
+                            className="rounded border border-gray-300 bg-white px-2.5 py-1 text-xs font-medium text-gray-700 transition-colors hover:bg-gray-50"
+                            onClick={() => cancelPrintJob(j.id)}
+                          >
+                            Cancel
+                          </button>
+                        ) : null}
+                        {j.status === 'printed' || j.status === 'failed' || j.status === 'cancelled' ? (
+                          <button
+                            className="ml-2 rounded border border-gray-300 bg-white px-2.5 py-1 text-xs font-medium text-gray-700 transition-colors hover:bg-gray-50"
+                            onClick={() => requeuePrintJob(j.id)}
+                          >
+                            Re-queue
+                          </button>
+                        ) : null}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ) : null}
       </div>
 
       <Modal
@@ -536,11 +1536,60 @@ export function App() {
         onClose={() => (buying ? null : setBuyOpen(false))}
       >
         <div className="grid grid-cols-1 gap-5">
+          {selectedOrder?.is_buyer_requested_cancel ? (
+            <div className="rounded border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-800">
+              <div className="font-medium">The buyer asked to cancel this order.</div>
+              {selectedOrder.buyer_requested_cancel_reason ? (
+                <div className="mt-1">Reason: {selectedOrder.buyer_requested_cancel_reason}</div>
+              ) : null}
+              <div className="mt-1">Cancel it in Seller Central instead of shipping it.</div>
+              <label className="mt-2 flex items-center gap-2 text-xs">
+                <input
+                  type="checkbox"
+                  checked={overrideCancelRequest}
+                  onChange={(e) => setOverrideCancelRequest(e.target.checked)}
+                  className="h-4 w-4 rounded border-red-300 text-red-700 focus:ring-red-700"
+                />
+                Buy the label anyway
+              </label>
+            </div>
+          ) : null}
           {autoFilled && (
             <div className="rounded border border-gray-200 bg-gray-50 px-4 py-2.5 text-sm text-gray-700">
               <span className="font-medium">Auto-filled from history</span>
             </div>
           )}
+          {selectedOrderItems.length > 1 || selectedOrderItems.some((item) => getRemainingQuantity(selectedOrder, item) > 1) ? (
+            <div className="rounded border border-gray-200 bg-white p-4">
+              <div className="mb-3 text-sm font-medium text-gray-700">
+                Items in this package
+              </div>
+              <div className="space-y-2">
+                {selectedOrderItems.map((item) => (
+                  <div key={item.order_item_id} className="flex items-center justify-between gap-3 text-xs">
+                    <div className="min-w-0">
+                      <div className="font-mono text-gray-900">{item.sku}</div>
+                      {item.title ? <div className="truncate text-gray-500">{item.title}</div> : null}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="number"
+                        min="0"
+                        max={getRemainingQuantity(selectedOrder, item)}
+                        className="w-16 rounded border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                        value={shipQuantities[item.order_item_id] ?? ''}
+                        onChange={(e) =>
+                          setShipQuantities((prev) => ({ ...prev, [item.order_item_id]: e.target.value }))
+                        }
+                      />
+                      <span className="text-gray-500">of {getRemainingQuantity(selectedOrder, item)}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ) : null}
+
           <div className="rounded border border-gray-200 bg-white p-4">
             <div className="mb-3 text-sm font-medium text-gray-700">
               Weight
@@ -604,6 +1653,73 @@ export function App() {
             </div>
           </div>
 
+          <div className="rounded border border-gray-200 bg-white p-4">
+            <div className="mb-3 flex items-center justify-between">
+              <div className="text-sm font-medium text-gray-700">Shipping Service</div>
+              <button
+                className="rounded border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-50"
+                onClick={loadRates}
+                disabled={loadingRates || buying}
+              >
+                {loadingRates ? 'Loading…' : rates ? 'Refresh Rates' : 'Compare Rates'}
+              </button>
+            </div>
+            {!rates ? (
+              <div className="text-xs text-gray-500">
+                Automatic selection. Compare rates to pick a service yourself.
+              </div>
+            ) : (
+              <div className="max-h-60 space-y-2 overflow-y-auto">
+                {rates.services?.map((service) => (
+                  <label
+                    key={service.id}
+                    className={`flex cursor-pointer items-start gap-3 rounded border px-3 py-2 text-xs transition-colors ${
+                      selectedServiceId === service.id ? 'border-gray-900 bg-gray-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="shipping-service"
+                      className="mt-0.5 h-4 w-4 cursor-pointer border-gray-300 text-gray-900 focus:ring-gray-900"
+                      checked={selectedServiceId === service.id}
+                      onChange={() => setSelectedServiceId(service.id)}
+                    />
+                    <div className="flex-1">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="font-medium text-gray-900">
+                          {service.carrier || '-'} · {service.name || service.id}
+                        </span>
+                        <span className="font-mono text-gray-900">{formatMoney(service.cost, service.currency)}</span>
+                      </div>
+                      <div className="mt-1 text-gray-500">
+                        Delivery {formatDate(service.earliestDelivery)} – {formatDate(service.latestDelivery)}
+                      </div>
+                      {rates.recommended?.serviceId === service.id ? (
+                        <div className="mt-1 text-gray-600">
+                          Recommended ({rates.recommended.strategy}): {rates.recommended.reason}
+                        </div>
+                      ) : null}
+                    </div>
+                  </label>
+                ))}
+                {!rates.services?.length ? (
+                  <div className="text-xs text-gray-500">No eligible services for this package.</div>
+                ) : null}
+                {rates.ineligible?.map((entry, idx) => (
+                  <div
+                    key={`${entry.carrier}-${entry.id || idx}`}
+                    className="rounded border border-gray-200 bg-gray-50 px-3 py-2 text-xs text-gray-500"
+                  >
+                    <span className="font-medium text-gray-700">
+                      {entry.carrier || '-'}{entry.name ? ` · ${entry.name}` : ''}
+                    </span>
+                    <span className="ml-2">{entry.reason}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
           <div className="flex justify-end gap-3 pt-2">
             <button
               className="rounded border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-50"
@@ -618,7 +1734,7 @@ export function App() {
             <button
               className="rounded bg-gray-900 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-gray-800 disabled:opacity-50"
               onClick={submitBuy}
-              disabled={buying}
+              disabled={buying || (selectedOrder?.is_buyer_requested_cancel && !overrideCancelRequest)}
             >
               {buying ? 'Buying…' : 'Buy & Download .zpl'}
             </button>
@@ -626,6 +1742,542 @@ export function App() {
         </div>
       </Modal>
 
+      {/* Order Detail Modal */}
+      <Modal
+        open={!!detailOrderId}
+        title={`Order — ${detailOrderId}`}
+        onClose={() => setDetailOrderId('')}
+      >
+        {loadingDetail && !orderDetail ? (
+          <div className="text-sm text-gray-500">Loading…</div>
+        ) : orderDetail ? (
+          <div className="space-y-5">
+            <div className="grid grid-cols-2 gap-3 text-sm">
+              <div>
+                <div className="text-xs font-medium text-gray-500">Customer</div>
+                <div className="text-gray-900">{orderDetail.customer_name || '-'}</div>
+              </div>
+              <div>
+                <div className="text-xs font-medium text-gray-500">Status</div>
+                <div className="text-gray-900">{orderDetail.status}</div>
+              </div>
+              <div>
+                <div className="text-xs font-medium text-gray-500">Purchased</div>
+                <div className="text-gray-900">{formatDate(orderDetail.purchase_date)}</div>
+              </div>
+              <div>
+                <div className="text-xs font-medium text-gray-500">Ship by</div>
+                <div className="text-gray-900">{formatDate(orderDetail.latest_ship_date)}</div>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between rounded border border-gray-200 bg-gray-50 px-3 py-2 text-xs">
+              <span className="font-medium text-gray-700">Packing slip</span>
+              <div className="flex gap-1.5">
+                {[
+                  ['ZPL 4x6', 'zpl'],
+                  ['PDF A4', 'pdf&page_size=A4'],
+                  ['PDF A5', 'pdf&page_size=A5']
+                ].map(([name, query]) => (
+                  <a
+                    key={name}
+                    className="rounded border border-gray-300 bg-white px-2.5 py-1 font-medium text-gray-700 transition-colors hover:bg-gray-50"
+                    href={`/api/orders/${encodeURIComponent(orderDetail.amazon_order_id)}/packing-slip?format=${query}`}
+                    download
+                  >
+                    {name}
+                  </a>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <div className="mb-2 flex items-center justify-between">
+                <div className="text-sm font-medium text-gray-900">Labels ({orderDetail.labels.length})</div>
+                <label className="flex items-center gap-2 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={reinjectOnReprint}
+                    onChange={(e) => setReinjectOnReprint(e.target.checked)}
+                  />
+                  Re-inject footer on reprint
+                </label>
+              </div>
+              {orderDetail.labels.length ? (
+                <div className="max-h-80 space-y-2 overflow-y-auto">
+                  {orderDetail.labels.map((label) => (
+                    <div
+                      key={label.id}
+                      className={`rounded border p-3 text-xs ${
+                        label.voided ? 'border-gray-200 bg-gray-50 text-gray-500' : 'border-gray-300 bg-white text-gray-700'
+                      }`}
+                    >
+                      <div className="flex items-start justify-between gap-3">
+                        <div>
+                          <div className="font-medium text-gray-900">
+                            #{label.id} · {label.shippingService?.carrier || 'Unknown carrier'}
+                            {label.shippingService?.name ? ` · ${label.shippingService.name}` : ''}
+                          </div>
+                          <div className="mt-1">
+                            Bought {formatDate(label.createdAt)} · {formatMoney(label.cost, label.currency)}
+                          </div>
+                          {label.weight ? (
+                            <div className="mt-1">
+                              {label.weight.value} {label.weight.unit}
+                              {label.dimensions
+                                ? ` · ${label.dimensions.length}×${label.dimensions.width}×${label.dimensions.height} ${label.dimensions.unit}`
+                                : ''}
+                            </div>
+                          ) : null}
+                          {label.trackingId ? <div className="mt-1 font-mono">{label.trackingId}</div> : null}
+                          {Array.isArray(label.items) && label.items.length ? (
+                            <div className="mt-1">
+                              {label.items.map((item) => `${item.sku} x${item.quantity}`).join(', ')}
+                            </div>
+                          ) : null}
+                          {label.voided ? (
+                            <div className="mt-1 font-medium text-red-700">
+                              Voided {formatDate(label.voidedAt)}
+                              {label.voidStatus ? ` (${label.voidStatus})` : ''}
+                            </div>
+                          ) : null}
+                        </div>
+                        {!label.voided ? (
+                          <div className="flex shrink-0 flex-col gap-1.5">
+                            <button
+                              className="rounded border border-gray-300 bg-white px-2.5 py-1 font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-50"
+                              onClick={() => handleReprint(orderDetail.amazon_order_id, label.id, reinjectOnReprint)}
+                              disabled={reprinting || (reinjectOnReprint && !label.hasOriginalZpl && !label.hasOriginalDocument)}
+                              title={
+                                reinjectOnReprint && !label.hasOriginalZpl && !label.hasOriginalDocument
+                                  ? 'Bought before original labels were stored; can only be reprinted as printed'
+                                  : undefined
+                              }
+                            >
+                              Reprint
+                            </button>
+                            <button
+                              className="rounded border border-red-200 bg-white px-2.5 py-1 font-medium text-red-700 transition-colors hover:bg-red-50 disabled:opacity-50"
+                              onClick={() => openVoid(orderDetail.amazon_order_id, label.id)}
+                              disabled={voiding || !label.shipmentId}
+                            >
+                              Void
+                            </button>
+                          </div>
+                        ) : null}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-sm text-gray-400">No labels bought yet.</div>
+              )}
+            </div>
+          </div>
+        ) : null}
+      </Modal>
+
+      {/* Void Label Confirmation Modal */}
+      <Modal
+        open={!!voidOrderId}
+        title={`Void Label — ${voidOrderId}${voidLabelId ? ` #${voidLabelId}` : ''}`}
+        onClose={() => (voiding ? null : setVoidOrderId(''))}
+      >
+        <div className="space-y-5">
+          <div className="text-sm text-gray-700">
+            This cancels the shipment with Amazon and moves the order back to To Buy. The voided label is kept in the
+            order history. Amazon only allows cancelling a label for a limited time after purchase.
+            {!voidLabelId ? ' If the order has several labels, the newest one is voided.' : ''}
+          </div>
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              className="rounded border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-50"
+              onClick={() => setVoidOrderId('')}
+              disabled={voiding}
+            >
+              Keep Label
+            </button>
+            <button
+              className="rounded bg-red-700 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-red-800 disabled:opacity-50"
+              onClick={submitVoid}
+              disabled={voiding}
+            >
+              {voiding ? 'Voiding…' : 'Void Label'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Printers Modal */}
+      <Modal open={printersOpen} title="Printers" onClose={() => setPrintersOpen(false)}>
+        <div className="space-y-5">
+          {printers.length === 0 ? (
+            <div className="text-sm text-gray-500">No printers yet. Labels are downloaded as .zpl files.</div>
+          ) : (
+            <div className="divide-y divide-gray-200 rounded border border-gray-200">
+              {printers.map((p) => {
+                const status = printerStatuses[p.id];
+                return (
+                  <div key={p.id} className="flex items-start justify-between gap-3 px-4 py-3 text-sm">
+                    <div>
+                      <div className="font-medium text-gray-900">
+                        {p.name}
+                        {p.active ? '' : ' (inactive)'}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {p.host}:{p.port} · {p.dpi} dpi · {p.labelWidthMm}×{p.labelHeightMm} mm
+                      </div>
+                      {status && !status.checking ? (
+                        <div
+                          className={`mt-1 text-xs ${
+                            status.online && status.ready ? 'text-green-700' : status.online ? 'text-amber-700' : 'text-red-700'
+                          }`}
+                        >
+                          {!status.online
+                            ? status.error || 'Offline'
+                            : status.ready
+                              ? 'Ready'
+                              : `Not ready: ${status.problems.join(', ')}`}
+                        </div>
+                      ) : null}
+                    </div>
+                    <div className="flex shrink-0 gap-2">
+                      <button
+                        className="rounded border border-gray-300 bg-white px-2.5 py-1 text-xs font-medium text-gray-700 transition-colors hover:bg-gray-50 disabled:opacity-50"
+                        onClick={() => checkPrinterStatus(p.id)}
+                        disabled={status?.checking}
+                      >
+                        {status?.checking ? 'Checking…' : 'Status'}
+                      </button>
+                      <button
+                        className="rounded border border-red-200 bg-white px-2.5 py-1 text-xs font-medium text-red-700 transition-colors hover:bg-red-50"
+                        onClick={() => removePrinter(p.id)}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <div className="rounded border border-gray-200 bg-gray-50 p-4">
+            <div className="mb-3 text-sm font-medium text-gray-900">Add printer</div>
+            <div className="grid grid-cols-2 gap-3">
+              {[
+                ['name', 'Name', 'Packing desk'],
+                ['host', 'Host / IP', '192.168.1.50'],
+                ['port', 'Port', '9100']
+              ].map(([field, label, placeholder]) => (
+                <label key={field} className="text-xs text-gray-600">
+                  {label}
+                  <input
+                    className="mt-1 w-full rounded border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                    value={newPrinter[field]}
+                    placeholder={placeholder}
+                    onChange={(e) => setNewPrinter((prev) => ({ ...prev, [field]: e.target.value }))}
+                  />
+                </label>
+              ))}
+              <label className="text-xs text-gray-600">
+                Resolution
+                <select
+                  className="mt-1 w-full rounded border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                  value={newPrinter.dpi}
+                  onChange={(e) => setNewPrinter((prev) => ({ ...prev, dpi: e.target.value }))}
+                >
+                  <option value="203">203 dpi</option>
+                  <option value="300">300 dpi</option>
+                  <option value="600">600 dpi</option>
+                </select>
+              </label>
+            </div>
+            <div className="mt-3 flex justify-end">
+              <button
+                className="rounded bg-gray-900 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-gray-800 disabled:opacity-50"
+                onClick={submitNewPrinter}
+                disabled={savingPrinter || !newPrinter.name.trim() || !newPrinter.host.trim()}
+              >
+                {savingPrinter ? 'Saving…' : 'Add Printer'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Footer Templates Modal */}
+      <Modal open={templatesOpen} title="Footer Templates" onClose={() => setTemplatesOpen(false)}>
+        <div className="space-y-5">
+          {injectionTemplates.length === 0 ? (
+            <div className="text-sm text-gray-500">No templates yet. Labels get the built-in SKU/QTY box.</div>
+          ) : (
+            <div className="divide-y divide-gray-200 rounded border border-gray-200">
+              {injectionTemplates.map((t) => (
+                <div key={t.id} className="flex items-start justify-between gap-3 px-4 py-3 text-sm">
+                  <div>
+                    <div className="font-medium text-gray-900">
+                      {t.name}
+                      {t.isDefault ? <span className="ml-2 text-xs font-normal text-green-700">default</span> : null}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {t.elements.length} element{t.elements.length === 1 ? '' : 's'} · {t.boxWidth} dots wide
+                    </div>
+                  </div>
+                  <div className="flex shrink-0 gap-2">
+                    <button
+                      className="rounded border border-gray-300 bg-white px-2.5 py-1 text-xs font-medium text-gray-700 transition-colors hover:bg-gray-50"
+                      onClick={() => setDefaultTemplate(t.id, !t.isDefault)}
+                    >
+                      {t.isDefault ? 'Unset default' : 'Make default'}
+                    </button>
+                    <button
+                      className="rounded border border-red-200 bg-white px-2.5 py-1 text-xs font-medium text-red-700 transition-colors hover:bg-red-50"
+                      onClick={() => removeTemplate(t.id)}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="rounded border border-gray-200 bg-gray-50 p-4">
+            <div className="mb-3 text-sm font-medium text-gray-900">Add template</div>
+            <label className="block text-xs text-gray-600">
+              Name
+              <input
+                className="mt-1 w-full rounded border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                value={newTemplate.name}
+                placeholder="Pick verification"
+                onChange={(e) => setNewTemplate((prev) => ({ ...prev, name: e.target.value }))}
+              />
+            </label>
+            <label className="mt-3 block text-xs text-gray-600">
+              Elements (JSON)
+              <textarea
+                className="mt-1 h-48 w-full rounded border border-gray-300 bg-white px-2 py-1 font-mono text-xs text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                value={newTemplate.elements}
+                onChange={(e) => setNewTemplate((prev) => ({ ...prev, elements: e.target.value }))}
+              />
+            </label>
+            <div className="mt-2 text-xs text-gray-500">
+              Types: text, code128, qr. Placeholders: {'{sku} {quantity} {order_id} {customer_name} {bin_location} {batch_name}'}.
+              per_item repeats an element for every item.
+            </div>
+            <div className="mt-3 flex justify-end">
+              <button
+                className="rounded bg-gray-900 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-gray-800 disabled:opacity-50"
+                onClick={submitNewTemplate}
+                disabled={savingTemplate || !newTemplate.name.trim()}
+              >
+                {savingTemplate ? 'Saving…' : 'Add Template'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Label Preview Modal */}
+      <Modal
+        open={!!labelPreview}
+        title={`Label Preview — ${labelPreview?.preview.pages.length || 0} label${labelPreview?.preview.pages.length === 1 ? '' : 's'}`}
+        onClose={() => setLabelPreview(null)}
+      >
+        {labelPreview && (
+          <div className="space-y-5">
+            {labelPreview.preview.warnings?.length > 0 && (
+              <div className="rounded border border-amber-200 bg-amber-50 p-3 text-xs text-amber-800">
+                <div className="mb-1 font-medium">The preview may differ from the printed label:</div>
+                <ul className="list-disc space-y-0.5 pl-4">
+                  {labelPreview.preview.warnings.map((warning) => (
+                    <li key={warning}>{warning}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {labelPreview.injectionWarnings?.length > 0 && (
+              <div className="rounded border border-amber-200 bg-amber-50 p-3 text-xs text-amber-800">
+                <div className="mb-1 font-medium">Footer placement:</div>
+                <ul className="list-disc space-y-0.5 pl-4">
+                  {labelPreview.injectionWarnings.map((warning) => (
+                    <li key={warning}>{warning}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="max-h-[60vh] space-y-4 overflow-y-auto rounded border border-gray-200 bg-gray-100 p-4">
+              {labelPreview.preview.pages.map((page, idx) => (
+                <div key={idx} className="space-y-1.5">
+                  <div className="flex justify-between text-xs text-gray-500">
+                    <span className="font-mono">{page.amazon_order_id}</span>
+                    {page.labelId && <span>Label #{page.labelId}</span>}
+                    {page.packingSlip && <span>Packing slip</span>}
+                  </div>
+                  <img
+                    className="w-full border border-gray-300 bg-white"
+                    src={`data:image/png;base64,${page.png}`}
+                    alt={`Label ${idx + 1} for ${page.amazon_order_id || 'order'}`}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-end gap-3 pt-2">
+              <button
+                className="rounded border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50"
+                onClick={() => downloadBase64File(`${labelPreview.filename}.pdf`, labelPreview.preview.pdf, 'application/pdf')}
+              >
+                Download PDF
+              </button>
+              {labelPreview.zpl && (
+                <button
+                  className="rounded bg-gray-900 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-gray-800"
+                  onClick={() => {
+                    downloadTextFile(`${labelPreview.filename}.zpl`, labelPreview.zpl);
+                    setLabelPreview(null);
+                  }}
+                >
+                  Download ZPL
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      {/* Bulk Package Review Modal */}
+      <Modal open={bulkReview !== null} title="Review Packages" onClose={() => setBulkReview(null)} wide>
+        {bulkReview && (
+          <div className="space-y-5">
+            <div className="text-xs text-gray-500">
+              Single-SKU orders use the SKU's saved package, scaled by quantity; other orders use the fallback weight and
+              dimensions. Edit a row to override it.
+            </div>
+            <div className="max-h-96 overflow-y-auto rounded border border-gray-200">
+              <table className="min-w-full text-left text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-xs font-medium uppercase tracking-wider text-gray-500">
+                    <th className="px-3 py-2">Order</th>
+                    <th className="px-3 py-2">Weight</th>
+                    <th className="px-3 py-2">Dimensions (L × W × H)</th>
+                    <th className="px-3 py-2">Source</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {bulkReview.map((row) => (
+                    <tr key={row.amazon_order_id} className="align-top">
+                      <td className="px-3 py-2">
+                        <div className="font-mono text-xs font-medium text-gray-900">{row.amazon_order_id}</div>
+                        {(row.items || []).map((item) => (
+                          <div key={item.order_item_id} className="text-xs text-gray-500">
+                            {item.sku} × {item.quantity}
+                          </div>
+                        ))}
+                        {row.cancelRequest && <div className="mt-1 text-xs text-amber-700">Not bought: {row.cancelRequest}</div>}
+                        {row.error && <div className="mt-1 text-xs text-red-700">Not bought: {row.error}</div>}
+                      </td>
+                      <td className="px-3 py-2">
+                        {row.items && (
+                          <div className="flex items-center gap-1">
+                            <input
+                              className="w-16 rounded border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                              value={row.weight?.value ?? ''}
+                              onChange={(e) => updateReviewPackage(row.amazon_order_id, 'weight', 'value', e.target.value)}
+                              inputMode="decimal"
+                            />
+                            <select
+                              className="rounded border border-gray-300 bg-white px-1 py-1 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                              value={row.weight?.unit || ''}
+                              onChange={(e) => updateReviewPackage(row.amazon_order_id, 'weight', 'unit', e.target.value)}
+                            >
+                              <option value="" disabled>
+                                unit
+                              </option>
+                              <option value="oz">oz</option>
+                              <option value="lb">lb</option>
+                              <option value="g">g</option>
+                              <option value="kg">kg</option>
+                            </select>
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        {row.items && (
+                          <div className="flex items-center gap-1">
+                            {['length', 'width', 'height'].map((field) => (
+                              <input
+                                key={field}
+                                className="w-14 rounded border border-gray-300 bg-white px-2 py-1 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                                value={row.dimensions?.[field] ?? ''}
+                                onChange={(e) => updateReviewPackage(row.amazon_order_id, 'dimensions', field, e.target.value)}
+                                inputMode="decimal"
+                                aria-label={field}
+                              />
+                            ))}
+                            <select
+                              className="rounded border border-gray-300 bg-white px-1 py-1 text-sm text-gray-900 outline-none focus:border-gray-900 focus:ring-1 focus:ring-gray-900"
+                              value={row.dimensions?.unit || ''}
+                              onChange={(e) => updateReviewPackage(row.amazon_order_id, 'dimensions', 'unit', e.target.value)}
+                            >
+                              <option value="" disabled>
+                                unit
+                              </option>
+                              <option value="in">in</option>
+                              <option value="cm">cm</option>
+                            </select>
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-xs text-gray-500">
+                        {row.source && (
+                          <>
+                            <div>Weight: {PACKAGE_SOURCE_LABELS[row.source.weight] || '—'}</div>
+                            <div>Size: {PACKAGE_SOURCE_LABELS[row.source.dimensions] || '—'}</div>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {buyableReviewIds.length < bulkReview.length && (
+              <div className="rounded border border-gray-200 bg-gray-50 px-3 py-2 text-xs text-gray-700">
+                {bulkReview.length - buyableReviewIds.length} of {bulkReview.length} order
+                {bulkReview.length !== 1 ? 's' : ''} marked "Not bought" will be left out and stay
+                selected.
+              </div>
+            )}
+
+            {hasIncompleteReview && (
+              <div className="rounded border border-amber-200 bg-amber-50 px-3 py-2 text-xs text-amber-800">
+                Fill in a positive weight, every dimension and both units for the edited orders before buying.
+              </div>
+            )}
+
+            <div className="flex justify-end gap-3 pt-2">
+              <button
+                className="rounded border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 transition-colors hover:bg-gray-50"
+                onClick={() => setBulkReview(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="rounded bg-gray-900 px-4 py-2 text-sm font-medium text-white transition-colors hover:bg-gray-800 disabled:opacity-50"
+                onClick={submitBulkBuy}
+                disabled={bulkBuying || hasIncompleteReview || buyableReviewIds.length === 0}
+              >
+                {`Buy Shipping for ${buyableReviewIds.length} Order${buyableReviewIds.length !== 1 ? 's' : ''}`}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
       {/* Batch Report Modal */}
       <Modal
         open={batchReportOpen}